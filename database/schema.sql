@@ -1,5 +1,6 @@
 -- Digital Payment System Database Schema
 -- Created with SOLID principles in mind
+-- Money columns hold integer minor units (kuruş), e.g. 1250 = 12.50 TL
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -9,19 +10,60 @@ CREATE TABLE IF NOT EXISTS users (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- User credentials table - Salted PIN hashes and login lockout state
+CREATE TABLE IF NOT EXISTS user_credentials (
+    user_id TEXT PRIMARY KEY,
+    pin_hash TEXT NOT NULL,
+    pin_salt TEXT NOT NULL,
+    failed_attempts INTEGER DEFAULT 0,
+    first_failed_at DATETIME,
+    locked_until DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+-- Phone verifications table - One-time codes for self-registered users
+CREATE TABLE IF NOT EXISTS phone_verifications (
+    user_id TEXT PRIMARY KEY,
+    code_hash TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    verified_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
 -- Merchants table
 CREATE TABLE IF NOT EXISTS merchants (
     merchant_id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
-    category TEXT NOT NULL
+    category TEXT NOT NULL,
+    active BOOLEAN DEFAULT TRUE, -- Inactive merchants cannot take new payments
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME,
+    mdr_bps INTEGER -- Merchant discount rate in basis points, NULL = platform default
+);
+
+-- Merchant credentials table - Salted PIN hashes and lockout state of merchant dashboard logins
+CREATE TABLE IF NOT EXISTS merchant_credentials (
+    merchant_id TEXT PRIMARY KEY,
+    pin_hash TEXT NOT NULL,
+    pin_salt TEXT NOT NULL,
+    failed_attempts INTEGER DEFAULT 0,
+    first_failed_at DATETIME,
+    locked_until DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
 );
 
--- Wallets table - User balances
+-- Wallets table - User balances, one wallet per user and currency
 CREATE TABLE IF NOT EXISTS wallets (
-    user_id TEXT PRIMARY KEY,
-    balance DECIMAL(10,2) DEFAULT 0.0,
-    currency TEXT DEFAULT 'TRY',
+    user_id TEXT NOT NULL,
+    balance INTEGER DEFAULT 0, -- minor units (kuruş, cent)
+    held_amount INTEGER DEFAULT 0, -- minor units reserved by active payment holds
+    currency TEXT NOT NULL DEFAULT 'TRY',
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, currency),
     FOREIGN KEY (user_id) REFERENCES users(user_id)
 );
 
@@ -31,9 +73,9 @@ CREATE TABLE IF NOT EXISTS transactions (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     user_id TEXT NOT NULL,
     merchant_id TEXT,
-    amount DECIMAL(10,2) NOT NULL,
+    amount INTEGER NOT NULL, -- kuruş
     currency TEXT DEFAULT 'TRY',
-    type TEXT NOT NULL CHECK (type IN ('payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split')),
+    type TEXT NOT NULL CHECK (type IN ('payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split', 'split_settlement', 'refund', 'cashback_reversal', 'adjustment', 'exchange_out', 'exchange_in', 'withdrawal')),
     status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'ok', 'failed', 'cancelled')),
     meta TEXT, -- JSON metadata
     FOREIGN KEY (user_id) REFERENCES users(user_id),
@@ -46,8 +88,8 @@ CREATE TABLE IF NOT EXISTS bill_splits (
     tx_id TEXT NOT NULL, -- Original transaction ID
     payer_user_id TEXT NOT NULL, -- User who paid the bill
     debtor_user_id TEXT NOT NULL, -- User who owes money
-    total_amount DECIMAL(10,2) NOT NULL, -- Total bill amount
-    share_amount DECIMAL(10,2) NOT NULL, -- Amount this user owes
+    total_amount INTEGER NOT NULL, -- Total bill amount in kuruş
+    share_amount INTEGER NOT NULL, -- Amount this user owes in kuruş
     weight DECIMAL(5,2) DEFAULT 1.0, -- Weight for weighted splitting
     status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'settled', 'cancelled')),
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -74,34 +116,323 @@ CREATE TABLE IF NOT EXISTS cashback_rules (
     rule_type TEXT NOT NULL CHECK (rule_type IN ('percent', 'flat')),
     category TEXT,
     rate DECIMAL(5,4) DEFAULT 0,
-    flat_amount DECIMAL(10,2) DEFAULT 0,
-    cap DECIMAL(10,2),
+    flat_amount INTEGER DEFAULT 0, -- kuruş
+    cap INTEGER, -- kuruş
     first_time_only BOOLEAN DEFAULT FALSE,
     starts_at DATE,
     ends_at DATE,
     active BOOLEAN DEFAULT TRUE
 );
 
+-- Cashback awards table - First-time-only cashback paid to a user, at most once per rule
+CREATE TABLE IF NOT EXISTS cashback_awards (
+    user_id TEXT NOT NULL,
+    rule_id TEXT NOT NULL,
+    tx_id TEXT NOT NULL, -- Cashback transaction
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, rule_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (rule_id) REFERENCES cashback_rules(rule_id)
+);
+
 -- Budget tracking table
 CREATE TABLE IF NOT EXISTS budgets (
     user_id TEXT NOT NULL,
     month TEXT NOT NULL, -- Format: YYYY-MM
     category TEXT NOT NULL,
-    limit_amount DECIMAL(10,2) NOT NULL,
-    spent_amount DECIMAL(10,2) DEFAULT 0,
+    limit_amount INTEGER NOT NULL, -- kuruş
+    spent_amount INTEGER DEFAULT 0, -- kuruş
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (user_id, month, category),
     FOREIGN KEY (user_id) REFERENCES users(user_id)
 );
 
+-- Idempotency keys table - Stored responses of money-moving requests
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope TEXT NOT NULL, -- User ID, or 'admin' for admin API calls
+    idempotency_key TEXT NOT NULL,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER, -- NULL while the original request is in progress
+    response_body TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    PRIMARY KEY (scope, idempotency_key)
+);
+
+-- Ledger accounts table - Double-entry accounts (wallets, merchants, platform accounts)
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    account_id TEXT PRIMARY KEY, -- e.g. WALLET:U1:TRY, MERCHANT:M1:TRY, CASHBACK_EXPENSE:TRY
+    account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'merchant', 'cashback_expense', 'topup_clearing', 'opening_balance', 'reconciliation', 'mdr_revenue', 'merchant_payout', 'fx_position', 'withdrawal_clearing')),
+    owner_id TEXT, -- User or merchant ID for wallet and merchant accounts
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Journal entries table - One balanced entry per money movement
+CREATE TABLE IF NOT EXISTS journal_entries (
+    entry_id TEXT PRIMARY KEY,
+    reference TEXT, -- Related transaction ID
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ledger postings table - Debit and credit lines of journal entries
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    entry_id TEXT NOT NULL,
+    line_no INTEGER NOT NULL,
+    account_id TEXT NOT NULL,
+    side TEXT NOT NULL CHECK (side IN ('debit', 'credit')),
+    amount INTEGER NOT NULL CHECK (amount > 0), -- kuruş
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (entry_id, line_no),
+    FOREIGN KEY (entry_id) REFERENCES journal_entries(entry_id),
+    FOREIGN KEY (account_id) REFERENCES ledger_accounts(account_id)
+);
+
+-- Payment holds table - Funds reserved by authorized payments until capture, void or expiry
+CREATE TABLE IF NOT EXISTS payment_holds (
+    tx_id TEXT PRIMARY KEY, -- Pending payment transaction
+    user_id TEXT NOT NULL,
+    merchant_id TEXT NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0), -- kuruş
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'captured', 'voided', 'expired')),
+    captured_amount INTEGER, -- kuruş
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    FOREIGN KEY (tx_id) REFERENCES transactions(tx_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+);
+
+-- QR codes table - Signed payment QR codes issued by merchants
+CREATE TABLE IF NOT EXISTS qr_codes (
+    qr_id TEXT PRIMARY KEY,
+    merchant_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('static', 'dynamic')), -- static: payer enters the amount
+    amount INTEGER CHECK (amount IS NULL OR amount > 0), -- kuruş, dynamic codes only
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    description TEXT,
+    single_use BOOLEAN DEFAULT FALSE,
+    expires_at DATETIME,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'consumed', 'revoked')),
+    signature TEXT NOT NULL, -- HMAC-SHA256 of QRCode.signingPayload()
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    consumed_at DATETIME,
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+);
+
+-- Settlement batches table - One closed settlement period per row
+CREATE TABLE IF NOT EXISTS settlement_batches (
+    batch_id TEXT PRIMARY KEY,
+    settlement_date TEXT NOT NULL UNIQUE, -- YYYY-MM-DD (UTC), last day of the period
+    previous_date TEXT, -- settlement_date of the previous batch, the period starts the day after
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Merchant payouts table - What a batch settled per merchant account
+CREATE TABLE IF NOT EXISTS merchant_payouts (
+    payout_id TEXT PRIMARY KEY,
+    batch_id TEXT NOT NULL,
+    merchant_id TEXT NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    opening_balance INTEGER NOT NULL DEFAULT 0, -- kuruş carried from earlier batches (zero or negative)
+    gross_amount INTEGER NOT NULL DEFAULT 0, -- kuruş
+    refund_amount INTEGER NOT NULL DEFAULT 0, -- kuruş
+    mdr_bps INTEGER NOT NULL, -- Rate applied to gross_amount
+    fee_amount INTEGER NOT NULL DEFAULT 0, -- kuruş
+    net_amount INTEGER NOT NULL, -- opening + gross - refunds - fee, kuruş
+    payout_amount INTEGER NOT NULL CHECK (payout_amount >= 0), -- kuruş
+    payment_count INTEGER NOT NULL DEFAULT 0,
+    refund_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'carried')), -- carried: negative net moves to the next batch
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (batch_id, merchant_id, currency),
+    FOREIGN KEY (batch_id) REFERENCES settlement_batches(batch_id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+);
+
+-- Scheduled payments table - Standing orders run by the scheduled payments job
+CREATE TABLE IF NOT EXISTS scheduled_payments (
+    schedule_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL, -- Payer
+    type TEXT NOT NULL CHECK (type IN ('transfer', 'payment')),
+    to_user_id TEXT, -- Receiver of transfers
+    merchant_id TEXT, -- Merchant of payments
+    amount INTEGER NOT NULL CHECK (amount > 0), -- minor units
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    description TEXT,
+    frequency TEXT NOT NULL CHECK (frequency IN ('once', 'daily', 'weekly', 'monthly')),
+    start_at DATETIME NOT NULL, -- First occurrence, later ones are counted from it
+    end_at DATETIME, -- No occurrences after this time
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled', 'completed')),
+    run_count INTEGER NOT NULL DEFAULT 0, -- Occurrences run or given up
+    attempts INTEGER NOT NULL DEFAULT 0, -- Failed attempts of the current occurrence
+    next_attempt_at DATETIME NOT NULL, -- Current occurrence, or its retry time after a failure
+    last_run_at DATETIME,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (to_user_id) REFERENCES users(user_id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+);
+
+-- Scheduled payment runs table - Every attempt of a scheduled payment
+CREATE TABLE IF NOT EXISTS scheduled_payment_runs (
+    run_id TEXT PRIMARY KEY,
+    schedule_id TEXT NOT NULL,
+    occurrence INTEGER NOT NULL, -- run_count of the schedule when attempted
+    scheduled_for DATETIME NOT NULL, -- Occurrence time
+    attempt INTEGER NOT NULL, -- 1 for the first try of an occurrence
+    status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+    tx_id TEXT, -- Transaction of a successful run
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (schedule_id) REFERENCES scheduled_payments(schedule_id)
+);
+
+-- Payment requests table - Money asked from another user, paid by a transfer when accepted
+CREATE TABLE IF NOT EXISTS payment_requests (
+    request_id TEXT PRIMARY KEY,
+    requester_id TEXT NOT NULL, -- Receives the money
+    payer_id TEXT NOT NULL, -- Asked to pay
+    amount INTEGER NOT NULL CHECK (amount > 0), -- minor units
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    note TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired')),
+    tx_id TEXT, -- Outgoing transfer of an accepted request
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    FOREIGN KEY (requester_id) REFERENCES users(user_id),
+    FOREIGN KEY (payer_id) REFERENCES users(user_id)
+);
+
+-- User transaction limits - caps a user lowered below the system limits
+CREATE TABLE IF NOT EXISTS user_limits (
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('transfer_out', 'payment', 'topup')),
+    per_transaction INTEGER CHECK (per_transaction > 0), -- kuruş, NULL follows the system limit
+    daily INTEGER CHECK (daily > 0), -- kuruş, NULL follows the system limit
+    monthly INTEGER CHECK (monthly > 0), -- kuruş, NULL follows the system limit
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, type),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+-- Limit usage table - TRY value used of each limit per day (YYYY-MM-DD) and month (YYYY-MM)
+CREATE TABLE IF NOT EXISTS limit_usage (
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('transfer_out', 'payment', 'topup')),
+    period TEXT NOT NULL,
+    used INTEGER NOT NULL DEFAULT 0 CHECK (used >= 0), -- kuruş
+    PRIMARY KEY (user_id, type, period),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+-- Bank accounts table - Turkish IBANs users withdraw to
+CREATE TABLE IF NOT EXISTS bank_accounts (
+    account_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    iban TEXT NOT NULL, -- Compact form, TR + 24 digits
+    holder_name TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+-- Withdrawals table - Wallet to bank transfers, funds are held until the bank settles them
+CREATE TABLE IF NOT EXISTS withdrawals (
+    withdrawal_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    tx_id TEXT NOT NULL UNIQUE, -- Withdrawal transaction, pending until settled
+    bank_account_id TEXT NOT NULL,
+    iban TEXT NOT NULL, -- IBAN at request time
+    holder_name TEXT NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0), -- kuruş
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    bank_reference TEXT, -- Reference of the bank rail once submitted
+    failure_reason TEXT,
+    submitted_at DATETIME,
+    resolved_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (tx_id) REFERENCES transactions(tx_id),
+    FOREIGN KEY (bank_account_id) REFERENCES bank_accounts(account_id)
+);
+
+-- Top-ups table - Wallet loads from cards, bank transfers and cash, credited when the provider settles them
+CREATE TABLE IF NOT EXISTS topups (
+    topup_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    tx_id TEXT NOT NULL UNIQUE, -- Top-up transaction, pending until settled
+    method TEXT NOT NULL CHECK (method IN ('card', 'bank_transfer', 'cash_in')),
+    amount INTEGER NOT NULL CHECK (amount > 0), -- kuruş
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('requires_action', 'pending', 'completed', 'failed')),
+    provider_reference TEXT, -- Charge reference of the funding provider
+    details TEXT, -- JSON with card brand and last four digits or payment instructions, never the card number
+    failure_reason TEXT,
+    resolved_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (tx_id) REFERENCES transactions(tx_id)
+);
+
+-- Saved cards table - Card vault, cards are kept as card gateway tokens, never as card numbers
+CREATE TABLE IF NOT EXISTS saved_cards (
+    card_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    token TEXT NOT NULL, -- Token issued by the card gateway
+    brand TEXT NOT NULL,
+    last4 TEXT NOT NULL,
+    expiry_month INTEGER NOT NULL CHECK (expiry_month BETWEEN 1 AND 12),
+    expiry_year INTEGER NOT NULL,
+    is_default INTEGER NOT NULL DEFAULT 0 CHECK (is_default IN (0, 1)),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
 CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at);
 CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type);
+CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_transactions_original_tx ON transactions(json_extract(meta, '$.original_tx_id'));
+CREATE INDEX IF NOT EXISTS idx_transactions_user_history ON transactions(user_id, created_at, tx_id);
 CREATE INDEX IF NOT EXISTS idx_bill_splits_payer ON bill_splits(payer_user_id);
 CREATE INDEX IF NOT EXISTS idx_bill_splits_debtor ON bill_splits(debtor_user_id);
 CREATE INDEX IF NOT EXISTS idx_bill_splits_status ON bill_splits(status);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries(reference);
+CREATE INDEX IF NOT EXISTS idx_payment_holds_user ON payment_holds(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_holds_expiry ON payment_holds(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_merchants_category ON merchants(category);
+CREATE INDEX IF NOT EXISTS idx_qr_codes_merchant ON qr_codes(merchant_id, status);
+CREATE INDEX IF NOT EXISTS idx_merchant_payouts_merchant ON merchant_payouts(merchant_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_payments_user ON scheduled_payments(user_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_payments_due ON scheduled_payments(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_payment_runs_schedule ON scheduled_payment_runs(schedule_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_payer ON payment_requests(payer_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_requester ON payment_requests(requester_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_expiry ON payment_requests(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_bank_accounts_user ON bank_accounts(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_user ON withdrawals(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_open ON withdrawals(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_topups_user ON topups(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_topups_open ON topups(status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_topups_reference ON topups(method, provider_reference);
+CREATE INDEX IF NOT EXISTS idx_saved_cards_user ON saved_cards(user_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_cards_default ON saved_cards(user_id) WHERE is_default = 1;
 
 -- Insert initial data
 INSERT OR IGNORE INTO users (user_id, name, phone) VALUES 
@@ -109,18 +440,49 @@ INSERT OR IGNORE INTO users (user_id, name, phone) VALUES
 ('U2', 'Ali', '+905552222222'),
 ('U3', 'Deniz', '+905553333333');
 
+-- Demo PIN for all seed users: 1234 (scrypt, 64-byte key)
+INSERT OR IGNORE INTO user_credentials (user_id, pin_hash, pin_salt) VALUES 
+('U1', '859e6064a7185081cef4a0daed8ec433aef5abab4874a6c22661a1af60db730a39798150f7efce0f7bb08751cb0678d89795d12d242db52f1677f93b021a7abe', '8fd61a8366e4b1c4e071d2d01434b56c'),
+('U2', '42cbe5236342cd040a91cb37d1514e4cc14323f3e92c0ffed78350090efd695e4bc19a94a768de17ef91931313e2e5a13606f629d5f7c8445b8e72ea87d479b8', 'd633280f4550ad01d86f464df3e5d937'),
+('U3', 'b220ebe39e6c892f184a5e460dfd79dad849e996a6b89edfbf2fae65e9a415e739960ce20102e2e7f850cf139f47ff92388653b514f7f6c0df3240bdd166c4a5', 'db7c9bec01bf5762b2f6a3466bb2765f');
+
 INSERT OR IGNORE INTO merchants (merchant_id, name, category) VALUES 
 ('M1', 'Kampüs Kafe', 'cafe'),
 ('M2', 'Kampüs Market', 'market');
 
+-- Demo merchant dashboard PIN: 1234 (scrypt, 64-byte key)
+INSERT OR IGNORE INTO merchant_credentials (merchant_id, pin_hash, pin_salt) VALUES 
+('M1', '77508c9fe00bd52cadeefc11f37244dd62f711be4fa2b732b8e8651fd1211afefa6948e324cb3341a56766e26673c9f901ea1c46ffd3934eb8d050e8ed15a83d', 'd42c0d872539eb225e2a11ceaad35185'),
+('M2', '5080a23fd6b45dc9446dd2542249c0844d5615ec7e165493e12913b4b89837c395c746ba5460dee8d2e41c9b3b0fe4067e8318c2b4bf18e62aee73285fc9c183', '19db65d7e0666a2283c635d82c5a4edc');
+
 INSERT OR IGNORE INTO wallets (user_id, balance) VALUES 
-('U1', 250.0),
-('U2', 90.0),
-('U3', 30.0);
+('U1', 25000),
+('U2', 9000),
+('U3', 3000);
+
+-- Opening balances of the seed wallets, posted against the opening balance account
+INSERT OR IGNORE INTO ledger_accounts (account_id, account_type, owner_id, currency) VALUES 
+('OPENING_BALANCE:TRY', 'opening_balance', NULL, 'TRY'),
+('WALLET:U1:TRY', 'wallet', 'U1', 'TRY'),
+('WALLET:U2:TRY', 'wallet', 'U2', 'TRY'),
+('WALLET:U3:TRY', 'wallet', 'U3', 'TRY');
+
+INSERT OR IGNORE INTO journal_entries (entry_id, reference, description) VALUES 
+('JE_OPENING_U1', NULL, 'Açılış bakiyesi'),
+('JE_OPENING_U2', NULL, 'Açılış bakiyesi'),
+('JE_OPENING_U3', NULL, 'Açılış bakiyesi');
+
+INSERT OR IGNORE INTO ledger_postings (entry_id, line_no, account_id, side, amount, currency) VALUES 
+('JE_OPENING_U1', 1, 'OPENING_BALANCE:TRY', 'debit', 25000, 'TRY'),
+('JE_OPENING_U1', 2, 'WALLET:U1:TRY', 'credit', 25000, 'TRY'),
+('JE_OPENING_U2', 1, 'OPENING_BALANCE:TRY', 'debit', 9000, 'TRY'),
+('JE_OPENING_U2', 2, 'WALLET:U2:TRY', 'credit', 9000, 'TRY'),
+('JE_OPENING_U3', 1, 'OPENING_BALANCE:TRY', 'debit', 3000, 'TRY'),
+('JE_OPENING_U3', 2, 'WALLET:U3:TRY', 'credit', 3000, 'TRY');
 
 INSERT OR IGNORE INTO cashback_rules (rule_id, rule_type, category, rate, flat_amount, cap, first_time_only, starts_at, ends_at) VALUES 
-('CB1', 'percent', 'cafe', 0.05, 0, 20, 0, '2025-10-01', '2025-12-31'),
-('CB2', 'flat', 'any', 0.0, 20, 20, 1, '2025-10-01', '2025-10-31');
+('CB1', 'percent', 'cafe', 0.05, 0, 2000, 0, '2025-10-01', '2025-12-31'),
+('CB2', 'flat', 'any', 0.0, 2000, 2000, 1, '2025-10-01', '2025-10-31');
 
 INSERT OR IGNORE INTO p2p_contacts (user_id, contact_user_id, favorite) VALUES 
 ('U1', 'U2', 1),
@@ -129,44 +491,53 @@ INSERT OR IGNORE INTO p2p_contacts (user_id, contact_user_id, favorite) VALUES
 -- Demo Budgets (multiple users, multiple months)
 INSERT OR IGNORE INTO budgets (user_id, month, category, limit_amount, spent_amount) VALUES 
 -- U1 (Ayşe) - October 2025
-('U1', '2025-10', 'cafe', 200.0, 0.0),
-('U1', '2025-10', 'market', 300.0, 0.0),
-('U1', '2025-10', 'ulaşım', 150.0, 0.0),
+('U1', '2025-10', 'cafe', 20000, 0),
+('U1', '2025-10', 'market', 30000, 0),
+('U1', '2025-10', 'ulaşım', 15000, 0),
 -- U1 (Ayşe) - November 2025
-('U1', '2025-11', 'cafe', 180.0, 0.0),
-('U1', '2025-11', 'market', 320.0, 0.0),
-('U1', '2025-11', 'eğlence', 100.0, 0.0),
+('U1', '2025-11', 'cafe', 18000, 0),
+('U1', '2025-11', 'market', 32000, 0),
+('U1', '2025-11', 'eğlence', 10000, 0),
 -- U2 (Ali) - October 2025
-('U2', '2025-10', 'cafe', 100.0, 0.0),
-('U2', '2025-10', 'market', 200.0, 0.0),
+('U2', '2025-10', 'cafe', 10000, 0),
+('U2', '2025-10', 'market', 20000, 0),
 -- U3 (Deniz) - October 2025
-('U3', '2025-10', 'cafe', 80.0, 0.0),
-('U3', '2025-10', 'ulaşım', 120.0, 0.0);
+('U3', '2025-10', 'cafe', 8000, 0),
+('U3', '2025-10', 'ulaşım', 12000, 0);
 
 -- Demo Transactions (realistic payment history)
 INSERT OR IGNORE INTO transactions (tx_id, created_at, user_id, merchant_id, amount, currency, type, status, meta) VALUES 
 -- U1 Cafe payments (September - old data)
-('TX_PAY_001', '2025-09-15T10:30:00Z', 'U1', 'M1', 15.50, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-001"}'),
-('TX_PAY_002', '2025-09-18T14:20:00Z', 'U1', 'M1', 22.00, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-002"}'),
+('TX_PAY_001', '2025-09-15T10:30:00Z', 'U1', 'M1', 1550, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-001"}'),
+('TX_PAY_002', '2025-09-18T14:20:00Z', 'U1', 'M1', 2200, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-002"}'),
 -- U1 Market payments (September)
-('TX_PAY_003', '2025-09-20T16:45:00Z', 'U1', 'M2', 45.75, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M2-001"}'),
+('TX_PAY_003', '2025-09-20T16:45:00Z', 'U1', 'M2', 4575, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M2-001"}'),
 -- U1 October payments
-('TX_PAY_004', '2025-10-01T09:15:00Z', 'U1', 'M1', 18.50, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-001"}'),
-('TX_PAY_005', '2025-10-03T12:30:00Z', 'U1', 'M2', 32.00, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M2-002"}'),
-('TX_PAY_006', '2025-10-05T15:45:00Z', 'U1', 'M1', 12.75, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-002"}'),
+('TX_PAY_004', '2025-10-01T09:15:00Z', 'U1', 'M1', 1850, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-001"}'),
+('TX_PAY_005', '2025-10-03T12:30:00Z', 'U1', 'M2', 3200, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M2-002"}'),
+('TX_PAY_006', '2025-10-05T15:45:00Z', 'U1', 'M1', 1275, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-002"}'),
 -- U1 Cashback transactions (October)
-('TX_CB_001', '2025-10-01T09:15:05Z', 'U1', 'M1', 0.93, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_004","description":"Kampüs Kafe - %5 Cashback"}'),
-('TX_CB_002', '2025-10-05T15:45:05Z', 'U1', 'M1', 0.64, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_006","description":"Kampüs Kafe - %5 Cashback"}'),
+('TX_CB_001', '2025-10-01T09:15:05Z', 'U1', 'M1', 93, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_004","description":"Kampüs Kafe - %5 Cashback"}'),
+('TX_CB_002', '2025-10-05T15:45:05Z', 'U1', 'M1', 64, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_006","description":"Kampüs Kafe - %5 Cashback"}'),
 -- U2 transactions
-('TX_PAY_007', '2025-10-02T11:00:00Z', 'U2', 'M1', 25.50, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-001"}'),
-('TX_CB_003', '2025-10-02T11:00:05Z', 'U2', NULL, 20.00, 'TRY', 'cashback', 'ok', '{"rule_id":"CB2","original_tx_id":"TX_PAY_007","description":"İlk QR Ödeme Bonusu - 20 TL"}'),
-('TX_CB_004', '2025-10-02T11:00:06Z', 'U2', 'M1', 1.28, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_007","description":"Kampüs Kafe - %5 Cashback"}'),
-('TX_PAY_008', '2025-10-04T13:20:00Z', 'U2', 'M2', 18.00, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M2-001"}'),
+('TX_PAY_007', '2025-10-02T11:00:00Z', 'U2', 'M1', 2550, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-001"}'),
+('TX_CB_003', '2025-10-02T11:00:05Z', 'U2', NULL, 2000, 'TRY', 'cashback', 'ok', '{"rule_id":"CB2","original_tx_id":"TX_PAY_007","description":"İlk QR Ödeme Bonusu - 20 TL"}'),
+('TX_CB_004', '2025-10-02T11:00:06Z', 'U2', 'M1', 128, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_007","description":"Kampüs Kafe - %5 Cashback"}'),
+('TX_PAY_008', '2025-10-04T13:20:00Z', 'U2', 'M2', 1800, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M2-001"}'),
 -- U3 transactions
-('TX_PAY_009', '2025-10-01T08:30:00Z', 'U3', 'M1', 12.75, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-002"}'),
-('TX_CB_005', '2025-10-01T08:30:05Z', 'U3', NULL, 20.00, 'TRY', 'cashback', 'ok', '{"rule_id":"CB2","original_tx_id":"TX_PAY_009","description":"İlk QR Ödeme Bonusu - 20 TL"}'),
-('TX_CB_006', '2025-10-01T08:30:06Z', 'U3', 'M1', 0.64, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_009","description":"Kampüs Kafe - %5 Cashback"}'),
+('TX_PAY_009', '2025-10-01T08:30:00Z', 'U3', 'M1', 1275, 'TRY', 'payment', 'ok', '{"payment_method":"qr_code","qr_id":"QR-M1-002"}'),
+('TX_CB_005', '2025-10-01T08:30:05Z', 'U3', NULL, 2000, 'TRY', 'cashback', 'ok', '{"rule_id":"CB2","original_tx_id":"TX_PAY_009","description":"İlk QR Ödeme Bonusu - 20 TL"}'),
+('TX_CB_006', '2025-10-01T08:30:06Z', 'U3', 'M1', 64, 'TRY', 'cashback', 'ok', '{"rule_id":"CB1","original_tx_id":"TX_PAY_009","description":"Kampüs Kafe - %5 Cashback"}'),
 -- Top-up transactions
-('TX_TOP_001', '2025-10-01T08:00:00Z', 'U2', NULL, 100.00, 'TRY', 'topup', 'ok', '{"payment_method":"bank_transfer"}'),
-('TX_TOP_002', '2025-10-02T09:00:00Z', 'U3', NULL, 50.00, 'TRY', 'topup', 'ok', '{"payment_method":"bank_transfer"}');
+('TX_TOP_001', '2025-10-01T08:00:00Z', 'U2', NULL, 10000, 'TRY', 'topup', 'ok', '{"payment_method":"bank_transfer"}'),
+('TX_TOP_002', '2025-10-02T09:00:00Z', 'U3', NULL, 5000, 'TRY', 'topup', 'ok', '{"payment_method":"bank_transfer"}'),
+-- Opening balances: the seed wallets predate the history above
+('TX_ADJ_OPEN_U1', '2025-09-01T00:00:00Z', 'U1', NULL, 39493, 'TRY', 'adjustment', 'ok', '{"direction":"credit","reason":"opening_balance","description":"Açılış bakiyesi"}'),
+('TX_ADJ_OPEN_U2', '2025-09-01T00:00:00Z', 'U2', NULL, 1222, 'TRY', 'adjustment', 'ok', '{"direction":"credit","reason":"opening_balance","description":"Açılış bakiyesi"}'),
+('TX_ADJ_OPEN_U3', '2025-09-01T00:00:00Z', 'U3', NULL, 2789, 'TRY', 'adjustment', 'ok', '{"direction":"debit","reason":"opening_balance","description":"Açılış bakiyesi düzeltmesi"}');
+
+-- First-time bonuses already paid in the demo history
+INSERT OR IGNORE INTO cashback_awards (user_id, rule_id, tx_id, created_at) VALUES 
+('U2', 'CB2', 'TX_CB_003', '2025-10-02T11:00:05Z'),
+('U3', 'CB2', 'TX_CB_005', '2025-10-01T08:30:05Z');
 
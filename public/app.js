@@ -7,10 +7,14 @@
 class DigitalPaymentApp {
     constructor() {
         this.currentUser = null;
+        this.currentMerchant = null;
         this.currentQRInfo = null;
+        this.merchantNames = {};
         this.apiBaseUrl = '/api';
         this.currentBudgetMonth = new Date().toISOString().substring(0, 7); // YYYY-MM
+        this.historyCursor = null;
         this.spendingChart = null;
+        this.merchantRevenueChart = null;
         this.balanceHidden = localStorage.getItem('balanceHidden') === 'true';
 
         this.init();
@@ -78,6 +82,45 @@ class DigitalPaymentApp {
             this.handleTopUp();
         });
 
+        document.getElementById('topUpMethod').addEventListener('change', (e) => {
+            document.getElementById('topUpCardFields').classList.toggle('hidden', e.target.value !== 'card');
+        });
+
+        document.getElementById('topUpSavedCard').addEventListener('change', (e) => {
+            document.getElementById('topUpNewCard').classList.toggle('hidden', e.target.value !== '');
+        });
+
+        document.getElementById('topUpChallengeBtn').addEventListener('click', () => {
+            this.handleTopUpChallenge();
+        });
+
+        // Transaction history filters
+        document.getElementById('historyFilters').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadTransactionHistory();
+        });
+
+        document.getElementById('historyFilters').addEventListener('reset', () => {
+            // Fields are cleared after the reset event
+            setTimeout(() => this.loadTransactionHistory(), 0);
+        });
+
+        document.getElementById('historyMoreBtn').addEventListener('click', () => {
+            this.loadTransactionHistory(true);
+        });
+
+        // Currency exchange
+        document.getElementById('exchangeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleExchange();
+        });
+
+        ['exchangeFrom', 'exchangeTo', 'exchangeAmount'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateExchangeQuote();
+            });
+        });
+
         // Modal close
         document.querySelectorAll('.modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -134,6 +177,40 @@ class DigitalPaymentApp {
             }
         });
 
+        // Login mode selector (user / merchant)
+        document.querySelectorAll('[data-login-mode]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.switchLoginMode(e.currentTarget.dataset.loginMode);
+            });
+        });
+
+        // Merchant login form
+        document.getElementById('merchantLoginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleMerchantLogin();
+        });
+
+        // Demo merchant selection (delegated)
+        document.querySelector('.demo-merchant-list').addEventListener('click', (e) => {
+            const demoMerchant = e.target.closest('.demo-user');
+            if (demoMerchant) {
+                document.getElementById('merchantId').value = demoMerchant.dataset.merchantId;
+            }
+        });
+
+        // Merchant logout button
+        document.getElementById('merchantLogoutBtn').addEventListener('click', () => {
+            this.handleMerchantLogout();
+        });
+
+        // Merchant revenue period
+        document.getElementById('merchantPeriod').addEventListener('change', () => {
+            this.loadMerchantRevenue();
+            if (document.getElementById('merchantCashbackTab').classList.contains('active')) {
+                this.loadMerchantCashback();
+            }
+        });
+
         // Quick amount buttons (delegated)
         document.addEventListener('click', (e) => {
             const quickAmountBtn = e.target.closest('.quick-amount');
@@ -157,6 +234,20 @@ class DigitalPaymentApp {
             }
         });
 
+        // Payment request form
+        document.getElementById('paymentRequestForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handlePaymentRequest();
+        });
+
+        // Payment request action buttons (delegated)
+        document.addEventListener('click', (e) => {
+            const requestBtn = e.target.closest('[data-request-action]');
+            if (requestBtn) {
+                this.resolvePaymentRequest(requestBtn.dataset.requestId, requestBtn.dataset.requestAction);
+            }
+        });
+
         // QR Payment form
         document.getElementById('qrPaymentForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -213,8 +304,19 @@ class DigitalPaymentApp {
      * Check if user is already authenticated
      */
     async checkAuthStatus() {
-        const storedUserId = localStorage.getItem('userId');
-        if (storedUserId) {
+        const storedToken = localStorage.getItem('accessToken');
+        if (storedToken && localStorage.getItem('sessionRole') === 'merchant') {
+            try {
+                const response = await this.apiCall('GET', '/merchant/profile');
+                if (response.success) {
+                    this.currentMerchant = response.data.merchant;
+                    this.showMerchantDashboard();
+                    return;
+                }
+            } catch (error) {
+                console.error('Merchant auth check failed:', error);
+            }
+        } else if (storedToken) {
             try {
                 const response = await this.apiCall('GET', '/auth/profile');
                 if (response.success) {
@@ -236,9 +338,10 @@ class DigitalPaymentApp {
     async handleLogin() {
         const formData = new FormData(document.getElementById('loginForm'));
         const userId = formData.get('userId').trim();
+        const pin = formData.get('pin').trim();
 
-        if (!userId) {
-            this.showToast('Kullanıcı ID\'si gereklidir', 'error');
+        if (!userId || !pin) {
+            this.showToast('Kullanıcı ID\'si ve PIN gereklidir', 'error');
             return;
         }
 
@@ -251,25 +354,29 @@ class DigitalPaymentApp {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ userId })
+                body: JSON.stringify({ userId, pin })
             });
 
             const data = await response.json();
 
             if (data.success) {
-                // Store user ID for subsequent requests
-                localStorage.setItem('userId', userId);
+                // Store tokens for subsequent requests
+                this.storeTokens(data, 'user');
                 this.currentUser = data.user;
+                document.getElementById('userPin').value = '';
                 this.showDashboard();
                 this.showToast('Giriş başarılı', 'success');
             } else {
-                throw new Error(data.message || 'Kullanıcı bulunamadı');
+                const attemptsInfo = data.remainingAttempts !== undefined
+                    ? ` (${data.remainingAttempts} deneme hakkınız kaldı)`
+                    : '';
+                throw new Error((data.message || 'Kullanıcı bulunamadı') + attemptsInfo);
             }
 
         } catch (error) {
             console.error('Login error:', error);
             this.showToast(error.message || 'Giriş başarısız', 'error');
-            localStorage.removeItem('userId');
+            this.clearTokens();
         } finally {
             this.showLoading(false);
         }
@@ -278,19 +385,80 @@ class DigitalPaymentApp {
     /**
      * Handle user logout
      */
-    handleLogout() {
-        localStorage.removeItem('userId');
+    async handleLogout() {
+        try {
+            await this.apiCall('POST', '/auth/logout');
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+
+        this.clearTokens();
         this.currentUser = null;
         this.showLogin();
         this.showToast('Çıkış yapıldı', 'success');
     }
 
+    /**
+     * Store access and refresh tokens
+     * The role ('user' or 'merchant') is kept on login; refreshed tokens keep the stored role
+     */
+    storeTokens(tokens, role = null) {
+        localStorage.setItem('accessToken', tokens.accessToken);
+        localStorage.setItem('refreshToken', tokens.refreshToken);
+        if (role) {
+            localStorage.setItem('sessionRole', role);
+        }
+    }
+
+    /**
+     * Remove stored tokens
+     */
+    clearTokens() {
+        localStorage.removeItem('accessToken');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('sessionRole');
+    }
+
+    /**
+     * Refresh the access token with the stored refresh token
+     * @returns {Promise<boolean>} True if new tokens were stored
+     */
+    async refreshTokens() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+            return false;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/auth/refresh`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.storeTokens(data);
+                return true;
+            }
+        } catch (error) {
+            console.error('Token refresh error:', error);
+        }
+
+        this.clearTokens();
+        return false;
+    }
+
     /**
      * Show login screen
      */
     showLogin() {
         document.getElementById('loginScreen').classList.remove('hidden');
         document.getElementById('dashboardScreen').classList.add('hidden');
+        document.getElementById('merchantScreen').classList.add('hidden');
     }
 
     /**
@@ -313,10 +481,13 @@ class DigitalPaymentApp {
         }
 
         // Load initial data
+        await this.loadMerchants();
+        await this.loadExchangeRates();
         await this.loadBalance();
         await this.loadRecentTransactionsWidget();
         await this.loadSplitSummary();
         await this.loadActiveSplits();
+        await this.loadPaymentRequests();
     }
 
     /**
@@ -352,6 +523,16 @@ class DigitalPaymentApp {
             this.loadBudgets();
         } else if (tabName === 'qr') {
             this.loadCashbackCampaigns();
+        } else if (tabName === 'requests') {
+            this.loadPaymentRequests();
+        } else if (tabName === 'merchantPayments') {
+            this.loadMerchantPayments();
+        } else if (tabName === 'merchantRefunds') {
+            this.loadMerchantRefunds();
+        } else if (tabName === 'merchantCashback') {
+            this.loadMerchantCashback();
+        } else if (tabName === 'merchantQr') {
+            this.loadMerchantQRCodes();
         }
     }
 
@@ -362,6 +543,7 @@ class DigitalPaymentApp {
         const formData = new FormData(document.getElementById('transferForm'));
         const toUserId = formData.get('toUserId').trim();
         const amount = parseFloat(formData.get('amount'));
+        const currency = formData.get('currency') || 'TRY';
 
         if (!toUserId || !amount || amount <= 0) {
             this.showToast('Tüm alanları doğru şekilde doldurun', 'error');
@@ -373,11 +555,16 @@ class DigitalPaymentApp {
         try {
             const response = await this.apiCall('POST', '/payments/transfer', {
                 toUserId,
-                amount
-            });
+                amount,
+                currency
+            }, { idempotencyKey: this.createIdempotencyKey() });
 
             if (response.success) {
-                this.showToast(response.message, 'success');
+                // Converted transfers tell the sender what the receiver got
+                const { receivedAmount, receivedCurrency } = response.data;
+                this.showToast(receivedCurrency
+                    ? `${response.message} (alıcıya ${receivedAmount.toFixed(2)} ${receivedCurrency})`
+                    : response.message, 'success');
                 document.getElementById('transferForm').reset();
                 await this.loadBalance();
                 await this.loadRecentTransactionsWidget();
@@ -406,29 +593,34 @@ class DigitalPaymentApp {
             return;
         }
 
+        // Scanned payloads (EMV "000201..." or JSON) are looked up as they are
+        const query = qrId.startsWith('000201') || qrId.startsWith('{') ? 'qrData' : 'qrId';
+
         this.showLoading(true);
 
         try {
-            const response = await fetch(`${this.apiBaseUrl}/payments/qr-info?qrId=${encodeURIComponent(qrId)}`);
+            const response = await fetch(`${this.apiBaseUrl}/payments/qr-info?${query}=${encodeURIComponent(qrId)}`);
             const result = await response.json();
 
             if (result.success) {
                 const qrInfo = result.data;
 
-                // Get merchant name
-                const merchantNames = {
-                    'M1': 'Kampüs Kafe',
-                    'M2': 'Kampüs Market'
-                };
-                const merchantName = merchantNames[qrInfo.merchant_id] || qrInfo.merchant_id;
+                const merchantName = this.getMerchantName(qrInfo.merchant_id);
 
                 // Store QR info for payment
                 this.currentQRInfo = qrInfo;
 
                 // Display QR info
+                document.getElementById('qrImage').src = `${this.apiBaseUrl}/payments/qr-image?qrId=${encodeURIComponent(qrInfo.qr_id)}`;
                 document.getElementById('qrMerchant').textContent = merchantName;
                 document.getElementById('qrDescription').textContent = qrInfo.description || '-';
-                document.getElementById('qrAmount').textContent = `${parseFloat(qrInfo.amount).toFixed(2)} ${qrInfo.currency || 'TRY'}`;
+                // Static codes carry no amount; the payer enters it
+                const isStatic = qrInfo.amount === null;
+                document.getElementById('qrAmount').textContent = isStatic
+                    ? 'Tutarı siz girin'
+                    : `${parseFloat(qrInfo.amount).toFixed(2)} ${qrInfo.currency || 'TRY'}`;
+                document.getElementById('qrAmountGroup').hidden = !isStatic;
+                document.getElementById('qrAmountInput').value = '';
                 document.getElementById('qrInfo').style.display = 'block';
                 document.getElementById('qrPayBtn').disabled = false;
 
@@ -460,22 +652,36 @@ class DigitalPaymentApp {
             return;
         }
 
-        const merchantNames = {
-            'M1': 'Kampüs Kafe',
-            'M2': 'Kampüs Market'
-        };
+        const amount = this.getQRPaymentAmount();
+        if (!amount) {
+            this.showToast('Geçerli bir tutar giriniz', 'warning');
+            return;
+        }
 
-        const merchantName = merchantNames[this.currentQRInfo.merchant_id] || this.currentQRInfo.merchant_id;
+        const merchantName = this.getMerchantName(this.currentQRInfo.merchant_id);
 
         // Populate confirmation modal
         document.getElementById('confirmMerchantName').textContent = merchantName;
-        document.getElementById('confirmAmount').textContent = `${this.currentQRInfo.amount.toFixed(2)} ${this.currentQRInfo.currency || 'TRY'}`;
+        document.getElementById('confirmAmount').textContent = `${amount.toFixed(2)} ${this.currentQRInfo.currency || 'TRY'}`;
         document.getElementById('confirmQRId').textContent = this.currentQRInfo.qr_id;
 
         // Show modal
         document.getElementById('qrConfirmModal').classList.remove('hidden');
     }
 
+    /**
+     * Get the amount to pay for the current QR code
+     * Dynamic codes fix the amount, static codes use the entered amount
+     */
+    getQRPaymentAmount() {
+        if (this.currentQRInfo.amount !== null) {
+            return this.currentQRInfo.amount;
+        }
+
+        const amount = parseFloat(document.getElementById('qrAmountInput').value);
+        return amount > 0 ? amount : null;
+    }
+
     /**
      * Handle QR payment
      */
@@ -492,8 +698,9 @@ class DigitalPaymentApp {
 
         try {
             const response = await this.apiCall('POST', '/payments/qr-payment', {
-                qrData: this.currentQRInfo
-            });
+                qrData: this.currentQRInfo.emv,
+                ...(this.currentQRInfo.amount === null && { amount: this.getQRPaymentAmount() })
+            }, { idempotencyKey: this.createIdempotencyKey() });
 
             if (response.success) {
                 // Show special cashback notification if available
@@ -508,7 +715,7 @@ class DigitalPaymentApp {
                     transactionId: response.data.transactionId,
                     merchantId: this.currentQRInfo.merchant_id,
                     qrId: this.currentQRInfo.qr_id,
-                    amount: this.currentQRInfo.amount,
+                    amount: response.data.amount,
                     currency: this.currentQRInfo.currency || 'TRY',
                     description: this.currentQRInfo.description,
                     timestamp: new Date(),
@@ -518,6 +725,7 @@ class DigitalPaymentApp {
                 // Reset form
                 document.getElementById('qrPaymentForm').reset();
                 document.getElementById('qrInfo').style.display = 'none';
+                document.getElementById('qrAmountGroup').hidden = true;
                 document.getElementById('qrPayBtn').disabled = true;
                 this.currentQRInfo = null;
 
@@ -561,39 +769,212 @@ class DigitalPaymentApp {
 
     /**
      * Handle top up
+     * Card top-ups may need a 3-D Secure code; every top-up is credited only
+     * when the funding provider confirms it, so its status is watched
      */
     async handleTopUp() {
         const formData = new FormData(document.getElementById('topUpForm'));
         const amount = parseFloat(formData.get('amount'));
+        const currency = formData.get('currency') || 'TRY';
+        const method = formData.get('method') || 'card';
 
         if (!amount || amount <= 0) {
             this.showToast('Geçerli bir tutar girin', 'error');
             return;
         }
 
+        const body = { amount, currency, method };
+        if (method === 'card' && formData.get('cardId')) {
+            body.cardId = formData.get('cardId');
+        } else if (method === 'card') {
+            const [expiryMonth, expiryYear] = (formData.get('cardExpiry') || '').split('/');
+            body.card = {
+                number: formData.get('cardNumber'),
+                expiryMonth,
+                expiryYear,
+                cvc: formData.get('cardCvc')
+            };
+            body.saveCard = formData.get('saveCard') === 'on';
+        }
+
         this.showLoading(true);
 
         try {
-            const response = await this.apiCall('POST', '/payments/topup', { amount });
+            const response = await this.apiCall('POST', '/topups', body, {
+                idempotencyKey: this.createIdempotencyKey()
+            });
 
-            if (response.success) {
-                this.showToast(response.message, 'success');
-                this.hideModal(document.getElementById('topUpModal'));
-                document.getElementById('topUpForm').reset();
-                await this.loadBalance();
-                await this.loadRecentTransactionsWidget();
-            } else {
-                this.showToast(response.message, 'error');
+            // Card details are not kept in the form once sent
+            ['topUpCardNumber', 'topUpCardExpiry', 'topUpCardCvc'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+
+            this.showTopUpState(response.data, response.message);
+            if (body.saveCard) {
+                this.loadSavedCards();
             }
 
         } catch (error) {
             console.error('Top up error:', error);
-            this.showToast('Bakiye yükleme sırasında bir hata oluştu', 'error');
+            this.showToast(error.message || 'Bakiye yükleme sırasında bir hata oluştu', 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
+    /**
+     * Send the 3-D Secure code of the top-up waiting for it
+     */
+    async handleTopUpChallenge() {
+        const code = document.getElementById('topUpChallengeCode').value.trim();
+
+        if (!this.challengeTopUpId || !code) {
+            this.showToast('Doğrulama kodunu girin', 'warning');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall('POST', `/topups/${this.challengeTopUpId}/challenge`, { code }, {
+                idempotencyKey: this.createIdempotencyKey()
+            });
+            this.showTopUpState(response.data, response.message);
+
+        } catch (error) {
+            console.error('Top up challenge error:', error);
+            this.showToast(error.message || '3-D Secure doğrulaması başarısız', 'error');
+            this.resetTopUpModal();
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Show where a top-up stands in the top-up modal
+     * @param {Object} topUp - Top-up as returned by the API
+     * @param {string} message - Message of the response
+     */
+    showTopUpState(topUp, message) {
+        const challenge = document.getElementById('topUpChallenge');
+        const status = document.getElementById('topUpStatus');
+
+        this.challengeTopUpId = null;
+        challenge.classList.add('hidden');
+        status.hidden = true;
+
+        if (topUp.status === 'requires_action') {
+            this.challengeTopUpId = topUp.topupId;
+            document.getElementById('topUpChallengeMessage').textContent =
+                topUp.challenge?.message || 'Bankanızın gönderdiği doğrulama kodunu giriniz';
+            document.getElementById('topUpChallengeCode').value = '';
+            challenge.classList.remove('hidden');
+            return;
+        }
+
+        if (topUp.status === 'completed') {
+            this.finishTopUp(topUp);
+            return;
+        }
+
+        if (topUp.instructions?.iban) {
+            status.textContent = `${topUp.formattedAmount} tutarını aşağıdaki hesaba gönderin:\n` +
+                `${topUp.instructions.holderName}\n${topUp.instructions.iban}\n` +
+                `Açıklama: ${topUp.instructions.description}`;
+            status.hidden = false;
+        } else if (topUp.instructions?.paymentCode) {
+            status.textContent = `Anlaşmalı noktalarda ${topUp.instructions.paymentCode} ödeme koduyla ` +
+                `${topUp.formattedAmount} yatırın.`;
+            status.hidden = false;
+        }
+
+        this.showToast(message, 'info');
+        this.watchTopUp(topUp.topupId);
+    }
+
+    /**
+     * Poll a pending top-up until its provider settles it
+     * @param {string} topupId - Top-up ID
+     * @param {number} attempts - Polls left
+     */
+    async watchTopUp(topupId, attempts = 30) {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        try {
+            const response = await this.apiCall('GET', `/topups/${topupId}`);
+            const topUp = response.data;
+
+            if (topUp.status === 'completed') {
+                this.finishTopUp(topUp);
+            } else if (topUp.status === 'failed') {
+                this.showToast(`Bakiye yükleme başarısız: ${topUp.failureReason}`, 'error');
+                this.resetTopUpModal();
+            } else if (attempts > 1) {
+                this.watchTopUp(topupId, attempts - 1);
+            }
+
+        } catch (error) {
+            console.error('Watch top-up error:', error);
+        }
+    }
+
+    /**
+     * Refresh balances once a top-up is credited
+     * @param {Object} topUp - Completed top-up
+     */
+    async finishTopUp(topUp) {
+        this.showToast(`${topUp.formattedAmount} bakiyenize yüklendi`, 'success');
+        this.hideModal(document.getElementById('topUpModal'));
+        document.getElementById('topUpForm').reset();
+        this.resetTopUpModal();
+        await this.loadBalance();
+        await this.loadRecentTransactionsWidget();
+    }
+
+    /**
+     * Fill the card select of the top-up modal, default card selected
+     * Without saved cards only the new card fields are shown
+     */
+    async loadSavedCards() {
+        const select = document.getElementById('topUpSavedCard');
+
+        try {
+            const response = await this.apiCall('GET', '/cards');
+            const cards = response.data.cards;
+
+            select.innerHTML = cards.map(card => `
+                <option value="${card.cardId}" ${card.isDefault ? 'selected' : ''} ${card.expired ? 'disabled' : ''}>
+                    ${card.brand} •••• ${card.last4} (${String(card.expiryMonth).padStart(2, '0')}/${String(card.expiryYear).slice(-2)})${card.expired ? ' - süresi dolmuş' : ''}
+                </option>
+            `).join('') + '<option value="">Yeni kart</option>';
+
+            if (!cards.some(card => card.isDefault && !card.expired)) {
+                select.value = '';
+            }
+            document.getElementById('topUpSavedCards').classList.toggle('hidden', cards.length === 0);
+
+        } catch (error) {
+            console.error('Load saved cards error:', error);
+            select.innerHTML = '<option value="">Yeni kart</option>';
+            document.getElementById('topUpSavedCards').classList.add('hidden');
+        }
+
+        document.getElementById('topUpNewCard').classList.toggle('hidden', select.value !== '');
+    }
+
+    /**
+     * Hide the challenge and instructions of the last top-up
+     */
+    resetTopUpModal() {
+        this.challengeTopUpId = null;
+        document.getElementById('topUpChallenge').classList.add('hidden');
+        document.getElementById('topUpStatus').hidden = true;
+        document.getElementById('topUpCardFields').classList.toggle(
+            'hidden',
+            document.getElementById('topUpMethod').value !== 'card'
+        );
+    }
+
     /**
      * Switch split type
      */
@@ -771,7 +1152,9 @@ class DigitalPaymentApp {
         this.showLoading(true);
 
         try {
-            const response = await this.apiCall('POST', `/splits/${splitId}/settle`);
+            const response = await this.apiCall('POST', `/splits/${splitId}/settle`, null, {
+                idempotencyKey: this.createIdempotencyKey()
+            });
 
             if (response.success) {
                 this.showToast(response.message, 'success');
@@ -819,6 +1202,205 @@ class DigitalPaymentApp {
         }
     }
 
+    /**
+     * Ask another user for money
+     */
+    async handlePaymentRequest() {
+        const formData = new FormData(document.getElementById('paymentRequestForm'));
+        const payerId = formData.get('payerId').trim();
+        const amount = parseFloat(formData.get('amount'));
+        const currency = formData.get('currency') || 'TRY';
+        const note = formData.get('note').trim();
+
+        if (!payerId || !amount || amount <= 0) {
+            this.showToast('Tüm alanları doğru şekilde doldurun', 'error');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall('POST', '/payment-requests', {
+                payerId,
+                amount,
+                currency,
+                note
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                document.getElementById('paymentRequestForm').reset();
+                await this.loadPaymentRequests();
+            } else {
+                this.showToast(response.message, 'error');
+            }
+
+        } catch (error) {
+            console.error('Payment request error:', error);
+            this.showToast('Para isteği gönderilirken bir hata oluştu', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Accept, decline or cancel a payment request
+     */
+    async resolvePaymentRequest(requestId, action) {
+        const confirmations = {
+            accept: 'Bu para isteğini ödemek istediğinizden emin misiniz?',
+            decline: 'Bu para isteğini reddetmek istediğinizden emin misiniz?',
+            cancel: 'Bu para isteğini iptal etmek istediğinizden emin misiniz?'
+        };
+
+        if (!confirm(confirmations[action])) {
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall('POST', `/payment-requests/${requestId}/${action}`, null, {
+                idempotencyKey: action === 'accept' ? this.createIdempotencyKey() : null
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                if (action === 'accept') {
+                    await this.loadBalance();
+                    await this.loadRecentTransactionsWidget();
+                }
+                await this.loadPaymentRequests();
+            } else {
+                this.showToast(response.message, 'error');
+            }
+
+        } catch (error) {
+            console.error('Resolve payment request error:', error);
+            this.showToast('Para isteği güncellenirken bir hata oluştu', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Load incoming and sent payment requests and the inbox badge
+     */
+    async loadPaymentRequests() {
+        try {
+            const [incoming, outgoing] = await Promise.all([
+                this.apiCall('GET', '/payment-requests/incoming'),
+                this.apiCall('GET', '/payment-requests/outgoing')
+            ]);
+
+            if (incoming.success) {
+                this.renderPaymentRequests('incomingRequests', incoming.data.requests, true);
+
+                const badge = document.getElementById('requestsBadge');
+                badge.textContent = incoming.data.pendingCount;
+                badge.hidden = incoming.data.pendingCount === 0;
+            }
+
+            if (outgoing.success) {
+                this.renderPaymentRequests('outgoingRequests', outgoing.data.requests, false);
+            }
+
+        } catch (error) {
+            console.error('Load payment requests error:', error);
+        }
+    }
+
+    /**
+     * Render payment requests
+     */
+    renderPaymentRequests(containerId, requests, incoming) {
+        const container = document.getElementById(containerId);
+        const statusLabels = {
+            pending: 'Bekliyor',
+            accepted: 'Ödendi',
+            declined: 'Reddedildi',
+            cancelled: 'İptal edildi',
+            expired: 'Süresi doldu'
+        };
+
+        if (requests.length === 0) {
+            container.innerHTML = `<p class="text-center text-secondary">${incoming ? 'Gelen para isteği bulunmuyor' : 'Gönderilmiş para isteği bulunmuyor'}</p>`;
+            return;
+        }
+
+        container.innerHTML = requests.map(request => `
+            <div class="split-item payment-request ${request.status}">
+                <div class="split-header">
+                    <div class="split-amount">${request.formattedAmount}</div>
+                    <div class="split-status ${request.status}">${statusLabels[request.status]}</div>
+                </div>
+
+                <div class="split-details">
+                    ${incoming
+                        ? `<div><strong>İsteyen:</strong> ${this.escapeHtml(request.requesterName)} (${request.requesterId})</div>`
+                        : `<div><strong>İstenen:</strong> ${this.escapeHtml(request.payerName)} (${request.payerId})</div>`}
+                    ${request.note ? `<div><strong>Not:</strong> ${this.escapeHtml(request.note)}</div>` : ''}
+                    <div><strong>Tarih:</strong> ${new Date(request.createdAt).toLocaleString('tr-TR')}</div>
+                    ${request.status === 'pending' ? `<div><strong>Son geçerlilik:</strong> ${new Date(request.expiresAt).toLocaleString('tr-TR')}</div>` : ''}
+                </div>
+
+                ${request.status === 'pending' ? `
+                    <div class="split-actions">
+                        ${incoming ? `
+                            <button class="btn btn-success" data-request-action="accept" data-request-id="${request.requestId}">
+                                <i class="fas fa-check"></i>
+                                Öde
+                            </button>
+                            <button class="btn btn-danger" data-request-action="decline" data-request-id="${request.requestId}">
+                                <i class="fas fa-times"></i>
+                                Reddet
+                            </button>
+                        ` : `
+                            <button class="btn btn-danger" data-request-action="cancel" data-request-id="${request.requestId}">
+                                <i class="fas fa-times"></i>
+                                İptal
+                            </button>
+                        `}
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Escape user-entered text for HTML templates
+     */
+    escapeHtml(text) {
+        const element = document.createElement('div');
+        element.textContent = text || '';
+        return element.innerHTML;
+    }
+
+    /**
+     * Load merchant names for QR and receipt screens
+     */
+    async loadMerchants() {
+        try {
+            const response = await this.apiCall('GET', '/merchants');
+
+            if (response.success) {
+                this.merchantNames = Object.fromEntries(
+                    response.data.merchants.map(merchant => [merchant.merchantId, merchant.name])
+                );
+            }
+
+        } catch (error) {
+            console.error('Load merchants error:', error);
+        }
+    }
+
+    /**
+     * Get a merchant's display name
+     */
+    getMerchantName(merchantId) {
+        return this.merchantNames[merchantId] || merchantId;
+    }
+
     /**
      * Load user balance
      */
@@ -827,8 +1409,20 @@ class DigitalPaymentApp {
             const response = await this.apiCall('GET', '/payments/balance');
 
             if (response.success) {
+                // Funds held by pending authorizations cannot be spent
                 const balanceElement = document.getElementById('balanceAmount');
-                balanceElement.dataset.actualBalance = response.data.formattedBalance;
+                balanceElement.dataset.actualBalance = response.data.formattedAvailableBalance;
+
+                const heldElement = document.getElementById('heldAmount');
+                heldElement.dataset.heldAmount = response.data.heldAmount > 0
+                    ? `Provizyonda: ${response.data.heldAmount.toFixed(2)} TL`
+                    : '';
+
+                // Other currency wallets are listed under the TRY balance
+                const otherWallets = (response.data.wallets || []).filter(wallet => wallet.currency !== response.data.currency);
+                document.getElementById('currencyBalances').innerHTML = otherWallets.map(wallet => `
+                    <span class="currency-balance">${wallet.formattedAvailableBalance}</span>
+                `).join('');
 
                 // Apply visibility setting
                 this.updateBalanceDisplay();
@@ -842,36 +1436,154 @@ class DigitalPaymentApp {
     }
 
     /**
-     * Toggle balance visibility
+     * Toggle balance visibility
+     */
+    toggleBalanceVisibility() {
+        this.balanceHidden = !this.balanceHidden;
+        localStorage.setItem('balanceHidden', this.balanceHidden);
+
+        // Update icon
+        const icon = document.querySelector('#toggleBalanceBtn i');
+        if (this.balanceHidden) {
+            icon.className = 'fas fa-eye-slash';
+        } else {
+            icon.className = 'fas fa-eye';
+        }
+
+        this.updateBalanceDisplay();
+    }
+
+    /**
+     * Update balance display based on visibility setting
+     */
+    updateBalanceDisplay() {
+        const balanceElement = document.getElementById('balanceAmount');
+        const actualBalance = balanceElement.dataset.actualBalance;
+        const heldElement = document.getElementById('heldAmount');
+
+        if (this.balanceHidden) {
+            balanceElement.textContent = '••••••';
+            balanceElement.classList.add('balance-hidden');
+        } else {
+            balanceElement.textContent = actualBalance || '0.00 TL';
+            balanceElement.classList.remove('balance-hidden');
+        }
+
+        heldElement.textContent = heldElement.dataset.heldAmount || '';
+        heldElement.hidden = this.balanceHidden || !heldElement.dataset.heldAmount;
+
+        const currencyElement = document.getElementById('currencyBalances');
+        currencyElement.hidden = this.balanceHidden || !currencyElement.children.length;
+    }
+
+    /**
+     * Load exchange rates and fill the currency selects
+     */
+    async loadExchangeRates() {
+        try {
+            const response = await this.apiCall('GET', '/exchange/rates');
+
+            if (!response.success) {
+                console.error('Failed to load exchange rates:', response.message);
+                return;
+            }
+
+            const { baseCurrency, rates, spreadRate } = response.data;
+            const currencies = [baseCurrency, ...rates.map(rate => rate.currency)];
+
+            ['transferCurrency', 'topUpCurrency', 'requestCurrency', 'exchangeFrom', 'exchangeTo'].forEach(id => {
+                const select = document.getElementById(id);
+                const selected = select.value;
+                select.innerHTML = currencies.map(currency => `<option value="${currency}">${currency}</option>`).join('');
+                select.value = currencies.includes(selected) ? selected : baseCurrency;
+            });
+
+            // Default to buying the first foreign currency
+            if (rates.length > 0 && document.getElementById('exchangeTo').value === baseCurrency) {
+                document.getElementById('exchangeTo').value = rates[0].currency;
+            }
+
+            document.getElementById('exchangeRates').innerHTML = rates.map(rate => `
+                <span>1 ${rate.currency}: alış ${rate.buyRate.toFixed(4)} TL · satış ${rate.sellRate.toFixed(4)} TL</span>
+            `).join('') + `<span>Kur farkı: %${spreadRate}</span>`;
+
+        } catch (error) {
+            console.error('Load exchange rates error:', error);
+        }
+    }
+
+    /**
+     * Show what the entered exchange amount converts to
+     */
+    async updateExchangeQuote() {
+        const quoteElement = document.getElementById('exchangeQuote');
+        const fromCurrency = document.getElementById('exchangeFrom').value;
+        const toCurrency = document.getElementById('exchangeTo').value;
+        const amount = parseFloat(document.getElementById('exchangeAmount').value);
+
+        if (!amount || amount <= 0 || fromCurrency === toCurrency) {
+            quoteElement.hidden = true;
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ from: fromCurrency, to: toCurrency, amount });
+            const response = await this.apiCall('GET', `/exchange/quote?${params}`);
+
+            quoteElement.textContent = response.success
+                ? `${response.data.formattedFromAmount} → ${response.data.formattedToAmount} (kur ${response.data.rate})`
+                : response.message;
+            quoteElement.hidden = false;
+
+        } catch (error) {
+            console.error('Exchange quote error:', error);
+            quoteElement.hidden = true;
+        }
+    }
+
+    /**
+     * Handle currency exchange
      */
-    toggleBalanceVisibility() {
-        this.balanceHidden = !this.balanceHidden;
-        localStorage.setItem('balanceHidden', this.balanceHidden);
+    async handleExchange() {
+        const formData = new FormData(document.getElementById('exchangeForm'));
+        const fromCurrency = formData.get('fromCurrency');
+        const toCurrency = formData.get('toCurrency');
+        const amount = parseFloat(formData.get('amount'));
 
-        // Update icon
-        const icon = document.querySelector('#toggleBalanceBtn i');
-        if (this.balanceHidden) {
-            icon.className = 'fas fa-eye-slash';
-        } else {
-            icon.className = 'fas fa-eye';
+        if (!amount || amount <= 0) {
+            this.showToast('Geçerli bir tutar girin', 'error');
+            return;
         }
 
-        this.updateBalanceDisplay();
-    }
+        if (fromCurrency === toCurrency) {
+            this.showToast('Farklı iki para birimi seçin', 'error');
+            return;
+        }
 
-    /**
-     * Update balance display based on visibility setting
-     */
-    updateBalanceDisplay() {
-        const balanceElement = document.getElementById('balanceAmount');
-        const actualBalance = balanceElement.dataset.actualBalance;
+        this.showLoading(true);
 
-        if (this.balanceHidden) {
-            balanceElement.textContent = '••••••';
-            balanceElement.classList.add('balance-hidden');
-        } else {
-            balanceElement.textContent = actualBalance || '0.00 TL';
-            balanceElement.classList.remove('balance-hidden');
+        try {
+            const response = await this.apiCall('POST', '/exchange', {
+                fromCurrency,
+                toCurrency,
+                amount
+            }, { idempotencyKey: this.createIdempotencyKey() });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                document.getElementById('exchangeAmount').value = '';
+                document.getElementById('exchangeQuote').hidden = true;
+                await this.loadBalance();
+                await this.loadRecentTransactionsWidget();
+            } else {
+                this.showToast(response.message, 'error');
+            }
+
+        } catch (error) {
+            console.error('Exchange error:', error);
+            this.showToast('Döviz çevirme sırasında bir hata oluştu', 'error');
+        } finally {
+            this.showLoading(false);
         }
     }
 
@@ -992,12 +1704,14 @@ class DigitalPaymentApp {
             'transfer_out': 'fa-arrow-up',
             'payment': 'fa-credit-card',
             'topup': 'fa-plus-circle',
-            'cashback': 'fa-gift'
+            'cashback': 'fa-gift',
+            'exchange_out': 'fa-coins',
+            'exchange_in': 'fa-coins'
         };
 
         container.innerHTML = transactions.slice(0, 3).map(tx => {
             const icon = typeIcons[tx.type] || 'fa-exchange-alt';
-            const isIncoming = ['transfer_in', 'topup', 'cashback'].includes(tx.type);
+            const isIncoming = tx.direction === 'in';
             const amountClass = isIncoming ? 'amount-positive' : 'amount-negative';
             const sign = isIncoming ? '+' : '-';
 
@@ -1011,7 +1725,7 @@ class DigitalPaymentApp {
                         <div class="transaction-mini-time">${new Date(tx.createdAt).toLocaleString('tr-TR', { hour: '2-digit', minute: '2-digit', day: 'numeric', month: 'short' })}</div>
                     </div>
                     <div class="transaction-mini-amount ${amountClass}">
-                        ${sign}${tx.amount.toFixed(2)} TL
+                        ${sign}${tx.amount.toFixed(2)} ${!tx.currency || tx.currency === 'TRY' ? 'TL' : tx.currency}
                     </div>
                 </div>
             `;
@@ -1019,15 +1733,37 @@ class DigitalPaymentApp {
     }
 
     /**
-     * Load transaction history
+     * Load transaction history with the filters of the history tab
+     * @param {boolean} more - Append the next page instead of starting over
      */
-    async loadTransactionHistory() {
+    async loadTransactionHistory(more = false) {
         try {
-            const response = await this.apiCall('GET', '/payments/history?page=1&pageSize=50');
+            const params = new URLSearchParams({ pageSize: 50 });
+            for (const [name, value] of new FormData(document.getElementById('historyFilters'))) {
+                if (value.trim()) {
+                    params.set(name, value.trim());
+                }
+            }
+            const filtered = [...params.keys()].length > 1;
+            if (more && this.historyCursor) {
+                params.set('cursor', this.historyCursor);
+            }
+
+            const response = await this.apiCall('GET', `/payments/history?${params}`);
 
             if (response.success) {
-                this.renderTransactionHistory(response.data.transactions);
-                await this.loadSpendingChart();
+                const { pagination } = response.data;
+                this.historyCursor = pagination.nextCursor;
+                this.renderTransactionHistory(response.data.transactions, more, filtered);
+
+                const count = document.getElementById('historyCount');
+                count.textContent = `${pagination.total} işlem bulundu`;
+                count.hidden = !filtered;
+                document.getElementById('historyMoreBtn').classList.toggle('hidden', !pagination.hasMore);
+
+                if (!more) {
+                    await this.loadSpendingChart();
+                }
             } else {
                 document.getElementById('transactionHistory').innerHTML = `
                     <p class="text-center text-secondary">İşlem geçmişi yüklenemedi</p>
@@ -1073,14 +1809,6 @@ class DigitalPaymentApp {
      * Render spending pie chart
      */
     renderSpendingChart(categoryData) {
-        const canvas = document.getElementById('spendingChart');
-        const ctx = canvas.getContext('2d');
-
-        // Destroy existing chart if any
-        if (this.spendingChart) {
-            this.spendingChart.destroy();
-        }
-
         const categoryColors = {
             'cafe': '#f59e0b',
             'market': '#10b981',
@@ -1103,7 +1831,7 @@ class DigitalPaymentApp {
         const data = categoryData.map(d => d.spent);
         const colors = categoryData.map(d => categoryColors[d.category] || '#6b7280');
 
-        this.spendingChart = new Chart(ctx, {
+        this.drawChart('spendingChart', 'spendingChart', {
             type: 'doughnut',
             data: {
                 labels: labels,
@@ -1114,30 +1842,51 @@ class DigitalPaymentApp {
                     borderWidth: 2
                 }]
             },
+            showLegend: false, // Custom legend kullanacağız
+            tooltipLabel: function (context) {
+                const label = context.label || '';
+                const value = context.parsed || 0;
+                const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                const percentage = ((value / total) * 100).toFixed(1);
+                return `${label}: ${value.toFixed(2)} TL (${percentage}%)`;
+            }
+        });
+
+        // Render custom legend
+        this.renderChartLegend(categoryData, categoryLabels, categoryColors);
+    }
+
+    /**
+     * Draw a Chart.js chart on a canvas, replacing the chart stored under chartKey
+     * Shared by the spending chart and the merchant revenue chart
+     */
+    drawChart(chartKey, canvasId, { type, data, options = {}, showLegend = true, tooltipLabel }) {
+        const ctx = document.getElementById(canvasId).getContext('2d');
+
+        // Destroy existing chart if any
+        if (this[chartKey]) {
+            this[chartKey].destroy();
+        }
+
+        this[chartKey] = new Chart(ctx, {
+            type,
+            data,
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                ...options,
                 plugins: {
                     legend: {
-                        display: false  // Custom legend kullanacağız
+                        display: showLegend
                     },
                     tooltip: {
                         callbacks: {
-                            label: function (context) {
-                                const label = context.label || '';
-                                const value = context.parsed || 0;
-                                const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                                const percentage = ((value / total) * 100).toFixed(1);
-                                return `${label}: ${value.toFixed(2)} TL (${percentage}%)`;
-                            }
+                            label: tooltipLabel
                         }
                     }
                 }
             }
         });
-
-        // Render custom legend
-        this.renderChartLegend(categoryData, categoryLabels, categoryColors);
     }
 
     /**
@@ -1172,24 +1921,30 @@ class DigitalPaymentApp {
     }
 
     /**
-     * Render transaction history
+     * Render transaction history, appended to the list when loading more
      */
-    renderTransactionHistory(transactions) {
+    renderTransactionHistory(transactions, append = false, filtered = false) {
         const container = document.getElementById('transactionHistory');
 
-        if (transactions.length === 0) {
-            container.innerHTML = '<p class="text-center text-secondary">Henüz işlem yapılmamış</p>';
+        if (transactions.length === 0 && !append) {
+            container.innerHTML = filtered
+                ? '<p class="text-center text-secondary">Filtrelere uyan işlem bulunamadı</p>'
+                : '<p class="text-center text-secondary">Henüz işlem yapılmamış</p>';
             return;
         }
 
-        container.innerHTML = transactions.map(tx => {
+        const html = transactions.map(tx => {
             const typeLabels = {
                 'transfer_in': 'Para Alındı',
                 'transfer_out': 'Para Gönderildi',
                 'payment': 'Ödeme',
                 'topup': 'Bakiye Yükleme',
                 'split_settlement': 'Fatura Ödemesi',
-                'refund': 'İade'
+                'refund': 'İade',
+                'cashback_reversal': 'Cashback İadesi',
+                'adjustment': 'Bakiye Düzeltmesi',
+                'exchange_out': 'Döviz Çevirme',
+                'exchange_in': 'Döviz Alımı'
             };
 
             const typeIcons = {
@@ -1198,10 +1953,20 @@ class DigitalPaymentApp {
                 'payment': 'fas fa-credit-card text-primary',
                 'topup': 'fas fa-plus-circle text-success',
                 'split_settlement': 'fas fa-receipt text-info',
-                'refund': 'fas fa-undo text-warning'
+                'refund': 'fas fa-undo text-warning',
+                'cashback_reversal': 'fas fa-gift text-danger',
+                'adjustment': 'fas fa-balance-scale text-secondary',
+                'exchange_out': 'fas fa-coins text-danger',
+                'exchange_in': 'fas fa-coins text-success'
             };
 
-            const isIncoming = tx.type === 'transfer_in' || tx.type === 'topup' || tx.type === 'refund';
+            const statusLabels = {
+                'pending': 'Provizyonda',
+                'cancelled': 'İptal edildi',
+                'failed': 'Başarısız'
+            };
+
+            const isIncoming = tx.direction === 'in';
             const amountClass = isIncoming ? 'text-success' : 'text-danger';
             const amountSign = isIncoming ? '+' : '-';
 
@@ -1211,7 +1976,7 @@ class DigitalPaymentApp {
                         <i class="${typeIcons[tx.type] || 'fas fa-exchange-alt'}"></i>
                     </div>
                     <div class="transaction-details">
-                        <div class="transaction-type">${typeLabels[tx.type] || tx.type}</div>
+                        <div class="transaction-type">${typeLabels[tx.type] || tx.type}${statusLabels[tx.status] ? ` <small class="text-secondary">(${statusLabels[tx.status]})</small>` : ''}</div>
                         <div class="transaction-description">${tx.description || ''}</div>
                         ${tx.merchantName ? `<div class="transaction-merchant">${tx.merchantName}</div>` : ''}
                         <div class="transaction-date">${new Date(tx.createdAt).toLocaleString('tr-TR')}</div>
@@ -1222,12 +1987,20 @@ class DigitalPaymentApp {
                 </div>
             `;
         }).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
     }
 
     /**
      * Show top up modal
      */
     showTopUpModal() {
+        this.resetTopUpModal();
+        this.loadSavedCards();
         document.getElementById('topUpModal').classList.remove('hidden');
     }
 
@@ -1314,12 +2087,7 @@ class DigitalPaymentApp {
      * Show receipt modal
      */
     showReceipt(receiptData) {
-        const merchantNames = {
-            'M1': 'Kampüs Kafe',
-            'M2': 'Kampüs Market'
-        };
-
-        const merchantName = merchantNames[receiptData.merchantId] || receiptData.merchantId;
+        const merchantName = this.getMerchantName(receiptData.merchantId);
         const date = new Date(receiptData.timestamp);
 
         // Populate receipt
@@ -1861,17 +2629,371 @@ class DigitalPaymentApp {
         }
     }
 
+    /**
+     * Switch the login form between users and merchants
+     */
+    switchLoginMode(mode) {
+        document.querySelectorAll('[data-login-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.loginMode === mode);
+        });
+
+        document.getElementById('userLoginPanel').classList.toggle('hidden', mode !== 'user');
+        document.getElementById('merchantLoginPanel').classList.toggle('hidden', mode !== 'merchant');
+    }
+
+    /**
+     * Handle merchant login
+     */
+    async handleMerchantLogin() {
+        const formData = new FormData(document.getElementById('merchantLoginForm'));
+        const merchantId = formData.get('merchantId').trim();
+        const pin = formData.get('pin').trim();
+
+        if (!merchantId || !pin) {
+            this.showToast('İşyeri ID\'si ve PIN gereklidir', 'error');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/merchant/login`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ merchantId, pin })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.storeTokens(data, 'merchant');
+                this.currentMerchant = data.merchant;
+                document.getElementById('merchantPin').value = '';
+                this.showMerchantDashboard();
+                this.showToast('Giriş başarılı', 'success');
+            } else {
+                const attemptsInfo = data.remainingAttempts !== undefined
+                    ? ` (${data.remainingAttempts} deneme hakkınız kaldı)`
+                    : '';
+                throw new Error((data.message || 'İşyeri bulunamadı') + attemptsInfo);
+            }
+
+        } catch (error) {
+            console.error('Merchant login error:', error);
+            this.showToast(error.message || 'Giriş başarısız', 'error');
+            this.clearTokens();
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Handle merchant logout
+     */
+    async handleMerchantLogout() {
+        try {
+            await this.apiCall('POST', '/merchant/logout');
+        } catch (error) {
+            console.error('Merchant logout error:', error);
+        }
+
+        this.clearTokens();
+        this.currentMerchant = null;
+        this.showLogin();
+        this.showToast('Çıkış yapıldı', 'success');
+    }
+
+    /**
+     * Show merchant dashboard screen
+     */
+    async showMerchantDashboard() {
+        document.getElementById('loginScreen').classList.add('hidden');
+        document.getElementById('dashboardScreen').classList.add('hidden');
+        document.getElementById('merchantScreen').classList.remove('hidden');
+
+        if (this.currentMerchant) {
+            document.getElementById('merchantName').textContent = this.currentMerchant.name;
+        }
+
+        await this.loadMerchantRevenue();
+        this.switchTab('merchantPayments');
+    }
+
+    /**
+     * Load revenue totals and chart for the selected period
+     */
+    async loadMerchantRevenue() {
+        const days = document.getElementById('merchantPeriod').value;
+
+        try {
+            const [totals, profile] = await Promise.all([
+                this.apiCall('GET', `/merchant/daily-totals?days=${days}`),
+                this.apiCall('GET', '/merchant/profile')
+            ]);
+
+            const series = totals.data.series.find(s => s.currency === 'TRY') || totals.data.series[0] || null;
+            this.renderMerchantSummary(series ? series.totals : null, profile.data.settlement);
+            this.renderMerchantRevenueChart(series);
+
+        } catch (error) {
+            console.error('Load merchant revenue error:', error);
+            this.showToast(error.message || 'Ciro bilgileri alınamadı', 'error');
+        }
+    }
+
+    /**
+     * Render merchant period totals and unsettled balance
+     */
+    renderMerchantSummary(totals, settlement) {
+        const balance = settlement ? settlement.balances.find(b => b.currency === 'TRY') : null;
+
+        const items = [
+            { label: 'Brüt Satış', amount: totals ? totals.grossAmount : 0, className: 'positive' },
+            { label: 'İadeler', amount: totals ? totals.refundAmount : 0, className: 'negative' },
+            { label: 'Net Satış', amount: totals ? totals.netAmount : 0, className: '' },
+            { label: 'Verilen Cashback', amount: totals ? totals.cashbackAmount : 0, className: '' },
+            { label: 'Hesap Kesimi Bekleyen', amount: balance ? balance.balance : 0, className: '' }
+        ];
+
+        document.getElementById('merchantSummary').innerHTML = items.map(item => `
+            <div class="summary-item">
+                <span class="label">${item.label}:</span>
+                <span class="amount ${item.className}">${item.amount.toFixed(2)} TL</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render daily revenue bar chart with the net line
+     */
+    renderMerchantRevenueChart(series) {
+        const hasSales = series !== null && series.days.some(d => d.paymentCount > 0 || d.refundCount > 0);
+
+        document.getElementById('merchantChartEmpty').classList.toggle('hidden', hasSales);
+        document.getElementById('merchantRevenueChart').parentElement.classList.toggle('hidden', !hasSales);
+
+        if (!hasSales) {
+            return;
+        }
+
+        this.drawChart('merchantRevenueChart', 'merchantRevenueChart', {
+            type: 'bar',
+            data: {
+                labels: series.days.map(d => new Date(`${d.date}T00:00:00Z`).toLocaleDateString('tr-TR', { day: 'numeric', month: 'short', timeZone: 'UTC' })),
+                datasets: [
+                    {
+                        label: 'Brüt Satış',
+                        data: series.days.map(d => d.grossAmount),
+                        backgroundColor: '#10b981'
+                    },
+                    {
+                        label: 'İadeler',
+                        data: series.days.map(d => d.refundAmount),
+                        backgroundColor: '#ef4444'
+                    },
+                    {
+                        type: 'line',
+                        label: 'Net',
+                        data: series.days.map(d => d.netAmount),
+                        borderColor: '#3b82f6',
+                        backgroundColor: '#3b82f6',
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                scales: {
+                    y: {
+                        beginAtZero: true
+                    }
+                }
+            },
+            tooltipLabel: function (context) {
+                return `${context.dataset.label}: ${context.parsed.y.toFixed(2)} TL`;
+            }
+        });
+    }
+
+    /**
+     * Load incoming merchant payments
+     */
+    async loadMerchantPayments() {
+        const container = document.getElementById('merchantPaymentList');
+
+        try {
+            const response = await this.apiCall('GET', '/merchant/payments?page=1&pageSize=50');
+            const payments = response.data.payments;
+
+            if (payments.length === 0) {
+                container.innerHTML = '<p class="text-center text-secondary">Henüz ödeme alınmamış</p>';
+                return;
+            }
+
+            const statusLabels = {
+                'pending': 'Provizyonda',
+                'cancelled': 'İptal edildi',
+                'failed': 'Başarısız'
+            };
+
+            container.innerHTML = payments.map(tx => `
+                <div class="transaction-item">
+                    <div class="transaction-icon">
+                        <i class="fas fa-credit-card text-primary"></i>
+                    </div>
+                    <div class="transaction-details">
+                        <div class="transaction-type">Ödeme${statusLabels[tx.status] ? ` <small class="text-secondary">(${statusLabels[tx.status]})</small>` : ''}</div>
+                        <div class="transaction-description">${tx.qrId ? `QR: ${tx.qrId}` : 'Cüzdan ödemesi'} · ${tx.txId}</div>
+                        ${tx.refundedAmount > 0 ? `<div class="transaction-merchant">İade edilen: ${tx.refundedAmount.toFixed(2)} TL</div>` : ''}
+                        <div class="transaction-date">${new Date(tx.createdAt).toLocaleString('tr-TR')}</div>
+                    </div>
+                    <div class="transaction-amount text-success">
+                        +${tx.formattedAmount}
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Load merchant payments error:', error);
+            container.innerHTML = `<p class="text-center text-secondary">Hata: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Load refunds issued by the merchant
+     */
+    async loadMerchantRefunds() {
+        const container = document.getElementById('merchantRefundList');
+
+        try {
+            const response = await this.apiCall('GET', '/merchant/refunds?page=1&pageSize=50');
+            const refunds = response.data.refunds;
+
+            if (refunds.length === 0) {
+                container.innerHTML = '<p class="text-center text-secondary">Henüz iade yapılmamış</p>';
+                return;
+            }
+
+            container.innerHTML = refunds.map(tx => `
+                <div class="transaction-item">
+                    <div class="transaction-icon">
+                        <i class="fas fa-undo text-warning"></i>
+                    </div>
+                    <div class="transaction-details">
+                        <div class="transaction-type">İade</div>
+                        <div class="transaction-description">${tx.reason || 'İade'} · ${tx.originalTxId || tx.txId}</div>
+                        <div class="transaction-date">${new Date(tx.createdAt).toLocaleString('tr-TR')}</div>
+                    </div>
+                    <div class="transaction-amount text-danger">
+                        -${tx.formattedAmount}
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Load merchant refunds error:', error);
+            container.innerHTML = `<p class="text-center text-secondary">Hata: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Load cashback customers earned on the merchant's payments
+     */
+    async loadMerchantCashback() {
+        const container = document.getElementById('merchantCashbackList');
+        const days = document.getElementById('merchantPeriod').value;
+
+        try {
+            const response = await this.apiCall('GET', `/merchant/cashback?days=${days}`);
+            const rules = response.data.rules;
+
+            if (rules.length === 0) {
+                container.innerHTML = '<p class="text-center text-secondary">Bu dönemde cashback verilmemiş</p>';
+                return;
+            }
+
+            container.innerHTML = rules.map(rule => `
+                <div class="transaction-item">
+                    <div class="transaction-icon">
+                        <i class="fas fa-gift text-success"></i>
+                    </div>
+                    <div class="transaction-details">
+                        <div class="transaction-type">${rule.ruleId || 'Kampanya'}</div>
+                        <div class="transaction-description">${rule.cashbackCount} işlem${rule.reversedAmount > 0 ? ` · ${rule.reversedAmount.toFixed(2)} TL geri alındı` : ''}</div>
+                    </div>
+                    <div class="transaction-amount">
+                        ${rule.netAmount.toFixed(2)} TL
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Load merchant cashback error:', error);
+            container.innerHTML = `<p class="text-center text-secondary">Hata: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Load the merchant's open QR codes
+     */
+    async loadMerchantQRCodes() {
+        const container = document.getElementById('merchantQrList');
+
+        try {
+            const response = await this.apiCall('GET', '/merchant/qr-codes');
+            const qrCodes = response.data.qrCodes;
+
+            if (qrCodes.length === 0) {
+                container.innerHTML = '<p class="text-center text-secondary">Açık QR kod yok</p>';
+                return;
+            }
+
+            container.innerHTML = qrCodes.map(qr => `
+                <div class="transaction-item">
+                    <div class="transaction-icon merchant-qr-thumb">
+                        <img src="${this.apiBaseUrl}/payments/qr-image?qrId=${encodeURIComponent(qr.qrId)}" alt="${qr.qrId}">
+                    </div>
+                    <div class="transaction-details">
+                        <div class="transaction-type">${qr.description || qr.qrId}${qr.singleUse ? ' <span class="badge badge-info">Tek kullanımlık</span>' : ''}</div>
+                        <div class="transaction-description">${qr.qrId} · ${qr.type === 'static' ? 'Sabit' : 'Dinamik'}</div>
+                        ${qr.expiresAt ? `<div class="transaction-date">Son geçerlilik: ${new Date(qr.expiresAt).toLocaleString('tr-TR')}</div>` : ''}
+                    </div>
+                    <div class="transaction-amount">
+                        ${qr.amount !== null ? `${qr.amount.toFixed(2)} TL` : 'Tutar serbest'}
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            console.error('Load merchant QR codes error:', error);
+            container.innerHTML = `<p class="text-center text-secondary">Hata: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Create a key for one money-moving user action
+     * Retries of the same action reuse it so the server executes it only once
+     */
+    createIdempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now()}-${Math.random().toString(36).substring(2)}`;
+    }
+
     /**
      * Make API call
      */
-    async apiCall(method, endpoint, data = null) {
-        const userId = localStorage.getItem('userId');
+    async apiCall(method, endpoint, data = null, { idempotencyKey = null, retry = true } = {}) {
+        const accessToken = localStorage.getItem('accessToken');
 
         const options = {
             method,
             headers: {
                 'Content-Type': 'application/json',
-                ...(userId && { 'Authorization': `Bearer ${userId}` })
+                ...(accessToken && { 'Authorization': `Bearer ${accessToken}` }),
+                ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
             }
         };
 
@@ -1881,6 +3003,11 @@ class DigitalPaymentApp {
 
         const response = await fetch(`${this.apiBaseUrl}${endpoint}`, options);
 
+        // Access token expired: refresh once and replay the request
+        if (response.status === 401 && retry && accessToken && await this.refreshTokens()) {
+            return this.apiCall(method, endpoint, data, { idempotencyKey, retry: false });
+        }
+
         if (!response.ok) {
             const errorData = await response.json();
             throw new Error(errorData.message || 'API call failed');
@@ -0,0 +1,29 @@
+/**
+ * Bank Rail Interface
+ * Base class for pluggable bank transfer implementations (EFT/FAST) that pay
+ * withdrawals out to bank accounts
+ * Follows Dependency Inversion Principle
+ */
+
+class BankRail {
+    /**
+     * Send a transfer to a bank account
+     * May settle at once or leave the transfer pending for getTransferStatus()
+     * @param {Object} transfer - {withdrawalId, iban, holderName, amount (Money), description}
+     * @returns {Promise<Object>} {reference, status: 'pending'|'completed'|'failed', failureReason}
+     */
+    async submitTransfer(transfer) {
+        throw new Error(`${this.constructor.name} must implement submitTransfer()`);
+    }
+
+    /**
+     * Get the state of a submitted transfer
+     * @param {Object} transfer - {reference, withdrawalId, iban, amount (Money), submittedAt}
+     * @returns {Promise<Object>} {status: 'pending'|'completed'|'failed', failureReason}
+     */
+    async getTransferStatus(transfer) {
+        throw new Error(`${this.constructor.name} must implement getTransferStatus()`);
+    }
+}
+
+module.exports = BankRail;
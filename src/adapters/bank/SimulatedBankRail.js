@@ -0,0 +1,73 @@
+/**
+ * Simulated Bank Rail
+ * Default bank transfer implementation that settles transfers locally
+ * instead of contacting a bank, so withdrawals can be tested offline.
+ * A transfer stays pending for the settle delay, then completes, or fails
+ * if its IBAN is listed as failing. The outcome is derived from the transfer
+ * itself, so it does not depend on the process that submitted it
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BankRail = require('./BankRail');
+
+const DEFAULT_SETTLE_DELAY = 10; // seconds
+
+class SimulatedBankRail extends BankRail {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.settleDelay - Seconds a transfer stays pending
+     * @param {Array<string>} options.failingIbans - IBANs whose transfers are returned by the bank
+     */
+    constructor(options = {}) {
+        super();
+        const settleDelay = options.settleDelay !== undefined
+            ? options.settleDelay
+            : parseInt(process.env.BANK_SIM_SETTLE_DELAY);
+        this.settleDelay = Number.isFinite(settleDelay) ? settleDelay : DEFAULT_SETTLE_DELAY;
+        this.failingIbans = options.failingIbans ||
+            (process.env.BANK_SIM_FAILING_IBANS || '').split(',').map(iban => iban.trim()).filter(Boolean);
+    }
+
+    /**
+     * Accept a transfer, settled later by getTransferStatus()
+     * @param {Object} transfer - {withdrawalId, iban, holderName, amount, description}
+     * @returns {Promise<Object>} {reference, status, failureReason}
+     */
+    async submitTransfer(transfer) {
+        const reference = `SIM_${uuidv4().substring(0, 8)}`;
+
+        if (this.settleDelay === 0) {
+            return { reference, ...this.outcome(transfer) };
+        }
+
+        return { reference, status: 'pending', failureReason: null };
+    }
+
+    /**
+     * Settle a transfer once the delay has passed since it was submitted
+     * @param {Object} transfer - {reference, iban, submittedAt}
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} {status, failureReason}
+     */
+    async getTransferStatus(transfer, now = new Date()) {
+        if (now.getTime() - transfer.submittedAt.getTime() < this.settleDelay * 1000) {
+            return { status: 'pending', failureReason: null };
+        }
+
+        return this.outcome(transfer);
+    }
+
+    /**
+     * @param {Object} transfer - Transfer with its IBAN
+     * @returns {Object} Final {status, failureReason}
+     */
+    outcome(transfer) {
+        if (this.failingIbans.includes(String(transfer.iban))) {
+            return { status: 'failed', failureReason: 'Alıcı hesap işleme kapalı' };
+        }
+
+        return { status: 'completed', failureReason: null };
+    }
+}
+
+module.exports = SimulatedBankRail;
@@ -0,0 +1,72 @@
+/**
+ * Funding Provider Interface
+ * Base class for pluggable top-up funding sources (card gateway, bank
+ * transfer, cash-in network). Charges settle asynchronously: the provider
+ * reports the outcome later through a signed callback
+ * Follows Dependency Inversion Principle
+ */
+
+class FundingProvider {
+    /**
+     * @returns {string} Top-up method served: 'card', 'bank_transfer' or 'cash_in'
+     */
+    get method() {
+        throw new Error(`${this.constructor.name} must implement method`);
+    }
+
+    /**
+     * Start the charge of a top-up
+     * @param {Object} charge - {topupId, amount (Money), description, card?: PaymentCard, cardToken?: string}
+     *   Card charges carry either the card details or a token from tokenizeCard()
+     * @returns {Promise<Object>} {reference, status: 'requires_action'|'pending'|'completed'|'failed',
+     *   failureReason, card?: {brand, last4}, challenge?: Object, instructions?: Object}
+     */
+    async createCharge(charge) {
+        throw new Error(`${this.constructor.name} must implement createCharge()`);
+    }
+
+    /**
+     * Exchange card details for a token the card can be charged with later
+     * Only the token is kept, so card numbers never reach the database
+     * @param {PaymentCard} card - Card details
+     * @returns {Promise<Object>} {token, brand, last4}, or {token: null, failureReason}
+     *   if the card cannot be stored
+     */
+    async tokenizeCard(card) {
+        throw new Error(`${this.constructor.name} does not support card tokens`);
+    }
+
+    /**
+     * Answer the 3-D Secure challenge of a charge in requires_action
+     * @param {Object} charge - {reference, topupId, amount (Money)}
+     * @param {Object} response - {code} entered by the user
+     * @returns {Promise<Object>} {status: 'pending'|'completed'|'failed', failureReason}
+     */
+    async completeChallenge(charge, response) {
+        throw new Error(`${this.constructor.name} does not support challenges`);
+    }
+
+    /**
+     * Verify and read a callback sent by the provider
+     * Callbacks carry the top-up ID given to createCharge(), so they can arrive
+     * before the charge reference is stored
+     * @param {Object} payload - Callback body
+     * @param {string} signature - Signature sent with the callback
+     * @returns {Object|null} {topupId, reference, status: 'completed'|'failed', failureReason},
+     *   or null if the signature does not match
+     */
+    verifyCallback(payload, signature) {
+        throw new Error(`${this.constructor.name} must implement verifyCallback()`);
+    }
+
+    /**
+     * Register the function in-process providers deliver their callbacks to
+     * Providers calling back over HTTP post to /api/topups/callbacks/:method
+     * instead and can ignore it
+     * @param {Function} listener - (payload, signature) => Promise
+     */
+    subscribe(listener) {
+    }
+}
+
+module.exports = FundingProvider;
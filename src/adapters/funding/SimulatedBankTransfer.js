@@ -0,0 +1,41 @@
+/**
+ * Simulated Bank Transfer
+ * Default bank transfer funding provider. Returns the collection account the
+ * user sends the EFT/FAST transfer to, with the reference to write in its
+ * description, and reports the transfer as received after the callback delay
+ */
+
+const Iban = require('../../domain/Iban');
+const SimulatedFundingProvider = require('./SimulatedFundingProvider');
+
+const COLLECTION_IBAN = 'TR330006100519786457841326';
+const COLLECTION_HOLDER = 'Dijital Ödeme A.Ş.';
+
+class SimulatedBankTransfer extends SimulatedFundingProvider {
+    get method() {
+        return 'bank_transfer';
+    }
+
+    /**
+     * Issue transfer instructions, settled by a callback
+     * @param {Object} charge - {topupId, amount, description}
+     * @returns {Promise<Object>} {reference, status, failureReason, instructions}
+     */
+    async createCharge(charge) {
+        const reference = this.createReference('SIMEFT');
+
+        this.scheduleCallback(charge.topupId, reference, 'completed');
+        return {
+            reference,
+            status: 'pending',
+            failureReason: null,
+            instructions: {
+                iban: new Iban(COLLECTION_IBAN).format(),
+                holderName: COLLECTION_HOLDER,
+                description: reference
+            }
+        };
+    }
+}
+
+module.exports = SimulatedBankTransfer;
@@ -0,0 +1,109 @@
+/**
+ * Simulated Card Gateway
+ * Default card funding provider. Outcomes follow fixed test card numbers:
+ * approved, approved after a 3-D Secure challenge, declined at once, or
+ * accepted and failed later in the callback. Other numbers are declined.
+ * Tokens carry the outcome of the tokenized card, so they survive restarts
+ */
+
+const crypto = require('crypto');
+const SimulatedFundingProvider = require('./SimulatedFundingProvider');
+const PaymentCard = require('../../domain/PaymentCard');
+
+const TEST_CARDS = {
+    '4242424242424242': 'approved',
+    '4000000000003220': 'challenge',
+    '4000000000000002': 'declined',
+    '4000000000009995': 'insufficient_funds'
+};
+
+const PROFILES = {
+    approved: { status: 'completed' },
+    challenge: { status: 'completed', challenge: true },
+    declined: { status: 'declined', failureReason: 'Kart reddedildi' },
+    insufficient_funds: { status: 'failed', failureReason: 'Kart limiti yetersiz' }
+};
+
+const TOKEN_PATTERN = /^SIMTOK_([a-z_]+)_[0-9a-f]{8}$/;
+
+// One-time code the simulated issuer accepts in 3-D Secure challenges
+const CHALLENGE_CODE = '123456';
+
+class SimulatedCardGateway extends SimulatedFundingProvider {
+    get method() {
+        return 'card';
+    }
+
+    /**
+     * Issue a token for a card
+     * @param {PaymentCard} card - Card details
+     * @returns {Promise<Object>} {token, brand, last4}
+     */
+    async tokenizeCard(card) {
+        const profile = TEST_CARDS[card.number] || 'declined';
+        return {
+            token: `SIMTOK_${profile}_${crypto.randomBytes(4).toString('hex')}`,
+            brand: card.brand,
+            last4: card.last4
+        };
+    }
+
+    /**
+     * Authorize a card or card token, settled by a callback unless declined or challenged
+     * @param {Object} charge - {topupId, amount, description, card?, cardToken?}
+     * @returns {Promise<Object>} {reference, status, failureReason, card?, challenge?}
+     */
+    async createCharge(charge) {
+        const reference = this.createReference('SIMCARD');
+        let profile;
+        let card;
+
+        if (charge.cardToken) {
+            const match = TOKEN_PATTERN.exec(charge.cardToken);
+            profile = match && PROFILES[match[1]];
+            if (!profile) {
+                return { reference, status: 'failed', failureReason: 'Kart bulunamadı' };
+            }
+        } else {
+            profile = PROFILES[TEST_CARDS[charge.card.number] || 'declined'];
+            card = { brand: charge.card.brand, last4: charge.card.last4 };
+        }
+
+        if (profile.status === 'declined') {
+            return { reference, status: 'failed', failureReason: profile.failureReason, card };
+        }
+
+        if (profile.challenge) {
+            return {
+                reference,
+                status: 'requires_action',
+                failureReason: null,
+                card,
+                challenge: {
+                    type: '3ds',
+                    message: 'Kartınıza kayıtlı telefona gönderilen doğrulama kodunu giriniz'
+                }
+            };
+        }
+
+        this.scheduleCallback(charge.topupId, reference, profile.status, profile.failureReason);
+        return { reference, status: 'pending', failureReason: null, card };
+    }
+
+    /**
+     * Check the one-time code of a challenged card
+     * @param {Object} charge - {reference, topupId, amount}
+     * @param {Object} response - {code}
+     * @returns {Promise<Object>} {status, failureReason}
+     */
+    async completeChallenge(charge, response) {
+        if (String(response.code || '') !== CHALLENGE_CODE) {
+            return { status: 'failed', failureReason: '3-D Secure doğrulaması başarısız' };
+        }
+
+        this.scheduleCallback(charge.topupId, charge.reference, 'completed');
+        return { status: 'pending', failureReason: null };
+    }
+}
+
+module.exports = SimulatedCardGateway;
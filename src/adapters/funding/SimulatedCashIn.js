@@ -0,0 +1,34 @@
+/**
+ * Simulated Cash-In
+ * Default cash funding provider. Returns a payment code the user pays in cash
+ * at an agent and reports the payment as received after the callback delay
+ */
+
+const crypto = require('crypto');
+const SimulatedFundingProvider = require('./SimulatedFundingProvider');
+
+class SimulatedCashIn extends SimulatedFundingProvider {
+    get method() {
+        return 'cash_in';
+    }
+
+    /**
+     * Issue a payment code, settled by a callback
+     * @param {Object} charge - {topupId, amount, description}
+     * @returns {Promise<Object>} {reference, status, failureReason, instructions}
+     */
+    async createCharge(charge) {
+        const reference = this.createReference('SIMCASH');
+        const paymentCode = String(crypto.randomInt(0, 1e10)).padStart(10, '0');
+
+        this.scheduleCallback(charge.topupId, reference, 'completed');
+        return {
+            reference,
+            status: 'pending',
+            failureReason: null,
+            instructions: { paymentCode }
+        };
+    }
+}
+
+module.exports = SimulatedCashIn;
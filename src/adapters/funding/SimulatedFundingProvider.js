@@ -0,0 +1,102 @@
+/**
+ * Simulated Funding Provider
+ * Shared base of the local funding simulators. Outcomes are delivered as
+ * HMAC-signed callbacks after a delay, through the same verification a real
+ * provider's HTTP callbacks go through. Callbacks are kept in memory, so a
+ * restart drops the ones not delivered yet, like a provider that never calls back
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const FundingProvider = require('./FundingProvider');
+
+const DEFAULT_CALLBACK_DELAY = 5; // seconds
+
+class SimulatedFundingProvider extends FundingProvider {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.callbackDelay - Seconds before a callback is delivered
+     * @param {string} options.secret - HMAC secret callbacks are signed with
+     */
+    constructor(options = {}) {
+        super();
+        const callbackDelay = options.callbackDelay !== undefined
+            ? options.callbackDelay
+            : parseInt(process.env.FUNDING_SIM_CALLBACK_DELAY);
+        this.callbackDelay = Number.isFinite(callbackDelay) ? callbackDelay : DEFAULT_CALLBACK_DELAY;
+        this.secret = options.secret || process.env.FUNDING_CALLBACK_SECRET || crypto.randomBytes(32).toString('hex');
+        this.listener = null;
+    }
+
+    /**
+     * @param {Function} listener - (payload, signature) => Promise
+     */
+    subscribe(listener) {
+        this.listener = listener;
+    }
+
+    /**
+     * @param {string} prefix - Reference prefix of the simulator
+     * @returns {string} New charge reference
+     */
+    createReference(prefix) {
+        return `${prefix}_${uuidv4().substring(0, 8)}`;
+    }
+
+    /**
+     * Deliver the outcome of a charge to the listener after the callback delay
+     * @param {string} topupId - Top-up ID the charge was created for
+     * @param {string} reference - Charge reference
+     * @param {string} status - 'completed' or 'failed'
+     * @param {string|null} failureReason - Reason of a failure
+     */
+    scheduleCallback(topupId, reference, status, failureReason = null) {
+        const timer = setTimeout(() => {
+            if (!this.listener) {
+                return;
+            }
+
+            const payload = { topupId, reference, status, failureReason, sentAt: new Date().toISOString() };
+            Promise.resolve(this.listener(payload, this.sign(payload)))
+                .catch(error => console.error('Funding callback error:', error));
+        }, this.callbackDelay * 1000);
+
+        // Pending callbacks must not keep the process alive
+        timer.unref();
+    }
+
+    /**
+     * @param {Object} payload - Callback body
+     * @param {string} signature - Hex HMAC-SHA256 of the JSON body
+     * @returns {Object|null} Charge outcome, or null if the signature does not match
+     */
+    verifyCallback(payload, signature) {
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(String(signature || ''));
+
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+
+        if (typeof payload.topupId !== 'string' || typeof payload.reference !== 'string' || !['completed', 'failed'].includes(payload.status)) {
+            return null;
+        }
+
+        return {
+            topupId: payload.topupId,
+            reference: payload.reference,
+            status: payload.status,
+            failureReason: payload.failureReason || null
+        };
+    }
+
+    /**
+     * @param {Object} payload - Callback body
+     * @returns {string} Hex HMAC-SHA256 of the JSON body
+     */
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(JSON.stringify(payload)).digest('hex');
+    }
+}
+
+module.exports = SimulatedFundingProvider;
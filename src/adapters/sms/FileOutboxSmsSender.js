@@ -0,0 +1,43 @@
+/**
+ * File Outbox SMS Sender
+ * Default SMS implementation that appends messages to a local outbox file
+ * instead of contacting an SMS provider, so flows can be tested offline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const SmsSender = require('./SmsSender');
+
+class FileOutboxSmsSender extends SmsSender {
+    /**
+     * @param {string} outboxPath - Outbox file path (one JSON message per line)
+     */
+    constructor(outboxPath = process.env.SMS_OUTBOX_PATH || 'database/sms_outbox.log') {
+        super();
+        this.outboxPath = path.resolve(outboxPath);
+    }
+
+    /**
+     * Append an SMS message to the outbox file
+     * @param {string} phone - Recipient phone number
+     * @param {string} message - Message text
+     * @returns {Promise<Object>} Delivery result with messageId
+     */
+    async send(phone, message) {
+        const messageId = `SMS_${uuidv4().substring(0, 8)}`;
+        const entry = {
+            messageId,
+            to: phone,
+            message,
+            sentAt: new Date().toISOString()
+        };
+
+        await fs.promises.mkdir(path.dirname(this.outboxPath), { recursive: true });
+        await fs.promises.appendFile(this.outboxPath, JSON.stringify(entry) + '\n', 'utf8');
+
+        return { messageId };
+    }
+}
+
+module.exports = FileOutboxSmsSender;
@@ -0,0 +1,19 @@
+/**
+ * SMS Sender Interface
+ * Base class for pluggable SMS delivery implementations
+ * Follows Dependency Inversion Principle
+ */
+
+class SmsSender {
+    /**
+     * Send an SMS message
+     * @param {string} phone - Recipient phone number (+90XXXXXXXXXX)
+     * @param {string} message - Message text
+     * @returns {Promise<Object>} Delivery result with messageId
+     */
+    async send(phone, message) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+}
+
+module.exports = SmsSender;
@@ -11,11 +11,28 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 
 const Container = require('./container/Container');
+const createIdempotencyMiddleware = require('./middleware/idempotency');
 const createAuthRoutes = require('./routes/auth');
 const createPaymentRoutes = require('./routes/payments');
 const createBillSplitRoutes = require('./routes/billSplits');
 const createBudgetRoutes = require('./routes/budgets');
 const createCashbackRoutes = require('./routes/cashback');
+const createAdminRoutes = require('./routes/admin');
+const createMerchantRoutes = require('./routes/merchants');
+const createMerchantDashboardRoutes = require('./routes/merchantDashboard');
+const createExchangeRoutes = require('./routes/exchange');
+const createScheduledPaymentRoutes = require('./routes/scheduledPayments');
+const createPaymentRequestRoutes = require('./routes/paymentRequests');
+const createLimitRoutes = require('./routes/limits');
+const createWithdrawalRoutes = require('./routes/withdrawals');
+const createTopUpRoutes = require('./routes/topups');
+const createCardRoutes = require('./routes/cards');
+const { scheduleHoldExpiry } = require('./jobs/expireHolds');
+const { scheduleSettlement } = require('./jobs/settle');
+const { scheduleScheduledPayments } = require('./jobs/scheduledPayments');
+const { scheduleWithdrawalSync } = require('./jobs/withdrawals');
+const { scheduleTopUpExpiry } = require('./jobs/expireTopUps');
+const PaymentCard = require('./domain/PaymentCard');
 
 class App {
     constructor() {
@@ -91,9 +108,9 @@ class App {
         // Serve static files
         this.app.use(express.static(path.join(__dirname, '../public')));
 
-        // Request logging
+        // Request logging, card numbers masked
         this.app.use((req, res, next) => {
-            console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+            console.log(`${new Date().toISOString()} - ${req.method} ${PaymentCard.redact(req.path)}`);
             next();
         });
     }
@@ -111,12 +128,25 @@ class App {
             });
         });
 
+        // Idempotency-Key support for money-moving endpoints
+        const idempotency = createIdempotencyMiddleware(this.container.get('idempotencyRepository'));
+
         // API routes
         this.app.use('/api/auth', createAuthRoutes(this.container.get('authController')));
-        this.app.use('/api/payments', createPaymentRoutes(this.container.get('paymentController')));
-        this.app.use('/api/splits', createBillSplitRoutes(this.container.get('billSplitController')));
+        this.app.use('/api/payments', createPaymentRoutes(this.container.get('paymentController'), idempotency));
+        this.app.use('/api/splits', createBillSplitRoutes(this.container.get('billSplitController'), idempotency));
         this.app.use('/api/budgets', createBudgetRoutes(this.container.get('budgetController')));
         this.app.use('/api/cashback', createCashbackRoutes(this.container.get('cashbackController')));
+        this.app.use('/api/admin', createAdminRoutes(this.container.get('adminController'), idempotency));
+        this.app.use('/api/merchants', createMerchantRoutes(this.container.get('merchantController')));
+        this.app.use('/api/merchant', createMerchantDashboardRoutes(this.container.get('merchantDashboardController')));
+        this.app.use('/api/exchange', createExchangeRoutes(this.container.get('exchangeController'), idempotency));
+        this.app.use('/api/scheduled-payments', createScheduledPaymentRoutes(this.container.get('scheduledPaymentController'), idempotency));
+        this.app.use('/api/payment-requests', createPaymentRequestRoutes(this.container.get('paymentRequestController'), idempotency));
+        this.app.use('/api/limits', createLimitRoutes(this.container.get('limitController')));
+        this.app.use('/api/withdrawals', createWithdrawalRoutes(this.container.get('withdrawalController'), idempotency));
+        this.app.use('/api/topups', createTopUpRoutes(this.container.get('topUpController'), idempotency));
+        this.app.use('/api/cards', createCardRoutes(this.container.get('cardController')));
 
         // Serve frontend
         this.app.get('*', (req, res) => {
@@ -138,17 +168,18 @@ class App {
 
         // Global error handler
         this.app.use((error, req, res, next) => {
-            console.error('Unhandled error:', error);
+            // Body parser errors can quote the request body, card numbers included
+            console.error('Unhandled error:', PaymentCard.redact(error.stack || String(error)));
 
             // Don't leak error details in production
             const message = process.env.NODE_ENV === 'production'
                 ? 'Sunucu hatası'
-                : error.message;
+                : PaymentCard.redact(error.message);
 
             res.status(500).json({
                 success: false,
                 message,
-                ...(process.env.NODE_ENV !== 'production' && { stack: error.stack })
+                ...(process.env.NODE_ENV !== 'production' && { stack: error.stack && PaymentCard.redact(error.stack) })
             });
         });
     }
@@ -159,6 +190,21 @@ class App {
     async start() {
         await this.init();
 
+        // Release payment holds that were neither captured nor voided in time
+        this.holdExpiryTimer = scheduleHoldExpiry(this.container.get('paymentAuthorizationService'));
+
+        // Close yesterday's merchant settlement period once the day is over
+        this.settlementTimer = scheduleSettlement(this.container.get('settlementService'));
+
+        // Run due standing orders, catching up on those missed while the server was down
+        this.scheduledPaymentTimer = scheduleScheduledPayments(this.container.get('scheduledPaymentService'));
+
+        // Complete or fail withdrawals the bank has settled
+        this.withdrawalTimer = scheduleWithdrawalSync(this.container.get('withdrawalService'));
+
+        // Fail top-ups left without an answered challenge or a provider callback
+        this.topUpExpiryTimer = scheduleTopUpExpiry(this.container.get('topUpService'));
+
         this.server = this.app.listen(this.port, () => {
             console.log(`Server is running on port ${this.port}`);
             console.log(`Frontend: http://localhost:${this.port}`);
@@ -176,6 +222,26 @@ class App {
     async shutdown() {
         console.log('Shutting down gracefully...');
 
+        if (this.holdExpiryTimer) {
+            clearInterval(this.holdExpiryTimer);
+        }
+
+        if (this.settlementTimer) {
+            clearInterval(this.settlementTimer);
+        }
+
+        if (this.scheduledPaymentTimer) {
+            clearInterval(this.scheduledPaymentTimer);
+        }
+
+        if (this.withdrawalTimer) {
+            clearInterval(this.withdrawalTimer);
+        }
+
+        if (this.topUpExpiryTimer) {
+            clearInterval(this.topUpExpiryTimer);
+        }
+
         if (this.server) {
             this.server.close();
         }
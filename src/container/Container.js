@@ -5,24 +5,80 @@
  */
 
 const Database = require('../database/Database');
+const { tokenService } = require('../middleware/auth');
 const UserRepository = require('../repositories/UserRepository');
+const CredentialRepository = require('../repositories/CredentialRepository');
+const PhoneVerificationRepository = require('../repositories/PhoneVerificationRepository');
 const WalletRepository = require('../repositories/WalletRepository');
 const TransactionRepository = require('../repositories/TransactionRepository');
 const BillSplitRepository = require('../repositories/BillSplitRepository');
+const IdempotencyRepository = require('../repositories/IdempotencyRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const PaymentHoldRepository = require('../repositories/PaymentHoldRepository');
+const MerchantRepository = require('../repositories/MerchantRepository');
+const QRCodeRepository = require('../repositories/QRCodeRepository');
+const SettlementRepository = require('../repositories/SettlementRepository');
+const ScheduledPaymentRepository = require('../repositories/ScheduledPaymentRepository');
+const PaymentRequestRepository = require('../repositories/PaymentRequestRepository');
+const LimitRepository = require('../repositories/LimitRepository');
+const BankAccountRepository = require('../repositories/BankAccountRepository');
+const WithdrawalRepository = require('../repositories/WithdrawalRepository');
+const TopUpRepository = require('../repositories/TopUpRepository');
+const SavedCardRepository = require('../repositories/SavedCardRepository');
 const AuthService = require('../services/AuthService');
+const RegistrationService = require('../services/RegistrationService');
 const PaymentService = require('../services/PaymentService');
 const BillSplitService = require('../services/BillSplitService');
 const BudgetService = require('../services/BudgetService');
 const CashbackService = require('../services/CashbackService');
+const ReconciliationService = require('../services/ReconciliationService');
+const RefundService = require('../services/RefundService');
+const PaymentAuthorizationService = require('../services/PaymentAuthorizationService');
+const MerchantService = require('../services/MerchantService');
+const QRCodeService = require('../services/QRCodeService');
+const SettlementService = require('../services/SettlementService');
+const MerchantAuthService = require('../services/MerchantAuthService');
+const MerchantDashboardService = require('../services/MerchantDashboardService');
+const ExchangeService = require('../services/ExchangeService');
+const ScheduledPaymentService = require('../services/ScheduledPaymentService');
+const PaymentRequestService = require('../services/PaymentRequestService');
+const LimitService = require('../services/LimitService');
+const WithdrawalService = require('../services/WithdrawalService');
+const TopUpService = require('../services/TopUpService');
+const CardVaultService = require('../services/CardVaultService');
 const AuthController = require('../controllers/AuthController');
 const PaymentController = require('../controllers/PaymentController');
 const BillSplitController = require('../controllers/BillSplitController');
 const BudgetController = require('../controllers/BudgetController');
 const CashbackController = require('../controllers/CashbackController');
+const AdminController = require('../controllers/AdminController');
+const MerchantController = require('../controllers/MerchantController');
+const MerchantDashboardController = require('../controllers/MerchantDashboardController');
+const ExchangeController = require('../controllers/ExchangeController');
+const ScheduledPaymentController = require('../controllers/ScheduledPaymentController');
+const PaymentRequestController = require('../controllers/PaymentRequestController');
+const LimitController = require('../controllers/LimitController');
+const WithdrawalController = require('../controllers/WithdrawalController');
+const TopUpController = require('../controllers/TopUpController');
+const CardController = require('../controllers/CardController');
+const FileOutboxSmsSender = require('../adapters/sms/FileOutboxSmsSender');
+const SimulatedBankRail = require('../adapters/bank/SimulatedBankRail');
+const SimulatedCardGateway = require('../adapters/funding/SimulatedCardGateway');
+const SimulatedBankTransfer = require('../adapters/funding/SimulatedBankTransfer');
+const SimulatedCashIn = require('../adapters/funding/SimulatedCashIn');
 
 class Container {
-    constructor() {
+    /**
+     * @param {Object} adapters - Optional adapter implementations replacing the defaults
+     * @param {SmsSender} adapters.smsSender - SMS delivery implementation
+     * @param {BankRail} adapters.bankRail - Bank transfer implementation for withdrawals
+     * @param {FundingProvider} adapters.cardGateway - Card top-up provider, also issues saved card tokens
+     * @param {FundingProvider} adapters.bankTransfer - Bank transfer top-up provider
+     * @param {FundingProvider} adapters.cashIn - Cash top-up provider
+     */
+    constructor(adapters = {}) {
         this.services = new Map();
+        this.adapters = adapters;
         this.initialized = false;
     }
 
@@ -40,49 +96,211 @@ class Container {
             await database.connect();
             this.services.set('database', database);
 
+            // Adapters (pluggable, local implementations by default)
+            const smsSender = this.adapters.smsSender || new FileOutboxSmsSender();
+            this.services.set('smsSender', smsSender);
+            const bankRail = this.adapters.bankRail || new SimulatedBankRail();
+            this.services.set('bankRail', bankRail);
+            const cardGateway = this.adapters.cardGateway || new SimulatedCardGateway();
+            const fundingProviders = [
+                cardGateway,
+                this.adapters.bankTransfer || new SimulatedBankTransfer(),
+                this.adapters.cashIn || new SimulatedCashIn()
+            ];
+            this.services.set('fundingProviders', fundingProviders);
+
             // Repositories
             const userRepository = new UserRepository(database);
+            const credentialRepository = new CredentialRepository(database);
+            const merchantCredentialRepository = new CredentialRepository(database, 'merchant_credentials', 'merchant_id');
+            const phoneVerificationRepository = new PhoneVerificationRepository(database);
             const walletRepository = new WalletRepository(database);
             const transactionRepository = new TransactionRepository(database);
             const billSplitRepository = new BillSplitRepository(database);
+            const idempotencyRepository = new IdempotencyRepository(database);
+            const ledgerRepository = new LedgerRepository(database);
+            const paymentHoldRepository = new PaymentHoldRepository(database);
+            const merchantRepository = new MerchantRepository(database);
+            const qrCodeRepository = new QRCodeRepository(database);
+            const settlementRepository = new SettlementRepository(database);
+            const scheduledPaymentRepository = new ScheduledPaymentRepository(database);
+            const paymentRequestRepository = new PaymentRequestRepository(database);
+            const limitRepository = new LimitRepository(database);
+            const bankAccountRepository = new BankAccountRepository(database);
+            const withdrawalRepository = new WithdrawalRepository(database);
+            const topUpRepository = new TopUpRepository(database);
+            const savedCardRepository = new SavedCardRepository(database);
 
             this.services.set('userRepository', userRepository);
+            this.services.set('credentialRepository', credentialRepository);
+            this.services.set('merchantCredentialRepository', merchantCredentialRepository);
+            this.services.set('phoneVerificationRepository', phoneVerificationRepository);
             this.services.set('walletRepository', walletRepository);
             this.services.set('transactionRepository', transactionRepository);
             this.services.set('billSplitRepository', billSplitRepository);
+            this.services.set('idempotencyRepository', idempotencyRepository);
+            this.services.set('ledgerRepository', ledgerRepository);
+            this.services.set('paymentHoldRepository', paymentHoldRepository);
+            this.services.set('merchantRepository', merchantRepository);
+            this.services.set('qrCodeRepository', qrCodeRepository);
+            this.services.set('settlementRepository', settlementRepository);
+            this.services.set('scheduledPaymentRepository', scheduledPaymentRepository);
+            this.services.set('paymentRequestRepository', paymentRequestRepository);
+            this.services.set('limitRepository', limitRepository);
+            this.services.set('bankAccountRepository', bankAccountRepository);
+            this.services.set('withdrawalRepository', withdrawalRepository);
+            this.services.set('topUpRepository', topUpRepository);
+            this.services.set('savedCardRepository', savedCardRepository);
 
             // Services
-            const authService = new AuthService(userRepository);
-            const cashbackService = new CashbackService(database, walletRepository, transactionRepository);
-            const paymentService = new PaymentService(walletRepository, transactionRepository);
+            const authService = new AuthService(userRepository, credentialRepository, phoneVerificationRepository);
+            const registrationService = new RegistrationService(
+                userRepository,
+                phoneVerificationRepository,
+                authService,
+                smsSender
+            );
+            const merchantService = new MerchantService(merchantRepository);
+            const qrCodeService = new QRCodeService(qrCodeRepository, merchantService);
+            const cashbackService = new CashbackService(database, walletRepository, transactionRepository, ledgerRepository);
+            const exchangeService = new ExchangeService(walletRepository, transactionRepository, ledgerRepository);
+            const limitService = new LimitService(limitRepository, exchangeService);
+            const paymentService = new PaymentService(
+                walletRepository,
+                transactionRepository,
+                ledgerRepository,
+                null,
+                merchantService,
+                qrCodeService,
+                exchangeService,
+                limitService
+            );
             paymentService.setCashbackService(cashbackService); // Inject after creation to avoid circular dependency
+            const paymentAuthorizationService = new PaymentAuthorizationService(
+                walletRepository,
+                transactionRepository,
+                paymentHoldRepository,
+                ledgerRepository,
+                merchantService,
+                cashbackService,
+                limitService
+            );
 
             const billSplitService = new BillSplitService(
                 billSplitRepository,
                 transactionRepository,
                 walletRepository,
-                userRepository
+                userRepository,
+                ledgerRepository
             );
             const budgetService = new BudgetService(database, walletRepository);
+            const reconciliationService = new ReconciliationService(
+                walletRepository,
+                transactionRepository,
+                ledgerRepository
+            );
+            const refundService = new RefundService(
+                walletRepository,
+                transactionRepository,
+                billSplitRepository,
+                ledgerRepository
+            );
+            const settlementService = new SettlementService(settlementRepository, ledgerRepository, merchantRepository);
+            const merchantAuthService = new MerchantAuthService(merchantRepository, merchantCredentialRepository, authService);
+            const merchantDashboardService = new MerchantDashboardService(
+                transactionRepository,
+                merchantService,
+                qrCodeService,
+                settlementService
+            );
+            const scheduledPaymentService = new ScheduledPaymentService(
+                scheduledPaymentRepository,
+                paymentService,
+                merchantService,
+                userRepository,
+                limitService
+            );
+            const paymentRequestService = new PaymentRequestService(paymentRequestRepository, paymentService, userRepository);
+            const withdrawalService = new WithdrawalService(
+                withdrawalRepository,
+                bankAccountRepository,
+                walletRepository,
+                transactionRepository,
+                ledgerRepository,
+                userRepository,
+                bankRail
+            );
+            const cardVaultService = new CardVaultService(savedCardRepository, cardGateway);
+            const topUpService = new TopUpService(
+                topUpRepository,
+                walletRepository,
+                transactionRepository,
+                ledgerRepository,
+                fundingProviders,
+                exchangeService,
+                limitService,
+                cardVaultService
+            );
 
             this.services.set('authService', authService);
+            this.services.set('tokenService', tokenService);
+            this.services.set('registrationService', registrationService);
             this.services.set('paymentService', paymentService);
+            this.services.set('paymentAuthorizationService', paymentAuthorizationService);
+            this.services.set('merchantService', merchantService);
+            this.services.set('qrCodeService', qrCodeService);
             this.services.set('billSplitService', billSplitService);
             this.services.set('budgetService', budgetService);
             this.services.set('cashbackService', cashbackService);
+            this.services.set('reconciliationService', reconciliationService);
+            this.services.set('refundService', refundService);
+            this.services.set('settlementService', settlementService);
+            this.services.set('merchantAuthService', merchantAuthService);
+            this.services.set('merchantDashboardService', merchantDashboardService);
+            this.services.set('exchangeService', exchangeService);
+            this.services.set('scheduledPaymentService', scheduledPaymentService);
+            this.services.set('paymentRequestService', paymentRequestService);
+            this.services.set('limitService', limitService);
+            this.services.set('withdrawalService', withdrawalService);
+            this.services.set('topUpService', topUpService);
+            this.services.set('cardVaultService', cardVaultService);
 
             // Controllers
-            const authController = new AuthController(authService);
-            const paymentController = new PaymentController(paymentService);
+            const authController = new AuthController(authService, tokenService, registrationService);
+            const paymentController = new PaymentController(paymentService, paymentAuthorizationService, qrCodeService);
             const billSplitController = new BillSplitController(billSplitService);
             const budgetController = new BudgetController(budgetService);
             const cashbackController = new CashbackController(cashbackService);
+            const adminController = new AdminController(reconciliationService, refundService, settlementService);
+            const merchantController = new MerchantController(merchantService, qrCodeService, settlementService, merchantAuthService);
+            const merchantDashboardController = new MerchantDashboardController(
+                merchantAuthService,
+                merchantDashboardService,
+                tokenService
+            );
+            const exchangeController = new ExchangeController(exchangeService);
+            const scheduledPaymentController = new ScheduledPaymentController(scheduledPaymentService);
+            const paymentRequestController = new PaymentRequestController(paymentRequestService);
+            const limitController = new LimitController(limitService);
+            const withdrawalController = new WithdrawalController(withdrawalService);
+            const topUpController = new TopUpController(topUpService);
+            const cardController = new CardController(cardVaultService);
 
             this.services.set('authController', authController);
             this.services.set('paymentController', paymentController);
             this.services.set('billSplitController', billSplitController);
             this.services.set('budgetController', budgetController);
             this.services.set('cashbackController', cashbackController);
+            this.services.set('adminController', adminController);
+            this.services.set('merchantController', merchantController);
+            this.services.set('merchantDashboardController', merchantDashboardController);
+            this.services.set('exchangeController', exchangeController);
+            this.services.set('scheduledPaymentController', scheduledPaymentController);
+            this.services.set('paymentRequestController', paymentRequestController);
+            this.services.set('limitController', limitController);
+            this.services.set('withdrawalController', withdrawalController);
+            this.services.set('topUpController', topUpController);
+            this.services.set('cardController', cardController);
 
             this.initialized = true;
             console.log('Container initialized successfully');
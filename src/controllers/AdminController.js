@@ -0,0 +1,211 @@
+/**
+ * Admin Controller
+ * Handles operational HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class AdminController {
+    constructor(reconciliationService, refundService, settlementService) {
+        this.reconciliationService = reconciliationService;
+        this.refundService = refundService;
+        this.settlementService = settlementService;
+    }
+
+    /**
+     * Report wallets whose balance does not match their history or ledger
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getReconciliation(req, res) {
+        try {
+            const result = await this.reconciliationService.reconcile();
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get reconciliation controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Reconcile and write corrective adjustments
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async fixReconciliation(req, res) {
+        try {
+            const result = await this.reconciliationService.reconcile({ fix: true });
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Fix reconciliation controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Refund a payment fully or partially
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async refundPayment(req, res) {
+        try {
+            const { paymentTxId, amount, reason } = req.body;
+            const refundAmount = amount === undefined || amount === null ? null : parseFloat(amount);
+
+            const result = await this.refundService.refundPayment(paymentTxId, refundAmount, reason);
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Refund controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the refunds of a payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getRefunds(req, res) {
+        try {
+            const result = await this.refundService.getRefunds(req.params.paymentTxId);
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get refunds controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Close the settlement period ending on a date (yesterday by default)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createSettlement(req, res) {
+        try {
+            const result = await this.settlementService.settle(req.body.date || null);
+
+            let statusCode = 400;
+            if (result.success) {
+                statusCode = result.data.alreadySettled ? 200 : 201;
+            }
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Create settlement controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * List recent settlement batches
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getSettlements(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 30, 365);
+
+            const result = await this.settlementService.listSettlements(limit);
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get settlements controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the stored settlement batch of a date
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getSettlement(req, res) {
+        try {
+            const result = await this.settlementService.getSettlement(req.params.date);
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get settlement controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Recompute the settlement of a date without storing it
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async previewSettlement(req, res) {
+        try {
+            const result = await this.settlementService.previewSettlement(req.params.date);
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Preview settlement controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Download the payouts of a settlement batch as CSV
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async exportSettlement(req, res) {
+        try {
+            const result = await this.settlementService.exportSettlementCSV(req.params.date);
+
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+
+            return res
+                .type('text/csv; charset=utf-8')
+                .attachment(result.data.filename)
+                .send(result.data.csv);
+
+        } catch (error) {
+            console.error('Export settlement controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = AdminController;
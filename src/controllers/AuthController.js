@@ -5,16 +5,78 @@
  */
 
 class AuthController {
-    constructor(authService) {
+    constructor(authService, tokenService, registrationService) {
         this.authService = authService;
+        this.tokenService = tokenService;
+        this.registrationService = registrationService;
     }
 
     /**
-     * User login with ID
+     * Register a new user
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
-    async login(req, res) {
+    async register(req, res) {
+        try {
+            const { name, phone, pin } = req.body;
+
+            if (!name || !phone || !pin) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ad soyad, telefon numarası ve PIN gereklidir'
+                });
+            }
+
+            const result = await this.registrationService.register(name, phone, String(pin));
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Register controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Verify phone number with one-time code
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async verifyPhone(req, res) {
+        try {
+            const { userId, code } = req.body;
+
+            if (!userId || !code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Kullanıcı ID\'si ve doğrulama kodu gereklidir'
+                });
+            }
+
+            const result = await this.registrationService.verifyPhone(userId, String(code));
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Verify phone controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Resend phone verification code
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async resendVerificationCode(req, res) {
         try {
             const { userId } = req.body;
 
@@ -25,26 +87,100 @@ class AuthController {
                 });
             }
 
-            const result = await this.authService.authenticateById(userId);
+            const result = await this.registrationService.resendCode(userId);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Resend code controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * User login with ID
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async login(req, res) {
+        try {
+            const { userId, pin } = req.body;
+
+            if (!userId || !pin) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Kullanıcı ID\'si ve PIN gereklidir'
+                });
+            }
+
+            const result = await this.authService.authenticateById(userId, String(pin));
 
             if (result.success) {
-                // In a real app, you would set session/JWT here
-                req.session = { userId: result.user.user_id };
+                const tokens = this.tokenService.issueTokens(result.user.user_id);
 
                 return res.status(200).json({
                     success: true,
                     message: result.message,
-                    user: result.user
+                    user: result.user,
+                    ...tokens
                 });
             } else {
+                const { success, message, locked, lockedUntil, remainingAttempts, verificationRequired } = result;
+                const statusCode = locked ? 423 : (verificationRequired ? 403 : 401);
+                return res.status(statusCode).json({
+                    success,
+                    message,
+                    ...(locked && { lockedUntil }),
+                    ...(verificationRequired && { verificationRequired }),
+                    ...(remainingAttempts !== undefined && { remainingAttempts })
+                });
+            }
+
+        } catch (error) {
+            console.error('Login controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async refresh(req, res) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Yenileme anahtarı gereklidir'
+                });
+            }
+
+            const tokens = this.tokenService.refreshTokens(refreshToken);
+
+            if (!tokens) {
                 return res.status(401).json({
                     success: false,
-                    message: result.message
+                    message: 'Geçersiz veya süresi dolmuş oturum'
                 });
             }
 
+            return res.status(200).json({
+                success: true,
+                ...tokens
+            });
+
         } catch (error) {
-            console.error('Login controller error:', error);
+            console.error('Refresh token controller error:', error);
             return res.status(500).json({
                 success: false,
                 message: 'Sunucu hatası'
@@ -91,6 +227,48 @@ class AuthController {
         }
     }
 
+    /**
+     * Set or change PIN
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async setPin(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { currentPin, newPin } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!newPin) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Yeni PIN gereklidir'
+                });
+            }
+
+            const result = await this.authService.setPin(
+                userId,
+                currentPin ? String(currentPin) : null,
+                String(newPin)
+            );
+
+            const statusCode = result.success ? 200 : (result.locked ? 423 : 400);
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Set PIN controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
     /**
      * Search users
      * @param {Object} req - Express request object
@@ -131,6 +309,19 @@ class AuthController {
      */
     async logout(req, res) {
         try {
+            const sessionId = req.session?.sessionId;
+            const { refreshToken } = req.body || {};
+
+            if (sessionId) {
+                this.tokenService.revokeSession(sessionId);
+            }
+
+            // The access token may already have expired, so the refresh token
+            // in the body ends its session on its own
+            if (typeof refreshToken === 'string' && refreshToken) {
+                this.tokenService.revokeRefreshToken(refreshToken);
+            }
+
             req.session = null;
 
             return res.status(200).json({
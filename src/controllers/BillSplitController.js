@@ -17,7 +17,7 @@ class BillSplitController {
     async createEqualSplit(req, res) {
         try {
             const payerUserId = req.session?.userId;
-            const { originalTxId, debtorUserIds } = req.body;
+            const { originalTxId, debtorUserIds, remainderPolicy = 'payer' } = req.body;
 
             if (!payerUserId) {
                 return res.status(401).json({
@@ -36,7 +36,8 @@ class BillSplitController {
             const result = await this.billSplitService.createEqualSplit(
                 payerUserId,
                 originalTxId,
-                debtorUserIds
+                debtorUserIds,
+                remainderPolicy
             );
 
             const statusCode = result.success ? 200 : 400;
@@ -59,7 +60,7 @@ class BillSplitController {
     async createWeightedSplit(req, res) {
         try {
             const payerUserId = req.session?.userId;
-            const { originalTxId, debtorWeights } = req.body;
+            const { originalTxId, debtorWeights, remainderPolicy = 'payer' } = req.body;
 
             if (!payerUserId) {
                 return res.status(401).json({
@@ -90,7 +91,8 @@ class BillSplitController {
             const result = await this.billSplitService.createWeightedSplit(
                 payerUserId,
                 originalTxId,
-                debtorWeights
+                debtorWeights,
+                remainderPolicy
             );
 
             const statusCode = result.success ? 200 : 400;
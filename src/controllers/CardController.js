@@ -0,0 +1,145 @@
+/**
+ * Card Controller
+ * Handles saved card HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class CardController {
+    constructor(cardVaultService) {
+        this.cardVaultService = cardVaultService;
+    }
+
+    /**
+     * Save a card
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async addCard(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { number, expiryMonth, expiryYear, cvc, makeDefault = false } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!number || !expiryMonth || !expiryYear) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Kart numarası ve son kullanma tarihi gereklidir'
+                });
+            }
+
+            const result = await this.cardVaultService.addCard(
+                userId,
+                { number, expiryMonth, expiryYear, cvc },
+                makeDefault === true
+            );
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Add card controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the user's saved cards
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listCards(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.cardVaultService.listCards(userId);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('List cards controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Remove a saved card
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async removeCard(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.cardVaultService.removeCard(userId, req.params.cardId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Remove card controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Make a saved card the default card
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async setDefaultCard(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.cardVaultService.setDefaultCard(userId, req.params.cardId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Set default card controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = CardController;
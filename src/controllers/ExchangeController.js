@@ -0,0 +1,104 @@
+/**
+ * Exchange Controller
+ * Handles currency rate, quote and exchange HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class ExchangeController {
+    constructor(exchangeService) {
+        this.exchangeService = exchangeService;
+    }
+
+    /**
+     * Get the exchange rates against TRY
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getRates(req, res) {
+        try {
+            return res.status(200).json(this.exchangeService.getRates());
+
+        } catch (error) {
+            console.error('Get exchange rates controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Quote an exchange (query: from, to, amount)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getQuote(req, res) {
+        try {
+            const { from, to, amount } = req.query;
+
+            if (!from || !to || !amount) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Para birimleri ve tutar gereklidir'
+                });
+            }
+
+            const result = this.exchangeService.getQuote(from, to, parseFloat(amount));
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Exchange quote controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Exchange between the user's currency wallets
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async exchange(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { fromCurrency, toCurrency, amount } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!fromCurrency || !toCurrency || !amount) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Para birimleri ve tutar gereklidir'
+                });
+            }
+
+            const result = await this.exchangeService.exchange(
+                userId,
+                fromCurrency,
+                toCurrency,
+                parseFloat(amount)
+            );
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Exchange controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = ExchangeController;
@@ -0,0 +1,81 @@
+/**
+ * Limit Controller
+ * Handles transaction limit HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class LimitController {
+    constructor(limitService) {
+        this.limitService = limitService;
+    }
+
+    /**
+     * Get the user's limits and remaining headroom
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getLimits(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.limitService.getLimits(userId);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get limits controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Lower the user's limits for one transaction type
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async updateLimits(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            // Periods left out of the body keep their current cap
+            const caps = {};
+            for (const period of ['perTransaction', 'daily', 'monthly']) {
+                if (req.body[period] !== undefined && req.body[period] !== null && req.body[period] !== '') {
+                    caps[period] = parseFloat(req.body[period]);
+                }
+            }
+
+            const result = await this.limitService.updateLimits(userId, req.params.type, caps);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Update limits controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = LimitController;
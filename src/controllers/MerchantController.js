@@ -0,0 +1,242 @@
+/**
+ * Merchant Controller
+ * Handles merchant HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class MerchantController {
+    constructor(merchantService, qrCodeService, settlementService, merchantAuthService) {
+        this.merchantService = merchantService;
+        this.qrCodeService = qrCodeService;
+        this.settlementService = settlementService;
+        this.merchantAuthService = merchantAuthService;
+    }
+
+    /**
+     * List merchants
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listMerchants(req, res) {
+        try {
+            const { category, active } = req.query;
+
+            const result = await this.merchantService.listMerchants({
+                category: category || null,
+                active: active === undefined ? null : active === 'true'
+            });
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('List merchants controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get merchant details
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getMerchant(req, res) {
+        try {
+            const result = await this.merchantService.getMerchant(req.params.merchantId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get merchant controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the settlement balance of a merchant
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getBalance(req, res) {
+        try {
+            const result = await this.settlementService.getMerchantBalance(req.params.merchantId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get merchant balance controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Create a merchant
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createMerchant(req, res) {
+        try {
+            const { merchantId, name, category, active, mdrRate } = req.body;
+
+            const result = await this.merchantService.createMerchant({
+                merchantId,
+                name,
+                category,
+                active: active === undefined ? true : active,
+                mdrRate: mdrRate === undefined ? null : mdrRate
+            });
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Create merchant controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Update a merchant
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async updateMerchant(req, res) {
+        try {
+            const { name, category, active, mdrRate } = req.body;
+
+            const result = await this.merchantService.updateMerchant(req.params.merchantId, {
+                name,
+                category,
+                active,
+                mdrRate
+            });
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Update merchant controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Set or reset a merchant's dashboard PIN
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async setPin(req, res) {
+        try {
+            const { pin } = req.body;
+
+            if (!pin) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'PIN gereklidir'
+                });
+            }
+
+            const result = await this.merchantAuthService.setPin(req.params.merchantId, String(pin));
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Set merchant PIN controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Issue a QR code for a merchant
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createQRCode(req, res) {
+        try {
+            const { type, amount, description, singleUse, expiresIn } = req.body;
+
+            const result = await this.qrCodeService.createQRCode(req.params.merchantId, {
+                type,
+                amount: amount === undefined || amount === null ? null : parseFloat(amount),
+                description,
+                singleUse,
+                expiresIn: expiresIn === undefined || expiresIn === null ? null : Number(expiresIn)
+            });
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Create QR code controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * List the QR codes of a merchant
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listQRCodes(req, res) {
+        try {
+            const result = await this.qrCodeService.listQRCodes(req.params.merchantId, req.query.status || null);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('List QR codes controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Revoke a QR code
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async revokeQRCode(req, res) {
+        try {
+            const result = await this.qrCodeService.revokeQRCode(req.params.merchantId, req.params.qrId);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Revoke QR code controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = MerchantController;
@@ -0,0 +1,323 @@
+/**
+ * Merchant Dashboard Controller
+ * Handles merchant login and the merchant dashboard HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class MerchantDashboardController {
+    constructor(merchantAuthService, merchantDashboardService, tokenService) {
+        this.merchantAuthService = merchantAuthService;
+        this.merchantDashboardService = merchantDashboardService;
+        this.tokenService = tokenService;
+    }
+
+    /**
+     * Merchant login with merchant ID and PIN
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async login(req, res) {
+        try {
+            const { merchantId, pin } = req.body;
+
+            if (!merchantId || !pin) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'İşyeri ID\'si ve PIN gereklidir'
+                });
+            }
+
+            const result = await this.merchantAuthService.authenticate(merchantId, String(pin));
+
+            if (result.success) {
+                const tokens = this.tokenService.issueTokens(result.merchant.merchantId, 'merchant');
+
+                return res.status(200).json({
+                    success: true,
+                    message: result.message,
+                    merchant: result.merchant,
+                    ...tokens
+                });
+            }
+
+            const { success, message, locked, lockedUntil, remainingAttempts } = result;
+            return res.status(locked ? 423 : 401).json({
+                success,
+                message,
+                ...(locked && { lockedUntil }),
+                ...(remainingAttempts !== undefined && { remainingAttempts })
+            });
+
+        } catch (error) {
+            console.error('Merchant login controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Merchant logout
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async logout(req, res) {
+        try {
+            const sessionId = req.session?.sessionId;
+
+            if (sessionId) {
+                this.tokenService.revokeSession(sessionId);
+            }
+
+            req.session = null;
+
+            return res.status(200).json({
+                success: true,
+                message: 'Başarıyla çıkış yapıldı'
+            });
+
+        } catch (error) {
+            console.error('Merchant logout controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get merchant details with unsettled balance and recent payouts
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getOverview(req, res) {
+        try {
+            const merchantId = req.session?.merchantId;
+
+            if (!merchantId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'İşyeri girişi yapmanız gerekiyor'
+                });
+            }
+
+            const result = await this.merchantDashboardService.getOverview(merchantId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Merchant overview controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get incoming payments
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getPayments(req, res) {
+        try {
+            const merchantId = req.session?.merchantId;
+
+            if (!merchantId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'İşyeri girişi yapmanız gerekiyor'
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const pageSize = parseInt(req.query.pageSize) || 20;
+
+            const result = await this.merchantDashboardService.getPayments(merchantId, page, pageSize);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Merchant payments controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get refunds issued
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getRefunds(req, res) {
+        try {
+            const merchantId = req.session?.merchantId;
+
+            if (!merchantId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'İşyeri girişi yapmanız gerekiyor'
+                });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const pageSize = parseInt(req.query.pageSize) || 20;
+
+            const result = await this.merchantDashboardService.getRefunds(merchantId, page, pageSize);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Merchant refunds controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get daily totals (query: days, default 30)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getDailyTotals(req, res) {
+        try {
+            const merchantId = req.session?.merchantId;
+
+            if (!merchantId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'İşyeri girişi yapmanız gerekiyor'
+                });
+            }
+
+            const result = await this.merchantDashboardService.getDailyTotals(merchantId, this.parseDays(req.query.days));
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Merchant daily totals controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get cashback earned on the merchant's payments (query: days, default 30)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getCashback(req, res) {
+        try {
+            const merchantId = req.session?.merchantId;
+
+            if (!merchantId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'İşyeri girişi yapmanız gerekiyor'
+                });
+            }
+
+            const result = await this.merchantDashboardService.getCashbackFunded(merchantId, this.parseDays(req.query.days));
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Merchant cashback controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get open (payable) QR codes
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getQRCodes(req, res) {
+        try {
+            const merchantId = req.session?.merchantId;
+
+            if (!merchantId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'İşyeri girişi yapmanız gerekiyor'
+                });
+            }
+
+            const result = await this.merchantDashboardService.getOpenQRCodes(merchantId);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Merchant QR codes controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Issue a QR code for the logged-in merchant
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createQRCode(req, res) {
+        try {
+            const merchantId = req.session?.merchantId;
+
+            if (!merchantId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'İşyeri girişi yapmanız gerekiyor'
+                });
+            }
+
+            const { type, amount, description, singleUse, expiresIn } = req.body;
+
+            const result = await this.merchantDashboardService.createQRCode(merchantId, {
+                type,
+                amount: amount === undefined || amount === null ? null : parseFloat(amount),
+                description,
+                singleUse,
+                expiresIn: expiresIn === undefined || expiresIn === null ? null : Number(expiresIn)
+            });
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Merchant create QR code controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Parse the days query parameter
+     * @param {string|undefined} days - Query value
+     * @returns {number|undefined} Number of days, undefined for the default
+     */
+    parseDays(days) {
+        return days === undefined ? undefined : Number(days);
+    }
+}
+
+module.exports = MerchantDashboardController;
@@ -5,8 +5,10 @@
  */
 
 class PaymentController {
-    constructor(paymentService) {
+    constructor(paymentService, paymentAuthorizationService, qrCodeService) {
         this.paymentService = paymentService;
+        this.paymentAuthorizationService = paymentAuthorizationService;
+        this.qrCodeService = qrCodeService;
     }
 
     /**
@@ -17,7 +19,7 @@ class PaymentController {
     async transferMoney(req, res) {
         try {
             const fromUserId = req.session?.userId;
-            const { toUserId, amount } = req.body;
+            const { toUserId, amount, currency = 'TRY' } = req.body;
 
             if (!fromUserId) {
                 return res.status(401).json({
@@ -36,7 +38,8 @@ class PaymentController {
             const result = await this.paymentService.transferMoney(
                 fromUserId,
                 toUserId,
-                parseFloat(amount)
+                parseFloat(amount),
+                currency
             );
 
             const statusCode = result.success ? 200 : 400;
@@ -94,14 +97,14 @@ class PaymentController {
     }
 
     /**
-     * Top up user wallet
+     * Authorize a payment, holding the amount until capture or void
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
-    async topUpWallet(req, res) {
+    async authorizePayment(req, res) {
         try {
             const userId = req.session?.userId;
-            const { amount } = req.body;
+            const { merchantId, amount } = req.body;
 
             if (!userId) {
                 return res.status(401).json({
@@ -110,23 +113,124 @@ class PaymentController {
                 });
             }
 
-            if (!amount || amount <= 0) {
+            if (!merchantId || !amount) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Geçerli bir tutar giriniz'
+                    message: 'İşyeri ID\'si ve tutar gereklidir'
                 });
             }
 
-            const result = await this.paymentService.topUpWallet(
+            const result = await this.paymentAuthorizationService.authorizePayment(
                 userId,
+                merchantId,
                 parseFloat(amount)
             );
 
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Authorize payment controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Capture an authorized payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async capturePayment(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { txId } = req.params;
+            const { amount } = req.body || {};
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.paymentAuthorizationService.capturePayment(
+                userId,
+                txId,
+                amount === undefined || amount === null ? null : parseFloat(amount)
+            );
+
             const statusCode = result.success ? 200 : 400;
             return res.status(statusCode).json(result);
 
         } catch (error) {
-            console.error('Top-up controller error:', error);
+            console.error('Capture payment controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Void an authorized payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async voidPayment(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { txId } = req.params;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.paymentAuthorizationService.voidPayment(userId, txId);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Void payment controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the user's payment authorizations
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getAuthorizations(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.paymentAuthorizationService.getAuthorizations(
+                userId,
+                req.query.status || null
+            );
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get authorizations controller error:', error);
             return res.status(500).json({
                 success: false,
                 message: 'Sunucu hatası'
@@ -166,6 +270,8 @@ class PaymentController {
 
     /**
      * Get transaction history
+     * Query: type, status (comma separated), merchantId, category, currency,
+     * from, to (YYYY-MM-DD), minAmount, maxAmount, q (search), cursor, pageSize
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
@@ -180,16 +286,31 @@ class PaymentController {
                 });
             }
 
-            const page = parseInt(req.query.page) || 1;
+            const { type, status, merchantId, category, currency, from, to, minAmount, maxAmount, q, cursor } = req.query;
+            const list = value => (typeof value === 'string' && value ? value.split(',').map(item => item.trim()) : []);
+            const text = value => (typeof value === 'string' && value ? value : null);
+            const amount = value => (value === undefined || value === '' ? null : Number(value));
             const pageSize = parseInt(req.query.pageSize) || 20;
 
             const result = await this.paymentService.getTransactionHistory(
                 userId,
-                page,
+                {
+                    types: list(type),
+                    statuses: list(status),
+                    merchantId: text(merchantId),
+                    category: text(category),
+                    currency: text(currency),
+                    fromDate: text(from),
+                    toDate: text(to),
+                    minAmount: amount(minAmount),
+                    maxAmount: amount(maxAmount),
+                    search: text(q)
+                },
+                text(cursor),
                 pageSize
             );
 
-            const statusCode = result.success ? 200 : 500;
+            const statusCode = result.success ? 200 : 400;
             return res.status(statusCode).json(result);
 
         } catch (error) {
@@ -209,7 +330,7 @@ class PaymentController {
     async paymentWithQR(req, res) {
         try {
             const userId = req.session?.userId;
-            const { qrData } = req.body;
+            const { qrData, amount } = req.body;
 
             if (!userId) {
                 return res.status(401).json({
@@ -225,7 +346,11 @@ class PaymentController {
                 });
             }
 
-            const result = await this.paymentService.processQRPayment(userId, qrData);
+            const result = await this.paymentService.processQRPayment(
+                userId,
+                qrData,
+                amount === undefined || amount === null ? null : parseFloat(amount)
+            );
 
             const statusCode = result.success ? 200 : 400;
             return res.status(statusCode).json(result);
@@ -240,11 +365,43 @@ class PaymentController {
     }
 
     /**
-     * Get QR code information by ID
+     * Get QR code information by ID or by scanned payload (EMV or JSON)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
     async getQRInfo(req, res) {
+        try {
+            const { qrId, qrData } = req.query;
+
+            if (!qrId && !qrData) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'QR ID veya QR kod verisi gereklidir'
+                });
+            }
+
+            const result = qrData
+                ? await this.qrCodeService.getScannedQRInfo(qrData)
+                : await this.qrCodeService.getQRInfo(qrId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get QR info controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the QR image of a payable code as SVG
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getQRImage(req, res) {
         try {
             const { qrId } = req.query;
 
@@ -255,22 +412,16 @@ class PaymentController {
                 });
             }
 
-            const qrInfo = this.paymentService.getQRCodeById(qrId);
+            const result = await this.qrCodeService.renderQRImage(qrId);
 
-            if (!qrInfo) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'QR kod bulunamadı'
-                });
+            if (!result.success) {
+                return res.status(404).json(result);
             }
 
-            return res.status(200).json({
-                success: true,
-                data: qrInfo
-            });
+            return res.type('image/svg+xml').send(result.data.svg);
 
         } catch (error) {
-            console.error('Get QR info controller error:', error);
+            console.error('Get QR image controller error:', error);
             return res.status(500).json({
                 success: false,
                 message: 'Sunucu hatası'
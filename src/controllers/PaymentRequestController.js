@@ -0,0 +1,175 @@
+/**
+ * Payment Request Controller
+ * Handles money request HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class PaymentRequestController {
+    constructor(paymentRequestService) {
+        this.paymentRequestService = paymentRequestService;
+    }
+
+    /**
+     * Ask another user for money
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createRequest(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { payerId, amount, currency = 'TRY', note = '' } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!payerId || !amount) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'İstenen kullanıcı ve tutar gereklidir'
+                });
+            }
+
+            const result = await this.paymentRequestService.createRequest(
+                userId,
+                payerId,
+                parseFloat(amount),
+                currency,
+                note
+            );
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Create payment request controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the requests the user was asked to pay
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getIncoming(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.paymentRequestService.getIncoming(userId, req.query.status || null);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get incoming payment requests controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the requests the user sent
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getOutgoing(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.paymentRequestService.getOutgoing(userId, req.query.status || null);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get outgoing payment requests controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Accept and pay a request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async acceptRequest(req, res) {
+        return this.resolveRequest(req, res, 'acceptRequest');
+    }
+
+    /**
+     * Decline a request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async declineRequest(req, res) {
+        return this.resolveRequest(req, res, 'declineRequest');
+    }
+
+    /**
+     * Cancel a sent request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async cancelRequest(req, res) {
+        return this.resolveRequest(req, res, 'cancelRequest');
+    }
+
+    /**
+     * Run a resolution of the service for the request in the path
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {string} method - PaymentRequestService method name
+     */
+    async resolveRequest(req, res, method) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.paymentRequestService[method](userId, req.params.requestId);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Resolve payment request controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = PaymentRequestController;
@@ -0,0 +1,179 @@
+/**
+ * Scheduled Payment Controller
+ * Handles standing order HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class ScheduledPaymentController {
+    constructor(scheduledPaymentService) {
+        this.scheduledPaymentService = scheduledPaymentService;
+    }
+
+    /**
+     * Create a scheduled transfer or merchant payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createSchedule(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { type, toUserId, merchantId, amount, currency = 'TRY', frequency, startAt, endAt, description } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!type || !amount || !frequency) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Talimat türü, tutar ve tekrar sıklığı gereklidir'
+                });
+            }
+
+            const result = await this.scheduledPaymentService.createSchedule(userId, {
+                type,
+                toUserId,
+                merchantId,
+                amount: parseFloat(amount),
+                currency,
+                frequency,
+                startAt,
+                endAt,
+                description
+            });
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Create scheduled payment controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the user's scheduled payments
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getSchedules(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.scheduledPaymentService.listSchedules(userId, req.query.status || null);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get scheduled payments controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the attempts of a scheduled payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getRuns(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.scheduledPaymentService.getRuns(userId, req.params.scheduleId);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get scheduled payment runs controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Pause a scheduled payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async pauseSchedule(req, res) {
+        return this.changeStatus(req, res, 'pauseSchedule');
+    }
+
+    /**
+     * Resume a paused scheduled payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async resumeSchedule(req, res) {
+        return this.changeStatus(req, res, 'resumeSchedule');
+    }
+
+    /**
+     * Cancel a scheduled payment
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async cancelSchedule(req, res) {
+        return this.changeStatus(req, res, 'cancelSchedule');
+    }
+
+    /**
+     * Run a status change of the service for the schedule in the path
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {string} method - ScheduledPaymentService method name
+     */
+    async changeStatus(req, res, method) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.scheduledPaymentService[method](userId, req.params.scheduleId);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Change scheduled payment controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = ScheduledPaymentController;
@@ -0,0 +1,181 @@
+/**
+ * TopUp Controller
+ * Handles top-up HTTP requests and funding provider callbacks
+ * Follows Single Responsibility Principle
+ */
+
+class TopUpController {
+    constructor(topUpService) {
+        this.topUpService = topUpService;
+    }
+
+    /**
+     * Start a top-up
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createTopUp(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { amount, currency = 'TRY', method, card = null, cardId = null, saveCard = false } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!amount || amount <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Geçerli bir tutar giriniz'
+                });
+            }
+
+            if (!method) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Yükleme yöntemi gereklidir'
+                });
+            }
+
+            const result = await this.topUpService.createTopUp(userId, {
+                amount: parseFloat(amount),
+                currency,
+                method,
+                card,
+                cardId,
+                saveCard: saveCard === true
+            });
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Create top-up controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Answer the 3-D Secure challenge of a card top-up
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async completeChallenge(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.topUpService.completeChallenge(userId, req.params.topupId, req.body.code);
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Complete challenge controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Receive a callback from a funding provider
+     * Authenticated by the provider's signature, not by a user session
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async handleCallback(req, res) {
+        try {
+            const result = await this.topUpService.handleCallback(
+                req.params.method,
+                req.body,
+                req.get('X-Signature')
+            );
+
+            const statusCode = result.success ? 200 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Top-up callback controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the user's top-ups
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listTopUps(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.topUpService.listTopUps(userId, req.query.status || null);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('List top-ups controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get one top-up of the user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getTopUp(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.topUpService.getTopUp(userId, req.params.topupId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get top-up controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = TopUpController;
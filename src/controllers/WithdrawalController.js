@@ -0,0 +1,209 @@
+/**
+ * Withdrawal Controller
+ * Handles bank account and withdrawal HTTP requests
+ * Follows Single Responsibility Principle
+ */
+
+class WithdrawalController {
+    constructor(withdrawalService) {
+        this.withdrawalService = withdrawalService;
+    }
+
+    /**
+     * Register a bank account
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async addBankAccount(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { iban, holderName = null } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!iban) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'IBAN gereklidir'
+                });
+            }
+
+            const result = await this.withdrawalService.addBankAccount(userId, iban, holderName);
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Add bank account controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the user's bank accounts
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listBankAccounts(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.withdrawalService.listBankAccounts(userId);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('List bank accounts controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Remove a bank account
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async removeBankAccount(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.withdrawalService.removeBankAccount(userId, req.params.accountId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Remove bank account controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Withdraw to a bank account
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async requestWithdrawal(req, res) {
+        try {
+            const userId = req.session?.userId;
+            const { bankAccountId, amount } = req.body;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            if (!bankAccountId || !amount) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Banka hesabı ve tutar gereklidir'
+                });
+            }
+
+            const result = await this.withdrawalService.requestWithdrawal(userId, bankAccountId, parseFloat(amount));
+
+            const statusCode = result.success ? 201 : 400;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Request withdrawal controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get the user's withdrawals
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listWithdrawals(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.withdrawalService.listWithdrawals(userId, req.query.status || null);
+
+            const statusCode = result.success ? 200 : 500;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('List withdrawals controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+
+    /**
+     * Get one withdrawal of the user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getWithdrawal(req, res) {
+        try {
+            const userId = req.session?.userId;
+
+            if (!userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Oturum açmanız gerekiyor'
+                });
+            }
+
+            const result = await this.withdrawalService.getWithdrawal(userId, req.params.withdrawalId);
+
+            const statusCode = result.success ? 200 : 404;
+            return res.status(statusCode).json(result);
+
+        } catch (error) {
+            console.error('Get withdrawal controller error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    }
+}
+
+module.exports = WithdrawalController;
@@ -14,6 +14,7 @@ class Database {
         }
 
         this.db = null;
+        this.transactionQueue = Promise.resolve();
         Database.instance = this;
     }
 
@@ -101,31 +102,65 @@ class Database {
 
     /**
      * Execute multiple statements in a transaction
-     * @param {Array} statements - Array of {sql, params} objects
+     * Transactions share one connection, so they are queued and run one at a time.
+     * A statement may declare `expectChanges`: if it changes a different number of
+     * rows (e.g. a guarded `UPDATE ... WHERE balance >= ?` matched nothing) the whole
+     * transaction is rolled back and rejected with an error carrying `errorCode`.
+     * @param {Array} statements - Array of {sql, params, expectChanges, errorCode} objects
      * @returns {Promise<Array>} Results array
      */
     async transaction(statements) {
+        const run = this.transactionQueue.then(() => this.executeTransaction(statements));
+        this.transactionQueue = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Run statements between BEGIN and COMMIT/ROLLBACK
+     * @param {Array} statements - Array of {sql, params, expectChanges, errorCode} objects
+     * @returns {Promise<Array>} Results array
+     */
+    async executeTransaction(statements) {
         return new Promise((resolve, reject) => {
             const db = this.db; // Capture reference before callbacks
 
             db.serialize(() => {
-                db.run('BEGIN TRANSACTION');
-
                 const results = [];
                 let completed = 0;
                 let hasError = false;
 
+                const fail = (err) => {
+                    if (hasError) return;
+                    hasError = true;
+                    db.run('ROLLBACK', () => {
+                        reject(err);
+                    });
+                };
+
+                db.run('BEGIN TRANSACTION', (err) => {
+                    if (err) {
+                        hasError = true;
+                        reject(err);
+                    }
+                });
+
                 for (let i = 0; i < statements.length; i++) {
-                    const { sql, params = [] } = statements[i];
+                    const { sql, params = [], expectChanges, errorCode } = statements[i];
 
                     db.run(sql, params, function (err) {
                         if (hasError) return; // Skip if already rolled back
 
                         if (err) {
-                            hasError = true;
-                            db.run('ROLLBACK', () => {
-                                reject(err);
-                            });
+                            fail(err);
+                            return;
+                        }
+
+                        if (expectChanges !== undefined && this.changes !== expectChanges) {
+                            const guardError = new Error(
+                                `Transaction guard failed: expected ${expectChanges} changed row(s), got ${this.changes}`
+                            );
+                            guardError.code = errorCode || 'TRANSACTION_GUARD_FAILED';
+                            fail(guardError);
                             return;
                         }
 
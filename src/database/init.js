@@ -6,31 +6,94 @@
 const fs = require('fs');
 const path = require('path');
 const Database = require('./Database');
+const { runPendingMigrations, markSchemaCurrent } = require('./migrations');
+const Money = require('../domain/Money');
+const QRCode = require('../domain/QRCode');
+const QRCodeRepository = require('../repositories/QRCodeRepository');
+const QRCodeService = require('../services/QRCodeService');
 
-async function initializeDatabase() {
-    try {
-        const db = new Database();
-        await db.connect();
+// Demo QR codes; reusable and without expiry unless noted (expiresIn in seconds from seeding)
+const DEMO_QR_CODES = [
+    { qrId: 'QR-M1-001', merchantId: 'M1', amount: 25.50, description: 'Kahve ve Kek' },
+    { qrId: 'QR-M1-002', merchantId: 'M1', amount: 12.75, description: 'Türk Kahvesi' },
+    { qrId: 'QR-M1-STATIC', merchantId: 'M1', amount: null, description: 'Kampüs Kafe kasa' },
+    { qrId: 'QR-M2-001', merchantId: 'M2', amount: 45.00, description: 'Market Alışverişi' },
+    { qrId: 'QR-M2-002', merchantId: 'M2', amount: 32.50, description: 'Atıştırmalık' },
+    { qrId: 'QR-12345', merchantId: 'M1', amount: 120.00, description: 'Özel Sipariş', expiresIn: 30 * 24 * 60 * 60 }
+];
 
-        // Read and execute schema
-        const schemaPath = path.join(__dirname, '../../database/schema.sql');
-        const schema = fs.readFileSync(schemaPath, 'utf8');
+/**
+ * Insert the demo QR codes, signed with the configured QR signing secret
+ * @param {Database} db - Database instance
+ */
+async function seedDemoQRCodes(db) {
+    const qrCodeService = new QRCodeService(new QRCodeRepository(db));
 
-        // Split schema into individual statements
-        const statements = schema.split(';')
-            .map(stmt => stmt.trim())
-            .filter(stmt => stmt.length > 0);
+    for (const demo of DEMO_QR_CODES) {
+        const qrCode = qrCodeService.signCode(new QRCode(
+            demo.qrId,
+            demo.merchantId,
+            demo.amount === null ? 'static' : 'dynamic',
+            demo.amount === null ? null : Money.fromMajor(demo.amount),
+            demo.description,
+            false,
+            demo.expiresIn ? new Date(Date.now() + demo.expiresIn * 1000) : null
+        ));
+        await qrCodeService.qrCodeRepository.createIfMissing(qrCode);
+    }
+}
+
+/**
+ * Bring a connected database to the current schema and seed the demo data
+ * Databases created by an older schema are migrated before schema.sql runs
+ * @param {Database} db - Connected database
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Log every executed statement
+ */
+async function applySchema(db, { verbose = true } = {}) {
+    const existing = await db.get(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'wallets'"
+    );
+
+    if (existing) {
+        const applied = await runPendingMigrations(db);
+        applied.forEach(name => console.log('Applied migration:', name));
+    }
 
-        // Execute each statement
-        for (const statement of statements) {
-            try {
-                await db.run(statement + ';');
+    // Read and execute schema
+    const schemaPath = path.join(__dirname, '../../database/schema.sql');
+    const schema = fs.readFileSync(schemaPath, 'utf8');
+
+    // Split schema into individual statements
+    const statements = schema.split(';')
+        .map(stmt => stmt.trim())
+        .filter(stmt => stmt.length > 0);
+
+    // Execute each statement
+    for (const statement of statements) {
+        try {
+            await db.run(statement + ';');
+            if (verbose) {
                 console.log('Executed:', statement.substring(0, 50) + '...');
-            } catch (error) {
-                console.error('Error executing statement:', statement.substring(0, 50));
-                console.error(error);
             }
+        } catch (error) {
+            console.error('Error executing statement:', statement.substring(0, 50));
+            console.error(error);
         }
+    }
+
+    if (!existing) {
+        await markSchemaCurrent(db);
+    }
+
+    await seedDemoQRCodes(db);
+}
+
+async function initializeDatabase() {
+    try {
+        const db = new Database();
+        await db.connect();
+        await applySchema(db);
 
         console.log('Database initialized successfully');
         await db.close();
@@ -46,4 +109,4 @@ if (require.main === module) {
     initializeDatabase();
 }
 
-module.exports = { initializeDatabase };
+module.exports = { initializeDatabase, applySchema };
@@ -0,0 +1,30 @@
+/**
+ * Migration 1: store money as integer minor units (kuruş)
+ * Existing REAL amounts are multiplied by 100 and rounded. Column declarations
+ * keep their NUMERIC affinity, which stores whole numbers as INTEGER.
+ */
+
+const MONEY_COLUMNS = [
+    { table: 'wallets', columns: ['balance'] },
+    { table: 'transactions', columns: ['amount'] },
+    { table: 'bill_splits', columns: ['total_amount', 'share_amount'] },
+    { table: 'budgets', columns: ['limit_amount', 'spent_amount'] },
+    { table: 'cashback_rules', columns: ['flat_amount', 'cap'] }
+];
+
+module.exports = {
+    version: 1,
+    name: 'money_minor_units',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return MONEY_COLUMNS.map(({ table, columns }) => ({
+            sql: `UPDATE ${table} SET ${columns
+                .map(column => `${column} = CAST(ROUND(${column} * 100) AS INTEGER)`)
+                .join(', ')}`
+        }));
+    }
+};
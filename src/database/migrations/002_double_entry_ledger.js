@@ -0,0 +1,72 @@
+/**
+ * Migration 2: double-entry ledger
+ * Creates the ledger tables (same definitions as schema.sql) and posts every
+ * existing wallet balance as an opening entry, so wallet accounts start out
+ * equal to wallets.balance.
+ */
+
+const Money = require('../../domain/Money');
+const JournalEntry = require('../../domain/JournalEntry');
+const LedgerAccount = require('../../domain/LedgerAccount');
+const LedgerRepository = require('../../repositories/LedgerRepository');
+
+const TABLES = [
+    `CREATE TABLE IF NOT EXISTS ledger_accounts (
+        account_id TEXT PRIMARY KEY,
+        account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'merchant', 'cashback_expense', 'topup_clearing', 'opening_balance')),
+        owner_id TEXT,
+        currency TEXT NOT NULL DEFAULT 'TRY',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS journal_entries (
+        entry_id TEXT PRIMARY KEY,
+        reference TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS ledger_postings (
+        entry_id TEXT NOT NULL,
+        line_no INTEGER NOT NULL,
+        account_id TEXT NOT NULL,
+        side TEXT NOT NULL CHECK (side IN ('debit', 'credit')),
+        amount INTEGER NOT NULL CHECK (amount > 0),
+        currency TEXT NOT NULL DEFAULT 'TRY',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (entry_id, line_no),
+        FOREIGN KEY (entry_id) REFERENCES journal_entries(entry_id),
+        FOREIGN KEY (account_id) REFERENCES ledger_accounts(account_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account_id)',
+    'CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries(reference)'
+];
+
+module.exports = {
+    version: 2,
+    name: 'double_entry_ledger',
+
+    /**
+     * Build the migration statements
+     * @param {Database} db - Database instance
+     * @returns {Promise<Array>} Statements for Database.transaction
+     */
+    async up(db) {
+        const ledgerRepository = new LedgerRepository(db);
+        const wallets = await db.query('SELECT user_id, balance, currency FROM wallets WHERE balance > 0');
+
+        const openingEntries = wallets.map(wallet => {
+            const currency = wallet.currency || 'TRY';
+            return ledgerRepository.entryOperations(JournalEntry.transfer(
+                `JE_OPENING_${wallet.user_id}`,
+                LedgerAccount.openingBalance(currency),
+                LedgerAccount.wallet(wallet.user_id, currency),
+                Money.fromMinor(wallet.balance, currency),
+                'Açılış bakiyesi'
+            ));
+        });
+
+        return [
+            ...TABLES.map(sql => ({ sql })),
+            ...openingEntries.flat()
+        ];
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Migration 3: balance adjustments
+ * Rebuilds the transactions table so its type CHECK accepts every type the
+ * Transaction model knows (including 'adjustment' entries written by the
+ * reconciliation job), and the ledger_accounts table so it accepts the
+ * reconciliation account.
+ */
+
+const { rebuildTableStatements } = require('./helpers');
+
+const TRANSACTIONS_TABLE = `CREATE TABLE transactions (
+    tx_id TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    user_id TEXT NOT NULL,
+    merchant_id TEXT,
+    amount INTEGER NOT NULL,
+    currency TEXT DEFAULT 'TRY',
+    type TEXT NOT NULL CHECK (type IN ('payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split', 'split_settlement', 'refund', 'adjustment')),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'ok', 'failed', 'cancelled')),
+    meta TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+)`;
+
+const LEDGER_ACCOUNTS_TABLE = `CREATE TABLE ledger_accounts (
+    account_id TEXT PRIMARY KEY,
+    account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'merchant', 'cashback_expense', 'topup_clearing', 'opening_balance', 'reconciliation')),
+    owner_id TEXT,
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+module.exports = {
+    version: 3,
+    name: 'balance_adjustments',
+    foreignKeys: false,
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            ...rebuildTableStatements(
+                'transactions',
+                TRANSACTIONS_TABLE,
+                ['tx_id', 'created_at', 'user_id', 'merchant_id', 'amount', 'currency', 'type', 'status', 'meta'],
+                [
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type)'
+                ]
+            ),
+            ...rebuildTableStatements(
+                'ledger_accounts',
+                LEDGER_ACCOUNTS_TABLE,
+                ['account_id', 'account_type', 'owner_id', 'currency', 'created_at']
+            )
+        ];
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * Migration 4: refunds
+ * Rebuilds the transactions table so its type CHECK accepts
+ * 'cashback_reversal', and indexes meta.original_tx_id, which links refunds
+ * and cashback to the payment they belong to.
+ */
+
+const { rebuildTableStatements } = require('./helpers');
+
+const TRANSACTIONS_TABLE = `CREATE TABLE transactions (
+    tx_id TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    user_id TEXT NOT NULL,
+    merchant_id TEXT,
+    amount INTEGER NOT NULL,
+    currency TEXT DEFAULT 'TRY',
+    type TEXT NOT NULL CHECK (type IN ('payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split', 'split_settlement', 'refund', 'cashback_reversal', 'adjustment')),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'ok', 'failed', 'cancelled')),
+    meta TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+)`;
+
+module.exports = {
+    version: 4,
+    name: 'refunds',
+    foreignKeys: false,
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return rebuildTableStatements(
+            'transactions',
+            TRANSACTIONS_TABLE,
+            ['tx_id', 'created_at', 'user_id', 'merchant_id', 'amount', 'currency', 'type', 'status', 'meta'],
+            [
+                'CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id)',
+                'CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at)',
+                'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type)',
+                "CREATE INDEX IF NOT EXISTS idx_transactions_original_tx ON transactions(json_extract(meta, '$.original_tx_id'))"
+            ]
+        );
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migration 5: payment holds
+ * Adds wallets.held_amount, the part of a balance reserved by authorized
+ * payments, and the payment_holds table (same definition as schema.sql).
+ */
+
+module.exports = {
+    version: 5,
+    name: 'payment_holds',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            { sql: 'ALTER TABLE wallets ADD COLUMN held_amount INTEGER DEFAULT 0' },
+            {
+                sql: `CREATE TABLE IF NOT EXISTS payment_holds (
+                    tx_id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    merchant_id TEXT NOT NULL,
+                    amount INTEGER NOT NULL CHECK (amount > 0),
+                    currency TEXT NOT NULL DEFAULT 'TRY',
+                    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'captured', 'voided', 'expired')),
+                    captured_amount INTEGER,
+                    expires_at DATETIME NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    resolved_at DATETIME,
+                    FOREIGN KEY (tx_id) REFERENCES transactions(tx_id),
+                    FOREIGN KEY (user_id) REFERENCES users(user_id),
+                    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_payment_holds_user ON payment_holds(user_id, status)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_payment_holds_expiry ON payment_holds(status, expires_at)' }
+        ];
+    }
+};
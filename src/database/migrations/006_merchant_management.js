@@ -0,0 +1,24 @@
+/**
+ * Migration 6: merchant management
+ * Adds the active flag and timestamps to merchants. Existing merchants stay
+ * active and get the migration time as their creation time.
+ */
+
+module.exports = {
+    version: 6,
+    name: 'merchant_management',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            { sql: 'ALTER TABLE merchants ADD COLUMN active BOOLEAN DEFAULT TRUE' },
+            { sql: 'ALTER TABLE merchants ADD COLUMN created_at DATETIME' },
+            { sql: 'ALTER TABLE merchants ADD COLUMN updated_at DATETIME' },
+            { sql: 'UPDATE merchants SET created_at = CURRENT_TIMESTAMP WHERE created_at IS NULL' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_merchants_category ON merchants(category)' }
+        ];
+    }
+};
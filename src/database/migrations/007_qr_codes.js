@@ -0,0 +1,37 @@
+/**
+ * Migration 7: QR codes
+ * Creates the qr_codes table (same definition as schema.sql). The demo codes
+ * are signed and inserted by init.js, which also runs for migrated databases.
+ */
+
+module.exports = {
+    version: 7,
+    name: 'qr_codes',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS qr_codes (
+                    qr_id TEXT PRIMARY KEY,
+                    merchant_id TEXT NOT NULL,
+                    type TEXT NOT NULL CHECK (type IN ('static', 'dynamic')),
+                    amount INTEGER CHECK (amount IS NULL OR amount > 0),
+                    currency TEXT NOT NULL DEFAULT 'TRY',
+                    description TEXT,
+                    single_use BOOLEAN DEFAULT FALSE,
+                    expires_at DATETIME,
+                    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'consumed', 'revoked')),
+                    signature TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    consumed_at DATETIME,
+                    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_qr_codes_merchant ON qr_codes(merchant_id, status)' }
+        ];
+    }
+};
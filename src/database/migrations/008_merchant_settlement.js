@@ -0,0 +1,68 @@
+/**
+ * Migration 8: merchant settlement
+ * Adds the per-merchant MDR rate, the settlement batch and payout tables (same
+ * definitions as schema.sql) and rebuilds ledger_accounts so it accepts the
+ * MDR revenue and merchant payout accounts.
+ */
+
+const { rebuildTableStatements } = require('./helpers');
+
+const LEDGER_ACCOUNTS_TABLE = `CREATE TABLE ledger_accounts (
+    account_id TEXT PRIMARY KEY,
+    account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'merchant', 'cashback_expense', 'topup_clearing', 'opening_balance', 'reconciliation', 'mdr_revenue', 'merchant_payout')),
+    owner_id TEXT,
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+module.exports = {
+    version: 8,
+    name: 'merchant_settlement',
+    foreignKeys: false,
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            { sql: 'ALTER TABLE merchants ADD COLUMN mdr_bps INTEGER' },
+            ...rebuildTableStatements(
+                'ledger_accounts',
+                LEDGER_ACCOUNTS_TABLE,
+                ['account_id', 'account_type', 'owner_id', 'currency', 'created_at']
+            ),
+            {
+                sql: `CREATE TABLE IF NOT EXISTS settlement_batches (
+                    batch_id TEXT PRIMARY KEY,
+                    settlement_date TEXT NOT NULL UNIQUE,
+                    previous_date TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )`
+            },
+            {
+                sql: `CREATE TABLE IF NOT EXISTS merchant_payouts (
+                    payout_id TEXT PRIMARY KEY,
+                    batch_id TEXT NOT NULL,
+                    merchant_id TEXT NOT NULL,
+                    currency TEXT NOT NULL DEFAULT 'TRY',
+                    opening_balance INTEGER NOT NULL DEFAULT 0,
+                    gross_amount INTEGER NOT NULL DEFAULT 0,
+                    refund_amount INTEGER NOT NULL DEFAULT 0,
+                    mdr_bps INTEGER NOT NULL,
+                    fee_amount INTEGER NOT NULL DEFAULT 0,
+                    net_amount INTEGER NOT NULL,
+                    payout_amount INTEGER NOT NULL CHECK (payout_amount >= 0),
+                    payment_count INTEGER NOT NULL DEFAULT 0,
+                    refund_count INTEGER NOT NULL DEFAULT 0,
+                    status TEXT NOT NULL CHECK (status IN ('pending', 'carried')),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (batch_id, merchant_id, currency),
+                    FOREIGN KEY (batch_id) REFERENCES settlement_batches(batch_id),
+                    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_merchant_payouts_merchant ON merchant_payouts(merchant_id)' }
+        ];
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration 9: Merchant credentials
+ * Creates the merchant_credentials table (same definition as schema.sql) used
+ * by merchant dashboard logins, and indexes transactions by merchant for the
+ * dashboard reports. The demo merchant PINs are seeded by schema.sql.
+ */
+
+module.exports = {
+    version: 9,
+    name: 'merchant_credentials',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS merchant_credentials (
+                    merchant_id TEXT PRIMARY KEY,
+                    pin_hash TEXT NOT NULL,
+                    pin_salt TEXT NOT NULL,
+                    failed_attempts INTEGER DEFAULT 0,
+                    first_failed_at DATETIME,
+                    locked_until DATETIME,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_id, created_at)' }
+        ];
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Migration 10: multi-currency wallets
+ * Rebuilds wallets with a (user_id, currency) key so a user can hold one
+ * wallet per currency, transactions so its type CHECK accepts the two sides
+ * of a currency exchange, and ledger_accounts so it accepts the FX position
+ * accounts.
+ */
+
+const { rebuildTableStatements } = require('./helpers');
+
+const WALLETS_TABLE = `CREATE TABLE wallets (
+    user_id TEXT NOT NULL,
+    balance INTEGER DEFAULT 0,
+    held_amount INTEGER DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, currency),
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+)`;
+
+const TRANSACTIONS_TABLE = `CREATE TABLE transactions (
+    tx_id TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    user_id TEXT NOT NULL,
+    merchant_id TEXT,
+    amount INTEGER NOT NULL,
+    currency TEXT DEFAULT 'TRY',
+    type TEXT NOT NULL CHECK (type IN ('payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split', 'split_settlement', 'refund', 'cashback_reversal', 'adjustment', 'exchange_out', 'exchange_in')),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'ok', 'failed', 'cancelled')),
+    meta TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+)`;
+
+const LEDGER_ACCOUNTS_TABLE = `CREATE TABLE ledger_accounts (
+    account_id TEXT PRIMARY KEY,
+    account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'merchant', 'cashback_expense', 'topup_clearing', 'opening_balance', 'reconciliation', 'mdr_revenue', 'merchant_payout', 'fx_position')),
+    owner_id TEXT,
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+module.exports = {
+    version: 10,
+    name: 'multi_currency_wallets',
+    foreignKeys: false,
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            { sql: "UPDATE wallets SET currency = 'TRY' WHERE currency IS NULL" },
+            ...rebuildTableStatements(
+                'wallets',
+                WALLETS_TABLE,
+                ['user_id', 'balance', 'held_amount', 'currency', 'updated_at']
+            ),
+            ...rebuildTableStatements(
+                'transactions',
+                TRANSACTIONS_TABLE,
+                ['tx_id', 'created_at', 'user_id', 'merchant_id', 'amount', 'currency', 'type', 'status', 'meta'],
+                [
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_id, created_at)',
+                    "CREATE INDEX IF NOT EXISTS idx_transactions_original_tx ON transactions(json_extract(meta, '$.original_tx_id'))"
+                ]
+            ),
+            ...rebuildTableStatements(
+                'ledger_accounts',
+                LEDGER_ACCOUNTS_TABLE,
+                ['account_id', 'account_type', 'owner_id', 'currency', 'created_at']
+            )
+        ];
+    }
+};
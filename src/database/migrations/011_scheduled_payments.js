@@ -0,0 +1,62 @@
+/**
+ * Migration 11: scheduled payments
+ * Creates the scheduled_payments and scheduled_payment_runs tables (same
+ * definitions as schema.sql) used by standing orders.
+ */
+
+module.exports = {
+    version: 11,
+    name: 'scheduled_payments',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS scheduled_payments (
+                    schedule_id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    type TEXT NOT NULL CHECK (type IN ('transfer', 'payment')),
+                    to_user_id TEXT,
+                    merchant_id TEXT,
+                    amount INTEGER NOT NULL CHECK (amount > 0),
+                    currency TEXT NOT NULL DEFAULT 'TRY',
+                    description TEXT,
+                    frequency TEXT NOT NULL CHECK (frequency IN ('once', 'daily', 'weekly', 'monthly')),
+                    start_at DATETIME NOT NULL,
+                    end_at DATETIME,
+                    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled', 'completed')),
+                    run_count INTEGER NOT NULL DEFAULT 0,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at DATETIME NOT NULL,
+                    last_run_at DATETIME,
+                    last_error TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(user_id),
+                    FOREIGN KEY (to_user_id) REFERENCES users(user_id),
+                    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+                )`
+            },
+            {
+                sql: `CREATE TABLE IF NOT EXISTS scheduled_payment_runs (
+                    run_id TEXT PRIMARY KEY,
+                    schedule_id TEXT NOT NULL,
+                    occurrence INTEGER NOT NULL,
+                    scheduled_for DATETIME NOT NULL,
+                    attempt INTEGER NOT NULL,
+                    status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+                    tx_id TEXT,
+                    error_message TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (schedule_id) REFERENCES scheduled_payments(schedule_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_scheduled_payments_user ON scheduled_payments(user_id)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_scheduled_payments_due ON scheduled_payments(status, next_attempt_at)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_scheduled_payment_runs_schedule ON scheduled_payment_runs(schedule_id, created_at)' }
+        ];
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migration 12: payment requests
+ * Creates the payment_requests table (same definition as schema.sql) used by
+ * money requests between users.
+ */
+
+module.exports = {
+    version: 12,
+    name: 'payment_requests',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS payment_requests (
+                    request_id TEXT PRIMARY KEY,
+                    requester_id TEXT NOT NULL,
+                    payer_id TEXT NOT NULL,
+                    amount INTEGER NOT NULL CHECK (amount > 0),
+                    currency TEXT NOT NULL DEFAULT 'TRY',
+                    note TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired')),
+                    tx_id TEXT,
+                    expires_at DATETIME NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    resolved_at DATETIME,
+                    FOREIGN KEY (requester_id) REFERENCES users(user_id),
+                    FOREIGN KEY (payer_id) REFERENCES users(user_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_payment_requests_payer ON payment_requests(payer_id, status)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_payment_requests_requester ON payment_requests(requester_id, status)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_payment_requests_expiry ON payment_requests(status, expires_at)' }
+        ];
+    }
+};
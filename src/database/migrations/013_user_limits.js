@@ -0,0 +1,31 @@
+/**
+ * Migration 13: user limits
+ * Creates the user_limits table (same definition as schema.sql) holding the
+ * transaction limits users lowered for themselves.
+ */
+
+module.exports = {
+    version: 13,
+    name: 'user_limits',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS user_limits (
+                    user_id TEXT NOT NULL,
+                    type TEXT NOT NULL CHECK (type IN ('transfer_out', 'payment', 'topup')),
+                    per_transaction INTEGER CHECK (per_transaction > 0),
+                    daily INTEGER CHECK (daily > 0),
+                    monthly INTEGER CHECK (monthly > 0),
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, type),
+                    FOREIGN KEY (user_id) REFERENCES users(user_id)
+                )`
+            }
+        ];
+    }
+};
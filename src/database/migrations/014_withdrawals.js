@@ -0,0 +1,97 @@
+/**
+ * Migration 14: withdrawals
+ * Rebuilds transactions so its type CHECK accepts withdrawals and
+ * ledger_accounts so it accepts the withdrawal clearing account, then creates
+ * the bank_accounts and withdrawals tables (same definitions as schema.sql).
+ */
+
+const { rebuildTableStatements } = require('./helpers');
+
+const TRANSACTIONS_TABLE = `CREATE TABLE transactions (
+    tx_id TEXT PRIMARY KEY,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    user_id TEXT NOT NULL,
+    merchant_id TEXT,
+    amount INTEGER NOT NULL,
+    currency TEXT DEFAULT 'TRY',
+    type TEXT NOT NULL CHECK (type IN ('payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split', 'split_settlement', 'refund', 'cashback_reversal', 'adjustment', 'exchange_out', 'exchange_in', 'withdrawal')),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'ok', 'failed', 'cancelled')),
+    meta TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants(merchant_id)
+)`;
+
+const LEDGER_ACCOUNTS_TABLE = `CREATE TABLE ledger_accounts (
+    account_id TEXT PRIMARY KEY,
+    account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'merchant', 'cashback_expense', 'topup_clearing', 'opening_balance', 'reconciliation', 'mdr_revenue', 'merchant_payout', 'fx_position', 'withdrawal_clearing')),
+    owner_id TEXT,
+    currency TEXT NOT NULL DEFAULT 'TRY',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+module.exports = {
+    version: 14,
+    name: 'withdrawals',
+    foreignKeys: false,
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            ...rebuildTableStatements(
+                'transactions',
+                TRANSACTIONS_TABLE,
+                ['tx_id', 'created_at', 'user_id', 'merchant_id', 'amount', 'currency', 'type', 'status', 'meta'],
+                [
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type)',
+                    'CREATE INDEX IF NOT EXISTS idx_transactions_merchant ON transactions(merchant_id, created_at)',
+                    "CREATE INDEX IF NOT EXISTS idx_transactions_original_tx ON transactions(json_extract(meta, '$.original_tx_id'))"
+                ]
+            ),
+            ...rebuildTableStatements(
+                'ledger_accounts',
+                LEDGER_ACCOUNTS_TABLE,
+                ['account_id', 'account_type', 'owner_id', 'currency', 'created_at']
+            ),
+            {
+                sql: `CREATE TABLE IF NOT EXISTS bank_accounts (
+                    account_id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    iban TEXT NOT NULL,
+                    holder_name TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(user_id)
+                )`
+            },
+            {
+                sql: `CREATE TABLE IF NOT EXISTS withdrawals (
+                    withdrawal_id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    tx_id TEXT NOT NULL UNIQUE,
+                    bank_account_id TEXT NOT NULL,
+                    iban TEXT NOT NULL,
+                    holder_name TEXT NOT NULL,
+                    amount INTEGER NOT NULL CHECK (amount > 0),
+                    currency TEXT NOT NULL DEFAULT 'TRY',
+                    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+                    bank_reference TEXT,
+                    failure_reason TEXT,
+                    submitted_at DATETIME,
+                    resolved_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(user_id),
+                    FOREIGN KEY (tx_id) REFERENCES transactions(tx_id),
+                    FOREIGN KEY (bank_account_id) REFERENCES bank_accounts(account_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_bank_accounts_user ON bank_accounts(user_id, status)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_withdrawals_user ON withdrawals(user_id, created_at)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_withdrawals_open ON withdrawals(status, created_at)' }
+        ];
+    }
+};
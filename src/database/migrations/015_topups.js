@@ -0,0 +1,40 @@
+/**
+ * Migration 15: top-ups
+ * Creates the topups table (same definition as schema.sql) tracking wallet
+ * loads until their funding provider settles them.
+ */
+
+module.exports = {
+    version: 15,
+    name: 'topups',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS topups (
+                    topup_id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    tx_id TEXT NOT NULL UNIQUE,
+                    method TEXT NOT NULL CHECK (method IN ('card', 'bank_transfer', 'cash_in')),
+                    amount INTEGER NOT NULL CHECK (amount > 0),
+                    currency TEXT NOT NULL DEFAULT 'TRY',
+                    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('requires_action', 'pending', 'completed', 'failed')),
+                    provider_reference TEXT,
+                    details TEXT,
+                    failure_reason TEXT,
+                    resolved_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(user_id),
+                    FOREIGN KEY (tx_id) REFERENCES transactions(tx_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_topups_user ON topups(user_id, created_at)' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_topups_open ON topups(status, created_at)' },
+            { sql: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_topups_reference ON topups(method, provider_reference)' }
+        ];
+    }
+};
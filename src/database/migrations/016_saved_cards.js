@@ -0,0 +1,36 @@
+/**
+ * Migration 16: saved cards
+ * Creates the saved_cards table (same definition as schema.sql) holding the
+ * card gateway tokens of the cards users keep for top-ups.
+ */
+
+module.exports = {
+    version: 16,
+    name: 'saved_cards',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS saved_cards (
+                    card_id TEXT PRIMARY KEY,
+                    user_id TEXT NOT NULL,
+                    token TEXT NOT NULL,
+                    brand TEXT NOT NULL,
+                    last4 TEXT NOT NULL,
+                    expiry_month INTEGER NOT NULL CHECK (expiry_month BETWEEN 1 AND 12),
+                    expiry_year INTEGER NOT NULL,
+                    is_default INTEGER NOT NULL DEFAULT 0 CHECK (is_default IN (0, 1)),
+                    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'removed')),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(user_id)
+                )`
+            },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_saved_cards_user ON saved_cards(user_id, status)' },
+            { sql: 'CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_cards_default ON saved_cards(user_id) WHERE is_default = 1' }
+        ];
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 17: transaction history index
+ * Adds the index the transaction history pages through, newest first with
+ * the transaction ID breaking ties (same definition as schema.sql).
+ */
+
+module.exports = {
+    version: 17,
+    name: 'transaction_history_index',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_transactions_user_history ON transactions(user_id, created_at, tx_id)' }
+        ];
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Migration 18: idempotency key scopes
+ * Rebuilds idempotency_keys with a scope column in place of user_id so
+ * admin API calls can reserve keys too; user keys keep the user ID as scope.
+ * The user-keyed table was only ever created by schema.sql, so databases
+ * from before it get an empty one to copy from.
+ */
+
+const LEGACY_IDEMPOTENCY_KEYS_TABLE = `CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER,
+    response_body TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    PRIMARY KEY (user_id, idempotency_key)
+)`;
+
+const IDEMPOTENCY_KEYS_TABLE = `CREATE TABLE idempotency_keys_rebuild (
+    scope TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status_code INTEGER,
+    response_body TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    PRIMARY KEY (scope, idempotency_key)
+)`;
+
+const COLUMNS = ['idempotency_key', 'method', 'path', 'request_hash', 'status_code', 'response_body', 'created_at', 'expires_at'];
+
+module.exports = {
+    version: 18,
+    name: 'idempotency_key_scopes',
+    foreignKeys: false,
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            { sql: LEGACY_IDEMPOTENCY_KEYS_TABLE },
+            { sql: IDEMPOTENCY_KEYS_TABLE },
+            {
+                sql: `INSERT INTO idempotency_keys_rebuild (scope, ${COLUMNS.join(', ')})
+                      SELECT user_id, ${COLUMNS.join(', ')} FROM idempotency_keys`
+            },
+            { sql: 'DROP TABLE idempotency_keys' },
+            { sql: 'ALTER TABLE idempotency_keys_rebuild RENAME TO idempotency_keys' },
+            { sql: 'CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at)' }
+        ];
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 19: limit usage counters
+ * Creates the limit_usage table (same definition as schema.sql). Counters
+ * start from the transactions of their period the first time they are used,
+ * so nothing is backfilled.
+ */
+
+module.exports = {
+    version: 19,
+    name: 'limit_usage',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS limit_usage (
+                    user_id TEXT NOT NULL,
+                    type TEXT NOT NULL CHECK (type IN ('transfer_out', 'payment', 'topup')),
+                    period TEXT NOT NULL,
+                    used INTEGER NOT NULL DEFAULT 0 CHECK (used >= 0),
+                    PRIMARY KEY (user_id, type, period),
+                    FOREIGN KEY (user_id) REFERENCES users(user_id)
+                )`
+            }
+        ];
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migration 20: cashback awards
+ * Creates the cashback_awards table (same definition as schema.sql) that
+ * keeps first-time-only cashback to one award per user and rule, and records
+ * the awards already paid.
+ */
+
+module.exports = {
+    version: 20,
+    name: 'cashback_awards',
+
+    /**
+     * Build the migration statements
+     * @returns {Array} Statements for Database.transaction
+     */
+    up() {
+        return [
+            {
+                sql: `CREATE TABLE IF NOT EXISTS cashback_awards (
+                    user_id TEXT NOT NULL,
+                    rule_id TEXT NOT NULL,
+                    tx_id TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, rule_id),
+                    FOREIGN KEY (user_id) REFERENCES users(user_id),
+                    FOREIGN KEY (rule_id) REFERENCES cashback_rules(rule_id)
+                )`
+            },
+            {
+                sql: `INSERT OR IGNORE INTO cashback_awards (user_id, rule_id, tx_id, created_at)
+                      SELECT t.user_id, r.rule_id, t.tx_id, t.created_at
+                      FROM transactions t
+                      JOIN cashback_rules r ON r.rule_id = json_extract(t.meta, '$.rule_id')
+                      WHERE t.type = 'cashback' AND r.first_time_only = 1
+                      ORDER BY t.created_at`
+            }
+        ];
+    }
+};
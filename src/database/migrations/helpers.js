@@ -0,0 +1,31 @@
+/**
+ * Migration Helpers
+ * SQLite cannot alter a CHECK constraint in place, so such changes rebuild
+ * the table: create the new definition, copy the rows, swap the tables and
+ * recreate the indexes. Migrations using this must set `foreignKeys: false`.
+ */
+
+/**
+ * Build the statements that rebuild a table with a new definition
+ * @param {string} table - Table name
+ * @param {string} createSql - CREATE TABLE statement for `table`
+ * @param {Array<string>} columns - Columns copied from the old table
+ * @param {Array<string>} indexes - CREATE INDEX statements to recreate
+ * @returns {Array<Object>} Statements for Database.transaction
+ */
+function rebuildTableStatements(table, createSql, columns, indexes = []) {
+    const temporary = `${table}_rebuild`;
+    const columnList = columns.join(', ');
+
+    return [
+        { sql: createSql.replace(`CREATE TABLE ${table}`, `CREATE TABLE ${temporary}`) },
+        { sql: `INSERT INTO ${temporary} (${columnList}) SELECT ${columnList} FROM ${table}` },
+        { sql: `DROP TABLE ${table}` },
+        { sql: `ALTER TABLE ${temporary} RENAME TO ${table}` },
+        ...indexes.map(sql => ({ sql }))
+    ];
+}
+
+module.exports = {
+    rebuildTableStatements
+};
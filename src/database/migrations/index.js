@@ -0,0 +1,94 @@
+/**
+ * Schema Migrations
+ * Upgrades databases created by an older schema.sql. The applied version is
+ * kept in PRAGMA user_version. Fresh databases are created from schema.sql
+ * and marked as current without running migrations.
+ */
+
+const migrations = [
+    require('./001_money_minor_units'),
+    require('./002_double_entry_ledger'),
+    require('./003_balance_adjustments'),
+    require('./004_refunds'),
+    require('./005_payment_holds'),
+    require('./006_merchant_management'),
+    require('./007_qr_codes'),
+    require('./008_merchant_settlement'),
+    require('./009_merchant_credentials'),
+    require('./010_multi_currency_wallets'),
+    require('./011_scheduled_payments'),
+    require('./012_payment_requests'),
+    require('./013_user_limits'),
+    require('./014_withdrawals'),
+    require('./015_topups'),
+    require('./016_saved_cards'),
+    require('./017_transaction_history_index'),
+    require('./018_idempotency_key_scopes'),
+    require('./019_limit_usage'),
+    require('./020_cashback_awards')
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Get the schema version of a database
+ * @param {Database} db - Database instance
+ * @returns {Promise<number>} Applied migration version
+ */
+async function getSchemaVersion(db) {
+    const row = await db.get('PRAGMA user_version');
+    return row ? row.user_version : 0;
+}
+
+/**
+ * Apply pending migrations, each in its own transaction
+ * Migrations that rebuild tables declare `foreignKeys: false`; enforcement is
+ * switched off around them because the pragma cannot change inside a transaction
+ * @param {Database} db - Database instance
+ * @returns {Promise<Array<string>>} Names of applied migrations
+ */
+async function runPendingMigrations(db) {
+    const current = await getSchemaVersion(db);
+    const applied = [];
+
+    for (const migration of migrations) {
+        if (migration.version <= current) {
+            continue;
+        }
+
+        if (migration.foreignKeys === false) {
+            await db.run('PRAGMA foreign_keys = OFF');
+        }
+
+        try {
+            const statements = await migration.up(db);
+            await db.transaction([
+                ...statements,
+                { sql: `PRAGMA user_version = ${migration.version}` }
+            ]);
+        } finally {
+            if (migration.foreignKeys === false) {
+                await db.run('PRAGMA foreign_keys = ON');
+            }
+        }
+
+        applied.push(`${migration.version}_${migration.name}`);
+    }
+
+    return applied;
+}
+
+/**
+ * Mark a freshly created database as up to date
+ * @param {Database} db - Database instance
+ */
+async function markSchemaCurrent(db) {
+    await db.run(`PRAGMA user_version = ${LATEST_VERSION}`);
+}
+
+module.exports = {
+    LATEST_VERSION,
+    getSchemaVersion,
+    runPendingMigrations,
+    markSchemaCurrent
+};
@@ -0,0 +1,89 @@
+/**
+ * BankAccount Domain Model
+ * A user's Turkish bank account that withdrawals are paid to
+ * Follows Single Responsibility Principle
+ */
+
+const Iban = require('./Iban');
+
+const ACCOUNT_STATUSES = ['active', 'removed'];
+
+class BankAccount {
+    constructor(accountId, userId, iban, holderName, status = 'active', createdAt = new Date()) {
+        this.accountId = accountId;
+        this.userId = userId;
+        this.iban = iban;
+        this.holderName = holderName;
+        this.status = status;
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate account data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.accountId || typeof this.accountId !== 'string') {
+            throw new Error('Account ID is required and must be a string');
+        }
+
+        if (!this.userId || typeof this.userId !== 'string') {
+            throw new Error('User ID is required and must be a string');
+        }
+
+        if (!(this.iban instanceof Iban)) {
+            throw new Error('IBAN must be an Iban instance');
+        }
+
+        if (!this.holderName || typeof this.holderName !== 'string') {
+            throw new Error('Account holder name is required and must be a string');
+        }
+
+        if (!ACCOUNT_STATUSES.includes(this.status)) {
+            throw new Error('Invalid bank account status');
+        }
+    }
+
+    /**
+     * Check if withdrawals can be paid to the account
+     * @returns {boolean} True if active
+     */
+    isActive() {
+        return this.status === 'active';
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            account_id: this.accountId,
+            user_id: this.userId,
+            iban: this.iban.toString(),
+            holder_name: this.holderName,
+            status: this.status,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create BankAccount from database row
+     * @param {Object} row - Database row
+     * @returns {BankAccount} BankAccount instance
+     */
+    static fromRow(row) {
+        return new BankAccount(
+            row.account_id,
+            row.user_id,
+            new Iban(row.iban),
+            row.holder_name,
+            row.status,
+            new Date(row.created_at)
+        );
+    }
+}
+
+module.exports = BankAccount;
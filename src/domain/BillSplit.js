@@ -4,6 +4,12 @@
  * Follows Single Responsibility Principle
  */
 
+const crypto = require('crypto');
+const Money = require('./Money');
+
+// Who pays the kuruş left over when a bill does not divide evenly
+const REMAINDER_POLICIES = ['payer', 'first_debtor', 'random_debtor'];
+
 class BillSplit {
     constructor(splitId, txId, payerUserId, debtorUserId, totalAmount, shareAmount, weight = 1.0, status = 'pending', createdAt = new Date(), settledAt = null) {
         this.splitId = splitId;
@@ -41,15 +47,15 @@ class BillSplit {
             throw new Error('Payer and debtor cannot be the same user');
         }
 
-        if (!this.totalAmount || typeof this.totalAmount !== 'number' || this.totalAmount <= 0) {
-            throw new Error('Total amount must be a positive number');
+        if (!(this.totalAmount instanceof Money) || !this.totalAmount.isPositive()) {
+            throw new Error('Total amount must be a positive Money amount');
         }
 
-        if (!this.shareAmount || typeof this.shareAmount !== 'number' || this.shareAmount <= 0) {
-            throw new Error('Share amount must be a positive number');
+        if (!(this.shareAmount instanceof Money) || !this.shareAmount.isPositive()) {
+            throw new Error('Share amount must be a positive Money amount');
         }
 
-        if (this.shareAmount > this.totalAmount) {
+        if (this.shareAmount.greaterThan(this.totalAmount)) {
             throw new Error('Share amount cannot exceed total amount');
         }
 
@@ -103,6 +109,14 @@ class BillSplit {
         return this.status === 'pending';
     }
 
+    /**
+     * Check if bill split is cancelled
+     * @returns {boolean} True if cancelled
+     */
+    isCancelled() {
+        return this.status === 'cancelled';
+    }
+
     /**
      * Convert to plain object for database storage
      * @returns {Object} Plain object representation
@@ -113,8 +127,8 @@ class BillSplit {
             tx_id: this.txId,
             payer_user_id: this.payerUserId,
             debtor_user_id: this.debtorUserId,
-            total_amount: this.totalAmount,
-            share_amount: this.shareAmount,
+            total_amount: this.totalAmount.minor,
+            share_amount: this.shareAmount.minor,
             weight: this.weight,
             status: this.status,
             created_at: this.createdAt.toISOString(),
@@ -133,8 +147,8 @@ class BillSplit {
             row.tx_id,
             row.payer_user_id,
             row.debtor_user_id,
-            parseFloat(row.total_amount),
-            parseFloat(row.share_amount),
+            Money.fromMinor(row.total_amount),
+            Money.fromMinor(row.share_amount),
             parseFloat(row.weight),
             row.status,
             new Date(row.created_at),
@@ -143,32 +157,77 @@ class BillSplit {
     }
 
     /**
-     * Calculate equal split amounts for users
-     * @param {number} totalAmount - Total amount to split
-     * @param {Array<string>} userIds - Array of user IDs
-     * @returns {Array<Object>} Array of split objects
+     * Check if a remainder policy is valid
+     * @param {string} policy - Remainder policy
+     * @returns {boolean} True if valid
      */
-    static calculateEqualSplit(totalAmount, userIds) {
-        if (!userIds || userIds.length === 0) {
+    static isValidRemainderPolicy(policy) {
+        return REMAINDER_POLICIES.includes(policy);
+    }
+
+    /**
+     * Pick the debtor who absorbs the remainder
+     * @param {string} policy - Remainder policy
+     * @param {number} debtorCount - Number of debtors
+     * @returns {number|null} Debtor index, or null when the payer absorbs it
+     */
+    static pickRemainderDebtor(policy, debtorCount) {
+        switch (policy) {
+            case 'payer':
+                return null;
+            case 'first_debtor':
+                return 0;
+            case 'random_debtor':
+                return crypto.randomInt(debtorCount);
+            default:
+                throw new Error('Invalid remainder policy');
+        }
+    }
+
+    /**
+     * Calculate equal split amounts for the payer and debtors
+     * Every share is rounded down and the absorber takes all leftover kuruş,
+     * so shares always add up to the total
+     * @param {Money} totalAmount - Total amount to split
+     * @param {string} payerUserId - User who paid the bill
+     * @param {Array<string>} debtorUserIds - Array of debtor user IDs
+     * @param {string} remainderPolicy - Who absorbs leftover kuruş
+     * @returns {Object} {payerShare, shares}
+     */
+    static calculateEqualSplit(totalAmount, payerUserId, debtorUserIds, remainderPolicy = 'payer') {
+        if (!debtorUserIds || debtorUserIds.length === 0) {
             throw new Error('User IDs array cannot be empty');
         }
 
-        const shareAmount = Math.round((totalAmount / userIds.length) * 100) / 100;
+        const debtorIndex = BillSplit.pickRemainderDebtor(remainderPolicy, debtorUserIds.length);
+        const userIds = [payerUserId, ...debtorUserIds];
+        const absorberIndex = debtorIndex === null ? 0 : debtorIndex + 1;
+
+        const { parts, remainder } = totalAmount.allocateDown(userIds.map(() => 1));
+        parts[absorberIndex] = parts[absorberIndex].add(remainder);
+        const [payerShare, ...debtorShares] = parts;
 
-        return userIds.map(userId => ({
-            userId,
-            shareAmount,
-            weight: 1.0
-        }));
+        return {
+            payerShare,
+            shares: debtorUserIds.map((userId, index) => ({
+                userId,
+                shareAmount: debtorShares[index],
+                weight: 1.0
+            }))
+        };
     }
 
     /**
-     * Calculate weighted split amounts
-     * @param {number} totalAmount - Total amount to split
+     * Calculate weighted split amounts for debtors
+     * The payer has no weight: under the 'payer' policy every share is rounded down
+     * and the payer covers the leftover, otherwise the largest remainder method is
+     * used with ties going to the absorbing debtor
+     * @param {Money} totalAmount - Total amount to split
      * @param {Array<Object>} userWeights - Array of {userId, weight} objects
-     * @returns {Array<Object>} Array of split objects
+     * @param {string} remainderPolicy - Who absorbs leftover kuruş
+     * @returns {Object} {payerShare, shares}
      */
-    static calculateWeightedSplit(totalAmount, userWeights) {
+    static calculateWeightedSplit(totalAmount, userWeights, remainderPolicy = 'payer') {
         if (!userWeights || userWeights.length === 0) {
             throw new Error('User weights array cannot be empty');
         }
@@ -179,11 +238,54 @@ class BillSplit {
             throw new Error('Total weight must be positive');
         }
 
-        return userWeights.map(item => ({
-            userId: item.userId,
-            shareAmount: Math.round((totalAmount * item.weight / totalWeight) * 100) / 100,
-            weight: item.weight
-        }));
+        const weights = userWeights.map(item => item.weight);
+        const debtorIndex = BillSplit.pickRemainderDebtor(remainderPolicy, userWeights.length);
+
+        let shareAmounts;
+        let payerShare;
+        if (debtorIndex === null) {
+            const { parts, remainder } = totalAmount.allocateDown(weights);
+            shareAmounts = parts;
+            payerShare = remainder;
+        } else {
+            shareAmounts = totalAmount.allocate(weights, debtorIndex);
+            payerShare = Money.zero(totalAmount.currency);
+        }
+
+        return {
+            payerShare,
+            shares: userWeights.map((item, index) => ({
+                userId: item.userId,
+                shareAmount: shareAmounts[index],
+                weight: item.weight
+            }))
+        };
+    }
+
+    /**
+     * Scale the shares of a bill down to a new total (e.g. after a refund)
+     * Every party keeps its proportion, the payer's being whatever the splits
+     * do not cover. Shares may become zero when the new total is small
+     * @param {Array<BillSplit>} splits - Active splits of one bill
+     * @param {Money} newTotal - New bill total, not more than the current one
+     * @returns {Array<Money>} New share per split, in the same order
+     */
+    static rescaleShares(splits, newTotal) {
+        if (!splits || splits.length === 0) {
+            return [];
+        }
+
+        if (newTotal.isZero()) {
+            return splits.map(() => Money.zero(newTotal.currency));
+        }
+
+        const currentTotal = splits[0].totalAmount;
+        const payerShare = currentTotal.subtract(Money.sum(splits.map(split => split.shareAmount)));
+        const ratios = [payerShare, ...splits.map(split => split.shareAmount)].map(amount => amount.minor);
+
+        // Payer first so it wins ties for a leftover kuruş
+        const [, ...shares] = newTotal.allocate(ratios, 0);
+        return shares;
     }
 }
 
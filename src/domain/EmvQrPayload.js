@@ -0,0 +1,240 @@
+/**
+ * EMV QR Payload
+ * Encodes and decodes merchant-presented QR payloads in the EMVCo TLV format:
+ * every field is a two digit tag, a two digit length and the value, and the
+ * payload ends with a CRC16 checksum (tag 63)
+ * Follows Single Responsibility Principle
+ */
+
+const GUID = 'TR.DIJITALODEME';
+const PAYLOAD_FORMAT = '01';
+const COUNTRY = 'TR';
+
+const TAGS = {
+    PAYLOAD_FORMAT: '00',
+    INITIATION: '01',
+    MERCHANT_ACCOUNT: '26',
+    MCC: '52',
+    CURRENCY: '53',
+    AMOUNT: '54',
+    COUNTRY: '58',
+    MERCHANT_NAME: '59',
+    MERCHANT_CITY: '60',
+    ADDITIONAL_DATA: '62',
+    CRC: '63',
+    // Unreserved template carrying the wallet's own signature
+    SIGNATURE: '80'
+};
+
+// Sub-tags inside the templates above
+const SUB_TAGS = {
+    GUID: '00',
+    MERCHANT_ID: '01',
+    QR_ID: '02',
+    SIGNATURE: '01',
+    PURPOSE: '08'
+};
+
+// Point of initiation: 11 = reusable (static), 12 = one amount (dynamic)
+const INITIATION = { static: '11', dynamic: '12' };
+
+// ISO 4217 numeric currency codes
+const CURRENCY_NUMERIC = { TRY: '949', USD: '840', EUR: '978', GBP: '826' };
+
+const TURKISH_LETTERS = {
+    'ç': 'c', 'Ç': 'C', 'ğ': 'g', 'Ğ': 'G', 'ı': 'i', 'İ': 'I',
+    'ö': 'o', 'Ö': 'O', 'ş': 's', 'Ş': 'S', 'ü': 'u', 'Ü': 'U'
+};
+
+class EmvQrPayload {
+    /**
+     * Encode a merchant-presented QR payload
+     * @param {Object} fields - {type, qrId, merchantId, signature, mcc, currency, amount (Money|null), merchantName, merchantCity, description?}
+     * @returns {string} TLV payload including its CRC
+     * @throws {Error} If a field does not fit the format
+     */
+    static encode({ type, qrId, merchantId, signature, mcc, currency, amount = null, merchantName, merchantCity, description = '' }) {
+        if (!INITIATION[type]) {
+            throw new Error('QR type must be static or dynamic');
+        }
+
+        if (!CURRENCY_NUMERIC[currency]) {
+            throw new Error(`Currency ${currency} has no ISO 4217 numeric code`);
+        }
+
+        const purpose = EmvQrPayload.toText(description, 25);
+
+        const payload = [
+            EmvQrPayload.field(TAGS.PAYLOAD_FORMAT, PAYLOAD_FORMAT),
+            EmvQrPayload.field(TAGS.INITIATION, INITIATION[type]),
+            EmvQrPayload.field(TAGS.MERCHANT_ACCOUNT,
+                EmvQrPayload.field(SUB_TAGS.GUID, GUID)
+                + EmvQrPayload.field(SUB_TAGS.MERCHANT_ID, merchantId)
+                + EmvQrPayload.field(SUB_TAGS.QR_ID, qrId)),
+            EmvQrPayload.field(TAGS.MCC, mcc),
+            EmvQrPayload.field(TAGS.CURRENCY, CURRENCY_NUMERIC[currency]),
+            amount ? EmvQrPayload.field(TAGS.AMOUNT, amount.toMajor().toFixed(2)) : '',
+            EmvQrPayload.field(TAGS.COUNTRY, COUNTRY),
+            EmvQrPayload.field(TAGS.MERCHANT_NAME, EmvQrPayload.toText(merchantName, 25) || merchantId),
+            EmvQrPayload.field(TAGS.MERCHANT_CITY, EmvQrPayload.toText(merchantCity, 15)),
+            purpose ? EmvQrPayload.field(TAGS.ADDITIONAL_DATA, EmvQrPayload.field(SUB_TAGS.PURPOSE, purpose)) : '',
+            EmvQrPayload.field(TAGS.SIGNATURE,
+                EmvQrPayload.field(SUB_TAGS.GUID, GUID)
+                + EmvQrPayload.field(SUB_TAGS.SIGNATURE, signature))
+        ].join('') + TAGS.CRC + '04';
+
+        return payload + EmvQrPayload.crc16(payload);
+    }
+
+    /**
+     * Decode and check a merchant-presented QR payload
+     * @param {string} payload - TLV payload
+     * @returns {Object} {type, qrId, merchantId, signature, mcc, currency, amount (major units|null), merchantName, merchantCity, description}
+     * @throws {Error} With code QR_CRC_MISMATCH or QR_FORMAT_INVALID
+     */
+    static decode(payload) {
+        if (!EmvQrPayload.isEmv(payload) || !/6304[0-9A-Fa-f]{4}$/.test(payload)) {
+            throw formatError('Payload is not an EMV QR payload');
+        }
+
+        const body = payload.slice(0, -4);
+        if (EmvQrPayload.crc16(body) !== payload.slice(-4).toUpperCase()) {
+            const error = new Error('EMV QR checksum mismatch');
+            error.code = 'QR_CRC_MISMATCH';
+            throw error;
+        }
+
+        const fields = EmvQrPayload.parseTLV(payload);
+        const account = EmvQrPayload.parseTLV(fields.get(TAGS.MERCHANT_ACCOUNT) || '');
+        const signature = EmvQrPayload.parseTLV(fields.get(TAGS.SIGNATURE) || '');
+        const additional = EmvQrPayload.parseTLV(fields.get(TAGS.ADDITIONAL_DATA) || '');
+
+        if (account.get(SUB_TAGS.GUID) !== GUID || signature.get(SUB_TAGS.GUID) !== GUID) {
+            throw formatError('EMV QR payload was not issued by this wallet');
+        }
+
+        const type = Object.keys(INITIATION).find(key => INITIATION[key] === fields.get(TAGS.INITIATION));
+        const currency = Object.keys(CURRENCY_NUMERIC).find(key => CURRENCY_NUMERIC[key] === fields.get(TAGS.CURRENCY));
+        const amount = fields.get(TAGS.AMOUNT);
+
+        if (!type || !currency || !account.get(SUB_TAGS.QR_ID) || !signature.get(SUB_TAGS.SIGNATURE)) {
+            throw formatError('EMV QR payload is missing required fields');
+        }
+
+        if (amount !== undefined && !/^\d{1,10}(\.\d{1,2})?$/.test(amount)) {
+            throw formatError('EMV QR amount is malformed');
+        }
+
+        return {
+            type,
+            qrId: account.get(SUB_TAGS.QR_ID),
+            merchantId: account.get(SUB_TAGS.MERCHANT_ID) || null,
+            signature: signature.get(SUB_TAGS.SIGNATURE),
+            mcc: fields.get(TAGS.MCC) || null,
+            currency,
+            amount: amount !== undefined ? Number(amount) : null,
+            merchantName: fields.get(TAGS.MERCHANT_NAME) || '',
+            merchantCity: fields.get(TAGS.MERCHANT_CITY) || '',
+            description: additional.get(SUB_TAGS.PURPOSE) || ''
+        };
+    }
+
+    /**
+     * Check whether a scanned value looks like an EMV QR payload
+     * @param {*} payload - Scanned value
+     * @returns {boolean} True if it starts with the payload format indicator
+     */
+    static isEmv(payload) {
+        return typeof payload === 'string' && payload.startsWith(TAGS.PAYLOAD_FORMAT + '02' + PAYLOAD_FORMAT);
+    }
+
+    /**
+     * Split a TLV string into its fields
+     * @param {string} data - TLV string
+     * @returns {Map<string, string>} Values by tag
+     * @throws {Error} With code QR_FORMAT_INVALID if a length runs past the end
+     */
+    static parseTLV(data) {
+        const fields = new Map();
+        let position = 0;
+
+        while (position < data.length) {
+            const tag = data.substr(position, 2);
+            const length = data.substr(position + 2, 2);
+
+            if (!/^\d{2}$/.test(tag) || !/^\d{2}$/.test(length)
+                || position + 4 + Number(length) > data.length) {
+                throw formatError('EMV QR payload is malformed');
+            }
+
+            fields.set(tag, data.substr(position + 4, Number(length)));
+            position += 4 + Number(length);
+        }
+
+        return fields;
+    }
+
+    /**
+     * Build one TLV field
+     * @param {string} tag - Two digit tag
+     * @param {string} value - Value
+     * @returns {string} Tag, length and value
+     * @throws {Error} If the value is empty or longer than 99 characters
+     */
+    static field(tag, value) {
+        const text = String(value);
+        if (!text || text.length > 99) {
+            throw new Error(`EMV QR field ${tag} must be 1-99 characters`);
+        }
+
+        return tag + String(text.length).padStart(2, '0') + text;
+    }
+
+    /**
+     * Reduce free text to the printable ASCII the format allows
+     * Turkish letters are transliterated, other characters are dropped
+     * @param {string} value - Text
+     * @param {number} maxLength - Maximum length
+     * @returns {string} ASCII text
+     */
+    static toText(value, maxLength) {
+        return String(value || '')
+            .replace(/[çÇğĞıİöÖşŞüÜ]/g, letter => TURKISH_LETTERS[letter])
+            .normalize('NFD')
+            .replace(/[^\x20-\x7E]/g, '')
+            .trim()
+            .slice(0, maxLength);
+    }
+
+    /**
+     * Compute the CRC16/CCITT-FALSE checksum used by EMV QR codes
+     * @param {string} data - Payload up to and including "6304"
+     * @returns {string} Four uppercase hex digits
+     */
+    static crc16(data) {
+        let crc = 0xFFFF;
+
+        for (let i = 0; i < data.length; i++) {
+            crc ^= data.charCodeAt(i) << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+                crc &= 0xFFFF;
+            }
+        }
+
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+}
+
+/**
+ * Create a decode error for malformed payloads
+ * @param {string} message - Error message
+ * @returns {Error} Error with code QR_FORMAT_INVALID
+ */
+function formatError(message) {
+    const error = new Error(message);
+    error.code = 'QR_FORMAT_INVALID';
+    return error;
+}
+
+module.exports = EmvQrPayload;
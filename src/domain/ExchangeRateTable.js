@@ -0,0 +1,131 @@
+/**
+ * Exchange Rate Table
+ * Mid-market rates of the supported currencies against a base currency and
+ * the spread charged on conversions
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+// Applied rates are stored with this many decimals and amounts are converted with the stored rate
+const RATE_DECIMALS = 6;
+
+class ExchangeRateTable {
+    /**
+     * @param {Object} rates - Base currency units per one unit of each currency, e.g. {USD: 34.2}
+     * @param {number} spreadBps - Spread in basis points, taken from every conversion
+     * @param {string} baseCurrency - Currency the rates are quoted in
+     */
+    constructor(rates, spreadBps = 0, baseCurrency = 'TRY') {
+        this.baseCurrency = baseCurrency;
+        this.rates = { ...rates, [baseCurrency]: 1 };
+        this.spreadBps = spreadBps;
+
+        this.validate();
+        Object.freeze(this.rates);
+        Object.freeze(this);
+    }
+
+    /**
+     * Validate table data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.baseCurrency || typeof this.baseCurrency !== 'string') {
+            throw new Error('Base currency is required and must be a string');
+        }
+
+        for (const [currency, rate] of Object.entries(this.rates)) {
+            if (!/^[A-Z]{3}$/.test(currency)) {
+                throw new Error(`Invalid currency code: ${currency}`);
+            }
+
+            if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+                throw new Error(`Rate of ${currency} must be a positive number`);
+            }
+        }
+
+        if (!Number.isInteger(this.spreadBps) || this.spreadBps < 0 || this.spreadBps >= 10000) {
+            throw new Error('Spread must be between 0 and 9999 basis points');
+        }
+    }
+
+    /**
+     * @returns {Array<string>} Supported currencies, base currency first
+     */
+    get currencies() {
+        return [this.baseCurrency, ...Object.keys(this.rates).filter(currency => currency !== this.baseCurrency).sort()];
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {boolean} True if the currency can be held and converted
+     */
+    supports(currency) {
+        return Object.prototype.hasOwnProperty.call(this.rates, currency);
+    }
+
+    /**
+     * Get the mid-market rate between two currencies
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency
+     * @returns {number} Target units per source unit
+     */
+    midRate(from, to) {
+        this.assertSupported(from);
+        this.assertSupported(to);
+        return this.rates[from] / this.rates[to];
+    }
+
+    /**
+     * Get the rate a customer gets, the mid rate less the spread
+     * @param {string} from - Source currency
+     * @param {string} to - Target currency
+     * @returns {number} Target units per source unit, rounded to RATE_DECIMALS
+     */
+    appliedRate(from, to) {
+        const rate = this.midRate(from, to) * (10000 - this.spreadBps) / 10000;
+        return Number(rate.toFixed(RATE_DECIMALS));
+    }
+
+    /**
+     * Convert an amount to another currency at the applied rate
+     * The result is rounded down to the minor unit, so a conversion never pays out more than the rate
+     * @param {Money} amount - Source amount
+     * @param {string} to - Target currency
+     * @returns {Object} {source, target (Money), midRate, rate, spreadBps}
+     */
+    quote(amount, to) {
+        if (!(amount instanceof Money) || !amount.isPositive()) {
+            throw new Error('Amount must be a positive Money amount');
+        }
+
+        if (amount.currency === to) {
+            throw new Error('Source and target currencies must differ');
+        }
+
+        const rate = this.appliedRate(amount.currency, to);
+        const minor = Math.floor(Number((amount.minor * rate).toFixed(RATE_DECIMALS)));
+
+        return {
+            source: amount,
+            target: Money.fromMinor(minor, to),
+            midRate: Number(this.midRate(amount.currency, to).toFixed(RATE_DECIMALS)),
+            rate,
+            spreadBps: this.spreadBps
+        };
+    }
+
+    /**
+     * Ensure a currency is in the table
+     * @param {string} currency - Currency code
+     * @throws {Error} If the currency is not supported
+     */
+    assertSupported(currency) {
+        if (!this.supports(currency)) {
+            throw new Error(`Unsupported currency: ${currency}`);
+        }
+    }
+}
+
+module.exports = ExchangeRateTable;
@@ -0,0 +1,105 @@
+/**
+ * Iban Value Object
+ * Turkish IBAN (TR + 2 check digits + 5 digit bank code + 1 reserved digit +
+ * 16 digit account number) validated with the ISO 7064 mod-97 check
+ * Follows Single Responsibility Principle
+ */
+
+const TR_IBAN_PATTERN = /^TR\d{24}$/;
+
+class Iban {
+    /**
+     * @param {string} value - IBAN, spaces and lower case letters are accepted
+     * @throws {Error} If the IBAN is not a valid Turkish IBAN
+     */
+    constructor(value) {
+        this.value = Iban.normalize(value);
+
+        this.validate();
+    }
+
+    /**
+     * Validate IBAN format and check digits
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!TR_IBAN_PATTERN.test(this.value)) {
+            throw new Error('IBAN must be TR followed by 24 digits');
+        }
+
+        if (Iban.mod97(this.value) !== 1) {
+            throw new Error('IBAN check digits are invalid');
+        }
+    }
+
+    /**
+     * @returns {string} Five digit code of the bank holding the account
+     */
+    get bankCode() {
+        return this.value.substring(4, 9);
+    }
+
+    /**
+     * Group the IBAN in blocks of four, as printed on bank documents
+     * @returns {string} Formatted IBAN
+     */
+    format() {
+        return this.value.match(/.{1,4}/g).join(' ');
+    }
+
+    /**
+     * Hide all but the country code and the last four digits
+     * @returns {string} Masked IBAN, e.g. TR** **** **** **** **** **12 34
+     */
+    mask() {
+        const masked = this.value.substring(0, 2) + '*'.repeat(this.value.length - 6) + this.value.slice(-4);
+        return masked.match(/.{1,4}/g).join(' ');
+    }
+
+    /**
+     * @returns {string} Compact IBAN
+     */
+    toString() {
+        return this.value;
+    }
+
+    /**
+     * Remove spaces and upper-case an IBAN as entered
+     * @param {string} value - IBAN as entered
+     * @returns {string} Compact IBAN
+     */
+    static normalize(value) {
+        return typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : '';
+    }
+
+    /**
+     * Check if a value is a valid Turkish IBAN
+     * @param {string} value - IBAN as entered
+     * @returns {boolean} True if valid
+     */
+    static isValid(value) {
+        const iban = Iban.normalize(value);
+        return TR_IBAN_PATTERN.test(iban) && Iban.mod97(iban) === 1;
+    }
+
+    /**
+     * Compute the ISO 7064 mod-97 remainder of an IBAN
+     * The country code and check digits are moved to the end and letters are
+     * replaced by two digit numbers (A = 10 ... Z = 35). The remainder is built
+     * digit by digit since the number does not fit in a double
+     * @param {string} iban - Compact IBAN
+     * @returns {number} Remainder, 1 for a valid IBAN
+     */
+    static mod97(iban) {
+        const rearranged = iban.substring(4) + iban.substring(0, 4);
+        const digits = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+        let remainder = 0;
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+        return remainder;
+    }
+}
+
+module.exports = Iban;
@@ -0,0 +1,114 @@
+/**
+ * Journal Entry Domain Model
+ * A double-entry ledger entry: a set of debit and credit postings that
+ * must balance in a single currency
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+const LedgerAccount = require('./LedgerAccount');
+
+const SIDES = ['debit', 'credit'];
+
+class JournalEntry {
+    /**
+     * @param {string} entryId - Entry ID
+     * @param {string} description - What the entry records
+     * @param {Array<Object>} postings - {accountId, side: 'debit'|'credit', amount: Money}
+     * @param {string|null} reference - Related transaction ID
+     * @param {Date} createdAt - Creation time
+     */
+    constructor(entryId, description, postings, reference = null, createdAt = new Date()) {
+        this.entryId = entryId;
+        this.description = description;
+        this.postings = postings;
+        this.reference = reference;
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate entry data
+     * @throws {Error} If validation fails or the entry does not balance
+     */
+    validate() {
+        if (!this.entryId || typeof this.entryId !== 'string') {
+            throw new Error('Entry ID is required and must be a string');
+        }
+
+        if (!Array.isArray(this.postings) || this.postings.length < 2) {
+            throw new Error('Journal entry needs at least two postings');
+        }
+
+        for (const posting of this.postings) {
+            LedgerAccount.parse(posting.accountId);
+
+            if (!SIDES.includes(posting.side)) {
+                throw new Error('Posting side must be debit or credit');
+            }
+
+            if (!(posting.amount instanceof Money) || !posting.amount.isPositive()) {
+                throw new Error('Posting amount must be a positive Money amount');
+            }
+        }
+
+        // Throws on mixed currencies
+        if (!this.getTotal('debit').equals(this.getTotal('credit'))) {
+            throw new Error('Journal entry is not balanced');
+        }
+    }
+
+    /**
+     * Sum the postings on one side
+     * @param {string} side - 'debit' or 'credit'
+     * @returns {Money} Total
+     */
+    getTotal(side) {
+        const currency = this.postings[0].amount.currency;
+        return Money.sum(
+            this.postings.filter(posting => posting.side === side).map(posting => posting.amount),
+            currency
+        );
+    }
+
+    /**
+     * Get the entry currency
+     * @returns {string} Currency code
+     */
+    get currency() {
+        return this.postings[0].amount.currency;
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            entry_id: this.entryId,
+            reference: this.reference,
+            description: this.description,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create an entry moving an amount from one account to another
+     * @param {string} entryId - Entry ID
+     * @param {string} debitAccountId - Account that gives the amount
+     * @param {string} creditAccountId - Account that receives the amount
+     * @param {Money} amount - Amount moved
+     * @param {string} description - What the entry records
+     * @param {string|null} reference - Related transaction ID
+     * @returns {JournalEntry} JournalEntry instance
+     */
+    static transfer(entryId, debitAccountId, creditAccountId, amount, description, reference = null) {
+        return new JournalEntry(entryId, description, [
+            { accountId: debitAccountId, side: 'debit', amount },
+            { accountId: creditAccountId, side: 'credit', amount }
+        ], reference);
+    }
+}
+
+module.exports = JournalEntry;
@@ -0,0 +1,128 @@
+/**
+ * Ledger Account
+ * Builds and parses the identifiers of double-entry ledger accounts,
+ * e.g. WALLET:U1:TRY or CASHBACK_EXPENSE:TRY
+ * Follows Single Responsibility Principle
+ */
+
+const ACCOUNT_TYPES = {
+    WALLET: 'wallet',
+    MERCHANT: 'merchant',
+    CASHBACK_EXPENSE: 'cashback_expense',
+    TOPUP_CLEARING: 'topup_clearing',
+    OPENING_BALANCE: 'opening_balance',
+    RECONCILIATION: 'reconciliation',
+    MDR_REVENUE: 'mdr_revenue',
+    MERCHANT_PAYOUT: 'merchant_payout',
+    FX_POSITION: 'fx_position',
+    WITHDRAWAL_CLEARING: 'withdrawal_clearing'
+};
+
+class LedgerAccount {
+    /**
+     * @param {string} userId - User ID
+     * @param {string} currency - Currency code
+     * @returns {string} Account of the user's wallet
+     */
+    static wallet(userId, currency = 'TRY') {
+        return `WALLET:${userId}:${currency}`;
+    }
+
+    /**
+     * @param {string} merchantId - Merchant ID
+     * @param {string} currency - Currency code
+     * @returns {string} Settlement account of the merchant
+     */
+    static merchant(merchantId, currency = 'TRY') {
+        return `MERCHANT:${merchantId}:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Account funding cashback rewards
+     */
+    static cashbackExpense(currency = 'TRY') {
+        return `CASHBACK_EXPENSE:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Account funding top-ups until the bank transfer settles
+     */
+    static topUpClearing(currency = 'TRY') {
+        return `TOPUP_CLEARING:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Equity account for balances that predate the ledger
+     */
+    static openingBalance(currency = 'TRY') {
+        return `OPENING_BALANCE:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Account absorbing corrections made by the reconciliation job
+     */
+    static reconciliation(currency = 'TRY') {
+        return `RECONCILIATION:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Account collecting merchant discount (MDR) fees
+     */
+    static mdrRevenue(currency = 'TRY') {
+        return `MDR_REVENUE:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Account holding settled payouts until they are sent to merchants
+     */
+    static merchantPayout(currency = 'TRY') {
+        return `MERCHANT_PAYOUT:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Counter account of currency conversions, the spread accumulates here
+     */
+    static fxPosition(currency = 'TRY') {
+        return `FX_POSITION:${currency}`;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {string} Account holding withdrawn funds sent out to bank accounts
+     */
+    static withdrawalClearing(currency = 'TRY') {
+        return `WITHDRAWAL_CLEARING:${currency}`;
+    }
+
+    /**
+     * Parse an account identifier
+     * @param {string} accountId - Account ID
+     * @returns {Object} {accountId, type, ownerId, currency}
+     * @throws {Error} If the identifier is not a known account
+     */
+    static parse(accountId) {
+        const parts = typeof accountId === 'string' ? accountId.split(':') : [];
+        const type = ACCOUNT_TYPES[parts[0]];
+        const owned = type === ACCOUNT_TYPES.WALLET || type === ACCOUNT_TYPES.MERCHANT;
+
+        if (!type || parts.length !== (owned ? 3 : 2) || parts.some(part => !part)) {
+            throw new Error(`Invalid ledger account: ${accountId}`);
+        }
+
+        return {
+            accountId,
+            type,
+            ownerId: owned ? parts[1] : null,
+            currency: parts[parts.length - 1]
+        };
+    }
+}
+
+module.exports = LedgerAccount;
@@ -0,0 +1,126 @@
+/**
+ * Merchant Domain Model
+ * Represents a business that accepts wallet payments
+ * Follows Single Responsibility Principle
+ */
+
+const CATEGORIES = ['cafe', 'market', 'ulaşım', 'eğlence', 'sağlık', 'diğer'];
+
+// ISO 18245 merchant category codes printed into EMV QR payloads
+const CATEGORY_MCC = {
+    'cafe': '5814',
+    'market': '5411',
+    'ulaşım': '4111',
+    'eğlence': '7832',
+    'sağlık': '8099',
+    'diğer': '5999'
+};
+
+class Merchant {
+    constructor(merchantId, name, category, active = true, createdAt = new Date(), updatedAt = null, mdrBps = null) {
+        this.merchantId = merchantId;
+        this.name = name;
+        this.category = category;
+        this.active = active;
+        this.createdAt = createdAt;
+        this.updatedAt = updatedAt;
+        this.mdrBps = mdrBps; // Merchant discount rate in basis points, null = platform default
+
+        this.validate();
+    }
+
+    /**
+     * Validate merchant data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        // Merchant IDs are part of ledger account IDs, so ':' is not allowed
+        if (!this.merchantId || !/^[A-Za-z0-9_-]{1,32}$/.test(this.merchantId)) {
+            throw new Error('Merchant ID must be 1-32 letters, digits, "_" or "-"');
+        }
+
+        if (!this.name || typeof this.name !== 'string' || !this.name.trim()) {
+            throw new Error('Name is required and must be a string');
+        }
+
+        if (!Merchant.isValidCategory(this.category)) {
+            throw new Error('Invalid merchant category');
+        }
+
+        if (typeof this.active !== 'boolean') {
+            throw new Error('Active flag must be a boolean');
+        }
+
+        if (this.mdrBps !== null && !(Number.isInteger(this.mdrBps) && this.mdrBps >= 0 && this.mdrBps <= 10000)) {
+            throw new Error('MDR must be between 0 and 10000 basis points');
+        }
+    }
+
+    /**
+     * Check if the merchant can take new payments
+     * @returns {boolean} True if active
+     */
+    canAcceptPayments() {
+        return this.active;
+    }
+
+    /**
+     * Get the merchant category code for the merchant's category
+     * @returns {string} Four digit MCC
+     */
+    get mcc() {
+        return CATEGORY_MCC[this.category];
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            merchant_id: this.merchantId,
+            name: this.name,
+            category: this.category,
+            active: this.active ? 1 : 0,
+            created_at: this.createdAt.toISOString(),
+            updated_at: this.updatedAt ? this.updatedAt.toISOString() : null,
+            mdr_bps: this.mdrBps
+        };
+    }
+
+    /**
+     * Check a category against the known merchant categories
+     * @param {string} category - Category
+     * @returns {boolean} True if known
+     */
+    static isValidCategory(category) {
+        return CATEGORIES.includes(category);
+    }
+
+    /**
+     * Get the known merchant categories
+     * @returns {Array<string>} Categories
+     */
+    static get CATEGORIES() {
+        return [...CATEGORIES];
+    }
+
+    /**
+     * Create Merchant from database row
+     * @param {Object} row - Database row
+     * @returns {Merchant} Merchant instance
+     */
+    static fromRow(row) {
+        return new Merchant(
+            row.merchant_id,
+            row.name,
+            row.category,
+            row.active === null || row.active === undefined ? true : Boolean(row.active),
+            row.created_at ? new Date(row.created_at) : new Date(0),
+            row.updated_at ? new Date(row.updated_at) : null,
+            row.mdr_bps !== null && row.mdr_bps !== undefined ? row.mdr_bps : null
+        );
+    }
+}
+
+module.exports = Merchant;
@@ -0,0 +1,159 @@
+/**
+ * Merchant Payout Domain Model
+ * What one settlement batch owes a merchant account: payments minus refunds
+ * and the MDR fee, plus any deficit carried from earlier batches
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+class MerchantPayout {
+    /**
+     * @param {string} payoutId - Payout ID
+     * @param {string} batchId - Settlement batch ID
+     * @param {string} merchantId - Merchant ID
+     * @param {Object} amounts - {openingBalance, grossAmount, refundAmount, feeAmount} as Money
+     * @param {number} mdrBps - MDR applied to the net volume, in basis points
+     * @param {Object} counts - {paymentCount, refundCount}
+     * @param {Date} createdAt - Creation time
+     */
+    constructor(payoutId, batchId, merchantId, amounts, mdrBps, counts = {}, createdAt = new Date()) {
+        this.payoutId = payoutId;
+        this.batchId = batchId;
+        this.merchantId = merchantId;
+        this.openingBalance = amounts.openingBalance;
+        this.grossAmount = amounts.grossAmount;
+        this.refundAmount = amounts.refundAmount;
+        this.feeAmount = amounts.feeAmount;
+        this.mdrBps = mdrBps;
+        this.paymentCount = counts.paymentCount || 0;
+        this.refundCount = counts.refundCount || 0;
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate payout data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.payoutId || typeof this.payoutId !== 'string') {
+            throw new Error('Payout ID is required and must be a string');
+        }
+
+        if (!this.merchantId || typeof this.merchantId !== 'string') {
+            throw new Error('Merchant ID is required and must be a string');
+        }
+
+        const amounts = [this.openingBalance, this.grossAmount, this.refundAmount, this.feeAmount];
+        if (amounts.some(amount => !(amount instanceof Money))) {
+            throw new Error('Payout amounts must be Money instances');
+        }
+
+        // Throws on mixed currencies
+        amounts.reduce((total, amount) => total.add(amount));
+
+        if (this.grossAmount.isNegative() || this.refundAmount.isNegative() || this.feeAmount.isNegative()) {
+            throw new Error('Gross, refund and fee amounts cannot be negative');
+        }
+
+        if (!Number.isInteger(this.mdrBps) || this.mdrBps < 0 || this.mdrBps > 10000) {
+            throw new Error('MDR must be between 0 and 10000 basis points');
+        }
+    }
+
+    /**
+     * Get the payout currency
+     * @returns {string} Currency code
+     */
+    get currency() {
+        return this.grossAmount.currency;
+    }
+
+    /**
+     * Get what the batch leaves the merchant with
+     * @returns {Money} Opening balance + gross - refunds - fee, may be negative
+     */
+    get netAmount() {
+        return this.openingBalance.add(this.grossAmount).subtract(this.refundAmount).subtract(this.feeAmount);
+    }
+
+    /**
+     * Get the amount paid out to the merchant
+     * @returns {Money} Net amount, or zero when the net is negative
+     */
+    get payoutAmount() {
+        return this.netAmount.isPositive() ? this.netAmount : Money.zero(this.currency);
+    }
+
+    /**
+     * Get the payout status
+     * @returns {string} 'pending' when money is due, 'carried' when nothing is
+     */
+    get status() {
+        return this.payoutAmount.isPositive() ? 'pending' : 'carried';
+    }
+
+    /**
+     * Compute the MDR fee on the net volume of a period
+     * Refunded payments are not charged, and a period with more refunds than
+     * payments has no fee
+     * @param {Money} grossAmount - Gross payments
+     * @param {Money} refundAmount - Refunds
+     * @param {number} mdrBps - Rate in basis points
+     * @returns {Money} Fee rounded to the nearest minor unit
+     */
+    static feeFor(grossAmount, refundAmount, mdrBps) {
+        const volume = grossAmount.subtract(refundAmount);
+        return volume.isPositive() ? volume.multiply(mdrBps / 10000) : Money.zero(volume.currency);
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            payout_id: this.payoutId,
+            batch_id: this.batchId,
+            merchant_id: this.merchantId,
+            currency: this.currency,
+            opening_balance: this.openingBalance.minor,
+            gross_amount: this.grossAmount.minor,
+            refund_amount: this.refundAmount.minor,
+            mdr_bps: this.mdrBps,
+            fee_amount: this.feeAmount.minor,
+            net_amount: this.netAmount.minor,
+            payout_amount: this.payoutAmount.minor,
+            payment_count: this.paymentCount,
+            refund_count: this.refundCount,
+            status: this.status,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create MerchantPayout from database row
+     * @param {Object} row - Database row
+     * @returns {MerchantPayout} MerchantPayout instance
+     */
+    static fromRow(row) {
+        return new MerchantPayout(
+            row.payout_id,
+            row.batch_id,
+            row.merchant_id,
+            {
+                openingBalance: Money.fromMinor(row.opening_balance, row.currency),
+                grossAmount: Money.fromMinor(row.gross_amount, row.currency),
+                refundAmount: Money.fromMinor(row.refund_amount, row.currency),
+                feeAmount: Money.fromMinor(row.fee_amount, row.currency)
+            },
+            row.mdr_bps,
+            { paymentCount: row.payment_count, refundCount: row.refund_count },
+            new Date(row.created_at)
+        );
+    }
+}
+
+module.exports = MerchantPayout;
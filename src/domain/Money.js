@@ -0,0 +1,298 @@
+/**
+ * Money Value Object
+ * Represents an amount as integer minor units (kuruş) with a currency
+ * so that arithmetic never accumulates floating point drift
+ * Follows Single Responsibility Principle
+ */
+
+const MINOR_UNITS_PER_MAJOR = 100;
+
+class Money {
+    constructor(minor, currency = 'TRY') {
+        this.minor = minor;
+        this.currency = currency;
+
+        this.validate();
+        Object.freeze(this);
+    }
+
+    /**
+     * Validate money data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!Number.isSafeInteger(this.minor)) {
+            throw new Error('Money amount must be an integer number of minor units');
+        }
+
+        if (!this.currency || typeof this.currency !== 'string') {
+            throw new Error('Currency is required and must be a string');
+        }
+    }
+
+    /**
+     * Create Money from integer minor units
+     * @param {number|string} minor - Amount in minor units
+     * @param {string} currency - Currency code
+     * @returns {Money} Money instance
+     */
+    static fromMinor(minor, currency = 'TRY') {
+        return new Money(Number(minor), currency);
+    }
+
+    /**
+     * Create Money from a major unit amount (e.g. 12.5 TL), rounded to the nearest kuruş
+     * @param {number|string} amount - Amount in major units
+     * @param {string} currency - Currency code
+     * @returns {Money} Money instance
+     */
+    static fromMajor(amount, currency = 'TRY') {
+        const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error('Amount must be a finite number');
+        }
+
+        // toFixed removes binary noise such as 1.005 * 100 = 100.49999999999999
+        const scaled = Number((value * MINOR_UNITS_PER_MAJOR).toFixed(6));
+        return new Money(Math.sign(scaled) * Math.round(Math.abs(scaled)), currency);
+    }
+
+    /**
+     * Create a zero amount
+     * @param {string} currency - Currency code
+     * @returns {Money} Money instance
+     */
+    static zero(currency = 'TRY') {
+        return new Money(0, currency);
+    }
+
+    /**
+     * Sum a list of amounts
+     * @param {Array<Money>} amounts - Amounts in the same currency
+     * @param {string} currency - Currency of the result when the list is empty
+     * @returns {Money} Total
+     */
+    static sum(amounts, currency = 'TRY') {
+        return amounts.reduce((total, amount) => total.add(amount), Money.zero(amounts[0]?.currency || currency));
+    }
+
+    /**
+     * Ensure another amount has the same currency
+     * @param {Money} other - Amount to compare
+     * @throws {Error} If currencies differ
+     */
+    assertSameCurrency(other) {
+        if (!(other instanceof Money)) {
+            throw new Error('Operand must be a Money instance');
+        }
+
+        if (other.currency !== this.currency) {
+            throw new Error(`Currency mismatch: ${this.currency} and ${other.currency}`);
+        }
+    }
+
+    /**
+     * Add an amount
+     * @param {Money} other - Amount to add
+     * @returns {Money} New amount
+     */
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor + other.minor, this.currency);
+    }
+
+    /**
+     * Subtract an amount
+     * @param {Money} other - Amount to subtract
+     * @returns {Money} New amount
+     */
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor - other.minor, this.currency);
+    }
+
+    /**
+     * Multiply by a factor (e.g. a cashback rate), rounded to the nearest kuruş
+     * @param {number} factor - Multiplier
+     * @returns {Money} New amount
+     */
+    multiply(factor) {
+        if (typeof factor !== 'number' || !Number.isFinite(factor)) {
+            throw new Error('Factor must be a finite number');
+        }
+
+        const scaled = Number((this.minor * factor).toFixed(6));
+        return new Money(Math.sign(scaled) * Math.round(Math.abs(scaled)), this.currency);
+    }
+
+    /**
+     * Get the absolute amount
+     * @returns {Money} Non-negative amount
+     */
+    abs() {
+        return new Money(Math.abs(this.minor), this.currency);
+    }
+
+    /**
+     * Split the amount by ratios without losing a kuruş
+     * Uses the largest remainder method, so the parts always add up to this amount.
+     * Equal remainders are resolved starting from `preferredIndex`
+     * @param {Array<number>} ratios - Non-negative ratios, at least one positive
+     * @param {number} preferredIndex - Part that wins ties for a leftover kuruş
+     * @returns {Array<Money>} Parts in the same order as the ratios
+     */
+    allocate(ratios, preferredIndex = 0) {
+        const parts = this.splitByRatios(ratios);
+
+        if (!Number.isInteger(preferredIndex) || preferredIndex < 0 || preferredIndex >= parts.length) {
+            throw new Error('Preferred index is out of range');
+        }
+
+        let leftover = this.minor - parts.reduce((sum, part) => sum + part.minor, 0);
+
+        // Hand out the leftover kuruş to the largest remainders
+        const distance = index => (index - preferredIndex + parts.length) % parts.length;
+        const byRemainder = [...parts].sort((a, b) =>
+            b.remainder - a.remainder || distance(a.index) - distance(b.index)
+        );
+        for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length) {
+            byRemainder[i].minor += 1;
+            leftover -= 1;
+        }
+
+        return parts.map(part => new Money(part.minor, this.currency));
+    }
+
+    /**
+     * Split the amount by ratios rounding every part down
+     * @param {Array<number>} ratios - Non-negative ratios, at least one positive
+     * @returns {Object} `parts` in ratio order and the undistributed `remainder`
+     */
+    allocateDown(ratios) {
+        const parts = this.splitByRatios(ratios).map(part => new Money(part.minor, this.currency));
+        return {
+            parts,
+            remainder: this.subtract(Money.sum(parts, this.currency))
+        };
+    }
+
+    /**
+     * Compute the rounded-down part and fractional remainder for each ratio
+     * @param {Array<number>} ratios - Non-negative ratios, at least one positive
+     * @returns {Array<Object>} {index, minor, remainder} per ratio
+     */
+    splitByRatios(ratios) {
+        if (!Array.isArray(ratios) || ratios.length === 0) {
+            throw new Error('Ratios array cannot be empty');
+        }
+
+        if (ratios.some(ratio => typeof ratio !== 'number' || !Number.isFinite(ratio) || ratio < 0)) {
+            throw new Error('Ratios must be non-negative numbers');
+        }
+
+        const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+        if (totalRatio <= 0) {
+            throw new Error('Total ratio must be positive');
+        }
+
+        return ratios.map((ratio, index) => {
+            const exact = this.minor * ratio / totalRatio;
+            const floor = Math.floor(exact);
+            return { index, minor: floor, remainder: exact - floor };
+        });
+    }
+
+    /**
+     * Compare with another amount
+     * @param {Money} other - Amount to compare
+     * @returns {number} Negative, zero or positive
+     */
+    compare(other) {
+        this.assertSameCurrency(other);
+        return this.minor - other.minor;
+    }
+
+    /**
+     * @param {Money} other - Amount to compare
+     * @returns {boolean} True if equal
+     */
+    equals(other) {
+        return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+    }
+
+    /**
+     * @param {Money} other - Amount to compare
+     * @returns {boolean} True if greater than other
+     */
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    /**
+     * @param {Money} other - Amount to compare
+     * @returns {boolean} True if greater than or equal to other
+     */
+    greaterThanOrEqual(other) {
+        return this.compare(other) >= 0;
+    }
+
+    /**
+     * @param {Money} other - Amount to compare
+     * @returns {boolean} True if less than other
+     */
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    /**
+     * @returns {boolean} True if zero
+     */
+    isZero() {
+        return this.minor === 0;
+    }
+
+    /**
+     * @returns {boolean} True if greater than zero
+     */
+    isPositive() {
+        return this.minor > 0;
+    }
+
+    /**
+     * @returns {boolean} True if less than zero
+     */
+    isNegative() {
+        return this.minor < 0;
+    }
+
+    /**
+     * Get the amount in major units (e.g. 1250 kuruş -> 12.5)
+     * @returns {number} Major unit amount
+     */
+    toMajor() {
+        return this.minor / MINOR_UNITS_PER_MAJOR;
+    }
+
+    /**
+     * Get formatted amount
+     * @returns {string} Formatted amount with currency
+     */
+    format() {
+        const sign = this.minor < 0 ? '-' : '';
+        const absolute = Math.abs(this.minor);
+        const major = Math.floor(absolute / MINOR_UNITS_PER_MAJOR);
+        const minor = String(absolute % MINOR_UNITS_PER_MAJOR).padStart(2, '0');
+        return `${sign}${major}.${minor} ${this.currency}`;
+    }
+
+    /**
+     * API responses keep exposing major unit numbers
+     * @returns {number} Major unit amount
+     */
+    toJSON() {
+        return this.toMajor();
+    }
+}
+
+module.exports = Money;
@@ -0,0 +1,172 @@
+/**
+ * PaymentCard Value Object
+ * Card details as entered by the user, held only while they are passed to the
+ * card gateway. The number is checked with the Luhn algorithm and is left out
+ * whenever the card is serialized or logged
+ * Follows Single Responsibility Principle
+ */
+
+const util = require('util');
+
+// Runs of 12-19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER_CANDIDATE = /\d(?:[ -]?\d){11,18}/g;
+
+class PaymentCard {
+    /**
+     * @param {string} number - Card number, spaces and dashes are accepted
+     * @param {number|string} expiryMonth - Expiry month (1-12)
+     * @param {number|string} expiryYear - Expiry year, two or four digits
+     * @param {string|null} cvc - Security code, only checked when given
+     * @throws {Error} If the card details are not valid
+     */
+    constructor(number, expiryMonth, expiryYear, cvc = null) {
+        this.number = PaymentCard.normalize(number);
+        this.expiryMonth = parseInt(expiryMonth);
+        this.expiryYear = parseInt(expiryYear) < 100 ? parseInt(expiryYear) + 2000 : parseInt(expiryYear);
+        this.cvc = cvc === null || cvc === undefined ? null : String(cvc);
+
+        this.validate();
+    }
+
+    /**
+     * Validate card details
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!PaymentCard.isValidNumber(this.number)) {
+            throw new Error('Card number must be 12 to 19 digits and pass the Luhn check');
+        }
+
+        if (!(this.expiryMonth >= 1 && this.expiryMonth <= 12) || !Number.isFinite(this.expiryYear)) {
+            throw new Error('Card expiry date is invalid');
+        }
+
+        if (this.cvc !== null && !/^\d{3,4}$/.test(this.cvc)) {
+            throw new Error('Card security code must be 3 or 4 digits');
+        }
+    }
+
+    /**
+     * @returns {string} Card scheme derived from the number prefix
+     */
+    get brand() {
+        return PaymentCard.brandOf(this.number);
+    }
+
+    /**
+     * @returns {string} Last four digits of the number
+     */
+    get last4() {
+        return this.number.slice(-4);
+    }
+
+    /**
+     * Cards are valid until the end of their expiry month
+     * @param {Date} now - Current time
+     * @returns {boolean} True if the card has expired
+     */
+    isExpired(now = new Date()) {
+        return PaymentCard.isExpiryPassed(this.expiryMonth, this.expiryYear, now);
+    }
+
+    /**
+     * @returns {Object} Card without its number and security code
+     */
+    toJSON() {
+        return {
+            brand: this.brand,
+            last4: this.last4,
+            expiryMonth: this.expiryMonth,
+            expiryYear: this.expiryYear
+        };
+    }
+
+    /**
+     * Keep the number out of console output
+     * @returns {string} Masked card description
+     */
+    [util.inspect.custom]() {
+        return `PaymentCard { ${this.brand} •••• ${this.last4} }`;
+    }
+
+    /**
+     * Remove spaces and dashes from a card number as entered
+     * @param {string} number - Card number as entered
+     * @returns {string} Digits only
+     */
+    static normalize(number) {
+        return typeof number === 'string' || typeof number === 'number'
+            ? String(number).replace(/[\s-]/g, '')
+            : '';
+    }
+
+    /**
+     * Check the length and Luhn check digit of a card number
+     * @param {string} number - Card number, digits only
+     * @returns {boolean} True if valid
+     */
+    static isValidNumber(number) {
+        if (!/^\d{12,19}$/.test(number)) {
+            return false;
+        }
+
+        // Double every second digit from the right, subtracting 9 above 9
+        let sum = 0;
+        for (let i = 0; i < number.length; i++) {
+            let digit = Number(number[number.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    /**
+     * @param {number} expiryMonth - Expiry month (1-12)
+     * @param {number} expiryYear - Four digit expiry year
+     * @param {Date} now - Current time
+     * @returns {boolean} True if the expiry month is over
+     */
+    static isExpiryPassed(expiryMonth, expiryYear, now = new Date()) {
+        return expiryYear < now.getFullYear() ||
+            (expiryYear === now.getFullYear() && expiryMonth < now.getMonth() + 1);
+    }
+
+    /**
+     * @param {string} number - Card number, digits only
+     * @returns {string} Card scheme derived from the number prefix
+     */
+    static brandOf(number) {
+        if (/^4/.test(number)) {
+            return 'Visa';
+        }
+        if (/^(5[1-5]|2[2-7])/.test(number)) {
+            return 'Mastercard';
+        }
+        if (/^9792/.test(number)) {
+            return 'Troy';
+        }
+        if (/^3[47]/.test(number)) {
+            return 'American Express';
+        }
+        return 'Kart';
+    }
+
+    /**
+     * Mask anything that looks like a card number in a text meant for logs
+     * @param {string} text - Text to log
+     * @returns {string} Text with card numbers reduced to their last four digits
+     */
+    static redact(text) {
+        return String(text).replace(CARD_NUMBER_CANDIDATE, match => {
+            const digits = PaymentCard.normalize(match);
+            return PaymentCard.isValidNumber(digits) ? `••••${digits.slice(-4)}` : match;
+        });
+    }
+}
+
+module.exports = PaymentCard;
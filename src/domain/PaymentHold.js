@@ -0,0 +1,121 @@
+/**
+ * PaymentHold Domain Model
+ * Funds reserved by an authorized payment until it is captured, voided or expires
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+const HOLD_STATUSES = ['active', 'captured', 'voided', 'expired'];
+
+class PaymentHold {
+    constructor(txId, userId, merchantId, amount, expiresAt, status = 'active', capturedAmount = null, createdAt = new Date(), resolvedAt = null) {
+        this.txId = txId;
+        this.userId = userId;
+        this.merchantId = merchantId;
+        this.amount = amount;
+        this.expiresAt = expiresAt;
+        this.status = status;
+        this.capturedAmount = capturedAmount;
+        this.createdAt = createdAt;
+        this.resolvedAt = resolvedAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate hold data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.txId || typeof this.txId !== 'string') {
+            throw new Error('Transaction ID is required and must be a string');
+        }
+
+        if (!this.userId || typeof this.userId !== 'string') {
+            throw new Error('User ID is required and must be a string');
+        }
+
+        if (!this.merchantId || typeof this.merchantId !== 'string') {
+            throw new Error('Merchant ID is required and must be a string');
+        }
+
+        if (!(this.amount instanceof Money) || !this.amount.isPositive()) {
+            throw new Error('Hold amount must be a positive Money amount');
+        }
+
+        if (!(this.expiresAt instanceof Date) || isNaN(this.expiresAt)) {
+            throw new Error('Expiry must be a valid date');
+        }
+
+        if (!HOLD_STATUSES.includes(this.status)) {
+            throw new Error('Invalid hold status');
+        }
+    }
+
+    /**
+     * Check if the hold still reserves funds
+     * @returns {boolean} True if active
+     */
+    isActive() {
+        return this.status === 'active';
+    }
+
+    /**
+     * Check if the hold has passed its expiry
+     * @param {Date} now - Current time
+     * @returns {boolean} True if expired
+     */
+    isExpired(now = new Date()) {
+        return this.expiresAt <= now;
+    }
+
+    /**
+     * Check if the hold can still be captured
+     * @param {Date} now - Current time
+     * @returns {boolean} True if capturable
+     */
+    canCapture(now = new Date()) {
+        return this.isActive() && !this.isExpired(now);
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            tx_id: this.txId,
+            user_id: this.userId,
+            merchant_id: this.merchantId,
+            amount: this.amount.minor,
+            currency: this.amount.currency,
+            status: this.status,
+            captured_amount: this.capturedAmount ? this.capturedAmount.minor : null,
+            expires_at: this.expiresAt.toISOString(),
+            created_at: this.createdAt.toISOString(),
+            resolved_at: this.resolvedAt ? this.resolvedAt.toISOString() : null
+        };
+    }
+
+    /**
+     * Create PaymentHold from database row
+     * @param {Object} row - Database row
+     * @returns {PaymentHold} PaymentHold instance
+     */
+    static fromRow(row) {
+        return new PaymentHold(
+            row.tx_id,
+            row.user_id,
+            row.merchant_id,
+            Money.fromMinor(row.amount, row.currency),
+            new Date(row.expires_at),
+            row.status,
+            row.captured_amount !== null ? Money.fromMinor(row.captured_amount, row.currency) : null,
+            new Date(row.created_at),
+            row.resolved_at ? new Date(row.resolved_at) : null
+        );
+    }
+}
+
+module.exports = PaymentHold;
@@ -0,0 +1,120 @@
+/**
+ * PaymentRequest Domain Model
+ * Money one user asks from another, paid by a transfer when the payer accepts
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+const REQUEST_STATUSES = ['pending', 'accepted', 'declined', 'cancelled', 'expired'];
+
+class PaymentRequest {
+    constructor(requestId, requesterId, payerId, amount, note, expiresAt, status = 'pending', txId = null, createdAt = new Date(), resolvedAt = null) {
+        this.requestId = requestId;
+        this.requesterId = requesterId;
+        this.payerId = payerId;
+        this.amount = amount;
+        this.note = note || '';
+        this.expiresAt = expiresAt;
+        this.status = status;
+        this.txId = txId;
+        this.createdAt = createdAt;
+        this.resolvedAt = resolvedAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate request data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.requestId || typeof this.requestId !== 'string') {
+            throw new Error('Request ID is required and must be a string');
+        }
+
+        if (!this.requesterId || typeof this.requesterId !== 'string') {
+            throw new Error('Requester ID is required and must be a string');
+        }
+
+        if (!this.payerId || typeof this.payerId !== 'string') {
+            throw new Error('Payer ID is required and must be a string');
+        }
+
+        if (this.requesterId === this.payerId) {
+            throw new Error('Requester and payer must be different users');
+        }
+
+        if (!(this.amount instanceof Money) || !this.amount.isPositive()) {
+            throw new Error('Request amount must be a positive Money amount');
+        }
+
+        if (!(this.expiresAt instanceof Date) || isNaN(this.expiresAt)) {
+            throw new Error('Expiry must be a valid date');
+        }
+
+        if (!REQUEST_STATUSES.includes(this.status)) {
+            throw new Error('Invalid request status');
+        }
+    }
+
+    /**
+     * Check if the request has passed its expiry
+     * @param {Date} now - Current time
+     * @returns {boolean} True if expired
+     */
+    isExpired(now = new Date()) {
+        return this.expiresAt <= now;
+    }
+
+    /**
+     * Check if the request can still be accepted, declined or cancelled
+     * @param {Date} now - Current time
+     * @returns {boolean} True if pending and not expired
+     */
+    isOpen(now = new Date()) {
+        return this.status === 'pending' && !this.isExpired(now);
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            request_id: this.requestId,
+            requester_id: this.requesterId,
+            payer_id: this.payerId,
+            amount: this.amount.minor,
+            currency: this.amount.currency,
+            note: this.note,
+            status: this.status,
+            tx_id: this.txId,
+            expires_at: this.expiresAt.toISOString(),
+            created_at: this.createdAt.toISOString(),
+            resolved_at: this.resolvedAt ? this.resolvedAt.toISOString() : null
+        };
+    }
+
+    /**
+     * Create PaymentRequest from database row
+     * @param {Object} row - Database row
+     * @returns {PaymentRequest} PaymentRequest instance
+     */
+    static fromRow(row) {
+        return new PaymentRequest(
+            row.request_id,
+            row.requester_id,
+            row.payer_id,
+            Money.fromMinor(row.amount, row.currency),
+            row.note,
+            new Date(row.expires_at),
+            row.status,
+            row.tx_id,
+            new Date(row.created_at),
+            row.resolved_at ? new Date(row.resolved_at) : null
+        );
+    }
+}
+
+module.exports = PaymentRequest;
@@ -0,0 +1,168 @@
+/**
+ * QR Code Domain Model
+ * A payment QR issued by a merchant. Static codes carry no amount (the payer
+ * enters it), dynamic codes carry a fixed amount and usually an expiry
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+const TYPES = ['static', 'dynamic'];
+const STATUSES = ['active', 'consumed', 'revoked'];
+
+class QRCode {
+    constructor(qrId, merchantId, type, amount = null, description = '', singleUse = false, expiresAt = null, status = 'active', signature = null, createdAt = new Date(), consumedAt = null) {
+        this.qrId = qrId;
+        this.merchantId = merchantId;
+        this.type = type;
+        this.amount = amount;
+        this.description = description || '';
+        this.singleUse = singleUse;
+        this.expiresAt = expiresAt;
+        this.status = status;
+        this.signature = signature;
+        this.createdAt = createdAt;
+        this.consumedAt = consumedAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate QR code data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.qrId || typeof this.qrId !== 'string') {
+            throw new Error('QR ID is required and must be a string');
+        }
+
+        if (!this.merchantId || typeof this.merchantId !== 'string') {
+            throw new Error('Merchant ID is required and must be a string');
+        }
+
+        if (!TYPES.includes(this.type)) {
+            throw new Error('QR type must be static or dynamic');
+        }
+
+        if (this.type === 'dynamic' && !(this.amount instanceof Money && this.amount.isPositive())) {
+            throw new Error('Dynamic QR codes need a positive Money amount');
+        }
+
+        if (this.type === 'static' && this.amount !== null) {
+            throw new Error('Static QR codes cannot carry an amount');
+        }
+
+        if (this.expiresAt !== null && (!(this.expiresAt instanceof Date) || isNaN(this.expiresAt))) {
+            throw new Error('Expiry must be a valid date');
+        }
+
+        if (!STATUSES.includes(this.status)) {
+            throw new Error('Invalid QR status');
+        }
+    }
+
+    /**
+     * Get the QR currency
+     * @returns {string} Currency code
+     */
+    get currency() {
+        return this.amount ? this.amount.currency : 'TRY';
+    }
+
+    /**
+     * Check if the code has passed its expiry
+     * @param {Date} now - Current time
+     * @returns {boolean} True if expired
+     */
+    isExpired(now = new Date()) {
+        return this.expiresAt !== null && this.expiresAt <= now;
+    }
+
+    /**
+     * Check if the code can still be paid
+     * @param {Date} now - Current time
+     * @returns {boolean} True if payable
+     */
+    isPayable(now = new Date()) {
+        return this.status === 'active' && !this.isExpired(now);
+    }
+
+    /**
+     * Get the canonical string covered by the signature
+     * Every field that decides where money goes and how much is included
+     * @returns {string} Signing payload
+     */
+    signingPayload() {
+        return [
+            this.qrId,
+            this.merchantId,
+            this.type,
+            this.amount ? this.amount.minor : '',
+            this.currency,
+            this.singleUse ? 1 : 0,
+            this.expiresAt ? this.expiresAt.toISOString() : ''
+        ].join('|');
+    }
+
+    /**
+     * Get the payload encoded into the QR image
+     * @returns {Object} Signed QR payload
+     */
+    toPayload() {
+        return {
+            qr_id: this.qrId,
+            merchant_id: this.merchantId,
+            type: this.type,
+            amount: this.amount ? this.amount.toMajor() : null,
+            currency: this.currency,
+            description: this.description,
+            single_use: this.singleUse,
+            expires_at: this.expiresAt ? this.expiresAt.toISOString() : null,
+            sig: this.signature
+        };
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            qr_id: this.qrId,
+            merchant_id: this.merchantId,
+            type: this.type,
+            amount: this.amount ? this.amount.minor : null,
+            currency: this.currency,
+            description: this.description,
+            single_use: this.singleUse ? 1 : 0,
+            expires_at: this.expiresAt ? this.expiresAt.toISOString() : null,
+            status: this.status,
+            signature: this.signature,
+            created_at: this.createdAt.toISOString(),
+            consumed_at: this.consumedAt ? this.consumedAt.toISOString() : null
+        };
+    }
+
+    /**
+     * Create QRCode from database row
+     * @param {Object} row - Database row
+     * @returns {QRCode} QRCode instance
+     */
+    static fromRow(row) {
+        return new QRCode(
+            row.qr_id,
+            row.merchant_id,
+            row.type,
+            row.amount !== null ? Money.fromMinor(row.amount, row.currency) : null,
+            row.description,
+            Boolean(row.single_use),
+            row.expires_at ? new Date(row.expires_at) : null,
+            row.status,
+            row.signature,
+            new Date(row.created_at),
+            row.consumed_at ? new Date(row.consumed_at) : null
+        );
+    }
+}
+
+module.exports = QRCode;
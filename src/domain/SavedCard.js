@@ -0,0 +1,116 @@
+/**
+ * SavedCard Domain Model
+ * A card kept in a user's card vault. Only the card gateway's token, the
+ * brand, the last four digits and the expiry date are stored, never the number
+ * Follows Single Responsibility Principle
+ */
+
+const PaymentCard = require('./PaymentCard');
+
+const CARD_STATUSES = ['active', 'removed'];
+
+class SavedCard {
+    constructor(cardId, userId, token, details = {}, isDefault = false, status = 'active', createdAt = new Date()) {
+        this.cardId = cardId;
+        this.userId = userId;
+        this.token = token;
+        this.brand = details.brand;
+        this.last4 = details.last4;
+        this.expiryMonth = details.expiryMonth;
+        this.expiryYear = details.expiryYear;
+        this.isDefault = isDefault;
+        this.status = status;
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate card data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.cardId || typeof this.cardId !== 'string') {
+            throw new Error('Card ID is required and must be a string');
+        }
+
+        if (!this.userId || typeof this.userId !== 'string') {
+            throw new Error('User ID is required and must be a string');
+        }
+
+        if (!this.token || typeof this.token !== 'string') {
+            throw new Error('Card token is required and must be a string');
+        }
+
+        if (!/^\d{4}$/.test(this.last4)) {
+            throw new Error('Last four digits must be four digits');
+        }
+
+        if (!(this.expiryMonth >= 1 && this.expiryMonth <= 12) || !Number.isInteger(this.expiryYear)) {
+            throw new Error('Card expiry date is invalid');
+        }
+
+        if (!CARD_STATUSES.includes(this.status)) {
+            throw new Error('Invalid saved card status');
+        }
+    }
+
+    /**
+     * Check if top-ups can be charged to the card
+     * @returns {boolean} True if active
+     */
+    isActive() {
+        return this.status === 'active';
+    }
+
+    /**
+     * @param {Date} now - Current time
+     * @returns {boolean} True if the card has expired
+     */
+    isExpired(now = new Date()) {
+        return PaymentCard.isExpiryPassed(this.expiryMonth, this.expiryYear, now);
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            card_id: this.cardId,
+            user_id: this.userId,
+            token: this.token,
+            brand: this.brand,
+            last4: this.last4,
+            expiry_month: this.expiryMonth,
+            expiry_year: this.expiryYear,
+            is_default: this.isDefault ? 1 : 0,
+            status: this.status,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create SavedCard from database row
+     * @param {Object} row - Database row
+     * @returns {SavedCard} SavedCard instance
+     */
+    static fromRow(row) {
+        return new SavedCard(
+            row.card_id,
+            row.user_id,
+            row.token,
+            {
+                brand: row.brand,
+                last4: row.last4,
+                expiryMonth: row.expiry_month,
+                expiryYear: row.expiry_year
+            },
+            row.is_default === 1,
+            row.status,
+            new Date(row.created_at)
+        );
+    }
+}
+
+module.exports = SavedCard;
@@ -0,0 +1,308 @@
+/**
+ * Scheduled Payment Domain Model
+ * A standing order: a transfer to a user or a payment to a merchant that runs
+ * once or repeats daily, weekly or monthly from its start time
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+const TYPES = ['transfer', 'payment'];
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+const STATUSES = ['active', 'paused', 'cancelled', 'completed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ScheduledPayment {
+    /**
+     * @param {string} scheduleId - Schedule ID
+     * @param {string} userId - Paying user ID
+     * @param {Object} target - {type: 'transfer'|'payment', toUserId, merchantId}
+     * @param {Money} amount - Amount of every run
+     * @param {Object} timing - {frequency, startAt, endAt}; runs are counted from startAt
+     * @param {Object} state - {status, runCount, attempts, nextAttemptAt, lastRunAt, lastError}
+     * @param {string} description - Note shown in the history
+     * @param {Date} createdAt - Creation time
+     */
+    constructor(scheduleId, userId, target, amount, timing, state = {}, description = '', createdAt = new Date()) {
+        this.scheduleId = scheduleId;
+        this.userId = userId;
+        this.type = target.type;
+        this.toUserId = target.toUserId || null;
+        this.merchantId = target.merchantId || null;
+        this.amount = amount;
+        this.frequency = timing.frequency;
+        this.startAt = timing.startAt;
+        this.endAt = timing.endAt || null;
+        this.status = state.status || 'active';
+        this.runCount = state.runCount || 0; // Occurrences already run or given up
+        this.attempts = state.attempts || 0; // Failed attempts of the current occurrence
+        this.nextAttemptAt = state.nextAttemptAt || this.nextRunAt;
+        this.lastRunAt = state.lastRunAt || null;
+        this.lastError = state.lastError || null;
+        this.description = description || '';
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate schedule data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.scheduleId || typeof this.scheduleId !== 'string') {
+            throw new Error('Schedule ID is required and must be a string');
+        }
+
+        if (!this.userId || typeof this.userId !== 'string') {
+            throw new Error('User ID is required and must be a string');
+        }
+
+        if (!TYPES.includes(this.type)) {
+            throw new Error('Schedule type must be transfer or payment');
+        }
+
+        if (this.type === 'transfer' && !this.toUserId) {
+            throw new Error('Scheduled transfers need a receiver');
+        }
+
+        if (this.type === 'payment' && !this.merchantId) {
+            throw new Error('Scheduled payments need a merchant');
+        }
+
+        if (!(this.amount instanceof Money) || !this.amount.isPositive()) {
+            throw new Error('Amount must be a positive Money amount');
+        }
+
+        if (!FREQUENCIES.includes(this.frequency)) {
+            throw new Error('Invalid schedule frequency');
+        }
+
+        if (!(this.startAt instanceof Date) || isNaN(this.startAt)) {
+            throw new Error('Start must be a valid date');
+        }
+
+        if (this.endAt !== null && (!(this.endAt instanceof Date) || isNaN(this.endAt) || this.endAt < this.startAt)) {
+            throw new Error('End must be a valid date after the start');
+        }
+
+        if (!STATUSES.includes(this.status)) {
+            throw new Error('Invalid schedule status');
+        }
+    }
+
+    /**
+     * Get the time of an occurrence
+     * Monthly runs keep the start day, or the last day of shorter months
+     * @param {number} index - Occurrence number, 0 is the start
+     * @returns {Date} Occurrence time
+     */
+    occurrenceAt(index) {
+        const start = this.startAt;
+
+        switch (this.frequency) {
+            case 'daily':
+                return new Date(start.getTime() + index * DAY_MS);
+            case 'weekly':
+                return new Date(start.getTime() + index * 7 * DAY_MS);
+            case 'monthly': {
+                const month = start.getUTCMonth() + index;
+                const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+                const occurrence = new Date(start);
+                occurrence.setUTCFullYear(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay));
+                return occurrence;
+            }
+            default:
+                return start;
+        }
+    }
+
+    /**
+     * @returns {Date} Time of the occurrence due next
+     */
+    get nextRunAt() {
+        return this.occurrenceAt(this.runCount);
+    }
+
+    /**
+     * Check if an occurrence exists
+     * @param {number} index - Occurrence number
+     * @returns {boolean} True if the schedule runs that time
+     */
+    hasOccurrence(index) {
+        if (this.frequency === 'once') {
+            return index === 0;
+        }
+        return this.endAt === null || this.occurrenceAt(index) <= this.endAt;
+    }
+
+    /**
+     * Find the first occurrence at or after a time
+     * Used when resuming, so occurrences that fell in a pause are skipped
+     * @param {Date} now - Current time
+     * @returns {number} Occurrence number, at least runCount
+     */
+    firstOccurrenceFrom(now) {
+        let index = this.runCount;
+        while (this.hasOccurrence(index) && this.occurrenceAt(index) < now) {
+            index += 1;
+        }
+        return index;
+    }
+
+    /**
+     * Check if the schedule should run now
+     * @param {Date} now - Current time
+     * @returns {boolean} True if due
+     */
+    isDue(now = new Date()) {
+        return this.status === 'active' && this.nextAttemptAt <= now;
+    }
+
+    /**
+     * Check if the schedule may still change state
+     * @returns {boolean} True if active or paused
+     */
+    isOpen() {
+        return this.status === 'active' || this.status === 'paused';
+    }
+
+    /**
+     * Copy the schedule with changed state
+     * The next attempt moves to the due occurrence unless given
+     * @param {Object} changes - State fields to change
+     * @returns {ScheduledPayment} New instance
+     */
+    withState(changes) {
+        return new ScheduledPayment(
+            this.scheduleId,
+            this.userId,
+            { type: this.type, toUserId: this.toUserId, merchantId: this.merchantId },
+            this.amount,
+            { frequency: this.frequency, startAt: this.startAt, endAt: this.endAt },
+            {
+                status: this.status,
+                runCount: this.runCount,
+                attempts: this.attempts,
+                lastRunAt: this.lastRunAt,
+                lastError: this.lastError,
+                ...changes
+            },
+            this.description,
+            this.createdAt
+        );
+    }
+
+    /**
+     * Move on to the next occurrence after a run, or after giving up on one
+     * @param {Date} now - Run time
+     * @param {string|null} error - Failure of the occurrence given up on
+     * @returns {ScheduledPayment} New instance, completed if no occurrence is left
+     */
+    advance(now, error = null) {
+        const runCount = this.runCount + 1;
+        return this.withState({
+            status: this.hasOccurrence(runCount) ? this.status : 'completed',
+            runCount,
+            attempts: 0,
+            lastRunAt: now,
+            lastError: error
+        });
+    }
+
+    /**
+     * Try the current occurrence again later
+     * @param {Date} now - Time of the failed attempt
+     * @param {Date} nextAttemptAt - Retry time
+     * @param {string} error - Failure message
+     * @returns {ScheduledPayment} New instance
+     */
+    retry(now, nextAttemptAt, error) {
+        return this.withState({
+            attempts: this.attempts + 1,
+            nextAttemptAt,
+            lastRunAt: now,
+            lastError: error
+        });
+    }
+
+    /**
+     * Resume a paused schedule from the first occurrence not in the past
+     * @param {Date} now - Current time
+     * @returns {ScheduledPayment} New instance, completed if no occurrence is left
+     */
+    resume(now) {
+        const runCount = this.firstOccurrenceFrom(now);
+        return this.withState({
+            status: this.hasOccurrence(runCount) ? 'active' : 'completed',
+            runCount,
+            attempts: 0
+        });
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            schedule_id: this.scheduleId,
+            user_id: this.userId,
+            type: this.type,
+            to_user_id: this.toUserId,
+            merchant_id: this.merchantId,
+            amount: this.amount.minor,
+            currency: this.amount.currency,
+            description: this.description,
+            frequency: this.frequency,
+            start_at: this.startAt.toISOString(),
+            end_at: this.endAt ? this.endAt.toISOString() : null,
+            status: this.status,
+            run_count: this.runCount,
+            attempts: this.attempts,
+            next_attempt_at: this.nextAttemptAt.toISOString(),
+            last_run_at: this.lastRunAt ? this.lastRunAt.toISOString() : null,
+            last_error: this.lastError,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create ScheduledPayment from database row
+     * @param {Object} row - Database row
+     * @returns {ScheduledPayment} ScheduledPayment instance
+     */
+    static fromRow(row) {
+        return new ScheduledPayment(
+            row.schedule_id,
+            row.user_id,
+            { type: row.type, toUserId: row.to_user_id, merchantId: row.merchant_id },
+            Money.fromMinor(row.amount, row.currency),
+            {
+                frequency: row.frequency,
+                startAt: new Date(row.start_at),
+                endAt: row.end_at ? new Date(row.end_at) : null
+            },
+            {
+                status: row.status,
+                runCount: row.run_count,
+                attempts: row.attempts,
+                nextAttemptAt: new Date(row.next_attempt_at),
+                lastRunAt: row.last_run_at ? new Date(row.last_run_at) : null,
+                lastError: row.last_error
+            },
+            row.description,
+            new Date(row.created_at)
+        );
+    }
+
+    /**
+     * @returns {Array<string>} Supported frequencies
+     */
+    static get FREQUENCIES() {
+        return FREQUENCIES;
+    }
+}
+
+module.exports = ScheduledPayment;
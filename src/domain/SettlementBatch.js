@@ -0,0 +1,88 @@
+/**
+ * Settlement Batch Domain Model
+ * A closed settlement period: the days after the previous batch up to and
+ * including the settlement date, with one payout per merchant account
+ * Follows Single Responsibility Principle
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class SettlementBatch {
+    constructor(batchId, settlementDate, previousDate = null, payouts = [], createdAt = new Date()) {
+        this.batchId = batchId;
+        this.settlementDate = settlementDate;
+        this.previousDate = previousDate;
+        this.payouts = payouts;
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate batch data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.batchId || typeof this.batchId !== 'string') {
+            throw new Error('Batch ID is required and must be a string');
+        }
+
+        if (!SettlementBatch.isValidDate(this.settlementDate)) {
+            throw new Error('Settlement date must be a YYYY-MM-DD date');
+        }
+
+        if (this.previousDate !== null && !(SettlementBatch.isValidDate(this.previousDate) && this.previousDate < this.settlementDate)) {
+            throw new Error('Previous settlement date must be an earlier YYYY-MM-DD date');
+        }
+    }
+
+    /**
+     * Get the ledger time of the batch's entries: the last moment of the period
+     * Dating entries by period rather than by run time keeps a rerun identical
+     * @returns {Date} End of the settlement date (UTC)
+     */
+    get periodEnd() {
+        return new Date(`${this.settlementDate}T23:59:59.999Z`);
+    }
+
+    /**
+     * Check a YYYY-MM-DD calendar date
+     * @param {string} date - Date string
+     * @returns {boolean} True if it names a real day
+     */
+    static isValidDate(date) {
+        return typeof date === 'string' && DATE_PATTERN.test(date)
+            && new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            batch_id: this.batchId,
+            settlement_date: this.settlementDate,
+            previous_date: this.previousDate,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create SettlementBatch from database row
+     * @param {Object} row - Database row
+     * @param {Array<MerchantPayout>} payouts - Payouts of the batch
+     * @returns {SettlementBatch} SettlementBatch instance
+     */
+    static fromRow(row, payouts = []) {
+        return new SettlementBatch(
+            row.batch_id,
+            row.settlement_date,
+            row.previous_date,
+            payouts,
+            new Date(row.created_at)
+        );
+    }
+}
+
+module.exports = SettlementBatch;
@@ -0,0 +1,129 @@
+/**
+ * TopUp Domain Model
+ * Money a user loads into a wallet from an external funding source (card,
+ * bank transfer or cash). The wallet is credited only when the funding
+ * provider reports the charge as completed
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+const TOPUP_METHODS = ['card', 'bank_transfer', 'cash_in'];
+
+// requires_action: waiting for the user to pass a 3-D Secure challenge
+// pending: accepted by the provider, waiting for its callback
+const TOPUP_STATUSES = ['requires_action', 'pending', 'completed', 'failed'];
+
+class TopUp {
+    constructor(topupId, userId, txId, method, amount, status = 'pending', details = {}, createdAt = new Date()) {
+        this.topupId = topupId;
+        this.userId = userId;
+        this.txId = txId;
+        this.method = method;
+        this.amount = amount;
+        this.status = status;
+        this.providerReference = details.providerReference || null;
+        // Card brand and last four digits, never the card number
+        this.card = details.card || null;
+        this.instructions = details.instructions || null;
+        this.failureReason = details.failureReason || null;
+        this.resolvedAt = details.resolvedAt || null;
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate top-up data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.topupId || typeof this.topupId !== 'string') {
+            throw new Error('Top-up ID is required and must be a string');
+        }
+
+        if (!this.userId || typeof this.userId !== 'string') {
+            throw new Error('User ID is required and must be a string');
+        }
+
+        if (!this.txId || typeof this.txId !== 'string') {
+            throw new Error('Transaction ID is required and must be a string');
+        }
+
+        if (!TOPUP_METHODS.includes(this.method)) {
+            throw new Error('Invalid top-up method');
+        }
+
+        if (!(this.amount instanceof Money) || !this.amount.isPositive()) {
+            throw new Error('Top-up amount must be a positive Money amount');
+        }
+
+        if (!TOPUP_STATUSES.includes(this.status)) {
+            throw new Error('Invalid top-up status');
+        }
+    }
+
+    /**
+     * Check if the provider has not settled the top-up yet
+     * @returns {boolean} True if requires_action or pending
+     */
+    isOpen() {
+        return this.status === 'requires_action' || this.status === 'pending';
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            topup_id: this.topupId,
+            user_id: this.userId,
+            tx_id: this.txId,
+            method: this.method,
+            amount: this.amount.minor,
+            currency: this.amount.currency,
+            status: this.status,
+            provider_reference: this.providerReference,
+            details: JSON.stringify({ card: this.card, instructions: this.instructions }),
+            failure_reason: this.failureReason,
+            resolved_at: this.resolvedAt ? this.resolvedAt.toISOString() : null,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create TopUp from database row
+     * @param {Object} row - Database row
+     * @returns {TopUp} TopUp instance
+     */
+    static fromRow(row) {
+        const details = row.details ? JSON.parse(row.details) : {};
+
+        return new TopUp(
+            row.topup_id,
+            row.user_id,
+            row.tx_id,
+            row.method,
+            Money.fromMinor(row.amount, row.currency),
+            row.status,
+            {
+                providerReference: row.provider_reference,
+                card: details.card,
+                instructions: details.instructions,
+                failureReason: row.failure_reason,
+                resolvedAt: row.resolved_at ? new Date(row.resolved_at) : null
+            },
+            new Date(row.created_at)
+        );
+    }
+
+    /**
+     * @returns {Array<string>} Funding methods a top-up can use
+     */
+    static get METHODS() {
+        return TOPUP_METHODS;
+    }
+}
+
+module.exports = TopUp;
@@ -4,6 +4,19 @@
  * Follows Single Responsibility Principle
  */
 
+const Money = require('./Money');
+
+const TYPES = ['payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split', 'split_settlement', 'refund', 'cashback_reversal', 'adjustment', 'exchange_out', 'exchange_in', 'withdrawal'];
+const STATUSES = ['pending', 'ok', 'failed', 'cancelled'];
+
+// Allowed status changes; ok, failed and cancelled are final
+const STATUS_TRANSITIONS = {
+    pending: ['ok', 'failed', 'cancelled'],
+    ok: [],
+    failed: [],
+    cancelled: []
+};
+
 class Transaction {
     constructor(txId, userId, amount, currency = 'TRY', type, status = 'pending', merchantId = null, meta = {}, createdAt = new Date(), merchantName = null) {
         this.txId = txId;
@@ -33,8 +46,12 @@ class Transaction {
             throw new Error('User ID is required and must be a string');
         }
 
-        if (!this.amount || typeof this.amount !== 'number' || this.amount <= 0) {
-            throw new Error('Amount must be a positive number');
+        if (!(this.amount instanceof Money) || !this.amount.isPositive()) {
+            throw new Error('Amount must be a positive Money amount');
+        }
+
+        if (this.amount.currency !== this.currency) {
+            throw new Error('Amount currency must match transaction currency');
         }
 
         if (!this.isValidType(this.type)) {
@@ -52,8 +69,7 @@ class Transaction {
      * @returns {boolean} True if valid
      */
     isValidType(type) {
-        const validTypes = ['payment', 'cashback', 'topup', 'transfer_out', 'transfer_in', 'bill_split', 'split_settlement', 'refund'];
-        return validTypes.includes(type);
+        return TYPES.includes(type);
     }
 
     /**
@@ -62,8 +78,26 @@ class Transaction {
      * @returns {boolean} True if valid
      */
     isValidStatus(status) {
-        const validStatuses = ['pending', 'ok', 'failed', 'cancelled'];
-        return validStatuses.includes(status);
+        return STATUSES.includes(status);
+    }
+
+    /**
+     * Check if the transaction may move to a status
+     * @param {string} status - Target status
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransitionTo(status) {
+        return Transaction.isValidTransition(this.status, status);
+    }
+
+    /**
+     * Check if a status transition is allowed
+     * @param {string} from - Current status
+     * @param {string} to - Target status
+     * @returns {boolean} True if allowed
+     */
+    static isValidTransition(from, to) {
+        return (STATUS_TRANSITIONS[from] || []).includes(to);
     }
 
     /**
@@ -74,6 +108,14 @@ class Transaction {
         return this.type === 'transfer_out' || this.type === 'transfer_in';
     }
 
+    /**
+     * Check if transaction is one side of a currency exchange
+     * @returns {boolean} True if exchange
+     */
+    isExchange() {
+        return this.type === 'exchange_out' || this.type === 'exchange_in';
+    }
+
     /**
      * Check if transaction is a payment
      * @returns {boolean} True if payment
@@ -87,7 +129,10 @@ class Transaction {
      * @returns {boolean} True if increases balance
      */
     increasesBalance() {
-        return ['cashback', 'topup', 'transfer_in'].includes(this.type);
+        if (this.isAdjustment()) {
+            return this.meta?.direction === 'credit';
+        }
+        return ['cashback', 'topup', 'transfer_in', 'refund', 'exchange_in'].includes(this.type);
     }
 
     /**
@@ -95,7 +140,27 @@ class Transaction {
      * @returns {boolean} True if decreases balance
      */
     decreasesBalance() {
-        return ['payment', 'transfer_out', 'bill_split'].includes(this.type);
+        if (this.isAdjustment()) {
+            return this.meta?.direction === 'debit';
+        }
+        return ['payment', 'transfer_out', 'bill_split', 'cashback_reversal', 'exchange_out', 'withdrawal'].includes(this.type);
+    }
+
+    /**
+     * Check if transaction is a refund
+     * @returns {boolean} True if refund
+     */
+    isRefund() {
+        return this.type === 'refund';
+    }
+
+    /**
+     * Check if transaction is a balance adjustment
+     * Adjustments carry their direction ('credit' or 'debit') in meta
+     * @returns {boolean} True if adjustment
+     */
+    isAdjustment() {
+        return this.type === 'adjustment';
     }
 
     /**
@@ -108,7 +173,7 @@ class Transaction {
             created_at: this.createdAt.toISOString(),
             user_id: this.userId,
             merchant_id: this.merchantId,
-            amount: this.amount,
+            amount: this.amount.minor,
             currency: this.currency,
             type: this.type,
             status: this.status,
@@ -132,7 +197,7 @@ class Transaction {
         return new Transaction(
             row.tx_id,
             row.user_id,
-            parseFloat(row.amount),
+            Money.fromMinor(row.amount, row.currency),
             row.currency,
             row.type,
             row.status,
@@ -142,6 +207,20 @@ class Transaction {
             row.merchant_name || null
         );
     }
+
+    /**
+     * @returns {Array<string>} Transaction types
+     */
+    static get TYPES() {
+        return TYPES;
+    }
+
+    /**
+     * @returns {Array<string>} Transaction statuses
+     */
+    static get STATUSES() {
+        return STATUSES;
+    }
 }
 
 module.exports = Transaction;
@@ -0,0 +1,121 @@
+/**
+ * TransactionLimit Domain Model
+ * Per-transaction, daily and monthly caps on one transaction type of a user,
+ * expressed in TRY
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+
+const LIMIT_TYPES = ['transfer_out', 'payment', 'topup'];
+const LIMIT_PERIODS = ['perTransaction', 'daily', 'monthly'];
+const LIMIT_CURRENCY = 'TRY';
+
+class TransactionLimit {
+    constructor(type, perTransaction, daily, monthly) {
+        this.type = type;
+        this.perTransaction = perTransaction;
+        this.daily = daily;
+        this.monthly = monthly;
+
+        this.validate();
+    }
+
+    /**
+     * Validate limit data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!LIMIT_TYPES.includes(this.type)) {
+            throw new Error('Invalid limit type');
+        }
+
+        for (const period of LIMIT_PERIODS) {
+            const limit = this[period];
+            if (!(limit instanceof Money) || limit.currency !== LIMIT_CURRENCY || !limit.isPositive()) {
+                throw new Error(`${period} limit must be a positive ${LIMIT_CURRENCY} amount`);
+            }
+        }
+    }
+
+    /**
+     * Combine with another limit of the same type, keeping the lower cap of each period
+     * @param {TransactionLimit} other - Limit to combine with
+     * @returns {TransactionLimit} New TransactionLimit instance
+     */
+    min(other) {
+        if (other.type !== this.type) {
+            throw new Error('Limits of different types cannot be combined');
+        }
+
+        const [perTransaction, daily, monthly] = LIMIT_PERIODS.map(period =>
+            other[period].lessThan(this[period]) ? other[period] : this[period]
+        );
+        return new TransactionLimit(this.type, perTransaction, daily, monthly);
+    }
+
+    /**
+     * Find the first cap an amount would break
+     * @param {Money} amount - Amount of the new transaction, in TRY
+     * @param {Object} usage - {daily, monthly} already used, as TRY Money
+     * @returns {string|null} Period of the broken cap, or null if within all caps
+     */
+    exceededBy(amount, usage) {
+        if (amount.greaterThan(this.perTransaction)) {
+            return 'perTransaction';
+        }
+
+        if (usage.daily.add(amount).greaterThan(this.daily)) {
+            return 'daily';
+        }
+
+        if (usage.monthly.add(amount).greaterThan(this.monthly)) {
+            return 'monthly';
+        }
+
+        return null;
+    }
+
+    /**
+     * Create TransactionLimit from a user_limits row
+     * Periods the user has not lowered (NULL columns) are taken from the fallback
+     * @param {Object} row - Database row
+     * @param {TransactionLimit} fallback - System limit of the same type
+     * @returns {TransactionLimit} TransactionLimit instance
+     */
+    static fromRow(row, fallback) {
+        const amount = (minor, period) => minor === null || minor === undefined
+            ? fallback[period]
+            : Money.fromMinor(minor, LIMIT_CURRENCY);
+
+        return new TransactionLimit(
+            row.type,
+            amount(row.per_transaction, 'perTransaction'),
+            amount(row.daily, 'daily'),
+            amount(row.monthly, 'monthly')
+        );
+    }
+
+    /**
+     * @returns {Array<string>} Transaction types that can be limited
+     */
+    static get TYPES() {
+        return LIMIT_TYPES;
+    }
+
+    /**
+     * @returns {Array<string>} Limit periods
+     */
+    static get PERIODS() {
+        return LIMIT_PERIODS;
+    }
+
+    /**
+     * @returns {string} Currency limits are kept in
+     */
+    static get CURRENCY() {
+        return LIMIT_CURRENCY;
+    }
+}
+
+module.exports = TransactionLimit;
@@ -52,7 +52,7 @@ class User {
             user_id: this.userId,
             name: this.name,
             phone: this.phone,
-            created_at: this.createdAt
+            created_at: this.createdAt.toISOString()
         };
     }
 
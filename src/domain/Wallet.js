@@ -4,12 +4,15 @@
  * Follows Single Responsibility Principle
  */
 
+const Money = require('./Money');
+
 class Wallet {
-    constructor(userId, balance = 0.0, currency = 'TRY', updatedAt = new Date()) {
+    constructor(userId, balance = null, currency = 'TRY', updatedAt = new Date(), heldAmount = null) {
         this.userId = userId;
-        this.balance = balance;
+        this.balance = balance || Money.zero(currency);
         this.currency = currency;
         this.updatedAt = updatedAt;
+        this.heldAmount = heldAmount || Money.zero(currency);
 
         this.validate();
     }
@@ -23,56 +26,75 @@ class Wallet {
             throw new Error('User ID is required and must be a string');
         }
 
-        if (typeof this.balance !== 'number' || this.balance < 0) {
-            throw new Error('Balance must be a non-negative number');
+        if (!(this.balance instanceof Money) || this.balance.isNegative()) {
+            throw new Error('Balance must be a non-negative Money amount');
         }
 
         if (!this.currency || typeof this.currency !== 'string') {
             throw new Error('Currency is required and must be a string');
         }
+
+        if (this.balance.currency !== this.currency) {
+            throw new Error('Balance currency must match wallet currency');
+        }
+
+        if (!(this.heldAmount instanceof Money) || this.heldAmount.isNegative()) {
+            throw new Error('Held amount must be a non-negative Money amount');
+        }
+
+        if (this.heldAmount.greaterThan(this.balance)) {
+            throw new Error('Held amount cannot exceed balance');
+        }
+    }
+
+    /**
+     * Get the part of the balance not reserved by payment holds
+     * @returns {Money} Available balance
+     */
+    get availableBalance() {
+        return this.balance.subtract(this.heldAmount);
     }
 
     /**
      * Add funds to wallet
-     * @param {number} amount - Amount to add
+     * @param {Money} amount - Amount to add
      * @throws {Error} If amount is invalid
      */
     credit(amount) {
-        if (typeof amount !== 'number' || amount <= 0) {
-            throw new Error('Credit amount must be a positive number');
+        if (!(amount instanceof Money) || !amount.isPositive()) {
+            throw new Error('Credit amount must be a positive Money amount');
         }
 
-        this.balance += amount;
-        this.balance = Math.round(this.balance * 100) / 100; // Round to 2 decimal places
+        this.balance = this.balance.add(amount);
         this.updatedAt = new Date();
     }
 
     /**
      * Remove funds from wallet
-     * @param {number} amount - Amount to remove
+     * @param {Money} amount - Amount to remove
      * @throws {Error} If amount is invalid or insufficient funds
      */
     debit(amount) {
-        if (typeof amount !== 'number' || amount <= 0) {
-            throw new Error('Debit amount must be a positive number');
+        if (!(amount instanceof Money) || !amount.isPositive()) {
+            throw new Error('Debit amount must be a positive Money amount');
         }
 
-        if (amount > this.balance) {
+        if (!this.hasSufficientFunds(amount)) {
             throw new Error('Insufficient funds');
         }
 
-        this.balance -= amount;
-        this.balance = Math.round(this.balance * 100) / 100; // Round to 2 decimal places
+        this.balance = this.balance.subtract(amount);
         this.updatedAt = new Date();
     }
 
     /**
      * Check if wallet has sufficient funds
-     * @param {number} amount - Amount to check
+     * Held funds are not available for new debits
+     * @param {Money} amount - Amount to check
      * @returns {boolean} True if sufficient funds
      */
     hasSufficientFunds(amount) {
-        return this.balance >= amount;
+        return this.availableBalance.greaterThanOrEqual(amount);
     }
 
     /**
@@ -80,7 +102,15 @@ class Wallet {
      * @returns {string} Formatted balance with currency
      */
     getFormattedBalance() {
-        return `${this.balance.toFixed(2)} ${this.currency}`;
+        return this.balance.format();
+    }
+
+    /**
+     * Get formatted available balance
+     * @returns {string} Formatted available balance with currency
+     */
+    getFormattedAvailableBalance() {
+        return this.availableBalance.format();
     }
 
     /**
@@ -90,7 +120,8 @@ class Wallet {
     toObject() {
         return {
             user_id: this.userId,
-            balance: this.balance,
+            balance: this.balance.minor,
+            held_amount: this.heldAmount.minor,
             currency: this.currency,
             updated_at: this.updatedAt.toISOString()
         };
@@ -104,9 +135,10 @@ class Wallet {
     static fromRow(row) {
         return new Wallet(
             row.user_id,
-            parseFloat(row.balance),
+            Money.fromMinor(row.balance, row.currency),
             row.currency,
-            new Date(row.updated_at)
+            new Date(row.updated_at),
+            Money.fromMinor(row.held_amount || 0, row.currency)
         );
     }
 }
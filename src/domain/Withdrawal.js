@@ -0,0 +1,126 @@
+/**
+ * Withdrawal Domain Model
+ * Money a user sends from the TRY wallet to a bank account. The amount is held
+ * on the wallet while the bank transfer is pending and leaves the balance only
+ * when the bank completes it
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('./Money');
+const Iban = require('./Iban');
+
+// pending: funds held, not yet accepted by the bank rail
+// processing: submitted, waiting for the bank to complete or fail it
+const WITHDRAWAL_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+class Withdrawal {
+    constructor(withdrawalId, userId, txId, bankAccountId, iban, amount, status = 'pending', details = {}, createdAt = new Date()) {
+        this.withdrawalId = withdrawalId;
+        this.userId = userId;
+        this.txId = txId;
+        this.bankAccountId = bankAccountId;
+        this.iban = iban;
+        this.holderName = details.holderName;
+        this.amount = amount;
+        this.status = status;
+        this.bankReference = details.bankReference || null;
+        this.failureReason = details.failureReason || null;
+        this.submittedAt = details.submittedAt || null;
+        this.resolvedAt = details.resolvedAt || null;
+        this.createdAt = createdAt;
+
+        this.validate();
+    }
+
+    /**
+     * Validate withdrawal data
+     * @throws {Error} If validation fails
+     */
+    validate() {
+        if (!this.withdrawalId || typeof this.withdrawalId !== 'string') {
+            throw new Error('Withdrawal ID is required and must be a string');
+        }
+
+        if (!this.userId || typeof this.userId !== 'string') {
+            throw new Error('User ID is required and must be a string');
+        }
+
+        if (!this.txId || typeof this.txId !== 'string') {
+            throw new Error('Transaction ID is required and must be a string');
+        }
+
+        if (!(this.iban instanceof Iban)) {
+            throw new Error('IBAN must be an Iban instance');
+        }
+
+        if (!this.holderName || typeof this.holderName !== 'string') {
+            throw new Error('Account holder name is required and must be a string');
+        }
+
+        if (!(this.amount instanceof Money) || !this.amount.isPositive()) {
+            throw new Error('Withdrawal amount must be a positive Money amount');
+        }
+
+        if (!WITHDRAWAL_STATUSES.includes(this.status)) {
+            throw new Error('Invalid withdrawal status');
+        }
+    }
+
+    /**
+     * Check if the bank has not settled the withdrawal yet
+     * @returns {boolean} True if pending or processing
+     */
+    isOpen() {
+        return this.status === 'pending' || this.status === 'processing';
+    }
+
+    /**
+     * Convert to plain object for database storage
+     * @returns {Object} Plain object representation
+     */
+    toObject() {
+        return {
+            withdrawal_id: this.withdrawalId,
+            user_id: this.userId,
+            tx_id: this.txId,
+            bank_account_id: this.bankAccountId,
+            iban: this.iban.toString(),
+            holder_name: this.holderName,
+            amount: this.amount.minor,
+            currency: this.amount.currency,
+            status: this.status,
+            bank_reference: this.bankReference,
+            failure_reason: this.failureReason,
+            submitted_at: this.submittedAt ? this.submittedAt.toISOString() : null,
+            resolved_at: this.resolvedAt ? this.resolvedAt.toISOString() : null,
+            created_at: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Create Withdrawal from database row
+     * @param {Object} row - Database row
+     * @returns {Withdrawal} Withdrawal instance
+     */
+    static fromRow(row) {
+        return new Withdrawal(
+            row.withdrawal_id,
+            row.user_id,
+            row.tx_id,
+            row.bank_account_id,
+            new Iban(row.iban),
+            Money.fromMinor(row.amount, row.currency),
+            row.status,
+            {
+                holderName: row.holder_name,
+                bankReference: row.bank_reference,
+                failureReason: row.failure_reason,
+                submittedAt: row.submitted_at ? new Date(row.submitted_at) : null,
+                resolvedAt: row.resolved_at ? new Date(row.resolved_at) : null
+            },
+            new Date(row.created_at)
+        );
+    }
+}
+
+module.exports = Withdrawal;
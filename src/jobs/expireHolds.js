@@ -0,0 +1,75 @@
+/**
+ * Hold Expiry Job
+ * Releases payment holds whose authorization expired without capture or void.
+ * The server runs it on an interval; it can also be run once from the command
+ * line against the SQLite file.
+ *
+ * Usage: npm run expire-holds [-- --db=path/to/payment_system.db]
+ */
+
+const Database = require('../database/Database');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const PaymentHoldRepository = require('../repositories/PaymentHoldRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const PaymentAuthorizationService = require('../services/PaymentAuthorizationService');
+
+const DEFAULT_INTERVAL = 60; // seconds
+
+/**
+ * Run the expiry sweep periodically inside the server process
+ * The timer does not keep the process alive
+ * @param {PaymentAuthorizationService} service - Payment authorization service
+ * @param {number} interval - Seconds between sweeps
+ * @returns {Object} Timer handle for clearInterval
+ */
+function scheduleHoldExpiry(service, interval = parseInt(process.env.PAYMENT_HOLD_SWEEP_INTERVAL) || DEFAULT_INTERVAL) {
+    const timer = setInterval(async () => {
+        const result = await service.expireStaleHolds();
+        if (result.success && result.data.expiredCount > 0) {
+            console.log(`Expired payment holds: ${result.data.transactionIds.join(', ')}`);
+        }
+    }, interval * 1000);
+
+    timer.unref();
+    return timer;
+}
+
+async function runHoldExpiry() {
+    const dbArg = process.argv.slice(2).find(arg => arg.startsWith('--db='));
+    const db = new Database();
+
+    try {
+        await db.connect(dbArg ? dbArg.substring('--db='.length) : undefined);
+
+        const service = new PaymentAuthorizationService(
+            new WalletRepository(db),
+            new TransactionRepository(db),
+            new PaymentHoldRepository(db),
+            new LedgerRepository(db)
+        );
+        const result = await service.expireStaleHolds();
+
+        if (!result.success) {
+            console.error(result.message);
+            process.exitCode = 2;
+            return;
+        }
+
+        console.log(`${result.data.expiredCount} hold(s) expired`);
+        result.data.transactionIds.forEach(txId => console.log(' ', txId));
+
+    } catch (error) {
+        console.error('Hold expiry failed:', error);
+        process.exitCode = 2;
+    } finally {
+        await db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runHoldExpiry();
+}
+
+module.exports = { scheduleHoldExpiry, runHoldExpiry };
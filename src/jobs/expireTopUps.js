@@ -0,0 +1,76 @@
+/**
+ * Top-Up Expiry Job
+ * Fails top-ups whose 3-D Secure challenge was never answered or whose
+ * funding provider never called back. The server runs it on an interval; it
+ * can also be run once from the command line against the SQLite file.
+ *
+ * Usage: npm run expire-topups [-- --db=path/to/payment_system.db]
+ */
+
+const Database = require('../database/Database');
+const TopUpRepository = require('../repositories/TopUpRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const TopUpService = require('../services/TopUpService');
+
+const DEFAULT_INTERVAL = 60; // seconds
+
+/**
+ * Run the expiry sweep periodically inside the server process
+ * The timer does not keep the process alive
+ * @param {TopUpService} service - Top-up service
+ * @param {number} interval - Seconds between sweeps
+ * @returns {Object} Timer handle for clearInterval
+ */
+function scheduleTopUpExpiry(service, interval = parseInt(process.env.TOPUP_SWEEP_INTERVAL) || DEFAULT_INTERVAL) {
+    const timer = setInterval(async () => {
+        const result = await service.expireStaleTopUps();
+        if (result.success && result.data.expiredCount > 0) {
+            console.log(`Expired top-ups: ${result.data.topupIds.join(', ')}`);
+        }
+    }, interval * 1000);
+
+    timer.unref();
+    return timer;
+}
+
+async function runTopUpExpiry() {
+    const dbArg = process.argv.slice(2).find(arg => arg.startsWith('--db='));
+    const db = new Database();
+
+    try {
+        await db.connect(dbArg ? dbArg.substring('--db='.length) : undefined);
+
+        // Expiry does not contact the providers
+        const service = new TopUpService(
+            new TopUpRepository(db),
+            new WalletRepository(db),
+            new TransactionRepository(db),
+            new LedgerRepository(db)
+        );
+        const result = await service.expireStaleTopUps();
+
+        if (!result.success) {
+            console.error(result.message);
+            process.exitCode = 2;
+            return;
+        }
+
+        console.log(`${result.data.expiredCount} top-up(s) expired`);
+        result.data.topupIds.forEach(topupId => console.log(' ', topupId));
+
+    } catch (error) {
+        console.error('Top-up expiry failed:', error);
+        process.exitCode = 2;
+    } finally {
+        await db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runTopUpExpiry();
+}
+
+module.exports = { scheduleTopUpExpiry, runTopUpExpiry };
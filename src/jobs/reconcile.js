@@ -0,0 +1,83 @@
+/**
+ * Reconciliation Job
+ * Recomputes every wallet from its transaction history and ledger postings
+ * and prints the mismatches. Runs directly against the SQLite file, no server needed.
+ *
+ * Usage: npm run reconcile [-- --fix] [-- --db=path/to/payment_system.db]
+ * Exits with code 1 while unresolved mismatches remain.
+ */
+
+const Database = require('../database/Database');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const ReconciliationService = require('../services/ReconciliationService');
+
+/**
+ * Parse command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} {fix, dbPath}
+ */
+function parseArgs(args) {
+    const dbArg = args.find(arg => arg.startsWith('--db='));
+    return {
+        fix: args.includes('--fix'),
+        dbPath: dbArg ? dbArg.substring('--db='.length) : undefined
+    };
+}
+
+async function runReconciliation() {
+    const { fix, dbPath } = parseArgs(process.argv.slice(2));
+    const db = new Database();
+
+    try {
+        await db.connect(dbPath);
+
+        const service = new ReconciliationService(
+            new WalletRepository(db),
+            new TransactionRepository(db),
+            new LedgerRepository(db)
+        );
+        const result = await service.reconcile({ fix });
+
+        if (!result.success) {
+            console.error(result.message);
+            process.exitCode = 2;
+            return;
+        }
+
+        const { walletCount, mismatches, unresolvedCount } = result.data;
+        console.log(`${walletCount} wallet(s) checked, ${mismatches.length} mismatch(es)`);
+
+        if (mismatches.length > 0) {
+            console.table(mismatches.map(mismatch => ({
+                user: mismatch.userId,
+                balance: mismatch.balance,
+                history: mismatch.historyBalance,
+                historyDrift: mismatch.historyDrift,
+                ledger: mismatch.ledgerBalance,
+                ledgerDrift: mismatch.ledgerDrift,
+                fixed: mismatch.fixed,
+                note: mismatch.skipReason || ''
+            })));
+        }
+
+        if (unresolvedCount > 0) {
+            console.log(fix ? `${unresolvedCount} wallet(s) could not be fixed` : 'Run with --fix to write adjustments');
+            process.exitCode = 1;
+        }
+
+    } catch (error) {
+        console.error('Reconciliation failed:', error);
+        process.exitCode = 2;
+    } finally {
+        await db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runReconciliation();
+}
+
+module.exports = { runReconciliation };
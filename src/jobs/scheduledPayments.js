@@ -0,0 +1,115 @@
+/**
+ * Scheduled Payments Job
+ * Executes due standing orders. The server sweeps on an interval and once at
+ * start, so occurrences missed while it was down are caught up; the job can
+ * also be run once from the command line against the SQLite file.
+ *
+ * Usage: npm run scheduled-payments [-- --db=path/to/payment_system.db]
+ */
+
+const Database = require('../database/Database');
+const UserRepository = require('../repositories/UserRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const MerchantRepository = require('../repositories/MerchantRepository');
+const QRCodeRepository = require('../repositories/QRCodeRepository');
+const ScheduledPaymentRepository = require('../repositories/ScheduledPaymentRepository');
+const LimitRepository = require('../repositories/LimitRepository');
+const MerchantService = require('../services/MerchantService');
+const QRCodeService = require('../services/QRCodeService');
+const CashbackService = require('../services/CashbackService');
+const ExchangeService = require('../services/ExchangeService');
+const LimitService = require('../services/LimitService');
+const PaymentService = require('../services/PaymentService');
+const ScheduledPaymentService = require('../services/ScheduledPaymentService');
+
+const DEFAULT_INTERVAL = 60; // seconds
+
+/**
+ * Log the outcome of a sweep
+ * @param {Object} result - Result of runDueSchedules()
+ */
+function logSweep(result) {
+    if (!result.success) {
+        console.error(`Scheduled payments failed: ${result.message}`);
+        return;
+    }
+
+    result.data.succeeded.forEach(run => console.log(`Scheduled payment ${run.scheduleId} ran: ${run.txId}`));
+    result.data.failed.forEach(run => console.log(`Scheduled payment ${run.scheduleId} failed: ${run.message}`));
+}
+
+/**
+ * Run due scheduled payments now and then periodically inside the server process
+ * The timer does not keep the process alive
+ * @param {ScheduledPaymentService} service - Scheduled payment service
+ * @param {number} interval - Seconds between sweeps
+ * @returns {Object} Timer handle for clearInterval
+ */
+function scheduleScheduledPayments(service, interval = parseInt(process.env.SCHEDULED_PAYMENT_INTERVAL) || DEFAULT_INTERVAL) {
+    // Catch up right away instead of waiting a full interval after a restart
+    service.runDueSchedules().then(logSweep);
+
+    const timer = setInterval(async () => {
+        logSweep(await service.runDueSchedules());
+    }, interval * 1000);
+
+    timer.unref();
+    return timer;
+}
+
+async function runScheduledPayments() {
+    const dbArg = process.argv.slice(2).find(arg => arg.startsWith('--db='));
+    const db = new Database();
+
+    try {
+        await db.connect(dbArg ? dbArg.substring('--db='.length) : undefined);
+
+        const walletRepository = new WalletRepository(db);
+        const transactionRepository = new TransactionRepository(db);
+        const ledgerRepository = new LedgerRepository(db);
+        const merchantService = new MerchantService(new MerchantRepository(db));
+        const exchangeService = new ExchangeService(walletRepository, transactionRepository, ledgerRepository);
+        const paymentService = new PaymentService(
+            walletRepository,
+            transactionRepository,
+            ledgerRepository,
+            null,
+            merchantService,
+            new QRCodeService(new QRCodeRepository(db), merchantService),
+            exchangeService,
+            new LimitService(new LimitRepository(db), exchangeService)
+        );
+        paymentService.setCashbackService(new CashbackService(db, walletRepository, transactionRepository, ledgerRepository));
+
+        const service = new ScheduledPaymentService(
+            new ScheduledPaymentRepository(db),
+            paymentService,
+            merchantService,
+            new UserRepository(db)
+        );
+        const result = await service.runDueSchedules();
+
+        logSweep(result);
+        if (!result.success) {
+            process.exitCode = 2;
+            return;
+        }
+
+        console.log(result.message);
+
+    } catch (error) {
+        console.error('Scheduled payments failed:', error);
+        process.exitCode = 2;
+    } finally {
+        await db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runScheduledPayments();
+}
+
+module.exports = { scheduleScheduledPayments, runScheduledPayments };
@@ -0,0 +1,104 @@
+/**
+ * Settlement Job
+ * Closes the merchant settlement period ending yesterday (or a given date)
+ * and prints the payouts. The server checks on an interval whether yesterday
+ * is settled; the job can also be run from the command line against the
+ * SQLite file.
+ *
+ * Usage: npm run settle [-- --date=YYYY-MM-DD] [-- --db=path/to/payment_system.db]
+ */
+
+const Database = require('../database/Database');
+const SettlementRepository = require('../repositories/SettlementRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const MerchantRepository = require('../repositories/MerchantRepository');
+const SettlementService = require('../services/SettlementService');
+
+const DEFAULT_INTERVAL = 60 * 60; // seconds
+
+/**
+ * Settle yesterday periodically inside the server process
+ * Settling an already settled day is a no-op, so checking hourly is cheap.
+ * The timer does not keep the process alive
+ * @param {SettlementService} service - Settlement service
+ * @param {number} interval - Seconds between checks
+ * @returns {Object} Timer handle for clearInterval
+ */
+function scheduleSettlement(service, interval = parseInt(process.env.SETTLEMENT_CHECK_INTERVAL) || DEFAULT_INTERVAL) {
+    const timer = setInterval(async () => {
+        const result = await service.settle();
+        if (!result.success) {
+            console.error(`Settlement failed: ${result.message}`);
+        } else if (!result.data.alreadySettled) {
+            console.log(`Settled ${result.data.settlementDate}: ${result.data.payouts.length} payout(s)`);
+        }
+    }, interval * 1000);
+
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Parse command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} {date, dbPath}
+ */
+function parseArgs(args) {
+    const dateArg = args.find(arg => arg.startsWith('--date='));
+    const dbArg = args.find(arg => arg.startsWith('--db='));
+    return {
+        date: dateArg ? dateArg.substring('--date='.length) : null,
+        dbPath: dbArg ? dbArg.substring('--db='.length) : undefined
+    };
+}
+
+async function runSettlement() {
+    const { date, dbPath } = parseArgs(process.argv.slice(2));
+    const db = new Database();
+
+    try {
+        await db.connect(dbPath);
+
+        const service = new SettlementService(
+            new SettlementRepository(db),
+            new LedgerRepository(db),
+            new MerchantRepository(db)
+        );
+        const result = await service.settle(date);
+
+        if (!result.success) {
+            console.error(result.message);
+            process.exitCode = 2;
+            return;
+        }
+
+        const { settlementDate, previousDate, payouts } = result.data;
+        console.log(result.message);
+        console.log(`Period: ${previousDate ? `after ${previousDate}` : 'start of ledger'} to ${settlementDate}, ${payouts.length} payout(s)`);
+
+        if (payouts.length > 0) {
+            console.table(payouts.map(payout => ({
+                merchant: payout.merchantId,
+                gross: payout.grossAmount,
+                refunds: payout.refundAmount,
+                fee: payout.feeAmount,
+                net: payout.netAmount,
+                payout: payout.payoutAmount,
+                status: payout.status
+            })));
+        }
+
+    } catch (error) {
+        console.error('Settlement failed:', error);
+        process.exitCode = 2;
+    } finally {
+        await db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runSettlement();
+}
+
+module.exports = { scheduleSettlement, runSettlement };
@@ -0,0 +1,83 @@
+/**
+ * Withdrawals Job
+ * Moves open withdrawals forward with the bank rail: pending ones are
+ * submitted again, processing ones are completed or failed once the bank has
+ * settled them. The server syncs on an interval; the job can also be run
+ * once from the command line against the SQLite file.
+ *
+ * Usage: npm run withdrawals [-- --db=path/to/payment_system.db]
+ */
+
+const Database = require('../database/Database');
+const UserRepository = require('../repositories/UserRepository');
+const WalletRepository = require('../repositories/WalletRepository');
+const TransactionRepository = require('../repositories/TransactionRepository');
+const LedgerRepository = require('../repositories/LedgerRepository');
+const BankAccountRepository = require('../repositories/BankAccountRepository');
+const WithdrawalRepository = require('../repositories/WithdrawalRepository');
+const WithdrawalService = require('../services/WithdrawalService');
+const SimulatedBankRail = require('../adapters/bank/SimulatedBankRail');
+
+const DEFAULT_INTERVAL = 30; // seconds
+
+/**
+ * Sync withdrawals periodically inside the server process
+ * The timer does not keep the process alive
+ * @param {WithdrawalService} service - Withdrawal service
+ * @param {number} interval - Seconds between syncs
+ * @returns {Object} Timer handle for clearInterval
+ */
+function scheduleWithdrawalSync(service, interval = parseInt(process.env.WITHDRAWAL_SYNC_INTERVAL) || DEFAULT_INTERVAL) {
+    const timer = setInterval(async () => {
+        const result = await service.syncWithdrawals();
+        if (!result.success) {
+            console.error(`Withdrawal sync failed: ${result.message}`);
+        } else if (result.data.completed + result.data.failed > 0) {
+            console.log(`Withdrawals: ${result.data.completed} completed, ${result.data.failed} failed`);
+        }
+    }, interval * 1000);
+
+    timer.unref();
+    return timer;
+}
+
+async function runWithdrawalSync() {
+    const dbArg = process.argv.slice(2).find(arg => arg.startsWith('--db='));
+    const db = new Database();
+
+    try {
+        await db.connect(dbArg ? dbArg.substring('--db='.length) : undefined);
+
+        const service = new WithdrawalService(
+            new WithdrawalRepository(db),
+            new BankAccountRepository(db),
+            new WalletRepository(db),
+            new TransactionRepository(db),
+            new LedgerRepository(db),
+            new UserRepository(db),
+            new SimulatedBankRail()
+        );
+        const result = await service.syncWithdrawals();
+
+        if (!result.success) {
+            console.error(result.message);
+            process.exitCode = 2;
+            return;
+        }
+
+        console.log(`${result.message} (${result.data.submitted} submitted)`);
+
+    } catch (error) {
+        console.error('Withdrawal sync failed:', error);
+        process.exitCode = 2;
+    } finally {
+        await db.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runWithdrawalSync();
+}
+
+module.exports = { scheduleWithdrawalSync, runWithdrawalSync };
@@ -0,0 +1,46 @@
+/**
+ * Admin Authentication Middleware
+ * Guards operational endpoints with a shared key sent in the X-Admin-Key header
+ * Follows Single Responsibility Principle
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a key so keys of different lengths can be compared in constant time
+ * @param {string} key - Key
+ * @returns {Buffer} SHA-256 digest
+ */
+const digest = (key) => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * Admin authentication middleware
+ * Admin endpoints stay disabled until ADMIN_API_KEY is set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const adminAuth = (req, res, next) => {
+    const expected = process.env.ADMIN_API_KEY;
+
+    if (!expected) {
+        return res.status(503).json({
+            success: false,
+            message: 'Yönetici erişimi yapılandırılmamış'
+        });
+    }
+
+    const provided = req.get('X-Admin-Key');
+
+    if (!provided || !crypto.timingSafeEqual(digest(provided), digest(expected))) {
+        return res.status(401).json({
+            success: false,
+            message: 'Geçersiz yönetici anahtarı'
+        });
+    }
+
+    req.isAdmin = true;
+    next();
+};
+
+module.exports = adminAuth;
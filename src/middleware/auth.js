@@ -4,19 +4,31 @@
  * Follows Single Responsibility Principle
  */
 
+const TokenService = require('../services/TokenService');
+
 /**
- * Simple session middleware for demonstration
- * In production, use proper session management or JWT
+ * In-memory session store
+ * Acts as the revocation store for issued tokens: a token is only
+ * accepted while its session exists
  */
 class SessionManager {
-    constructor() {
+    constructor(maxAge = 7 * 24 * 60 * 60 * 1000) {
         this.sessions = new Map(); // In-memory storage for demo
+        this.maxAge = maxAge;
     }
 
-    createSession(userId) {
+    /**
+     * @param {string} subjectId - User ID, or merchant ID for merchant sessions
+     * @param {string} refreshTokenId - Current refresh token ID
+     * @param {string} role - 'user' or 'merchant'
+     * @returns {string} Session ID
+     */
+    createSession(subjectId, refreshTokenId, role = 'user') {
         const sessionId = require('uuid').v4();
         this.sessions.set(sessionId, {
-            userId,
+            subjectId,
+            role,
+            refreshTokenId,
             createdAt: new Date(),
             lastAccess: new Date()
         });
@@ -32,16 +44,26 @@ class SessionManager {
         return null;
     }
 
+    rotateRefreshToken(sessionId, refreshTokenId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return false;
+        }
+
+        session.refreshTokenId = refreshTokenId;
+        session.lastAccess = new Date();
+        return true;
+    }
+
     destroySession(sessionId) {
         return this.sessions.delete(sessionId);
     }
 
     cleanExpiredSessions() {
         const now = new Date();
-        const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
         for (const [sessionId, session] of this.sessions.entries()) {
-            if (now - session.lastAccess > maxAge) {
+            if (now - session.lastAccess > this.maxAge) {
                 this.sessions.delete(sessionId);
             }
         }
@@ -49,11 +71,27 @@ class SessionManager {
 }
 
 const sessionManager = new SessionManager();
+const tokenService = new TokenService(sessionManager);
 
 // Clean expired sessions every hour
 setInterval(() => {
     sessionManager.cleanExpiredSessions();
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
+
+/**
+ * Extract bearer token from Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null
+ */
+const extractBearerToken = (req) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+
+    return authHeader.substring('Bearer '.length).trim() || null;
+};
 
 /**
  * Authentication middleware
@@ -62,43 +100,71 @@ setInterval(() => {
  * @param {Function} next - Next middleware function
  */
 const authMiddleware = (req, res, next) => {
-    // For demonstration, we'll use a simple header-based auth
-    const authHeader = req.headers.authorization;
+    const token = extractBearerToken(req);
 
-    if (!authHeader) {
+    if (!token) {
         return res.status(401).json({
             success: false,
             message: 'Oturum açmanız gerekiyor'
         });
     }
 
-    // Extract user ID from Authorization header
-    // Format: "Bearer USER_ID"
-    const userId = authHeader.replace('Bearer ', '');
+    // Format: "Bearer <signed access token>"
+    const session = tokenService.verifyAccessToken(token);
 
-    if (!userId) {
+    if (!session) {
         return res.status(401).json({
             success: false,
-            message: 'Geçersiz oturum'
+            message: 'Geçersiz veya süresi dolmuş oturum'
         });
     }
 
     // Set session for request
-    req.session = { userId };
+    req.session = session;
+    next();
+};
+
+/**
+ * Merchant authentication middleware
+ * Accepts only merchant session tokens and sets req.session.merchantId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const merchantAuth = (req, res, next) => {
+    const token = extractBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'İşyeri girişi yapmanız gerekiyor'
+        });
+    }
+
+    const session = tokenService.verifyAccessToken(token, 'merchant');
+
+    if (!session) {
+        return res.status(401).json({
+            success: false,
+            message: 'Geçersiz veya süresi dolmuş oturum'
+        });
+    }
+
+    req.session = session;
     next();
 };
 
 /**
  * Optional authentication middleware
- * Doesn't block request if no auth provided
+ * Doesn't block request if no (or an invalid) auth is provided
  */
 const optionalAuth = (req, res, next) => {
-    const authHeader = req.headers.authorization;
+    const token = extractBearerToken(req);
 
-    if (authHeader) {
-        const userId = authHeader.replace('Bearer ', '');
-        if (userId) {
-            req.session = { userId };
+    if (token) {
+        const session = tokenService.verifyAccessToken(token);
+        if (session) {
+            req.session = session;
         }
     }
 
@@ -107,6 +173,8 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
     authMiddleware,
+    merchantAuth,
     optionalAuth,
-    sessionManager
+    sessionManager,
+    tokenService
 };
@@ -0,0 +1,141 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a money-moving request is retried
+ * with the same Idempotency-Key header
+ * Follows Single Responsibility Principle
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_KEY_LENGTH = 255;
+const ADMIN_SCOPE = 'admin';
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Create idempotency middleware
+ * Must run after authMiddleware or adminAuth; keys are scoped per user,
+ * admin API calls share one scope
+ * @param {IdempotencyRepository} idempotencyRepository - Key store
+ * @param {Object} options - Options
+ * @param {number} options.ttlMs - How long keys (and their responses) are kept
+ * @returns {Function} Express middleware
+ */
+function createIdempotencyMiddleware(idempotencyRepository, options = {}) {
+    const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+
+    // Purge expired keys every hour
+    setInterval(() => {
+        idempotencyRepository.deleteExpired().catch(error => {
+            console.error('Idempotency key cleanup error:', error);
+        });
+    }, 60 * 60 * 1000).unref();
+
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        const scope = req.session?.userId || (req.isAdmin ? ADMIN_SCOPE : null);
+
+        // Header is optional: requests without it are executed as usual
+        if (!key || !scope) {
+            return next();
+        }
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: 'Idempotency-Key en fazla 255 karakter olabilir'
+            });
+        }
+
+        try {
+            const path = req.baseUrl + req.path;
+            const requestHash = crypto.createHash('sha256')
+                .update(canonicalize({ method: req.method, path, body: req.body || {} }))
+                .digest('hex');
+
+            const reserved = await idempotencyRepository.reserve(
+                scope,
+                key,
+                req.method,
+                path,
+                requestHash,
+                new Date(Date.now() + ttlMs)
+            );
+
+            if (!reserved) {
+                const existing = await idempotencyRepository.findActive(scope, key);
+
+                if (!existing) {
+                    // Released or expired between the two queries
+                    return res.status(409).json({
+                        success: false,
+                        message: 'İstek işlenemedi, lütfen tekrar deneyin'
+                    });
+                }
+
+                if (existing.request_hash !== requestHash) {
+                    return res.status(422).json({
+                        success: false,
+                        message: 'Bu Idempotency-Key farklı bir istek için kullanılmış'
+                    });
+                }
+
+                if (existing.status_code === null) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Aynı Idempotency-Key ile gönderilen istek hâlâ işleniyor'
+                    });
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.status_code).json(JSON.parse(existing.response_body));
+            }
+
+            // Store the first response before sending it; server errors release
+            // the key so the client can retry
+            const originalJson = res.json.bind(res);
+            res.json = (body) => {
+                const persist = res.statusCode >= 500
+                    ? idempotencyRepository.release(scope, key)
+                    : idempotencyRepository.saveResponse(scope, key, res.statusCode, body);
+
+                persist
+                    .catch(error => {
+                        console.error('Idempotency response store error:', error);
+                    })
+                    .finally(() => originalJson(body));
+
+                return res;
+            };
+
+            next();
+
+        } catch (error) {
+            console.error('Idempotency middleware error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası'
+            });
+        }
+    };
+}
+
+module.exports = createIdempotencyMiddleware;
@@ -0,0 +1,58 @@
+/**
+ * Bank Account Repository
+ * Handles bank account data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const BankAccount = require('../domain/BankAccount');
+
+class BankAccountRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find a bank account by ID
+     * @param {string} accountId - Account ID
+     * @returns {Promise<BankAccount|null>} BankAccount instance or null
+     */
+    async findById(accountId) {
+        const row = await super.findById('bank_accounts', 'account_id', accountId);
+        return row ? BankAccount.fromRow(row) : null;
+    }
+
+    /**
+     * Get the active bank accounts of a user, oldest first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<BankAccount>>} Array of BankAccount instances
+     */
+    async findByUserId(userId) {
+        const rows = await this.db.query(
+            "SELECT * FROM bank_accounts WHERE user_id = ? AND status = 'active' ORDER BY created_at ASC",
+            [userId]
+        );
+        return rows.map(row => BankAccount.fromRow(row));
+    }
+
+    /**
+     * Create a new bank account
+     * @param {BankAccount} account - BankAccount instance
+     * @returns {Promise<Object>} Insert result
+     */
+    async create(account) {
+        return await super.insert('bank_accounts', account.toObject());
+    }
+
+    /**
+     * Remove an account from the user's list
+     * Withdrawals keep their IBAN, so the row is only marked removed
+     * @param {string} accountId - Account ID
+     * @returns {Promise<Object>} Update result
+     */
+    async remove(accountId) {
+        return await super.update('bank_accounts', { status: 'removed' }, "account_id = ? AND status = 'active'", [accountId]);
+    }
+}
+
+module.exports = BankAccountRepository;
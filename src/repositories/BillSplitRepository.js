@@ -6,6 +6,7 @@
 
 const BaseRepository = require('./BaseRepository');
 const BillSplit = require('../domain/BillSplit');
+const Money = require('../domain/Money');
 
 class BillSplitRepository extends BaseRepository {
     constructor(database) {
@@ -104,7 +105,8 @@ class BillSplitRepository extends BaseRepository {
 
         sql += ' ORDER BY bs.created_at DESC';
 
-        return await this.db.query(sql, params);
+        const rows = await this.db.query(sql, params);
+        return rows.map(row => this.withMoneyColumns(row));
     }
 
     /**
@@ -175,6 +177,38 @@ class BillSplitRepository extends BaseRepository {
         return await this.updateStatus(splitId, 'cancelled');
     }
 
+    /**
+     * Build a transaction statement that changes the amounts of a split
+     * Fails with SPLIT_CHANGED if the split left the status it was read with
+     * @param {BillSplit} split - Split as read
+     * @param {Money} totalAmount - New bill total
+     * @param {Money} shareAmount - New share of the debtor
+     * @returns {Object} Statement for Database.transaction
+     */
+    rescaleOperation(split, totalAmount, shareAmount) {
+        return {
+            sql: 'UPDATE bill_splits SET total_amount = ?, share_amount = ? WHERE split_id = ? AND status = ?',
+            params: [totalAmount.minor, shareAmount.minor, split.splitId, split.status],
+            expectChanges: 1,
+            errorCode: 'SPLIT_CHANGED'
+        };
+    }
+
+    /**
+     * Build a transaction statement that cancels a split
+     * Fails with SPLIT_CHANGED if the split left the status it was read with
+     * @param {BillSplit} split - Split as read
+     * @returns {Object} Statement for Database.transaction
+     */
+    cancelOperation(split) {
+        return {
+            sql: "UPDATE bill_splits SET status = 'cancelled' WHERE split_id = ? AND status = ?",
+            params: [split.splitId, split.status],
+            expectChanges: 1,
+            errorCode: 'SPLIT_CHANGED'
+        };
+    }
+
     /**
      * Get pending bill splits summary for a user
      * @param {string} userId - User ID
@@ -201,11 +235,11 @@ class BillSplitRepository extends BaseRepository {
         return {
             owedToMe: {
                 count: owedToMe.count,
-                totalAmount: parseFloat(owedToMe.total_amount)
+                totalAmount: Money.fromMinor(owedToMe.total_amount)
             },
             iOwe: {
                 count: iOwe.count,
-                totalAmount: parseFloat(iOwe.total_amount)
+                totalAmount: Money.fromMinor(iOwe.total_amount)
             }
         };
     }
@@ -232,7 +266,23 @@ class BillSplitRepository extends BaseRepository {
             WHERE bs.split_id = ?
         `;
 
-        return await this.db.get(sql, [splitId]);
+        const row = await this.db.get(sql, [splitId]);
+        return row ? this.withMoneyColumns(row) : null;
+    }
+
+    /**
+     * Convert minor unit amount columns of a joined row to Money
+     * @param {Object} row - Database row
+     * @returns {Object} Row with Money amounts
+     */
+    withMoneyColumns(row) {
+        const converted = { ...row };
+        for (const column of ['total_amount', 'share_amount', 'transaction_amount']) {
+            if (converted[column] !== undefined && converted[column] !== null) {
+                converted[column] = Money.fromMinor(converted[column]);
+            }
+        }
+        return converted;
     }
 }
 
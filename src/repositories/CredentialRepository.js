@@ -0,0 +1,111 @@
+/**
+ * Credential Repository
+ * Handles PIN credential and lockout data access operations of users and merchants
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class CredentialRepository extends BaseRepository {
+    /**
+     * @param {Database} database - Database
+     * @param {string} table - Credential table, 'user_credentials' or 'merchant_credentials'
+     * @param {string} idColumn - Owner ID column of the table
+     */
+    constructor(database, table = 'user_credentials', idColumn = 'user_id') {
+        super(database);
+        this.table = table;
+        this.idColumn = idColumn;
+    }
+
+    /**
+     * Find credential by owner ID
+     * @param {string} ownerId - User or merchant ID
+     * @returns {Promise<Object|null>} Credential row or null
+     */
+    async findByOwnerId(ownerId) {
+        return await super.findById(this.table, this.idColumn, ownerId);
+    }
+
+    /**
+     * Create or replace a PIN hash and reset lockout state
+     * @param {string} ownerId - User or merchant ID
+     * @param {string} pinHash - Hashed PIN
+     * @param {string} pinSalt - Salt used for hashing
+     * @returns {Promise<Object>} Insert result
+     */
+    async savePin(ownerId, pinHash, pinSalt) {
+        const sql = `
+            INSERT OR REPLACE INTO ${this.table}
+            (${this.idColumn}, pin_hash, pin_salt, failed_attempts, first_failed_at, locked_until, updated_at)
+            VALUES (?, ?, ?, 0, NULL, NULL, ?)
+        `;
+        return await this.db.run(sql, [ownerId, pinHash, pinSalt, new Date().toISOString()]);
+    }
+
+    /**
+     * Store failed attempt counters
+     * @param {string} ownerId - User or merchant ID
+     * @param {number} failedAttempts - Failed attempts in the current window
+     * @param {Date|null} firstFailedAt - Start of the current window
+     * @param {Date|null} lockedUntil - Lock expiry, if the account was locked
+     * @returns {Promise<Object>} Update result
+     */
+    async updateFailedAttempts(ownerId, failedAttempts, firstFailedAt, lockedUntil = null) {
+        const updateData = {
+            failed_attempts: failedAttempts,
+            first_failed_at: firstFailedAt ? firstFailedAt.toISOString() : null,
+            locked_until: lockedUntil ? lockedUntil.toISOString() : null,
+            updated_at: new Date().toISOString()
+        };
+        return await super.update(this.table, updateData, `${this.idColumn} = ?`, [ownerId]);
+    }
+
+    /**
+     * Count a failed attempt in one statement, so concurrent attempts are all counted
+     * Attempts older than the window start a new count; reaching the maximum
+     * locks the credential and clears the count. Locked credentials are not updated
+     * @param {string} ownerId - User or merchant ID
+     * @param {Object} policy - Lockout policy
+     * @param {Date} policy.windowStart - Failures before this start a new window
+     * @param {number} policy.maxAttempts - Failed attempts that lock the credential
+     * @param {Date} policy.lockedUntil - Lock expiry, if this attempt locks it
+     * @param {Date} now - Attempt time
+     * @returns {Promise<Object|null>} {failed_attempts, locked_until} after the update,
+     *   or null if the credential is locked
+     */
+    async recordFailedAttempt(ownerId, { windowStart, maxAttempts, lockedUntil }, now = new Date()) {
+        const attempts = 'CASE WHEN first_failed_at >= ? THEN failed_attempts + 1 ELSE 1 END';
+        const window = windowStart.toISOString();
+        const timestamp = now.toISOString();
+
+        const sql = `
+            UPDATE ${this.table} SET
+                failed_attempts = CASE WHEN ${attempts} >= ? THEN 0 ELSE ${attempts} END,
+                first_failed_at = CASE WHEN ${attempts} >= ? THEN NULL WHEN first_failed_at >= ? THEN first_failed_at ELSE ? END,
+                locked_until = CASE WHEN ${attempts} >= ? THEN ? ELSE NULL END,
+                updated_at = ?
+            WHERE ${this.idColumn} = ? AND (locked_until IS NULL OR locked_until <= ?)
+            RETURNING failed_attempts, locked_until
+        `;
+        const row = await this.db.get(sql, [
+            window, maxAttempts, window,
+            window, maxAttempts, window, timestamp,
+            window, maxAttempts, lockedUntil.toISOString(),
+            timestamp,
+            ownerId, timestamp
+        ]);
+        return row || null;
+    }
+
+    /**
+     * Clear failed attempts and lock after a successful login
+     * @param {string} ownerId - User or merchant ID
+     * @returns {Promise<Object>} Update result
+     */
+    async resetFailedAttempts(ownerId) {
+        return await this.updateFailedAttempts(ownerId, 0, null, null);
+    }
+}
+
+module.exports = CredentialRepository;
@@ -0,0 +1,100 @@
+/**
+ * Idempotency Repository
+ * Persists Idempotency-Key reservations and their stored responses
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class IdempotencyRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find an unexpired key of a scope
+     * @param {string} scope - User ID, or 'admin' for admin API calls
+     * @param {string} key - Idempotency key
+     * @returns {Promise<Object|null>} Key row or null
+     */
+    async findActive(scope, key) {
+        const sql = `
+            SELECT * FROM idempotency_keys
+            WHERE scope = ? AND idempotency_key = ? AND expires_at > ?
+        `;
+        return await this.db.get(sql, [scope, key, new Date().toISOString()]);
+    }
+
+    /**
+     * Reserve a key before the request is executed
+     * @param {string} scope - User ID, or 'admin' for admin API calls
+     * @param {string} key - Idempotency key
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {string} requestHash - Hash of method, path and body
+     * @param {Date} expiresAt - Key expiry
+     * @returns {Promise<boolean>} False if the key is already taken
+     */
+    async reserve(scope, key, method, path, requestHash, expiresAt) {
+        // An expired reservation may be reused
+        await this.db.run(
+            'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND expires_at <= ?',
+            [scope, key, new Date().toISOString()]
+        );
+
+        try {
+            await super.insert('idempotency_keys', {
+                scope,
+                idempotency_key: key,
+                method,
+                path,
+                request_hash: requestHash,
+                created_at: new Date().toISOString(),
+                expires_at: expiresAt.toISOString()
+            });
+            return true;
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Store the response of a completed request
+     * @param {string} scope - User ID, or 'admin' for admin API calls
+     * @param {string} key - Idempotency key
+     * @param {number} statusCode - HTTP status code
+     * @param {Object} body - Response body
+     * @returns {Promise<Object>} Update result
+     */
+    async saveResponse(scope, key, statusCode, body) {
+        return await super.update(
+            'idempotency_keys',
+            { status_code: statusCode, response_body: JSON.stringify(body) },
+            'scope = ? AND idempotency_key = ?',
+            [scope, key]
+        );
+    }
+
+    /**
+     * Release a reservation so the request can be retried
+     * @param {string} scope - User ID, or 'admin' for admin API calls
+     * @param {string} key - Idempotency key
+     * @returns {Promise<Object>} Delete result
+     */
+    async release(scope, key) {
+        return await super.delete('idempotency_keys', 'scope = ? AND idempotency_key = ?', [scope, key]);
+    }
+
+    /**
+     * Delete expired keys
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteExpired() {
+        return await super.delete('idempotency_keys', 'expires_at <= ?', [new Date().toISOString()]);
+    }
+}
+
+module.exports = IdempotencyRepository;
@@ -0,0 +1,152 @@
+/**
+ * Ledger Repository
+ * Handles double-entry ledger data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const LedgerAccount = require('../domain/LedgerAccount');
+const Money = require('../domain/Money');
+
+class LedgerRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Build the transaction statements that record a journal entry
+     * Accounts are created on first use. The statements must be committed in
+     * the same database transaction as the wallet updates they describe
+     * @param {JournalEntry} entry - Balanced journal entry
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    entryOperations(entry) {
+        const data = entry.toObject();
+        const accountIds = [...new Set(entry.postings.map(posting => posting.accountId))];
+
+        return [
+            ...accountIds.map(accountId => {
+                const account = LedgerAccount.parse(accountId);
+                return {
+                    sql: `INSERT OR IGNORE INTO ledger_accounts (account_id, account_type, owner_id, currency, created_at)
+                          VALUES (?, ?, ?, ?, ?)`,
+                    params: [account.accountId, account.type, account.ownerId, account.currency, data.created_at]
+                };
+            }),
+            {
+                sql: 'INSERT INTO journal_entries (entry_id, reference, description, created_at) VALUES (?, ?, ?, ?)',
+                params: [data.entry_id, data.reference, data.description, data.created_at]
+            },
+            ...entry.postings.map((posting, index) => ({
+                sql: `INSERT INTO ledger_postings (entry_id, line_no, account_id, side, amount, currency, created_at)
+                      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                params: [
+                    data.entry_id,
+                    index + 1,
+                    posting.accountId,
+                    posting.side,
+                    posting.amount.minor,
+                    posting.amount.currency,
+                    data.created_at
+                ]
+            }))
+        ];
+    }
+
+    /**
+     * Get the balance of an account derived from its postings
+     * Balances are credits minus debits, so wallet and merchant accounts show
+     * what is owed to their owner and funding accounts go negative
+     * @param {string} accountId - Account ID
+     * @returns {Promise<Money>} Account balance
+     */
+    async getAccountBalance(accountId) {
+        const { currency } = LedgerAccount.parse(accountId);
+        const row = await this.db.get(
+            `SELECT COALESCE(SUM(CASE WHEN side = 'credit' THEN amount ELSE -amount END), 0) as balance
+             FROM ledger_postings WHERE account_id = ?`,
+            [accountId]
+        );
+        return Money.fromMinor(row.balance, currency);
+    }
+
+    /**
+     * Get a wallet balance derived from the ledger
+     * @param {string} userId - User ID
+     * @param {string} currency - Currency code
+     * @returns {Promise<Money>} Wallet balance
+     */
+    async getWalletBalance(userId, currency = 'TRY') {
+        return await this.getAccountBalance(LedgerAccount.wallet(userId, currency));
+    }
+
+    /**
+     * Get the derived balances of all wallet accounts
+     * @returns {Promise<Array<Object>>} {userId, currency, balance: Money}
+     */
+    async getWalletBalances() {
+        const sql = `
+            SELECT a.owner_id as user_id, a.currency,
+                   COALESCE(SUM(CASE WHEN p.side = 'credit' THEN p.amount ELSE -p.amount END), 0) as balance
+            FROM ledger_accounts a
+            LEFT JOIN ledger_postings p ON p.account_id = a.account_id
+            WHERE a.account_type = 'wallet'
+            GROUP BY a.account_id
+            ORDER BY a.owner_id
+        `;
+        const rows = await this.db.query(sql);
+        return rows.map(row => ({
+            userId: row.user_id,
+            currency: row.currency,
+            balance: Money.fromMinor(row.balance, row.currency)
+        }));
+    }
+
+    /**
+     * Get debit and credit totals per currency
+     * The two totals are equal as long as every entry balanced
+     * @returns {Promise<Array<Object>>} {currency, debits: Money, credits: Money}
+     */
+    async getTrialBalance() {
+        const sql = `
+            SELECT currency,
+                   COALESCE(SUM(CASE WHEN side = 'debit' THEN amount ELSE 0 END), 0) as debits,
+                   COALESCE(SUM(CASE WHEN side = 'credit' THEN amount ELSE 0 END), 0) as credits
+            FROM ledger_postings
+            GROUP BY currency
+        `;
+        const rows = await this.db.query(sql);
+        return rows.map(row => ({
+            currency: row.currency,
+            debits: Money.fromMinor(row.debits, row.currency),
+            credits: Money.fromMinor(row.credits, row.currency)
+        }));
+    }
+
+    /**
+     * Find journal entries recorded for a transaction
+     * @param {string} reference - Related transaction ID
+     * @returns {Promise<Array<Object>>} Entries with their postings
+     */
+    async findEntriesByReference(reference) {
+        const entries = await this.db.query(
+            'SELECT * FROM journal_entries WHERE reference = ? ORDER BY created_at',
+            [reference]
+        );
+
+        for (const entry of entries) {
+            const postings = await this.db.query(
+                'SELECT * FROM ledger_postings WHERE entry_id = ? ORDER BY line_no',
+                [entry.entry_id]
+            );
+            entry.postings = postings.map(posting => ({
+                ...posting,
+                amount: Money.fromMinor(posting.amount, posting.currency)
+            }));
+        }
+
+        return entries;
+    }
+}
+
+module.exports = LedgerRepository;
@@ -0,0 +1,155 @@
+/**
+ * Limit Repository
+ * Handles user transaction limits and the usage they are checked against
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const TransactionLimit = require('../domain/TransactionLimit');
+
+const PERIOD_COLUMNS = {
+    perTransaction: 'per_transaction',
+    daily: 'daily',
+    monthly: 'monthly'
+};
+
+class LimitRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Get the limits of a user for every type
+     * Types and periods the user has not lowered follow the system limits
+     * @param {string} userId - User ID
+     * @param {Object} systemLimits - TransactionLimit per type
+     * @returns {Promise<Object>} TransactionLimit per type
+     */
+    async findByUserId(userId, systemLimits) {
+        const rows = await this.db.query('SELECT * FROM user_limits WHERE user_id = ?', [userId]);
+        const limits = { ...systemLimits };
+
+        for (const row of rows) {
+            limits[row.type] = TransactionLimit.fromRow(row, systemLimits[row.type]);
+        }
+
+        return limits;
+    }
+
+    /**
+     * Get the limit of a user for one type
+     * @param {string} userId - User ID
+     * @param {TransactionLimit} systemLimit - System limit of the type
+     * @returns {Promise<TransactionLimit>} TransactionLimit instance
+     */
+    async findOne(userId, systemLimit) {
+        const row = await this.db.get(
+            'SELECT * FROM user_limits WHERE user_id = ? AND type = ?',
+            [userId, systemLimit.type]
+        );
+        return row ? TransactionLimit.fromRow(row, systemLimit) : systemLimit;
+    }
+
+    /**
+     * Store lowered caps of a user, leaving the other periods unchanged
+     * @param {string} userId - User ID
+     * @param {string} type - Limited transaction type
+     * @param {Object} caps - New caps as TRY Money, keyed by period
+     * @returns {Promise<Object>} Insert result
+     */
+    async saveCaps(userId, type, caps) {
+        const columns = Object.keys(caps).map(period => PERIOD_COLUMNS[period]);
+        const values = Object.values(caps).map(cap => cap.minor);
+
+        return await this.db.run(
+            `INSERT INTO user_limits (user_id, type, ${columns.join(', ')}, updated_at)
+             VALUES (?, ?, ${columns.map(() => '?').join(', ')}, ?)
+             ON CONFLICT (user_id, type) DO UPDATE SET
+             ${columns.map(column => `${column} = excluded.${column}`).join(', ')}, updated_at = excluded.updated_at`,
+            [userId, type, ...values, new Date().toISOString()]
+        );
+    }
+
+    /**
+     * Sum the transactions of a type a user made today and this month
+     * Pending payments (authorized holds) count as used. Transfers the system
+     * makes on the user's behalf (bill split refunds) do not
+     * @param {string} userId - User ID
+     * @param {string} type - Transaction type
+     * @param {Date} dayStart - Start of the current day
+     * @param {Date} monthStart - Start of the current month
+     * @returns {Promise<Array<Object>>} {currency, daily, monthly} in minor units, per currency
+     */
+    async getUsage(userId, type, dayStart, monthStart) {
+        return await this.db.query(`
+            SELECT currency,
+                   COALESCE(SUM(CASE WHEN datetime(created_at) >= datetime(?) THEN amount ELSE 0 END), 0) as daily,
+                   COALESCE(SUM(amount), 0) as monthly
+            FROM transactions
+            WHERE user_id = ?
+            AND type = ?
+            AND status IN ('ok', 'pending')
+            AND datetime(created_at) >= datetime(?)
+            AND COALESCE(json_extract(meta, '$.type'), '') != 'split_refund'
+            GROUP BY currency
+        `, [dayStart.toISOString(), userId, type, monthStart.toISOString()]);
+    }
+
+    /**
+     * Get the usage counters of a user for some periods
+     * @param {string} userId - User ID
+     * @param {string} type - Limited transaction type
+     * @param {Array<string>} periods - Period keys, YYYY-MM-DD or YYYY-MM
+     * @returns {Promise<Array<Object>>} {period, used} rows, TRY minor units
+     */
+    async findCounters(userId, type, periods) {
+        return await this.db.query(
+            `SELECT period, used FROM limit_usage WHERE user_id = ? AND type = ? AND period IN (${periods.map(() => '?').join(', ')})`,
+            [userId, type, ...periods]
+        );
+    }
+
+    /**
+     * Build the statements that add a transaction to the usage counters
+     * A missing counter starts from the usage the check read. The increment
+     * fails with LIMIT_EXCEEDED if transactions committed since the check
+     * left no room under the cap
+     * @param {string} userId - User ID
+     * @param {string} type - Limited transaction type
+     * @param {number} amount - TRY value in minor units
+     * @param {Array<Object>} counters - {period, cap, seed} in TRY minor units
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    reserveOperations(userId, type, amount, counters) {
+        return counters.flatMap(({ period, cap, seed }) => [
+            {
+                sql: 'INSERT INTO limit_usage (user_id, type, period, used) VALUES (?, ?, ?, ?) ON CONFLICT (user_id, type, period) DO NOTHING',
+                params: [userId, type, period, seed]
+            },
+            {
+                sql: 'UPDATE limit_usage SET used = used + ? WHERE user_id = ? AND type = ? AND period = ? AND used + ? <= ?',
+                params: [amount, userId, type, period, amount, cap],
+                expectChanges: 1,
+                errorCode: 'LIMIT_EXCEEDED'
+            }
+        ]);
+    }
+
+    /**
+     * Build the statement that gives back the usage of a transaction that did
+     * not go through (voided hold, failed top-up)
+     * @param {string} userId - User ID
+     * @param {string} type - Limited transaction type
+     * @param {number} amount - TRY value in minor units
+     * @param {Array<string>} periods - Periods the transaction was counted in
+     * @returns {Object} Statement for Database.transaction
+     */
+    releaseOperation(userId, type, amount, periods) {
+        return {
+            sql: `UPDATE limit_usage SET used = MAX(used - ?, 0) WHERE user_id = ? AND type = ? AND period IN (${periods.map(() => '?').join(', ')})`,
+            params: [amount, userId, type, ...periods]
+        };
+    }
+}
+
+module.exports = LimitRepository;
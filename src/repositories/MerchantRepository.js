@@ -0,0 +1,80 @@
+/**
+ * Merchant Repository
+ * Handles merchant data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const Merchant = require('../domain/Merchant');
+
+class MerchantRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find merchant by ID
+     * @param {string} merchantId - Merchant ID
+     * @returns {Promise<Merchant|null>} Merchant instance or null
+     */
+    async findById(merchantId) {
+        const row = await super.findById('merchants', 'merchant_id', merchantId);
+        return row ? Merchant.fromRow(row) : null;
+    }
+
+    /**
+     * Get merchants, optionally filtered
+     * @param {Object} filters - Filters
+     * @param {string} filters.category - Only this category
+     * @param {boolean} filters.active - Only active (true) or inactive (false) merchants
+     * @returns {Promise<Array<Merchant>>} Array of Merchant instances
+     */
+    async findAll({ category = null, active = null } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (category) {
+            conditions.push('category = ?');
+            params.push(category);
+        }
+
+        if (active !== null) {
+            conditions.push('active = ?');
+            params.push(active ? 1 : 0);
+        }
+
+        const sql = `
+            SELECT * FROM merchants 
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} 
+            ORDER BY name
+        `;
+        const rows = await this.db.query(sql, params);
+        return rows.map(row => Merchant.fromRow(row));
+    }
+
+    /**
+     * Create a new merchant
+     * @param {Merchant} merchant - Merchant instance
+     * @returns {Promise<Object>} Insert result
+     */
+    async create(merchant) {
+        return await super.insert('merchants', merchant.toObject());
+    }
+
+    /**
+     * Save the editable fields of a merchant
+     * @param {Merchant} merchant - Merchant instance
+     * @returns {Promise<Object>} Update result
+     */
+    async save(merchant) {
+        const { name, category, active, updated_at, mdr_bps } = merchant.toObject();
+        return await super.update(
+            'merchants',
+            { name, category, active, updated_at, mdr_bps },
+            'merchant_id = ?',
+            [merchant.merchantId]
+        );
+    }
+}
+
+module.exports = MerchantRepository;
@@ -0,0 +1,109 @@
+/**
+ * Payment Hold Repository
+ * Handles payment hold data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const PaymentHold = require('../domain/PaymentHold');
+
+class PaymentHoldRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find the hold of a pending payment
+     * @param {string} txId - Payment transaction ID
+     * @returns {Promise<PaymentHold|null>} PaymentHold instance or null
+     */
+    async findByTxId(txId) {
+        const row = await super.findById('payment_holds', 'tx_id', txId);
+        return row ? PaymentHold.fromRow(row) : null;
+    }
+
+    /**
+     * Get the holds of a user, newest first
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only holds with this status
+     * @returns {Promise<Array<PaymentHold>>} Array of holds
+     */
+    async findByUserId(userId, status = null) {
+        const sql = `
+            SELECT * FROM payment_holds 
+            WHERE user_id = ? ${status ? 'AND status = ?' : ''} 
+            ORDER BY created_at DESC
+        `;
+        const rows = await this.db.query(sql, status ? [userId, status] : [userId]);
+        return rows.map(row => PaymentHold.fromRow(row));
+    }
+
+    /**
+     * Get active holds whose expiry has passed
+     * @param {Date} now - Current time
+     * @param {number} limit - Maximum number of holds
+     * @returns {Promise<Array<PaymentHold>>} Array of holds, oldest expiry first
+     */
+    async findExpired(now = new Date(), limit = 100) {
+        const sql = `
+            SELECT * FROM payment_holds 
+            WHERE status = 'active' AND expires_at <= ? 
+            ORDER BY expires_at ASC 
+            LIMIT ?
+        `;
+        const rows = await this.db.query(sql, [now.toISOString(), limit]);
+        return rows.map(row => PaymentHold.fromRow(row));
+    }
+
+    /**
+     * Build a transaction statement that inserts a hold
+     * @param {PaymentHold} hold - PaymentHold instance
+     * @returns {Object} Statement for Database.transaction
+     */
+    insertOperation(hold) {
+        const data = hold.toObject();
+        const columns = Object.keys(data);
+        return {
+            sql: `INSERT INTO payment_holds (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            params: Object.values(data)
+        };
+    }
+
+    /**
+     * Build a transaction statement that captures an active, unexpired hold
+     * Fails with HOLD_NOT_ACTIVE if the hold was resolved or expired meanwhile
+     * @param {PaymentHold} hold - Hold as read
+     * @param {Money} amount - Captured amount
+     * @param {Date} now - Capture time
+     * @returns {Object} Statement for Database.transaction
+     */
+    captureOperation(hold, amount, now = new Date()) {
+        return {
+            sql: `UPDATE payment_holds SET status = 'captured', captured_amount = ?, resolved_at = ?
+                  WHERE tx_id = ? AND status = 'active' AND expires_at > ?`,
+            params: [amount.minor, now.toISOString(), hold.txId, now.toISOString()],
+            expectChanges: 1,
+            errorCode: 'HOLD_NOT_ACTIVE'
+        };
+    }
+
+    /**
+     * Build a transaction statement that ends an active hold without capturing it
+     * Fails with HOLD_NOT_ACTIVE if the hold was resolved meanwhile
+     * @param {PaymentHold} hold - Hold as read
+     * @param {string} status - 'voided' or 'expired'
+     * @param {Date} now - Resolution time
+     * @returns {Object} Statement for Database.transaction
+     */
+    releaseOperation(hold, status, now = new Date()) {
+        return {
+            sql: `UPDATE payment_holds SET status = ?, resolved_at = ?
+                  WHERE tx_id = ? AND status = 'active'`,
+            params: [status, now.toISOString(), hold.txId],
+            expectChanges: 1,
+            errorCode: 'HOLD_NOT_ACTIVE'
+        };
+    }
+}
+
+module.exports = PaymentHoldRepository;
@@ -0,0 +1,112 @@
+/**
+ * Payment Request Repository
+ * Handles payment request data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const PaymentRequest = require('../domain/PaymentRequest');
+
+class PaymentRequestRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find a payment request by ID
+     * @param {string} requestId - Request ID
+     * @returns {Promise<PaymentRequest|null>} PaymentRequest instance or null
+     */
+    async findById(requestId) {
+        const row = await super.findById('payment_requests', 'request_id', requestId);
+        return row ? PaymentRequest.fromRow(row) : null;
+    }
+
+    /**
+     * Get the requests a user was asked to pay, newest first
+     * @param {string} payerId - Payer user ID
+     * @param {string|null} status - Only requests with this status
+     * @returns {Promise<Array<Object>>} {request: PaymentRequest, requesterName, payerName}
+     */
+    async findByPayerId(payerId, status = null) {
+        return this.findByUser('payer_id', payerId, status);
+    }
+
+    /**
+     * Get the requests a user sent, newest first
+     * @param {string} requesterId - Requester user ID
+     * @param {string|null} status - Only requests with this status
+     * @returns {Promise<Array<Object>>} {request: PaymentRequest, requesterName, payerName}
+     */
+    async findByRequesterId(requesterId, status = null) {
+        return this.findByUser('requester_id', requesterId, status);
+    }
+
+    /**
+     * Get the requests of a user on one side, with both user names
+     * @param {string} column - 'payer_id' or 'requester_id'
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only requests with this status
+     * @returns {Promise<Array<Object>>} {request: PaymentRequest, requesterName, payerName}
+     */
+    async findByUser(column, userId, status) {
+        const rows = await this.db.query(`
+            SELECT r.*, requester.name as requester_name, payer.name as payer_name
+            FROM payment_requests r
+            JOIN users requester ON requester.user_id = r.requester_id
+            JOIN users payer ON payer.user_id = r.payer_id
+            WHERE r.${column} = ? ${status ? 'AND r.status = ?' : ''}
+            ORDER BY r.created_at DESC
+            LIMIT 100
+        `, status ? [userId, status] : [userId]);
+
+        return rows.map(row => ({
+            request: PaymentRequest.fromRow(row),
+            requesterName: row.requester_name,
+            payerName: row.payer_name
+        }));
+    }
+
+    /**
+     * Create a new payment request
+     * @param {PaymentRequest} request - PaymentRequest instance
+     * @returns {Promise<Object>} Insert result
+     */
+    async create(request) {
+        return await super.insert('payment_requests', request.toObject());
+    }
+
+    /**
+     * Mark pending requests whose expiry has passed as expired
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Update result, `changes` is the number of expired requests
+     */
+    async expirePending(now = new Date()) {
+        return await this.db.run(
+            "UPDATE payment_requests SET status = 'expired', resolved_at = expires_at WHERE status = 'pending' AND expires_at <= ?",
+            [now.toISOString()]
+        );
+    }
+
+    /**
+     * Build a transaction statement that closes a pending, unexpired request
+     * Fails with REQUEST_NOT_PENDING if the request was closed or expired
+     * meanwhile, so a request is paid at most once even under concurrent requests
+     * @param {PaymentRequest} request - Request as read
+     * @param {string} status - 'accepted', 'declined' or 'cancelled'
+     * @param {Date} now - Resolution time
+     * @param {string|null} txId - Outgoing transfer that paid an accepted request
+     * @returns {Object} Statement for Database.transaction
+     */
+    resolveOperation(request, status, now = new Date(), txId = null) {
+        return {
+            sql: `UPDATE payment_requests SET status = ?, resolved_at = ?, tx_id = ?
+                  WHERE request_id = ? AND status = 'pending' AND expires_at > ?`,
+            params: [status, now.toISOString(), txId, request.requestId, now.toISOString()],
+            expectChanges: 1,
+            errorCode: 'REQUEST_NOT_PENDING'
+        };
+    }
+}
+
+module.exports = PaymentRequestRepository;
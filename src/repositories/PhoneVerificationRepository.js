@@ -0,0 +1,76 @@
+/**
+ * Phone Verification Repository
+ * Handles one-time phone verification code data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class PhoneVerificationRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find verification record by user ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} Verification row or null
+     */
+    async findByUserId(userId) {
+        return await super.findById('phone_verifications', 'user_id', userId);
+    }
+
+    /**
+     * Replace the pending code for a user
+     * @param {string} userId - User ID
+     * @param {string} codeHash - Hashed code
+     * @param {Date} expiresAt - Code expiry
+     * @returns {Promise<Object>} Update result
+     */
+    async updateCode(userId, codeHash, expiresAt) {
+        const updateData = {
+            code_hash: codeHash,
+            expires_at: expiresAt.toISOString(),
+            attempts: 0,
+            sent_at: new Date().toISOString()
+        };
+        return await super.update('phone_verifications', updateData, 'user_id = ? AND verified_at IS NULL', [userId]);
+    }
+
+    /**
+     * Increment failed verification attempts
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Update result
+     */
+    async incrementAttempts(userId) {
+        const sql = 'UPDATE phone_verifications SET attempts = attempts + 1 WHERE user_id = ?';
+        return await this.db.run(sql, [userId]);
+    }
+
+    /**
+     * Mark phone as verified
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Update result
+     */
+    async markVerified(userId) {
+        return await super.update(
+            'phone_verifications',
+            { verified_at: new Date().toISOString() },
+            'user_id = ? AND verified_at IS NULL',
+            [userId]
+        );
+    }
+
+    /**
+     * Check whether a user still has to verify their phone
+     * Seed users have no verification record and count as verified
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} True if verification is pending
+     */
+    async isPending(userId) {
+        const row = await this.findByUserId(userId);
+        return row !== null && !row.verified_at;
+    }
+}
+
+module.exports = PhoneVerificationRepository;
@@ -0,0 +1,105 @@
+/**
+ * QR Code Repository
+ * Handles QR code data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const QRCode = require('../domain/QRCode');
+
+class QRCodeRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find QR code by ID
+     * @param {string} qrId - QR ID
+     * @returns {Promise<QRCode|null>} QRCode instance or null
+     */
+    async findById(qrId) {
+        const row = await super.findById('qr_codes', 'qr_id', qrId);
+        return row ? QRCode.fromRow(row) : null;
+    }
+
+    /**
+     * Get the QR codes of a merchant, newest first
+     * @param {string} merchantId - Merchant ID
+     * @param {string|null} status - Only codes with this status
+     * @returns {Promise<Array<QRCode>>} Array of QR codes
+     */
+    async findByMerchantId(merchantId, status = null) {
+        const sql = `
+            SELECT * FROM qr_codes 
+            WHERE merchant_id = ? ${status ? 'AND status = ?' : ''} 
+            ORDER BY created_at DESC
+        `;
+        const rows = await this.db.query(sql, status ? [merchantId, status] : [merchantId]);
+        return rows.map(row => QRCode.fromRow(row));
+    }
+
+    /**
+     * Create a new QR code
+     * @param {QRCode} qrCode - Signed QRCode instance
+     * @returns {Promise<Object>} Insert result
+     */
+    async create(qrCode) {
+        return await super.insert('qr_codes', qrCode.toObject());
+    }
+
+    /**
+     * Create a QR code unless one with the same ID exists
+     * @param {QRCode} qrCode - Signed QRCode instance
+     * @returns {Promise<Object>} Insert result
+     */
+    async createIfMissing(qrCode) {
+        const data = qrCode.toObject();
+        const columns = Object.keys(data);
+        return await this.db.run(
+            `INSERT OR IGNORE INTO qr_codes (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            Object.values(data)
+        );
+    }
+
+    /**
+     * Revoke an active QR code
+     * @param {string} qrId - QR ID
+     * @returns {Promise<Object>} Update result, `changes` is 0 if the code was not active
+     */
+    async revoke(qrId) {
+        return await super.update('qr_codes', { status: 'revoked' }, "qr_id = ? AND status = 'active'", [qrId]);
+    }
+
+    /**
+     * Build a transaction statement that marks a single-use code as consumed
+     * Fails with QR_NOT_ACTIVE if the code was consumed or revoked meanwhile,
+     * so a code pays at most once even under concurrent requests
+     * @param {QRCode} qrCode - QR code as read
+     * @param {Date} now - Consumption time
+     * @returns {Object} Statement for Database.transaction
+     */
+    consumeOperation(qrCode, now = new Date()) {
+        return {
+            sql: "UPDATE qr_codes SET status = 'consumed', consumed_at = ? WHERE qr_id = ? AND status = 'active'",
+            params: [now.toISOString(), qrCode.qrId],
+            expectChanges: 1,
+            errorCode: 'QR_NOT_ACTIVE'
+        };
+    }
+
+    /**
+     * Build a transaction statement that fails with QR_NOT_ACTIVE unless the code is still active
+     * @param {QRCode} qrCode - QR code as read
+     * @returns {Object} Statement for Database.transaction
+     */
+    activeGuardOperation(qrCode) {
+        return {
+            sql: "UPDATE qr_codes SET status = status WHERE qr_id = ? AND status = 'active'",
+            params: [qrCode.qrId],
+            expectChanges: 1,
+            errorCode: 'QR_NOT_ACTIVE'
+        };
+    }
+}
+
+module.exports = QRCodeRepository;
@@ -0,0 +1,115 @@
+/**
+ * Saved Card Repository
+ * Handles card vault data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const SavedCard = require('../domain/SavedCard');
+
+class SavedCardRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find a saved card by ID
+     * @param {string} cardId - Card ID
+     * @returns {Promise<SavedCard|null>} SavedCard instance or null
+     */
+    async findById(cardId) {
+        const row = await super.findById('saved_cards', 'card_id', cardId);
+        return row ? SavedCard.fromRow(row) : null;
+    }
+
+    /**
+     * Get the active cards of a user, default card first, then oldest first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<SavedCard>>} Array of SavedCard instances
+     */
+    async findByUserId(userId) {
+        const rows = await this.db.query(
+            "SELECT * FROM saved_cards WHERE user_id = ? AND status = 'active' ORDER BY is_default DESC, created_at ASC",
+            [userId]
+        );
+        return rows.map(row => SavedCard.fromRow(row));
+    }
+
+    /**
+     * Get the card a user's top-ups are charged to when none is chosen
+     * @param {string} userId - User ID
+     * @returns {Promise<SavedCard|null>} Default card or null
+     */
+    async findDefault(userId) {
+        const row = await this.db.get(
+            "SELECT * FROM saved_cards WHERE user_id = ? AND status = 'active' AND is_default = 1",
+            [userId]
+        );
+        return row ? SavedCard.fromRow(row) : null;
+    }
+
+    /**
+     * Store a new card, replacing the user's default card if it is the default
+     * @param {SavedCard} card - SavedCard instance
+     * @returns {Promise<void>}
+     */
+    async create(card) {
+        const data = card.toObject();
+        const columns = Object.keys(data);
+
+        await this.transaction([
+            ...(card.isDefault ? [this.clearDefaultOperation(card.userId)] : []),
+            {
+                sql: `INSERT INTO saved_cards (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                params: Object.values(data)
+            }
+        ]);
+    }
+
+    /**
+     * Make a card the user's default card
+     * Fails with CARD_NOT_FOUND if the card is not an active card of the user
+     * @param {string} userId - User ID
+     * @param {string} cardId - Card ID
+     * @returns {Promise<void>}
+     */
+    async setDefault(userId, cardId) {
+        await this.transaction([
+            this.clearDefaultOperation(userId),
+            {
+                sql: "UPDATE saved_cards SET is_default = 1 WHERE card_id = ? AND user_id = ? AND status = 'active'",
+                params: [cardId, userId],
+                expectChanges: 1,
+                errorCode: 'CARD_NOT_FOUND'
+            }
+        ]);
+    }
+
+    /**
+     * Remove a card from the user's vault
+     * Top-ups keep referring to the card, so the row is only marked removed
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Update result
+     */
+    async remove(cardId) {
+        return await super.update(
+            'saved_cards',
+            { status: 'removed', is_default: 0 },
+            "card_id = ? AND status = 'active'",
+            [cardId]
+        );
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @returns {Object} Statement that clears the user's default card
+     */
+    clearDefaultOperation(userId) {
+        return {
+            sql: 'UPDATE saved_cards SET is_default = 0 WHERE user_id = ? AND is_default = 1',
+            params: [userId]
+        };
+    }
+}
+
+module.exports = SavedCardRepository;
@@ -0,0 +1,152 @@
+/**
+ * Scheduled Payment Repository
+ * Handles scheduled payment and run data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const ScheduledPayment = require('../domain/ScheduledPayment');
+
+class ScheduledPaymentRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find a scheduled payment by ID
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Promise<ScheduledPayment|null>} ScheduledPayment instance or null
+     */
+    async findById(scheduleId) {
+        const row = await super.findById('scheduled_payments', 'schedule_id', scheduleId);
+        return row ? ScheduledPayment.fromRow(row) : null;
+    }
+
+    /**
+     * Get the scheduled payments of a user, newest first
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only schedules with this status
+     * @returns {Promise<Array<ScheduledPayment>>} Array of schedules
+     */
+    async findByUserId(userId, status = null) {
+        const sql = `
+            SELECT * FROM scheduled_payments
+            WHERE user_id = ? ${status ? 'AND status = ?' : ''}
+            ORDER BY created_at DESC
+        `;
+        const rows = await this.db.query(sql, status ? [userId, status] : [userId]);
+        return rows.map(row => ScheduledPayment.fromRow(row));
+    }
+
+    /**
+     * Get active schedules whose next attempt is due
+     * @param {Date} now - Current time
+     * @param {number} limit - Maximum number of schedules
+     * @returns {Promise<Array<ScheduledPayment>>} Array of schedules, longest waiting first
+     */
+    async findDue(now = new Date(), limit = 100) {
+        const sql = `
+            SELECT * FROM scheduled_payments
+            WHERE status = 'active' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at ASC
+            LIMIT ?
+        `;
+        const rows = await this.db.query(sql, [now.toISOString(), limit]);
+        return rows.map(row => ScheduledPayment.fromRow(row));
+    }
+
+    /**
+     * Get the runs of a schedule, newest first
+     * @param {string} scheduleId - Schedule ID
+     * @param {number} limit - Maximum number of runs
+     * @returns {Promise<Array<Object>>} {runId, occurrence, scheduledFor, attempt, status, txId, errorMessage, createdAt}
+     */
+    async findRuns(scheduleId, limit = 50) {
+        const rows = await this.db.query(`
+            SELECT * FROM scheduled_payment_runs
+            WHERE schedule_id = ?
+            ORDER BY created_at DESC, occurrence DESC, attempt DESC
+            LIMIT ?
+        `, [scheduleId, limit]);
+
+        return rows.map(row => ({
+            runId: row.run_id,
+            occurrence: row.occurrence,
+            scheduledFor: new Date(row.scheduled_for),
+            attempt: row.attempt,
+            status: row.status,
+            txId: row.tx_id,
+            errorMessage: row.error_message,
+            createdAt: new Date(row.created_at)
+        }));
+    }
+
+    /**
+     * Create a new scheduled payment
+     * @param {ScheduledPayment} schedule - ScheduledPayment instance
+     * @returns {Promise<Object>} Insert result
+     */
+    async create(schedule) {
+        return await super.insert('scheduled_payments', schedule.toObject());
+    }
+
+    /**
+     * Build a transaction statement that moves a schedule from one state to another
+     * Fails with SCHEDULE_CHANGED if the schedule was run, paused or cancelled
+     * meanwhile, so an occurrence is paid at most once even if sweeps overlap
+     * @param {ScheduledPayment} schedule - Schedule as read
+     * @param {ScheduledPayment} next - Schedule with the new state
+     * @param {Date} now - Update time
+     * @returns {Object} Statement for Database.transaction
+     */
+    stateOperation(schedule, next, now = new Date()) {
+        const data = next.toObject();
+        return {
+            sql: `UPDATE scheduled_payments
+                  SET status = ?, run_count = ?, attempts = ?, next_attempt_at = ?, last_run_at = ?, last_error = ?, updated_at = ?
+                  WHERE schedule_id = ? AND status = ? AND run_count = ? AND attempts = ?`,
+            params: [
+                data.status,
+                data.run_count,
+                data.attempts,
+                data.next_attempt_at,
+                data.last_run_at,
+                data.last_error,
+                now.toISOString(),
+                schedule.scheduleId,
+                schedule.status,
+                schedule.runCount,
+                schedule.attempts
+            ],
+            expectChanges: 1,
+            errorCode: 'SCHEDULE_CHANGED'
+        };
+    }
+
+    /**
+     * Build a transaction statement that records an attempt of an occurrence
+     * @param {Object} run - {runId, scheduleId, occurrence, scheduledFor, attempt, status, txId, errorMessage}
+     * @param {Date} now - Attempt time
+     * @returns {Object} Statement for Database.transaction
+     */
+    insertRunOperation(run, now = new Date()) {
+        return {
+            sql: `INSERT INTO scheduled_payment_runs
+                  (run_id, schedule_id, occurrence, scheduled_for, attempt, status, tx_id, error_message, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            params: [
+                run.runId,
+                run.scheduleId,
+                run.occurrence,
+                run.scheduledFor.toISOString(),
+                run.attempt,
+                run.status,
+                run.txId || null,
+                run.errorMessage || null,
+                now.toISOString()
+            ]
+        };
+    }
+}
+
+module.exports = ScheduledPaymentRepository;
@@ -0,0 +1,172 @@
+/**
+ * Settlement Repository
+ * Handles settlement batch and merchant payout data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const SettlementBatch = require('../domain/SettlementBatch');
+const MerchantPayout = require('../domain/MerchantPayout');
+const Money = require('../domain/Money');
+
+class SettlementRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find the batch of a settlement date with its payouts
+     * @param {string} settlementDate - YYYY-MM-DD
+     * @returns {Promise<SettlementBatch|null>} SettlementBatch instance or null
+     */
+    async findByDate(settlementDate) {
+        const row = await this.db.get(
+            'SELECT * FROM settlement_batches WHERE settlement_date = ?',
+            [settlementDate]
+        );
+        if (!row) {
+            return null;
+        }
+
+        const payouts = await this.db.query(
+            'SELECT * FROM merchant_payouts WHERE batch_id = ? ORDER BY merchant_id, currency',
+            [row.batch_id]
+        );
+        return SettlementBatch.fromRow(row, payouts.map(payout => MerchantPayout.fromRow(payout)));
+    }
+
+    /**
+     * Get the most recent batches without their payouts, newest first
+     * @param {number} limit - Maximum number of batches
+     * @returns {Promise<Array<Object>>} {batch: SettlementBatch, payoutCount, payoutTotal (minor units)}
+     */
+    async findRecent(limit = 30) {
+        const rows = await this.db.query(`
+            SELECT b.*, COUNT(p.payout_id) as payout_count, COALESCE(SUM(p.payout_amount), 0) as payout_total
+            FROM settlement_batches b
+            LEFT JOIN merchant_payouts p ON p.batch_id = b.batch_id
+            GROUP BY b.batch_id
+            ORDER BY b.settlement_date DESC
+            LIMIT ?
+        `, [limit]);
+
+        return rows.map(row => ({
+            batch: SettlementBatch.fromRow(row),
+            payoutCount: row.payout_count,
+            payoutTotal: row.payout_total
+        }));
+    }
+
+    /**
+     * Get the date of the latest batch
+     * @returns {Promise<string|null>} YYYY-MM-DD or null if nothing was settled yet
+     */
+    async findLatestDate() {
+        const row = await this.db.get('SELECT MAX(settlement_date) as settlement_date FROM settlement_batches');
+        return row ? row.settlement_date : null;
+    }
+
+    /**
+     * Get the payouts of a merchant, newest first
+     * @param {string} merchantId - Merchant ID
+     * @param {number} limit - Maximum number of payouts
+     * @returns {Promise<Array<Object>>} {payout: MerchantPayout, settlementDate}
+     */
+    async findPayoutsByMerchant(merchantId, limit = 30) {
+        const rows = await this.db.query(`
+            SELECT p.*, b.settlement_date
+            FROM merchant_payouts p
+            JOIN settlement_batches b ON b.batch_id = p.batch_id
+            WHERE p.merchant_id = ?
+            ORDER BY b.settlement_date DESC
+            LIMIT ?
+        `, [merchantId, limit]);
+
+        return rows.map(row => ({
+            payout: MerchantPayout.fromRow(row),
+            settlementDate: row.settlement_date
+        }));
+    }
+
+    /**
+     * Sum the merchant account postings of a settlement period from the ledger
+     * The opening balance is everything posted up to the previous settlement date,
+     * settlement entries included. Gross and refunds are the payment credits and
+     * refund debits of the period; entries written by settlements are left out, so
+     * a period can be recomputed after it was settled
+     * @param {string|null} previousDate - Settlement date of the previous batch
+     * @param {string} settlementDate - Last day of the period
+     * @param {string|null} merchantId - Only this merchant
+     * @returns {Promise<Array<Object>>} {merchantId, currency, openingBalance, grossAmount, refundAmount, paymentCount, refundCount}
+     */
+    async getMerchantActivity(previousDate, settlementDate, merchantId = null) {
+        // '' sorts before every date: no previous batch means no opening balance
+        const previous = previousDate || '';
+        const inPeriod = 'date(p.created_at) > ? AND mp.payout_id IS NULL';
+
+        const rows = await this.db.query(`
+            SELECT a.owner_id as merchant_id, a.currency,
+                   COALESCE(SUM(CASE WHEN date(p.created_at) <= ?
+                       THEN (CASE WHEN p.side = 'credit' THEN p.amount ELSE -p.amount END) ELSE 0 END), 0) as opening,
+                   COALESCE(SUM(CASE WHEN ${inPeriod} AND p.side = 'credit' THEN p.amount ELSE 0 END), 0) as gross,
+                   COALESCE(SUM(CASE WHEN ${inPeriod} AND p.side = 'debit' THEN p.amount ELSE 0 END), 0) as refunds,
+                   COUNT(CASE WHEN ${inPeriod} AND p.side = 'credit' THEN 1 END) as payment_count,
+                   COUNT(CASE WHEN ${inPeriod} AND p.side = 'debit' THEN 1 END) as refund_count
+            FROM ledger_accounts a
+            JOIN ledger_postings p ON p.account_id = a.account_id
+            JOIN journal_entries je ON je.entry_id = p.entry_id
+            LEFT JOIN merchant_payouts mp ON mp.payout_id = je.reference
+            WHERE a.account_type = 'merchant' AND date(p.created_at) <= ?
+            ${merchantId ? 'AND a.owner_id = ?' : ''}
+            GROUP BY a.account_id
+            ORDER BY a.owner_id, a.currency
+        `, [
+            previous,
+            previous, previous, previous, previous,
+            settlementDate,
+            ...(merchantId ? [merchantId] : [])
+        ]);
+
+        return rows.map(row => ({
+            merchantId: row.merchant_id,
+            currency: row.currency,
+            openingBalance: Money.fromMinor(row.opening, row.currency),
+            grossAmount: Money.fromMinor(row.gross, row.currency),
+            refundAmount: Money.fromMinor(row.refunds, row.currency),
+            paymentCount: row.payment_count,
+            refundCount: row.refund_count
+        }));
+    }
+
+    /**
+     * Build the statements that store a batch and its payouts
+     * Fails with SETTLEMENT_CONFLICT if another batch was closed since the
+     * period was computed, so periods never overlap
+     * @param {SettlementBatch} batch - Batch with its payouts
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    insertOperations(batch) {
+        const data = batch.toObject();
+
+        return [
+            {
+                sql: `INSERT INTO settlement_batches (batch_id, settlement_date, previous_date, created_at)
+                      SELECT ?, ?, ?, ?
+                      WHERE COALESCE((SELECT MAX(settlement_date) FROM settlement_batches), '') = ?`,
+                params: [data.batch_id, data.settlement_date, data.previous_date, data.created_at, data.previous_date || ''],
+                expectChanges: 1,
+                errorCode: 'SETTLEMENT_CONFLICT'
+            },
+            ...batch.payouts.map(payout => {
+                const row = payout.toObject();
+                const columns = Object.keys(row);
+                return {
+                    sql: `INSERT INTO merchant_payouts (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                    params: Object.values(row)
+                };
+            })
+        ];
+    }
+}
+
+module.exports = SettlementRepository;
@@ -0,0 +1,124 @@
+/**
+ * TopUp Repository
+ * Handles top-up data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const TopUp = require('../domain/TopUp');
+
+class TopUpRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find a top-up by ID
+     * @param {string} topupId - Top-up ID
+     * @returns {Promise<TopUp|null>} TopUp instance or null
+     */
+    async findById(topupId) {
+        const row = await super.findById('topups', 'topup_id', topupId);
+        return row ? TopUp.fromRow(row) : null;
+    }
+
+    /**
+     * Get the top-ups of a user, newest first
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only top-ups with this status
+     * @returns {Promise<Array<TopUp>>} Array of TopUp instances
+     */
+    async findByUserId(userId, status = null) {
+        const rows = await this.db.query(`
+            SELECT * FROM topups
+            WHERE user_id = ? ${status ? 'AND status = ?' : ''}
+            ORDER BY created_at DESC
+            LIMIT 100
+        `, status ? [userId, status] : [userId]);
+        return rows.map(row => TopUp.fromRow(row));
+    }
+
+    /**
+     * Get top-ups left in a status since before a time, oldest first
+     * @param {string} status - 'requires_action' or 'pending'
+     * @param {Date} before - Creation time limit
+     * @param {number} limit - Maximum number of top-ups
+     * @returns {Promise<Array<TopUp>>} Array of TopUp instances
+     */
+    async findStale(status, before, limit = 100) {
+        const rows = await this.db.query(`
+            SELECT * FROM topups
+            WHERE status = ? AND created_at < ?
+            ORDER BY created_at ASC
+            LIMIT ?
+        `, [status, before.toISOString(), limit]);
+        return rows.map(row => TopUp.fromRow(row));
+    }
+
+    /**
+     * Build a transaction statement that inserts a top-up
+     * @param {TopUp} topUp - TopUp instance
+     * @returns {Object} Statement for Database.transaction
+     */
+    insertOperation(topUp) {
+        const data = topUp.toObject();
+        const columns = Object.keys(data);
+        return {
+            sql: `INSERT INTO topups (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            params: Object.values(data)
+        };
+    }
+
+    /**
+     * Record what the provider answered to a new charge
+     * The provider may call back before this runs; a top-up settled meanwhile
+     * keeps its status and only gets its reference and details
+     * @param {TopUp} topUp - Top-up with its provider reference, details and new status
+     * @returns {Promise<Object>} Update result
+     */
+    async markCharged(topUp) {
+        const data = topUp.toObject();
+        return await this.db.run(`
+            UPDATE topups
+            SET provider_reference = ?, details = ?,
+                status = CASE WHEN status = 'pending' THEN ? ELSE status END
+            WHERE topup_id = ? AND provider_reference IS NULL
+        `, [data.provider_reference, data.details, data.status, topUp.topupId]);
+    }
+
+    /**
+     * Move a challenged top-up back to pending once the challenge is passed
+     * @param {string} topupId - Top-up ID
+     * @returns {Promise<Object>} Update result, no changes if it left requires_action meanwhile
+     */
+    async markChallengePassed(topupId) {
+        return await super.update(
+            'topups',
+            { status: 'pending' },
+            "topup_id = ? AND status = 'requires_action'",
+            [topupId]
+        );
+    }
+
+    /**
+     * Build a transaction statement that settles an open top-up
+     * Fails with TOPUP_CHANGED if the top-up left its status meanwhile,
+     * so a wallet is credited at most once per top-up
+     * @param {TopUp} topUp - Top-up as read
+     * @param {string} status - 'completed' or 'failed'
+     * @param {string|null} failureReason - Reason given by the provider
+     * @param {Date} now - Settlement time
+     * @returns {Object} Statement for Database.transaction
+     */
+    settleOperation(topUp, status, failureReason = null, now = new Date()) {
+        return {
+            sql: `UPDATE topups SET status = ?, failure_reason = ?, resolved_at = ?
+                  WHERE topup_id = ? AND status = ?`,
+            params: [status, failureReason, now.toISOString(), topUp.topupId, topUp.status],
+            expectChanges: 1,
+            errorCode: 'TOPUP_CHANGED'
+        };
+    }
+}
+
+module.exports = TopUpRepository;
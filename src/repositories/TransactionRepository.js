@@ -6,6 +6,33 @@
 
 const BaseRepository = require('./BaseRepository');
 const Transaction = require('../domain/Transaction');
+const Money = require('../domain/Money');
+
+/**
+ * The description the history shows for a transaction, as SQL
+ * Keep in step with PaymentService.getTransactionDescription so the search
+ * matches the text users see
+ */
+const DESCRIPTION_SQL = `COALESCE(NULLIF(json_extract(t.meta, '$.description'), ''), CASE t.type
+    WHEN 'transfer_in' THEN COALESCE(json_extract(t.meta, '$.fromUserId') || ' kullanıcısından para alındı', 'Para alındı')
+    WHEN 'transfer_out' THEN COALESCE(json_extract(t.meta, '$.toUserId') || ' kullanıcısına para gönderildi', 'Para gönderildi')
+    WHEN 'payment' THEN COALESCE(m.name || ' - Ödeme', 'Ödeme yapıldı')
+    WHEN 'topup' THEN CASE json_extract(t.meta, '$.method')
+        WHEN 'card' THEN COALESCE('Kartla bakiye yükleme (•••• ' || json_extract(t.meta, '$.card_last4') || ')', 'Kartla bakiye yükleme')
+        WHEN 'bank_transfer' THEN 'Havale/EFT ile bakiye yükleme'
+        WHEN 'cash_in' THEN 'Nakit bakiye yükleme'
+        ELSE 'Bakiye yükleme'
+    END
+    WHEN 'split_settlement' THEN 'Fatura bölme ödemesi'
+    WHEN 'refund' THEN 'İade'
+    WHEN 'cashback' THEN 'Cashback kazandınız'
+    WHEN 'cashback_reversal' THEN 'Cashback iadesi'
+    WHEN 'adjustment' THEN 'Bakiye düzeltmesi'
+    WHEN 'exchange_out' THEN COALESCE(json_extract(t.meta, '$.fx.to_currency') || ' alımı için döviz çevirme', 'Döviz çevirme')
+    WHEN 'exchange_in' THEN COALESCE(json_extract(t.meta, '$.fx.from_currency') || ' karşılığı döviz alımı', 'Döviz alımı')
+    WHEN 'withdrawal' THEN COALESCE('Banka hesabına para çekme (' || json_extract(t.meta, '$.iban') || ')', 'Banka hesabına para çekme')
+    ELSE 'İşlem'
+END)`;
 
 class TransactionRepository extends BaseRepository {
     constructor(database) {
@@ -48,6 +75,69 @@ class TransactionRepository extends BaseRepository {
         return rows.map(row => Transaction.fromRow(row));
     }
 
+    /**
+     * Count all transactions of a user, whatever their status
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Transaction count
+     */
+    async countByUserId(userId) {
+        const row = await this.db.get('SELECT COUNT(*) as count FROM transactions WHERE user_id = ?', [userId]);
+        return row.count;
+    }
+
+    /**
+     * Get every completed transaction of a user, oldest first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Transaction>>} Array of transactions
+     */
+    async findCompletedByUserId(userId) {
+        const sql = `
+            SELECT * FROM transactions 
+            WHERE user_id = ? AND status = 'ok' 
+            ORDER BY created_at ASC
+        `;
+        const rows = await this.db.query(sql, [userId]);
+        return rows.map(row => Transaction.fromRow(row));
+    }
+
+    /**
+     * Get completed transactions linked to a payment through meta.original_tx_id
+     * @param {string} originalTxId - Payment transaction ID
+     * @param {string} type - Transaction type (e.g. 'refund', 'cashback')
+     * @returns {Promise<Array<Transaction>>} Array of transactions, oldest first
+     */
+    async findByOriginalTxId(originalTxId, type) {
+        const sql = `
+            SELECT * FROM transactions 
+            WHERE json_extract(meta, '$.original_tx_id') = ? AND type = ? AND status = 'ok' 
+            ORDER BY created_at ASC
+        `;
+        const rows = await this.db.query(sql, [originalTxId, type]);
+        return rows.map(row => Transaction.fromRow(row));
+    }
+
+    /**
+     * Build a transaction statement that fails with REFUND_CONFLICT unless the
+     * payment is still refundable by `amount` and no other refund was recorded
+     * since `refundedTotal` was read
+     * @param {Transaction} payment - Payment being refunded
+     * @param {Money} refundedTotal - Amount refunded so far, as read
+     * @param {Money} amount - Amount about to be refunded
+     * @returns {Object} Statement for Database.transaction
+     */
+    refundGuardOperation(payment, refundedTotal, amount) {
+        return {
+            sql: `UPDATE transactions SET status = status
+                  WHERE tx_id = ? AND type = 'payment' AND status = 'ok' AND amount >= ?
+                  AND (SELECT COALESCE(SUM(amount), 0) FROM transactions
+                       WHERE type = 'refund' AND status = 'ok'
+                       AND json_extract(meta, '$.original_tx_id') = ?) = ?`,
+            params: [payment.txId, refundedTotal.add(amount).minor, payment.txId, refundedTotal.minor],
+            expectChanges: 1,
+            errorCode: 'REFUND_CONFLICT'
+        };
+    }
+
     /**
      * Get transactions by type
      * @param {string} type - Transaction type
@@ -74,6 +164,45 @@ class TransactionRepository extends BaseRepository {
         return await super.insert('transactions', transaction.toObject());
     }
 
+    /**
+     * Build a transaction statement that inserts a transaction row
+     * @param {Transaction} transaction - Transaction instance
+     * @returns {Object} Statement for Database.transaction
+     */
+    insertOperation(transaction) {
+        const data = transaction.toObject();
+        const columns = Object.keys(data);
+        return {
+            sql: `INSERT INTO transactions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            params: Object.values(data)
+        };
+    }
+
+    /**
+     * Build a transaction statement that moves a transaction to a new status
+     * Fails with TX_STATUS_CHANGED if the transaction left `from` meanwhile
+     * @param {string} txId - Transaction ID
+     * @param {string} from - Current status
+     * @param {string} to - New status
+     * @param {Object} changes - Optional {amount: Money, meta: Object merged into meta}
+     * @returns {Object} Statement for Database.transaction
+     * @throws {Error} If the status transition is not allowed
+     */
+    transitionOperation(txId, from, to, { amount = null, meta = null } = {}) {
+        if (!Transaction.isValidTransition(from, to)) {
+            throw new Error(`Invalid transaction status transition: ${from} -> ${to}`);
+        }
+
+        return {
+            sql: `UPDATE transactions SET status = ?, amount = COALESCE(?, amount),
+                  meta = json_patch(COALESCE(meta, '{}'), ?)
+                  WHERE tx_id = ? AND status = ?`,
+            params: [to, amount ? amount.minor : null, JSON.stringify(meta || {}), txId, from],
+            expectChanges: 1,
+            errorCode: 'TX_STATUS_CHANGED'
+        };
+    }
+
     /**
      * Update transaction status
      * @param {string} txId - Transaction ID
@@ -85,39 +214,98 @@ class TransactionRepository extends BaseRepository {
     }
 
     /**
-     * Get user's transaction history with pagination
+     * Get a page of a user's transaction history, newest first
+     * Pages are keyed by the last transaction of the previous page rather than
+     * an offset, so transactions arriving meanwhile do not shift later pages
      * @param {string} userId - User ID
-     * @param {number} page - Page number (1-based)
+     * @param {Object} filters - Filters, all optional
+     * @param {Array<string>} filters.types - Transaction types
+     * @param {Array<string>} filters.statuses - Transaction statuses
+     * @param {string} filters.merchantId - Merchant ID
+     * @param {string} filters.category - Merchant category
+     * @param {string} filters.currency - Currency code
+     * @param {string} filters.fromDate - First day, YYYY-MM-DD (UTC)
+     * @param {string} filters.toDate - Last day, YYYY-MM-DD (UTC)
+     * @param {number} filters.minAmount - Smallest amount in minor units
+     * @param {number} filters.maxAmount - Largest amount in minor units
+     * @param {string} filters.search - Text searched in the displayed descriptions (notes included) and merchant names
+     * @param {Object|null} cursor - {createdAt, txId} of the last transaction of the previous page
      * @param {number} pageSize - Number of records per page
-     * @returns {Promise<Object>} Paginated results
+     * @returns {Promise<Object>} {transactions, total, nextCursor}; nextCursor is null on the last page
      */
-    async getUserTransactionHistory(userId, page = 1, pageSize = 20) {
-        const offset = (page - 1) * pageSize;
+    async getUserTransactionHistory(userId, filters = {}, cursor = null, pageSize = 20) {
+        const conditions = ['t.user_id = ?'];
+        const params = [userId];
 
-        // Get total count
-        const countSql = 'SELECT COUNT(*) as total FROM transactions WHERE user_id = ?';
-        const countResult = await this.db.get(countSql, [userId]);
-        const total = countResult.total;
+        if (filters.types && filters.types.length > 0) {
+            conditions.push(`t.type IN (${filters.types.map(() => '?').join(', ')})`);
+            params.push(...filters.types);
+        }
+        if (filters.statuses && filters.statuses.length > 0) {
+            conditions.push(`t.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+            params.push(...filters.statuses);
+        }
+        if (filters.merchantId) {
+            conditions.push('t.merchant_id = ?');
+            params.push(filters.merchantId);
+        }
+        if (filters.category) {
+            conditions.push('m.category = ?');
+            params.push(filters.category);
+        }
+        if (filters.currency) {
+            conditions.push('t.currency = ?');
+            params.push(filters.currency);
+        }
+        if (filters.fromDate) {
+            conditions.push('date(t.created_at) >= ?');
+            params.push(filters.fromDate);
+        }
+        if (filters.toDate) {
+            conditions.push('date(t.created_at) <= ?');
+            params.push(filters.toDate);
+        }
+        if (filters.minAmount !== undefined && filters.minAmount !== null) {
+            conditions.push('t.amount >= ?');
+            params.push(filters.minAmount);
+        }
+        if (filters.maxAmount !== undefined && filters.maxAmount !== null) {
+            conditions.push('t.amount <= ?');
+            params.push(filters.maxAmount);
+        }
+        if (filters.search) {
+            const pattern = `%${filters.search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+            conditions.push(`(${DESCRIPTION_SQL} LIKE ? ESCAPE '\\' OR m.name LIKE ? ESCAPE '\\')`);
+            params.push(pattern, pattern);
+        }
 
-        // Get transactions
-        const sql = `
-            SELECT t.*, m.name as merchant_name, m.category as merchant_category
+        const from = `
             FROM transactions t
             LEFT JOIN merchants m ON t.merchant_id = m.merchant_id
-            WHERE t.user_id = ?
-            ORDER BY t.created_at DESC
-            LIMIT ? OFFSET ?
+            WHERE ${conditions.join(' AND ')}
         `;
-        const rows = await this.db.query(sql, [userId, pageSize, offset]);
+
+        // Get total count
+        const countResult = await this.db.get(`SELECT COUNT(*) as total ${from}`, params);
+
+        // Fetch one row more than a page to know if another page follows
+        const pageConditions = cursor ? 'AND (t.created_at < ? OR (t.created_at = ? AND t.tx_id < ?))' : '';
+        const pageParams = cursor ? [cursor.createdAt, cursor.createdAt, cursor.txId] : [];
+        const rows = await this.db.query(
+            `SELECT t.*, m.name as merchant_name, m.category as merchant_category
+            ${from} ${pageConditions}
+            ORDER BY t.created_at DESC, t.tx_id DESC
+            LIMIT ?`,
+            [...params, ...pageParams, pageSize + 1]
+        );
+
+        const page = rows.slice(0, pageSize);
+        const last = page[page.length - 1];
 
         return {
-            transactions: rows.map(row => Transaction.fromRow(row)),
-            pagination: {
-                page,
-                pageSize,
-                total,
-                totalPages: Math.ceil(total / pageSize)
-            }
+            transactions: page.map(row => Transaction.fromRow(row)),
+            total: countResult.total,
+            nextCursor: rows.length > pageSize ? { createdAt: last.created_at, txId: last.tx_id } : null
         };
     }
 
@@ -155,7 +343,12 @@ class TransactionRepository extends BaseRepository {
             GROUP BY type
         `;
 
-        return await this.db.query(sql, [userId]);
+        const rows = await this.db.query(sql, [userId]);
+        return rows.map(row => ({
+            ...row,
+            total_amount: Money.fromMinor(row.total_amount),
+            avg_amount: Money.fromMinor(Math.round(row.avg_amount))
+        }));
     }
 
     /**
@@ -174,6 +367,123 @@ class TransactionRepository extends BaseRepository {
         const rows = await this.db.query(sql, [userId]);
         return rows.map(row => Transaction.fromRow(row));
     }
+
+    /**
+     * Get a merchant's transactions of one type with pagination, newest first
+     * @param {string} merchantId - Merchant ID
+     * @param {string} type - Transaction type ('payment' or 'refund')
+     * @param {number} page - Page number (1-based)
+     * @param {number} pageSize - Number of records per page
+     * @returns {Promise<Object>} {items: [{transaction, refundedAmount}], pagination}; refundedAmount is what was refunded of a payment
+     */
+    async getMerchantTransactionHistory(merchantId, type, page = 1, pageSize = 20) {
+        const offset = (page - 1) * pageSize;
+
+        const countResult = await this.db.get(
+            'SELECT COUNT(*) as total FROM transactions WHERE merchant_id = ? AND type = ?',
+            [merchantId, type]
+        );
+        const total = countResult.total;
+
+        const sql = `
+            SELECT t.*, m.name as merchant_name,
+                   (SELECT COALESCE(SUM(r.amount), 0) FROM transactions r
+                    WHERE r.type = 'refund' AND r.status = 'ok'
+                    AND json_extract(r.meta, '$.original_tx_id') = t.tx_id) as refunded_amount
+            FROM transactions t
+            LEFT JOIN merchants m ON t.merchant_id = m.merchant_id
+            WHERE t.merchant_id = ? AND t.type = ?
+            ORDER BY t.created_at DESC
+            LIMIT ? OFFSET ?
+        `;
+        const rows = await this.db.query(sql, [merchantId, type, pageSize, offset]);
+
+        return {
+            items: rows.map(row => ({
+                transaction: Transaction.fromRow(row),
+                refundedAmount: Money.fromMinor(row.refunded_amount, row.currency)
+            })),
+            pagination: {
+                page,
+                pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Sum a merchant's completed payments, refunds and cashback per day
+     * Cashback is what customers earned on the merchant's payments, net of reversals
+     * @param {string} merchantId - Merchant ID
+     * @param {string} fromDate - First day, YYYY-MM-DD (UTC)
+     * @returns {Promise<Array<Object>>} {date, currency, grossAmount, refundAmount, cashbackAmount (Money), paymentCount, refundCount}, oldest first
+     */
+    async getMerchantDailyTotals(merchantId, fromDate) {
+        const sql = `
+            SELECT date(created_at) as day, currency,
+                   SUM(CASE WHEN type = 'payment' THEN amount ELSE 0 END) as gross,
+                   SUM(CASE WHEN type = 'refund' THEN amount ELSE 0 END) as refunds,
+                   SUM(CASE WHEN type = 'cashback' THEN amount WHEN type = 'cashback_reversal' THEN -amount ELSE 0 END) as cashback,
+                   COUNT(CASE WHEN type = 'payment' THEN 1 END) as payment_count,
+                   COUNT(CASE WHEN type = 'refund' THEN 1 END) as refund_count
+            FROM transactions
+            WHERE merchant_id = ? AND status = 'ok' AND date(created_at) >= ?
+            AND type IN ('payment', 'refund', 'cashback', 'cashback_reversal')
+            GROUP BY day, currency
+            ORDER BY day, currency
+        `;
+        const rows = await this.db.query(sql, [merchantId, fromDate]);
+
+        return rows.map(row => ({
+            date: row.day,
+            currency: row.currency,
+            grossAmount: Money.fromMinor(row.gross, row.currency),
+            refundAmount: Money.fromMinor(row.refunds, row.currency),
+            cashbackAmount: Money.fromMinor(row.cashback, row.currency),
+            paymentCount: row.payment_count,
+            refundCount: row.refund_count
+        }));
+    }
+
+    /**
+     * Sum the cashback earned on a merchant's payments per cashback rule
+     * Reversals carry no rule, they are matched through the reversed cashback
+     * @param {string} merchantId - Merchant ID
+     * @param {string} fromDate - First day, YYYY-MM-DD (UTC)
+     * @returns {Promise<Array<Object>>} {ruleId, ruleType, category, currency, grantedAmount, reversedAmount (Money), cashbackCount}
+     */
+    async getMerchantCashbackByRule(merchantId, fromDate) {
+        const sql = `
+            SELECT c.rule_id, c.currency, r.rule_type, r.category,
+                   SUM(CASE WHEN c.type = 'cashback' THEN c.amount ELSE 0 END) as granted,
+                   SUM(CASE WHEN c.type = 'cashback_reversal' THEN c.amount ELSE 0 END) as reversed,
+                   COUNT(CASE WHEN c.type = 'cashback' THEN 1 END) as cashback_count
+            FROM (
+                SELECT t.type, t.amount, t.currency,
+                       COALESCE(json_extract(t.meta, '$.rule_id'),
+                                (SELECT json_extract(o.meta, '$.rule_id') FROM transactions o
+                                 WHERE o.tx_id = json_extract(t.meta, '$.cashback_tx_id'))) as rule_id
+                FROM transactions t
+                WHERE t.merchant_id = ? AND t.status = 'ok' AND date(t.created_at) >= ?
+                AND t.type IN ('cashback', 'cashback_reversal')
+            ) c
+            LEFT JOIN cashback_rules r ON r.rule_id = c.rule_id
+            GROUP BY c.rule_id, c.currency
+            ORDER BY granted DESC
+        `;
+        const rows = await this.db.query(sql, [merchantId, fromDate]);
+
+        return rows.map(row => ({
+            ruleId: row.rule_id,
+            ruleType: row.rule_type,
+            category: row.category,
+            currency: row.currency,
+            grantedAmount: Money.fromMinor(row.granted, row.currency),
+            reversedAmount: Money.fromMinor(row.reversed, row.currency),
+            cashbackCount: row.cashback_count
+        }));
+    }
 }
 
 module.exports = TransactionRepository;
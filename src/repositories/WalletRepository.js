@@ -6,6 +6,7 @@
 
 const BaseRepository = require('./BaseRepository');
 const Wallet = require('../domain/Wallet');
+const Money = require('../domain/Money');
 
 class WalletRepository extends BaseRepository {
     constructor(database) {
@@ -13,15 +14,29 @@ class WalletRepository extends BaseRepository {
     }
 
     /**
-     * Find wallet by user ID
+     * Find a user's wallet in one currency
      * @param {string} userId - User ID
+     * @param {string} currency - Currency code
      * @returns {Promise<Wallet|null>} Wallet instance or null
      */
-    async findByUserId(userId) {
-        const row = await super.findById('wallets', 'user_id', userId);
+    async findByUserId(userId, currency = 'TRY') {
+        const row = await this.db.get('SELECT * FROM wallets WHERE user_id = ? AND currency = ?', [userId, currency]);
         return row ? Wallet.fromRow(row) : null;
     }
 
+    /**
+     * Find all currency wallets of a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Wallet>>} Wallets, the TRY wallet first
+     */
+    async findAllByUserId(userId) {
+        const rows = await this.db.query(
+            "SELECT * FROM wallets WHERE user_id = ? ORDER BY currency = 'TRY' DESC, currency ASC",
+            [userId]
+        );
+        return rows.map(row => Wallet.fromRow(row));
+    }
+
     /**
      * Get all wallets
      * @returns {Promise<Array<Wallet>>} Array of Wallet instances
@@ -43,56 +58,153 @@ class WalletRepository extends BaseRepository {
     /**
      * Update wallet balance
      * @param {string} userId - User ID
-     * @param {number} newBalance - New balance
+     * @param {Money} newBalance - New balance
      * @returns {Promise<Object>} Update result
      */
     async updateBalance(userId, newBalance) {
         const updateData = {
-            balance: newBalance,
+            balance: newBalance.minor,
             updated_at: new Date().toISOString()
         };
-        return await super.update('wallets', updateData, 'user_id = ?', [userId]);
+        return await super.update('wallets', updateData, 'user_id = ? AND currency = ?', [userId, newBalance.currency]);
+    }
+
+    /**
+     * Build a transaction statement that debits a wallet only if it can cover the amount
+     * The statement fails the transaction with INSUFFICIENT_FUNDS when no row matches,
+     * so concurrent debits cannot overdraw the wallet or spend held funds
+     * @param {string} userId - User ID
+     * @param {Money} amount - Amount to debit
+     * @returns {Object} Statement for Database.transaction
+     */
+    debitOperation(userId, amount) {
+        return {
+            sql: 'UPDATE wallets SET balance = balance - ?, updated_at = ? WHERE user_id = ? AND currency = ? AND balance - held_amount >= ?',
+            params: [amount.minor, new Date().toISOString(), userId, amount.currency, amount.minor],
+            expectChanges: 1,
+            errorCode: 'INSUFFICIENT_FUNDS'
+        };
+    }
+
+    /**
+     * Build a transaction statement that reserves part of the available balance
+     * Fails with INSUFFICIENT_FUNDS like debitOperation. The balance itself is unchanged
+     * @param {string} userId - User ID
+     * @param {Money} amount - Amount to hold
+     * @returns {Object} Statement for Database.transaction
+     */
+    holdOperation(userId, amount) {
+        return {
+            sql: 'UPDATE wallets SET held_amount = held_amount + ?, updated_at = ? WHERE user_id = ? AND currency = ? AND balance - held_amount >= ?',
+            params: [amount.minor, new Date().toISOString(), userId, amount.currency, amount.minor],
+            expectChanges: 1,
+            errorCode: 'INSUFFICIENT_FUNDS'
+        };
+    }
+
+    /**
+     * Build a transaction statement that releases held funds back to the available balance
+     * @param {string} userId - User ID
+     * @param {Money} amount - Amount held
+     * @returns {Object} Statement for Database.transaction
+     */
+    releaseHoldOperation(userId, amount) {
+        return {
+            sql: 'UPDATE wallets SET held_amount = held_amount - ?, updated_at = ? WHERE user_id = ? AND currency = ? AND held_amount >= ?',
+            params: [amount.minor, new Date().toISOString(), userId, amount.currency, amount.minor],
+            expectChanges: 1,
+            errorCode: 'HOLD_MISMATCH'
+        };
+    }
+
+    /**
+     * Build a transaction statement that debits a captured hold
+     * The whole hold is released and only the captured part leaves the balance
+     * @param {string} userId - User ID
+     * @param {Money} held - Amount held
+     * @param {Money} captured - Amount captured, at most `held`
+     * @returns {Object} Statement for Database.transaction
+     */
+    captureHoldOperation(userId, held, captured) {
+        return {
+            sql: `UPDATE wallets SET balance = balance - ?, held_amount = held_amount - ?, updated_at = ?
+                  WHERE user_id = ? AND currency = ? AND held_amount >= ? AND balance >= ?`,
+            params: [captured.minor, held.minor, new Date().toISOString(), userId, held.currency, held.minor, captured.minor],
+            expectChanges: 1,
+            errorCode: 'HOLD_MISMATCH'
+        };
+    }
+
+    /**
+     * Build a transaction statement that credits a wallet
+     * @param {string} userId - User ID
+     * @param {Money} amount - Amount to credit
+     * @returns {Object} Statement for Database.transaction
+     */
+    creditOperation(userId, amount) {
+        return {
+            sql: 'UPDATE wallets SET balance = balance + ?, updated_at = ? WHERE user_id = ? AND currency = ?',
+            params: [amount.minor, new Date().toISOString(), userId, amount.currency],
+            expectChanges: 1,
+            errorCode: 'WALLET_NOT_FOUND'
+        };
+    }
+
+    /**
+     * Build a transaction statement that opens an empty wallet in a currency
+     * Does nothing if the user already holds the currency
+     * @param {string} userId - User ID
+     * @param {string} currency - Currency code
+     * @returns {Object} Statement for Database.transaction
+     */
+    openOperation(userId, currency) {
+        const now = new Date().toISOString();
+        return {
+            sql: `INSERT OR IGNORE INTO wallets (user_id, balance, held_amount, currency, updated_at)
+                  SELECT user_id, 0, 0, ?, ? FROM users WHERE user_id = ?`,
+            params: [currency, now, userId]
+        };
+    }
+
+    /**
+     * Build a transaction statement that fails with WALLET_CHANGED if the wallet
+     * balance or the user's number of transactions changed since they were read.
+     * Every money movement writes a transaction, so this detects concurrent activity
+     * @param {string} userId - User ID
+     * @param {Money} balance - Balance as read
+     * @param {number} transactionCount - Number of transactions as read
+     * @returns {Object} Statement for Database.transaction
+     */
+    unchangedOperation(userId, balance, transactionCount) {
+        return {
+            sql: `UPDATE wallets SET balance = balance
+                  WHERE user_id = ? AND currency = ? AND balance = ?
+                  AND (SELECT COUNT(*) FROM transactions WHERE user_id = ?) = ?`,
+            params: [userId, balance.currency, balance.minor, userId, transactionCount],
+            expectChanges: 1,
+            errorCode: 'WALLET_CHANGED'
+        };
     }
 
     /**
      * Transfer funds between wallets
      * @param {string} fromUserId - Sender user ID
      * @param {string} toUserId - Receiver user ID
-     * @param {number} amount - Transfer amount
+     * @param {Money} amount - Transfer amount
      * @returns {Promise<boolean>} True if successful
      */
     async transfer(fromUserId, toUserId, amount) {
+        const toWallet = await this.findByUserId(toUserId, amount.currency);
+        if (!toWallet) {
+            throw new Error('Receiver wallet not found');
+        }
+
         try {
-            // Get current balances
-            const fromWallet = await this.findByUserId(fromUserId);
-            const toWallet = await this.findByUserId(toUserId);
-
-            if (!fromWallet || !toWallet) {
-                throw new Error('One or both wallets not found');
-            }
-
-            // Check sufficient funds
-            if (!fromWallet.hasSufficientFunds(amount)) {
-                throw new Error('Insufficient funds');
-            }
-
-            // Calculate new balances
-            const fromNewBalance = fromWallet.balance - amount;
-            const toNewBalance = toWallet.balance + amount;
-
-            // Execute transfer in transaction
-            const operations = [
-                {
-                    sql: 'UPDATE wallets SET balance = ?, updated_at = ? WHERE user_id = ?',
-                    params: [fromNewBalance, new Date().toISOString(), fromUserId]
-                },
-                {
-                    sql: 'UPDATE wallets SET balance = ?, updated_at = ? WHERE user_id = ?',
-                    params: [toNewBalance, new Date().toISOString(), toUserId]
-                }
-            ];
-
-            await this.transaction(operations);
+            // Sufficient funds are checked by the guarded debit
+            await this.transaction([
+                this.debitOperation(fromUserId, amount),
+                this.creditOperation(toUserId, amount)
+            ]);
             return true;
 
         } catch (error) {
@@ -104,32 +216,33 @@ class WalletRepository extends BaseRepository {
     /**
      * Get wallet balance
      * @param {string} userId - User ID
-     * @returns {Promise<number>} Current balance
+     * @param {string} currency - Currency code
+     * @returns {Promise<Money>} Current balance
      */
-    async getBalance(userId) {
-        const wallet = await this.findByUserId(userId);
-        return wallet ? wallet.balance : 0;
+    async getBalance(userId, currency = 'TRY') {
+        const wallet = await this.findByUserId(userId, currency);
+        return wallet ? wallet.balance : Money.zero(currency);
     }
 
     /**
      * Check if user has sufficient funds
      * @param {string} userId - User ID
-     * @param {number} amount - Amount to check
+     * @param {Money} amount - Amount to check
      * @returns {Promise<boolean>} True if sufficient funds
      */
     async hasSufficientFunds(userId, amount) {
-        const wallet = await this.findByUserId(userId);
+        const wallet = await this.findByUserId(userId, amount.currency);
         return wallet ? wallet.hasSufficientFunds(amount) : false;
     }
 
     /**
      * Get wallets with low balance
-     * @param {number} threshold - Balance threshold
+     * @param {Money} threshold - Balance threshold, only wallets in its currency are checked
      * @returns {Promise<Array<Wallet>>} Array of wallets below threshold
      */
-    async findLowBalanceWallets(threshold = 10.0) {
-        const sql = 'SELECT * FROM wallets WHERE balance < ? ORDER BY balance ASC';
-        const rows = await this.db.query(sql, [threshold]);
+    async findLowBalanceWallets(threshold = Money.fromMajor(10)) {
+        const sql = 'SELECT * FROM wallets WHERE balance < ? AND currency = ? ORDER BY balance ASC';
+        const rows = await this.db.query(sql, [threshold.minor, threshold.currency]);
         return rows.map(row => Wallet.fromRow(row));
     }
 }
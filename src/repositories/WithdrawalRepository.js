@@ -0,0 +1,107 @@
+/**
+ * Withdrawal Repository
+ * Handles withdrawal data access operations
+ * Follows Dependency Inversion Principle
+ */
+
+const BaseRepository = require('./BaseRepository');
+const Withdrawal = require('../domain/Withdrawal');
+
+class WithdrawalRepository extends BaseRepository {
+    constructor(database) {
+        super(database);
+    }
+
+    /**
+     * Find a withdrawal by ID
+     * @param {string} withdrawalId - Withdrawal ID
+     * @returns {Promise<Withdrawal|null>} Withdrawal instance or null
+     */
+    async findById(withdrawalId) {
+        const row = await super.findById('withdrawals', 'withdrawal_id', withdrawalId);
+        return row ? Withdrawal.fromRow(row) : null;
+    }
+
+    /**
+     * Get the withdrawals of a user, newest first
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only withdrawals with this status
+     * @returns {Promise<Array<Withdrawal>>} Array of Withdrawal instances
+     */
+    async findByUserId(userId, status = null) {
+        const rows = await this.db.query(`
+            SELECT * FROM withdrawals
+            WHERE user_id = ? ${status ? 'AND status = ?' : ''}
+            ORDER BY created_at DESC
+            LIMIT 100
+        `, status ? [userId, status] : [userId]);
+        return rows.map(row => Withdrawal.fromRow(row));
+    }
+
+    /**
+     * Get withdrawals the bank has not settled yet, oldest first
+     * @param {number} limit - Maximum number of withdrawals
+     * @returns {Promise<Array<Withdrawal>>} Pending and processing withdrawals
+     */
+    async findOpen(limit = 100) {
+        const rows = await this.db.query(`
+            SELECT * FROM withdrawals
+            WHERE status IN ('pending', 'processing')
+            ORDER BY created_at ASC
+            LIMIT ?
+        `, [limit]);
+        return rows.map(row => Withdrawal.fromRow(row));
+    }
+
+    /**
+     * Build a transaction statement that inserts a withdrawal
+     * @param {Withdrawal} withdrawal - Withdrawal instance
+     * @returns {Object} Statement for Database.transaction
+     */
+    insertOperation(withdrawal) {
+        const data = withdrawal.toObject();
+        const columns = Object.keys(data);
+        return {
+            sql: `INSERT INTO withdrawals (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            params: Object.values(data)
+        };
+    }
+
+    /**
+     * Record that the bank rail accepted a pending withdrawal
+     * @param {string} withdrawalId - Withdrawal ID
+     * @param {string} reference - Bank rail reference
+     * @param {Date} now - Submission time
+     * @returns {Promise<Object>} Update result, no changes if it left pending meanwhile
+     */
+    async markSubmitted(withdrawalId, reference, now = new Date()) {
+        return await super.update(
+            'withdrawals',
+            { status: 'processing', bank_reference: reference, submitted_at: now.toISOString() },
+            "withdrawal_id = ? AND status = 'pending'",
+            [withdrawalId]
+        );
+    }
+
+    /**
+     * Build a transaction statement that settles an open withdrawal
+     * Fails with WITHDRAWAL_CHANGED if the withdrawal left its status meanwhile,
+     * so funds are debited or returned at most once
+     * @param {Withdrawal} withdrawal - Withdrawal as read
+     * @param {string} status - 'completed' or 'failed'
+     * @param {string|null} failureReason - Reason given by the bank
+     * @param {Date} now - Settlement time
+     * @returns {Object} Statement for Database.transaction
+     */
+    settleOperation(withdrawal, status, failureReason = null, now = new Date()) {
+        return {
+            sql: `UPDATE withdrawals SET status = ?, failure_reason = ?, resolved_at = ?
+                  WHERE withdrawal_id = ? AND status = ?`,
+            params: [status, failureReason, now.toISOString(), withdrawal.withdrawalId, withdrawal.status],
+            expectChanges: 1,
+            errorCode: 'WITHDRAWAL_CHANGED'
+        };
+    }
+}
+
+module.exports = WithdrawalRepository;
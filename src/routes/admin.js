@@ -0,0 +1,38 @@
+/**
+ * Admin Routes
+ * Defines operational API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+
+function createAdminRoutes(adminController, idempotency) {
+    const router = express.Router();
+
+    // All admin routes require the X-Admin-Key header
+    router.use(adminAuth);
+
+    // Report balance drift
+    router.get('/reconciliation', adminController.getReconciliation.bind(adminController));
+
+    // Write corrective adjustments
+    router.post('/reconciliation/fix', adminController.fixReconciliation.bind(adminController));
+
+    // Refund a payment (full or partial)
+    router.post('/refunds', idempotency, adminController.refundPayment.bind(adminController));
+
+    // Get the refunds of a payment
+    router.get('/refunds/:paymentTxId', adminController.getRefunds.bind(adminController));
+
+    // Merchant settlement: close a period, inspect batches, export payouts
+    router.post('/settlements', adminController.createSettlement.bind(adminController));
+    router.get('/settlements', adminController.getSettlements.bind(adminController));
+    router.get('/settlements/:date', adminController.getSettlement.bind(adminController));
+    router.get('/settlements/:date/preview', adminController.previewSettlement.bind(adminController));
+    router.get('/settlements/:date/payouts.csv', adminController.exportSettlement.bind(adminController));
+
+    return router;
+}
+
+module.exports = createAdminRoutes;
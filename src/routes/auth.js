@@ -10,12 +10,23 @@ const { authMiddleware, optionalAuth } = require('../middleware/auth');
 function createAuthRoutes(authController) {
     const router = express.Router();
 
-    // Login with user ID (no auth required)
+    // Self-registration and phone verification (no auth required)
+    router.post('/register', authController.register.bind(authController));
+    router.post('/register/verify', authController.verifyPhone.bind(authController));
+    router.post('/register/resend', authController.resendVerificationCode.bind(authController));
+
+    // Login with user ID and PIN (no auth required)
     router.post('/login', authController.login.bind(authController));
 
+    // Refresh access token (no auth required, refresh token in body)
+    router.post('/refresh', authController.refresh.bind(authController));
+
     // Get current user profile (requires auth)
     router.get('/profile', authMiddleware, authController.getProfile.bind(authController));
 
+    // Set or change PIN (requires auth)
+    router.put('/pin', authMiddleware, authController.setPin.bind(authController));
+
     // Search users (requires auth)
     router.get('/users/search', authMiddleware, authController.searchUsers.bind(authController));
 
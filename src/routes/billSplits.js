@@ -7,7 +7,7 @@
 const express = require('express');
 const { authMiddleware } = require('../middleware/auth');
 
-function createBillSplitRoutes(billSplitController) {
+function createBillSplitRoutes(billSplitController, idempotency) {
     const router = express.Router();
 
     // Apply authentication middleware to all routes
@@ -29,7 +29,7 @@ function createBillSplitRoutes(billSplitController) {
     router.get('/:splitId', billSplitController.getSplitDetails.bind(billSplitController));
 
     // Settle a bill split (pay back)
-    router.post('/:splitId/settle', billSplitController.settleSplit.bind(billSplitController));
+    router.post('/:splitId/settle', idempotency, billSplitController.settleSplit.bind(billSplitController));
 
     // Cancel a bill split
     router.delete('/:splitId', billSplitController.cancelSplit.bind(billSplitController));
@@ -0,0 +1,27 @@
+/**
+ * Card Routes
+ * Defines saved card API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+
+function createCardRoutes(cardController) {
+    const router = express.Router();
+
+    // Apply authentication middleware to all routes
+    router.use(authMiddleware);
+
+    // Cards saved for top-ups
+    router.get('/', cardController.listCards.bind(cardController));
+    router.post('/', cardController.addCard.bind(cardController));
+    router.delete('/:cardId', cardController.removeCard.bind(cardController));
+
+    // Card top-ups are charged to when no card is chosen
+    router.post('/:cardId/default', cardController.setDefaultCard.bind(cardController));
+
+    return router;
+}
+
+module.exports = createCardRoutes;
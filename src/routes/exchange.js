@@ -0,0 +1,23 @@
+/**
+ * Exchange Routes
+ * Defines currency exchange API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+
+function createExchangeRoutes(exchangeController, idempotency) {
+    const router = express.Router();
+
+    // Get exchange rates and quotes (no auth required - public)
+    router.get('/rates', exchangeController.getRates.bind(exchangeController));
+    router.get('/quote', exchangeController.getQuote.bind(exchangeController));
+
+    // Exchange between the user's currency wallets
+    router.post('/', authMiddleware, idempotency, exchangeController.exchange.bind(exchangeController));
+
+    return router;
+}
+
+module.exports = createExchangeRoutes;
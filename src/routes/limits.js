@@ -0,0 +1,25 @@
+/**
+ * Limit Routes
+ * Defines transaction limit API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+
+function createLimitRoutes(limitController) {
+    const router = express.Router();
+
+    // Apply authentication middleware to all routes
+    router.use(authMiddleware);
+
+    // Limits with what is left of them today and this month
+    router.get('/', limitController.getLimits.bind(limitController));
+
+    // Lower the limits of one transaction type (transfer_out, payment, topup)
+    router.patch('/:type', limitController.updateLimits.bind(limitController));
+
+    return router;
+}
+
+module.exports = createLimitRoutes;
@@ -0,0 +1,43 @@
+/**
+ * Merchant Dashboard Routes
+ * Defines the endpoints merchants use with their own login
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { merchantAuth } = require('../middleware/auth');
+
+function createMerchantDashboardRoutes(merchantDashboardController) {
+    const router = express.Router();
+
+    // Login with merchant ID and PIN (no auth required)
+    router.post('/login', merchantDashboardController.login.bind(merchantDashboardController));
+
+    // Logout (requires merchant auth)
+    router.post('/logout', merchantAuth, merchantDashboardController.logout.bind(merchantDashboardController));
+
+    // Merchant details, unsettled balance and recent payouts
+    router.get('/profile', merchantAuth, merchantDashboardController.getOverview.bind(merchantDashboardController));
+
+    // Incoming payments (query: page, pageSize)
+    router.get('/payments', merchantAuth, merchantDashboardController.getPayments.bind(merchantDashboardController));
+
+    // Refunds issued (query: page, pageSize)
+    router.get('/refunds', merchantAuth, merchantDashboardController.getRefunds.bind(merchantDashboardController));
+
+    // Daily payment, refund and cashback totals (query: days)
+    router.get('/daily-totals', merchantAuth, merchantDashboardController.getDailyTotals.bind(merchantDashboardController));
+
+    // Cashback earned on the merchant's payments per rule (query: days)
+    router.get('/cashback', merchantAuth, merchantDashboardController.getCashback.bind(merchantDashboardController));
+
+    // QR codes that can still be paid
+    router.get('/qr-codes', merchantAuth, merchantDashboardController.getQRCodes.bind(merchantDashboardController));
+
+    // Issue a static or dynamic QR code for the logged-in merchant
+    router.post('/qr-codes', merchantAuth, merchantDashboardController.createQRCode.bind(merchantDashboardController));
+
+    return router;
+}
+
+module.exports = createMerchantDashboardRoutes;
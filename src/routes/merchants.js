@@ -0,0 +1,44 @@
+/**
+ * Merchant Routes
+ * Defines merchant API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+
+function createMerchantRoutes(merchantController) {
+    const router = express.Router();
+
+    // List merchants (filters: category, active)
+    router.get('/', authMiddleware, merchantController.listMerchants.bind(merchantController));
+
+    // Get merchant details
+    router.get('/:merchantId', authMiddleware, merchantController.getMerchant.bind(merchantController));
+
+    // Create a merchant (admin only)
+    router.post('/', adminAuth, merchantController.createMerchant.bind(merchantController));
+
+    // Unsettled balance and recent payouts (admin only)
+    router.get('/:merchantId/balance', adminAuth, merchantController.getBalance.bind(merchantController));
+
+    // Update name, category, active flag or MDR rate (admin only)
+    router.patch('/:merchantId', adminAuth, merchantController.updateMerchant.bind(merchantController));
+
+    // Set or reset the merchant dashboard PIN (admin only)
+    router.put('/:merchantId/pin', adminAuth, merchantController.setPin.bind(merchantController));
+
+    // Issue a static or dynamic QR code (admin only)
+    router.post('/:merchantId/qr-codes', adminAuth, merchantController.createQRCode.bind(merchantController));
+
+    // List the merchant's QR codes (admin only)
+    router.get('/:merchantId/qr-codes', adminAuth, merchantController.listQRCodes.bind(merchantController));
+
+    // Revoke a QR code (admin only)
+    router.delete('/:merchantId/qr-codes/:qrId', adminAuth, merchantController.revokeQRCode.bind(merchantController));
+
+    return router;
+}
+
+module.exports = createMerchantRoutes;
@@ -0,0 +1,33 @@
+/**
+ * Payment Request Routes
+ * Defines money request API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+
+function createPaymentRequestRoutes(paymentRequestController, idempotency) {
+    const router = express.Router();
+
+    // Apply authentication middleware to all routes
+    router.use(authMiddleware);
+
+    // Ask another user for money
+    router.post('/', paymentRequestController.createRequest.bind(paymentRequestController));
+
+    // Requests the user was asked to pay (inbox) and requests the user sent
+    router.get('/incoming', paymentRequestController.getIncoming.bind(paymentRequestController));
+    router.get('/outgoing', paymentRequestController.getOutgoing.bind(paymentRequestController));
+
+    // Pay a request
+    router.post('/:requestId/accept', idempotency, paymentRequestController.acceptRequest.bind(paymentRequestController));
+
+    // Decline a request (payer) or withdraw it (requester)
+    router.post('/:requestId/decline', paymentRequestController.declineRequest.bind(paymentRequestController));
+    router.post('/:requestId/cancel', paymentRequestController.cancelRequest.bind(paymentRequestController));
+
+    return router;
+}
+
+module.exports = createPaymentRequestRoutes;
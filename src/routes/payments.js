@@ -7,23 +7,29 @@
 const express = require('express');
 const { authMiddleware } = require('../middleware/auth');
 
-function createPaymentRoutes(paymentController) {
+function createPaymentRoutes(paymentController, idempotency) {
     const router = express.Router();
 
     // Get QR code information by ID (no auth required for demo)
     router.get('/qr-info', paymentController.getQRInfo.bind(paymentController));
 
+    // Get the QR image of a code as SVG, rendered from its EMV payload
+    router.get('/qr-image', paymentController.getQRImage.bind(paymentController));
+
     // Apply authentication middleware to all other routes
     router.use(authMiddleware);
 
     // Transfer money between users
-    router.post('/transfer', paymentController.transferMoney.bind(paymentController));
+    router.post('/transfer', idempotency, paymentController.transferMoney.bind(paymentController));
 
     // Process payment to merchant
-    router.post('/payment', paymentController.processPayment.bind(paymentController));
+    router.post('/payment', idempotency, paymentController.processPayment.bind(paymentController));
 
-    // Top up wallet
-    router.post('/topup', paymentController.topUpWallet.bind(paymentController));
+    // Two-phase payments: authorize holds funds, capture or void completes them
+    router.post('/authorize', idempotency, paymentController.authorizePayment.bind(paymentController));
+    router.get('/authorizations', paymentController.getAuthorizations.bind(paymentController));
+    router.post('/authorizations/:txId/capture', idempotency, paymentController.capturePayment.bind(paymentController));
+    router.post('/authorizations/:txId/void', idempotency, paymentController.voidPayment.bind(paymentController));
 
     // Get wallet balance
     router.get('/balance', paymentController.getBalance.bind(paymentController));
@@ -32,7 +38,7 @@ function createPaymentRoutes(paymentController) {
     router.get('/history', paymentController.getTransactionHistory.bind(paymentController));
 
     // Process payment with QR code
-    router.post('/qr-payment', paymentController.paymentWithQR.bind(paymentController));
+    router.post('/qr-payment', idempotency, paymentController.paymentWithQR.bind(paymentController));
 
     return router;
 }
@@ -0,0 +1,33 @@
+/**
+ * Scheduled Payment Routes
+ * Defines standing order API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+
+function createScheduledPaymentRoutes(scheduledPaymentController, idempotency) {
+    const router = express.Router();
+
+    // Apply authentication middleware to all routes
+    router.use(authMiddleware);
+
+    // Create a scheduled transfer or merchant payment
+    router.post('/', idempotency, scheduledPaymentController.createSchedule.bind(scheduledPaymentController));
+
+    // Get user's scheduled payments with optional status filter
+    router.get('/', scheduledPaymentController.getSchedules.bind(scheduledPaymentController));
+
+    // Get the attempts of a scheduled payment
+    router.get('/:scheduleId/runs', scheduledPaymentController.getRuns.bind(scheduledPaymentController));
+
+    // Pause, resume or cancel a scheduled payment
+    router.post('/:scheduleId/pause', scheduledPaymentController.pauseSchedule.bind(scheduledPaymentController));
+    router.post('/:scheduleId/resume', scheduledPaymentController.resumeSchedule.bind(scheduledPaymentController));
+    router.post('/:scheduleId/cancel', scheduledPaymentController.cancelSchedule.bind(scheduledPaymentController));
+
+    return router;
+}
+
+module.exports = createScheduledPaymentRoutes;
@@ -0,0 +1,32 @@
+/**
+ * TopUp Routes
+ * Defines wallet top-up and funding provider callback API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+
+function createTopUpRoutes(topUpController, idempotency) {
+    const router = express.Router();
+
+    // Provider callbacks, authenticated by their signature (no session)
+    router.post('/callbacks/:method', topUpController.handleCallback.bind(topUpController));
+
+    // Apply authentication middleware to all other routes
+    router.use(authMiddleware);
+
+    // Start a top-up by card, bank transfer or cash
+    router.post('/', idempotency, topUpController.createTopUp.bind(topUpController));
+
+    // Answer the 3-D Secure challenge of a card top-up
+    router.post('/:topupId/challenge', idempotency, topUpController.completeChallenge.bind(topUpController));
+
+    // User's top-ups
+    router.get('/', topUpController.listTopUps.bind(topUpController));
+    router.get('/:topupId', topUpController.getTopUp.bind(topUpController));
+
+    return router;
+}
+
+module.exports = createTopUpRoutes;
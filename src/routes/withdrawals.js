@@ -0,0 +1,31 @@
+/**
+ * Withdrawal Routes
+ * Defines bank account and cash-out API endpoints
+ * Follows RESTful principles
+ */
+
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+
+function createWithdrawalRoutes(withdrawalController, idempotency) {
+    const router = express.Router();
+
+    // Apply authentication middleware to all routes
+    router.use(authMiddleware);
+
+    // Bank accounts withdrawals are paid to
+    router.get('/bank-accounts', withdrawalController.listBankAccounts.bind(withdrawalController));
+    router.post('/bank-accounts', withdrawalController.addBankAccount.bind(withdrawalController));
+    router.delete('/bank-accounts/:accountId', withdrawalController.removeBankAccount.bind(withdrawalController));
+
+    // Withdraw from the TRY wallet to a bank account
+    router.post('/', idempotency, withdrawalController.requestWithdrawal.bind(withdrawalController));
+
+    // User's withdrawals
+    router.get('/', withdrawalController.listWithdrawals.bind(withdrawalController));
+    router.get('/:withdrawalId', withdrawalController.getWithdrawal.bind(withdrawalController));
+
+    return router;
+}
+
+module.exports = createWithdrawalRoutes;
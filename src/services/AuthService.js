@@ -4,17 +4,30 @@
  * Follows Single Responsibility Principle
  */
 
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const LOCK_DURATION_MS = 15 * 60 * 1000; // 15 minutes
+const PIN_KEY_LENGTH = 64;
+
 class AuthService {
-    constructor(userRepository) {
+    constructor(userRepository, credentialRepository, phoneVerificationRepository) {
         this.userRepository = userRepository;
+        this.credentialRepository = credentialRepository;
+        this.phoneVerificationRepository = phoneVerificationRepository;
     }
 
     /**
-     * Authenticate user by ID
+     * Authenticate user by ID and PIN
      * @param {string} userId - User ID
+     * @param {string} pin - User PIN
      * @returns {Promise<Object>} Authentication result
      */
-    async authenticateById(userId) {
+    async authenticateById(userId, pin) {
         try {
             if (!userId || typeof userId !== 'string') {
                 return {
@@ -23,12 +36,33 @@ class AuthService {
                 };
             }
 
+            if (!pin || typeof pin !== 'string') {
+                return {
+                    success: false,
+                    message: 'PIN gereklidir'
+                };
+            }
+
             const user = await this.userRepository.findById(userId);
 
             if (!user) {
                 return {
                     success: false,
-                    message: 'Kullanıcı bulunamadı'
+                    message: 'Kullanıcı ID veya PIN hatalı'
+                };
+            }
+
+            const pinCheck = await this.checkPin(userId, pin);
+
+            if (!pinCheck.success) {
+                return pinCheck;
+            }
+
+            if (await this.phoneVerificationRepository.isPending(userId)) {
+                return {
+                    success: false,
+                    verificationRequired: true,
+                    message: 'Telefon numaranızı doğrulamadan giriş yapamazsınız'
                 };
             }
 
@@ -47,6 +81,160 @@ class AuthService {
         }
     }
 
+    /**
+     * Set a new PIN, or change the existing one
+     * @param {string} userId - User ID
+     * @param {string|null} currentPin - Current PIN (required if a PIN is already set)
+     * @param {string} newPin - New PIN
+     * @returns {Promise<Object>} Operation result
+     */
+    async setPin(userId, currentPin, newPin) {
+        try {
+            if (!this.isValidPin(newPin)) {
+                return {
+                    success: false,
+                    message: 'PIN 4-6 haneli rakamlardan oluşmalıdır'
+                };
+            }
+
+            const credential = await this.credentialRepository.findByOwnerId(userId);
+
+            if (credential) {
+                if (!currentPin || typeof currentPin !== 'string') {
+                    return {
+                        success: false,
+                        message: 'Mevcut PIN gereklidir'
+                    };
+                }
+
+                const pinCheck = await this.checkPin(userId, currentPin);
+
+                if (!pinCheck.success) {
+                    return pinCheck;
+                }
+            }
+
+            const { hash, salt } = await this.hashPin(newPin);
+            await this.credentialRepository.savePin(userId, hash, salt);
+
+            return {
+                success: true,
+                message: credential ? 'PIN değiştirildi' : 'PIN oluşturuldu'
+            };
+
+        } catch (error) {
+            console.error('Set PIN error:', error);
+            return {
+                success: false,
+                message: 'PIN kaydedilemedi'
+            };
+        }
+    }
+
+    /**
+     * Verify a user's PIN, applying brute-force lockout
+     * Merchant logins pass their own credential repository to share the lockout
+     * @param {string} userId - User ID (or merchant ID)
+     * @param {string} pin - PIN to verify
+     * @param {CredentialRepository} credentialRepository - Where the credential is stored
+     * @returns {Promise<Object>} Check result
+     */
+    async checkPin(userId, pin, credentialRepository = this.credentialRepository) {
+        const credential = await credentialRepository.findByOwnerId(userId);
+
+        if (!credential) {
+            return {
+                success: false,
+                message: 'Bu kullanıcı için PIN tanımlanmamış'
+            };
+        }
+
+        const now = new Date();
+
+        if (credential.locked_until && new Date(credential.locked_until) > now) {
+            return this.lockedResult(new Date(credential.locked_until));
+        }
+
+        if (await this.verifyPin(pin, credential.pin_hash, credential.pin_salt)) {
+            if (credential.failed_attempts > 0 || credential.locked_until) {
+                await credentialRepository.resetFailedAttempts(userId);
+            }
+            return { success: true };
+        }
+
+        // Counted and locked by the database, so parallel guesses cannot skip the lock
+        const counted = await credentialRepository.recordFailedAttempt(userId, {
+            windowStart: new Date(now.getTime() - FAILED_ATTEMPT_WINDOW_MS),
+            maxAttempts: MAX_FAILED_ATTEMPTS,
+            lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS)
+        }, now);
+
+        if (!counted) {
+            // Locked by a concurrent attempt
+            const locked = await credentialRepository.findByOwnerId(userId);
+            return this.lockedResult(new Date(locked.locked_until));
+        }
+
+        if (counted.locked_until) {
+            return this.lockedResult(new Date(counted.locked_until));
+        }
+
+        return {
+            success: false,
+            message: 'Kullanıcı ID veya PIN hatalı',
+            remainingAttempts: MAX_FAILED_ATTEMPTS - counted.failed_attempts
+        };
+    }
+
+    /**
+     * Build locked account result
+     * @param {Date} lockedUntil - Lock expiry
+     * @returns {Object} Failure result
+     */
+    lockedResult(lockedUntil) {
+        const minutes = Math.ceil((lockedUntil - new Date()) / 60000);
+
+        return {
+            success: false,
+            locked: true,
+            lockedUntil: lockedUntil.toISOString(),
+            message: `Çok fazla hatalı deneme. Hesabınız ${minutes} dakika kilitlendi`
+        };
+    }
+
+    /**
+     * Check PIN format
+     * @param {string} pin - PIN
+     * @returns {boolean} True if valid
+     */
+    isValidPin(pin) {
+        return typeof pin === 'string' && /^[0-9]{4,6}$/.test(pin);
+    }
+
+    /**
+     * Hash a PIN with a random salt
+     * @param {string} pin - PIN
+     * @returns {Promise<Object>} { hash, salt }
+     */
+    async hashPin(pin) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const key = await scrypt(pin, salt, PIN_KEY_LENGTH);
+        return { hash: key.toString('hex'), salt };
+    }
+
+    /**
+     * Compare a PIN with a stored hash
+     * @param {string} pin - PIN
+     * @param {string} hash - Stored hash (hex)
+     * @param {string} salt - Stored salt
+     * @returns {Promise<boolean>} True if matches
+     */
+    async verifyPin(pin, hash, salt) {
+        const key = await scrypt(pin, salt, PIN_KEY_LENGTH);
+        const stored = Buffer.from(hash, 'hex');
+        return stored.length === key.length && crypto.timingSafeEqual(stored, key);
+    }
+
     /**
      * Get user profile information
      * @param {string} userId - User ID
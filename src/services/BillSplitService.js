@@ -6,14 +6,17 @@
 
 const BillSplit = require('../domain/BillSplit');
 const Transaction = require('../domain/Transaction');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
 const { v4: uuidv4 } = require('uuid');
 
 class BillSplitService {
-    constructor(billSplitRepository, transactionRepository, walletRepository, userRepository) {
+    constructor(billSplitRepository, transactionRepository, walletRepository, userRepository, ledgerRepository) {
         this.billSplitRepository = billSplitRepository;
         this.transactionRepository = transactionRepository;
         this.walletRepository = walletRepository;
         this.userRepository = userRepository;
+        this.ledgerRepository = ledgerRepository;
     }
 
     /**
@@ -21,9 +24,10 @@ class BillSplitService {
      * @param {string} payerUserId - User who paid the bill
      * @param {string} originalTxId - Original transaction ID
      * @param {Array<string>} debtorUserIds - Array of debtor user IDs
+     * @param {string} remainderPolicy - Who absorbs leftover kuruş ('payer', 'first_debtor', 'random_debtor')
      * @returns {Promise<Object>} Split result
      */
-    async createEqualSplit(payerUserId, originalTxId, debtorUserIds) {
+    async createEqualSplit(payerUserId, originalTxId, debtorUserIds, remainderPolicy = 'payer') {
         try {
             // Validate input
             if (!payerUserId || !originalTxId || !Array.isArray(debtorUserIds) || debtorUserIds.length === 0) {
@@ -33,6 +37,13 @@ class BillSplitService {
                 };
             }
 
+            if (!BillSplit.isValidRemainderPolicy(remainderPolicy)) {
+                return {
+                    success: false,
+                    message: 'Geçersiz kalan kuruş politikası'
+                };
+            }
+
             // Remove payer from debtors if included
             const filteredDebtors = debtorUserIds.filter(id => id !== payerUserId);
 
@@ -71,20 +82,32 @@ class BillSplitService {
                 };
             }
 
-            // Calculate equal splits
+            // Calculate equal splits; shares add up exactly to the bill
             const totalUsers = filteredDebtors.length + 1; // Include payer
-            const shareAmount = Math.round((originalTx.amount / totalUsers) * 100) / 100;
+            const allocation = BillSplit.calculateEqualSplit(
+                originalTx.amount,
+                payerUserId,
+                filteredDebtors,
+                remainderPolicy
+            );
+
+            if (allocation.shares.some(share => !share.shareAmount.isPositive())) {
+                return {
+                    success: false,
+                    message: 'Tutar bu kadar kişiye bölünemeyecek kadar küçük'
+                };
+            }
 
             // Create bill splits for debtors
-            const billSplits = filteredDebtors.map(debtorUserId =>
+            const billSplits = allocation.shares.map(share =>
                 new BillSplit(
                     null, // Auto-increment
                     originalTxId,
                     payerUserId,
-                    debtorUserId,
+                    share.userId,
                     originalTx.amount,
-                    shareAmount,
-                    1.0, // Equal weight
+                    share.shareAmount,
+                    share.weight,
                     'pending'
                 )
             );
@@ -97,13 +120,15 @@ class BillSplitService {
                 message: 'Fatura başarıyla bölündü',
                 data: {
                     originalTxId,
-                    totalAmount: originalTx.amount,
-                    shareAmount,
+                    totalAmount: originalTx.amount.toMajor(),
+                    shareAmount: billSplits[0].shareAmount.toMajor(),
+                    payerShareAmount: allocation.payerShare.toMajor(),
+                    remainderPolicy,
                     totalUsers,
                     debtorCount: filteredDebtors.length,
                     splits: billSplits.map(split => ({
                         debtorUserId: split.debtorUserId,
-                        shareAmount: split.shareAmount,
+                        shareAmount: split.shareAmount.toMajor(),
                         weight: split.weight
                     }))
                 }
@@ -123,9 +148,10 @@ class BillSplitService {
      * @param {string} payerUserId - User who paid the bill
      * @param {string} originalTxId - Original transaction ID
      * @param {Array<Object>} debtorWeights - Array of {userId, weight} objects
+     * @param {string} remainderPolicy - Who absorbs leftover kuruş ('payer', 'first_debtor', 'random_debtor')
      * @returns {Promise<Object>} Split result
      */
-    async createWeightedSplit(payerUserId, originalTxId, debtorWeights) {
+    async createWeightedSplit(payerUserId, originalTxId, debtorWeights, remainderPolicy = 'payer') {
         try {
             // Validate input
             if (!payerUserId || !originalTxId || !Array.isArray(debtorWeights) || debtorWeights.length === 0) {
@@ -135,6 +161,13 @@ class BillSplitService {
                 };
             }
 
+            if (!BillSplit.isValidRemainderPolicy(remainderPolicy)) {
+                return {
+                    success: false,
+                    message: 'Geçersiz kalan kuruş politikası'
+                };
+            }
+
             // Remove payer from debtors if included
             const filteredDebtors = debtorWeights.filter(item => item.userId !== payerUserId);
 
@@ -188,20 +221,31 @@ class BillSplitService {
             // Calculate weighted splits
             const totalWeight = filteredDebtors.reduce((sum, item) => sum + item.weight, 0);
 
-            const billSplits = filteredDebtors.map(item => {
-                const shareAmount = Math.round((originalTx.amount * item.weight / totalWeight) * 100) / 100;
+            const allocation = BillSplit.calculateWeightedSplit(
+                originalTx.amount,
+                filteredDebtors,
+                remainderPolicy
+            );
 
-                return new BillSplit(
+            if (allocation.shares.some(share => !share.shareAmount.isPositive())) {
+                return {
+                    success: false,
+                    message: 'Tutar bu kadar kişiye bölünemeyecek kadar küçük'
+                };
+            }
+
+            const billSplits = allocation.shares.map(share =>
+                new BillSplit(
                     null, // Auto-increment
                     originalTxId,
                     payerUserId,
-                    item.userId,
+                    share.userId,
                     originalTx.amount,
-                    shareAmount,
-                    item.weight,
+                    share.shareAmount,
+                    share.weight,
                     'pending'
-                );
-            });
+                )
+            );
 
             // Save bill splits
             await this.billSplitRepository.createMultiple(billSplits);
@@ -211,12 +255,14 @@ class BillSplitService {
                 message: 'Fatura başarıyla ağırlıklı olarak bölündü',
                 data: {
                     originalTxId,
-                    totalAmount: originalTx.amount,
+                    totalAmount: originalTx.amount.toMajor(),
                     totalWeight,
+                    payerShareAmount: allocation.payerShare.toMajor(),
+                    remainderPolicy,
                     debtorCount: filteredDebtors.length,
                     splits: billSplits.map(split => ({
                         debtorUserId: split.debtorUserId,
-                        shareAmount: split.shareAmount,
+                        shareAmount: split.shareAmount.toMajor(),
                         weight: split.weight
                     }))
                 }
@@ -294,7 +340,7 @@ class BillSplitService {
                 message: 'Fatura bölünmesi başarıyla ödendi',
                 data: {
                     splitId,
-                    amount: split.shareAmount,
+                    amount: split.shareAmount.toMajor(),
                     payerUserId: split.payerUserId,
                     debtorUserId: split.debtorUserId,
                     transferTransactionId: transferResult.data.outTransactionId
@@ -302,6 +348,13 @@ class BillSplitService {
             };
 
         } catch (error) {
+            if (error.code === 'INSUFFICIENT_FUNDS') {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
             console.error('Settle bill split error:', error);
             return {
                 success: false,
@@ -393,7 +446,7 @@ class BillSplitService {
      * Transfer money between users (used internally)
      * @param {string} fromUserId - Sender user ID
      * @param {string} toUserId - Receiver user ID
-     * @param {number} amount - Transfer amount
+     * @param {Money} amount - Transfer amount
      * @returns {Promise<Object>} Transfer result
      */
     async transferMoney(fromUserId, toUserId, amount) {
@@ -407,7 +460,7 @@ class BillSplitService {
                 outTxId,
                 fromUserId,
                 amount,
-                'TRY',
+                amount.currency,
                 'bill_split',
                 'ok',
                 null,
@@ -418,7 +471,7 @@ class BillSplitService {
                 inTxId,
                 toUserId,
                 amount,
-                'TRY',
+                amount.currency,
                 'transfer_in',
                 'ok',
                 null,
@@ -427,14 +480,16 @@ class BillSplitService {
 
             // Execute in transaction
             const operations = [
-                {
-                    sql: 'UPDATE wallets SET balance = balance - ?, updated_at = ? WHERE user_id = ?',
-                    params: [amount, new Date().toISOString(), fromUserId]
-                },
-                {
-                    sql: 'UPDATE wallets SET balance = balance + ?, updated_at = ? WHERE user_id = ?',
-                    params: [amount, new Date().toISOString(), toUserId]
-                },
+                this.walletRepository.debitOperation(fromUserId, amount),
+                this.walletRepository.creditOperation(toUserId, amount),
+                ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    LedgerAccount.wallet(fromUserId, amount.currency),
+                    LedgerAccount.wallet(toUserId, amount.currency),
+                    amount,
+                    'Fatura bölme ödemesi',
+                    outTxId
+                )),
                 {
                     sql: `INSERT INTO transactions (tx_id, created_at, user_id, merchant_id, amount, currency, type, status, meta) 
                           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -454,7 +509,7 @@ class BillSplitService {
                 data: {
                     outTransactionId: outTxId,
                     inTransactionId: inTxId,
-                    amount
+                    amount: amount.toMajor()
                 }
             };
 
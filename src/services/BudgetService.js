@@ -4,6 +4,9 @@
  * Follows Single Responsibility Principle
  */
 
+const Money = require('../domain/Money');
+const Merchant = require('../domain/Merchant');
+
 class BudgetService {
     constructor(database, walletRepository) {
         this.db = database;
@@ -27,15 +30,16 @@ class BudgetService {
 
             // Calculate real spent amounts from transactions
             const budgetsWithRealData = await Promise.all(budgets.map(async (b) => {
+                const limit = Money.fromMinor(b.limit_amount);
                 const realSpent = await this.calculateCategorySpending(userId, month, b.category);
 
                 return {
                     category: b.category,
-                    limitAmount: b.limit_amount,
-                    spentAmount: realSpent,
-                    remaining: b.limit_amount - realSpent,
-                    percentage: (realSpent / b.limit_amount * 100).toFixed(1),
-                    status: this.getBudgetStatus(realSpent, b.limit_amount)
+                    limitAmount: limit.toMajor(),
+                    spentAmount: realSpent.toMajor(),
+                    remaining: limit.subtract(realSpent).toMajor(),
+                    percentage: (realSpent.minor / limit.minor * 100).toFixed(1),
+                    status: this.getBudgetStatus(realSpent.minor, limit.minor)
                 };
             }));
 
@@ -61,7 +65,7 @@ class BudgetService {
      * @param {string} userId - User ID
      * @param {string} month - Month in YYYY-MM format
      * @param {string} category - Category name
-     * @returns {Promise<number>} Total spent amount
+     * @returns {Promise<Money>} Total spent amount
      */
     async calculateCategorySpending(userId, month, category) {
         try {
@@ -73,29 +77,29 @@ class BudgetService {
             const merchants = await this.db.query(merchantsSql, [category]);
 
             if (merchants.length === 0) {
-                return 0;
+                return Money.zero();
             }
 
             const merchantIds = merchants.map(m => m.merchant_id);
             const placeholders = merchantIds.map(() => '?').join(',');
 
-            // Calculate total spending for these merchants in this month
+            // Calculate total spending for these merchants in this month, net of refunds
             const spendingSql = `
-                SELECT COALESCE(SUM(amount), 0) as total
+                SELECT MAX(COALESCE(SUM(CASE WHEN type = 'refund' THEN -amount ELSE amount END), 0), 0) as total
                 FROM transactions
                 WHERE user_id = ?
-                AND type = 'payment'
+                AND type IN ('payment', 'refund')
                 AND status = 'ok'
                 AND merchant_id IN (${placeholders})
                 AND strftime('%Y-%m', created_at) = ?
             `;
 
             const result = await this.db.get(spendingSql, [userId, ...merchantIds, month]);
-            return result.total || 0;
+            return Money.fromMinor(result.total || 0);
 
         } catch (error) {
             console.error('Calculate category spending error:', error);
-            return 0;
+            return Money.zero();
         }
     }
 
@@ -116,7 +120,8 @@ class BudgetService {
                 };
             }
 
-            if (typeof limitAmount !== 'number' || limitAmount <= 0) {
+            const limit = Number.isFinite(limitAmount) ? Money.fromMajor(limitAmount) : null;
+            if (!limit || !limit.isPositive()) {
                 return {
                     success: false,
                     message: 'Geçerli bir bütçe limiti giriniz'
@@ -124,8 +129,7 @@ class BudgetService {
             }
 
             // Validate category
-            const validCategories = ['cafe', 'market', 'ulaşım', 'eğlence', 'sağlık', 'diğer'];
-            if (!validCategories.includes(category.toLowerCase())) {
+            if (!Merchant.isValidCategory(category.toLowerCase())) {
                 return {
                     success: false,
                     message: 'Geçersiz kategori'
@@ -144,7 +148,7 @@ class BudgetService {
                     `UPDATE budgets 
                      SET limit_amount = ?, updated_at = ? 
                      WHERE user_id = ? AND month = ? AND category = ?`,
-                    [limitAmount, new Date().toISOString(), userId, month, category]
+                    [limit.minor, new Date().toISOString(), userId, month, category]
                 );
 
                 return {
@@ -156,7 +160,7 @@ class BudgetService {
                 await this.db.run(
                     `INSERT INTO budgets (user_id, month, category, limit_amount, spent_amount, created_at, updated_at)
                      VALUES (?, ?, ?, ?, 0, ?, ?)`,
-                    [userId, month, category, limitAmount, new Date().toISOString(), new Date().toISOString()]
+                    [userId, month, category, limit.minor, new Date().toISOString(), new Date().toISOString()]
                 );
 
                 return {
@@ -263,13 +267,13 @@ class BudgetService {
 
                 // Get wallet balance as total budget (user's available money)
                 const wallet = await this.walletRepository.findByUserId(userId);
-                const totalBudget = wallet ? wallet.balance : 0;
+                const totalBudget = wallet ? wallet.balance : Money.zero();
 
                 // Calculate total spent from real transactions
-                const totalSpent = budgets.reduce((sum, b) => sum + b.spentAmount, 0);
+                const totalSpent = Money.sum(budgets.map(b => Money.fromMajor(b.spentAmount)));
 
                 // Remaining is wallet balance minus what we've spent
-                const totalRemaining = totalBudget - totalSpent;
+                const totalRemaining = totalBudget.subtract(totalSpent);
 
                 // Get total spending for the month (all categories)
                 const totalMonthSpendingSql = `
@@ -286,11 +290,11 @@ class BudgetService {
                     success: true,
                     data: {
                         month: currentMonth,
-                        totalBudget,           // From wallet balance
-                        totalSpent,            // From real transactions
-                        totalRemaining,        // wallet balance - spent
-                        percentage: totalBudget > 0 ? (totalSpent / totalBudget * 100).toFixed(1) : 0,
-                        totalMonthSpending: monthSpending.total || 0,
+                        totalBudget: totalBudget.toMajor(),       // From wallet balance
+                        totalSpent: totalSpent.toMajor(),         // From real transactions
+                        totalRemaining: totalRemaining.toMajor(), // wallet balance - spent
+                        percentage: totalBudget.isPositive() ? (totalSpent.minor / totalBudget.minor * 100).toFixed(1) : 0,
+                        totalMonthSpending: Money.fromMinor(monthSpending.total || 0).toMajor(),
                         budgets: budgets
                     }
                 };
@@ -0,0 +1,293 @@
+/**
+ * Card Vault Service
+ * Keeps users' cards for top-ups. Card numbers are exchanged for card gateway
+ * tokens and dropped; only the token, brand, last four digits and expiry date
+ * are stored
+ * Follows Single Responsibility Principle
+ */
+
+const PaymentCard = require('../domain/PaymentCard');
+const SavedCard = require('../domain/SavedCard');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_SAVED_CARDS = 5;
+
+class CardVaultService {
+    /**
+     * @param {SavedCardRepository} savedCardRepository - Saved card repository
+     * @param {FundingProvider} cardGateway - Card funding provider issuing the tokens
+     */
+    constructor(savedCardRepository, cardGateway) {
+        this.savedCardRepository = savedCardRepository;
+        this.cardGateway = cardGateway;
+    }
+
+    /**
+     * Save a card to the user's vault
+     * The user's first card becomes the default card
+     * @param {string} userId - User ID
+     * @param {Object} card - {number, expiryMonth, expiryYear, cvc?}
+     * @param {boolean} makeDefault - Make the card the default card
+     * @returns {Promise<Object>} Saved card
+     */
+    async addCard(userId, card, makeDefault = false) {
+        try {
+            const parsed = this.parseCard(card);
+            if (parsed.message) {
+                return {
+                    success: false,
+                    message: parsed.message
+                };
+            }
+
+            const paymentCard = parsed.card;
+            const cards = await this.savedCardRepository.findByUserId(userId);
+            if (cards.some(saved => saved.brand === paymentCard.brand && saved.last4 === paymentCard.last4 &&
+                saved.expiryMonth === paymentCard.expiryMonth && saved.expiryYear === paymentCard.expiryYear)) {
+                return {
+                    success: false,
+                    message: 'Bu kart zaten kayıtlı'
+                };
+            }
+
+            if (cards.length >= MAX_SAVED_CARDS) {
+                return {
+                    success: false,
+                    message: `En fazla ${MAX_SAVED_CARDS} kart kaydedilebilir`
+                };
+            }
+
+            let tokenized;
+            try {
+                tokenized = await this.cardGateway.tokenizeCard(paymentCard);
+            } catch (error) {
+                console.error('Tokenize card error:', error);
+                return {
+                    success: false,
+                    message: 'Kart sağlayıcısına ulaşılamadı, lütfen tekrar deneyin'
+                };
+            }
+
+            if (!tokenized.token) {
+                return {
+                    success: false,
+                    message: `Kart kaydedilemedi: ${tokenized.failureReason}`
+                };
+            }
+
+            const savedCard = new SavedCard(
+                `CARD_${uuidv4().substring(0, 8)}`,
+                userId,
+                tokenized.token,
+                {
+                    brand: tokenized.brand || paymentCard.brand,
+                    last4: tokenized.last4 || paymentCard.last4,
+                    expiryMonth: paymentCard.expiryMonth,
+                    expiryYear: paymentCard.expiryYear
+                },
+                makeDefault || cards.length === 0
+            );
+            await this.savedCardRepository.create(savedCard);
+
+            return {
+                success: true,
+                message: 'Kart kaydedildi',
+                data: this.formatCard(savedCard)
+            };
+
+        } catch (error) {
+            console.error('Add card error:', error);
+            return {
+                success: false,
+                message: 'Kart kaydedilirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Get the cards of a user, default card first
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Card list
+     */
+    async listCards(userId) {
+        try {
+            const cards = await this.savedCardRepository.findByUserId(userId);
+
+            return {
+                success: true,
+                data: {
+                    cards: cards.map(card => this.formatCard(card))
+                }
+            };
+
+        } catch (error) {
+            console.error('List cards error:', error);
+            return {
+                success: false,
+                message: 'Kayıtlı kartlar alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Remove a card from the vault
+     * If it was the default card, the most recently added card takes its place
+     * @param {string} userId - User ID
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Removal result
+     */
+    async removeCard(userId, cardId) {
+        try {
+            const card = await this.findOwnedCard(userId, cardId);
+            if (!card) {
+                return {
+                    success: false,
+                    message: 'Kart bulunamadı'
+                };
+            }
+
+            await this.savedCardRepository.remove(cardId);
+
+            if (card.isDefault) {
+                const remaining = await this.savedCardRepository.findByUserId(userId);
+                const newest = remaining.sort((a, b) => b.createdAt - a.createdAt)[0];
+                if (newest) {
+                    await this.savedCardRepository.setDefault(userId, newest.cardId);
+                }
+            }
+
+            return {
+                success: true,
+                message: 'Kart silindi',
+                data: { cardId }
+            };
+
+        } catch (error) {
+            console.error('Remove card error:', error);
+            return {
+                success: false,
+                message: 'Kart silinirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Make a card the one top-ups are charged to when no card is chosen
+     * @param {string} userId - User ID
+     * @param {string} cardId - Card ID
+     * @returns {Promise<Object>} Default card
+     */
+    async setDefaultCard(userId, cardId) {
+        try {
+            const card = await this.findOwnedCard(userId, cardId);
+            if (!card) {
+                return {
+                    success: false,
+                    message: 'Kart bulunamadı'
+                };
+            }
+
+            await this.savedCardRepository.setDefault(userId, cardId);
+            card.isDefault = true;
+
+            return {
+                success: true,
+                message: 'Varsayılan kart güncellendi',
+                data: this.formatCard(card)
+            };
+
+        } catch (error) {
+            if (error.code === 'CARD_NOT_FOUND') {
+                return {
+                    success: false,
+                    message: 'Kart bulunamadı'
+                };
+            }
+            console.error('Set default card error:', error);
+            return {
+                success: false,
+                message: 'Varsayılan kart güncellenemedi'
+            };
+        }
+    }
+
+    /**
+     * Find a card a top-up can be charged to
+     * @param {string} userId - User ID
+     * @param {string|null} cardId - Card ID, the default card if null
+     * @returns {Promise<Object>} {card} or {message} if the card cannot be used
+     */
+    async findUsableCard(userId, cardId = null) {
+        const card = cardId
+            ? await this.findOwnedCard(userId, cardId)
+            : await this.savedCardRepository.findDefault(userId);
+
+        if (!card) {
+            return { message: cardId ? 'Kart bulunamadı' : 'Kart bilgileri veya kayıtlı kart seçiniz' };
+        }
+
+        if (card.isExpired()) {
+            return { message: `•••• ${card.last4} kartının son kullanma tarihi geçmiş` };
+        }
+
+        return { card };
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @param {string} cardId - Card ID
+     * @returns {Promise<SavedCard|null>} Card, null if missing, removed or another user's
+     */
+    async findOwnedCard(userId, cardId) {
+        const card = await this.savedCardRepository.findById(cardId);
+        return card && card.userId === userId && card.isActive() ? card : null;
+    }
+
+    /**
+     * Read card details as entered
+     * @param {Object} card - {number, expiryMonth, expiryYear, cvc?}
+     * @returns {Object} {card: PaymentCard} or {message} if the details are not valid
+     */
+    parseCard(card) {
+        if (!card || typeof card !== 'object') {
+            return { message: 'Kart bilgileri gereklidir' };
+        }
+
+        if (!PaymentCard.isValidNumber(PaymentCard.normalize(card.number))) {
+            return { message: 'Geçerli bir kart numarası giriniz' };
+        }
+
+        let paymentCard;
+        try {
+            paymentCard = new PaymentCard(card.number, card.expiryMonth, card.expiryYear, card.cvc);
+        } catch (error) {
+            return { message: 'Geçerli kart bilgileri giriniz' };
+        }
+
+        if (paymentCard.isExpired()) {
+            return { message: 'Kartın son kullanma tarihi geçmiş' };
+        }
+
+        return { card: paymentCard };
+    }
+
+    /**
+     * Format a card for API responses, without its token
+     * @param {SavedCard} card - SavedCard instance
+     * @returns {Object} Formatted card
+     */
+    formatCard(card) {
+        return {
+            cardId: card.cardId,
+            brand: card.brand,
+            last4: card.last4,
+            expiryMonth: card.expiryMonth,
+            expiryYear: card.expiryYear,
+            isDefault: card.isDefault,
+            expired: card.isExpired(),
+            createdAt: card.createdAt.toISOString()
+        };
+    }
+}
+
+module.exports = CardVaultService;
@@ -5,24 +5,32 @@
  */
 
 const Transaction = require('../domain/Transaction');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
 const { v4: uuidv4 } = require('uuid');
 
 class CashbackService {
-    constructor(database, walletRepository, transactionRepository) {
+    constructor(database, walletRepository, transactionRepository, ledgerRepository) {
         this.db = database;
         this.walletRepository = walletRepository;
         this.transactionRepository = transactionRepository;
+        this.ledgerRepository = ledgerRepository;
     }
 
     /**
-     * Calculate and apply cashback for a payment
+     * Calculate cashback for a payment without writing it
+     * The returned operations credit the cashback and must be committed in the
+     * same database transaction as the payment itself. They fail with
+     * CASHBACK_ALREADY_AWARDED if a concurrent payment earned a first-time-only
+     * cashback meanwhile; the payment is then retried without it
      * @param {string} userId - User ID
      * @param {string} merchantId - Merchant ID
-     * @param {number} amount - Payment amount
+     * @param {Money} amount - Payment amount
      * @param {string} paymentTxId - Payment transaction ID
-     * @returns {Promise<Object>} Cashback result
+     * @returns {Promise<Object>} Cashback result with `operations` to commit
      */
-    async calculateAndApplyCashback(userId, merchantId, amount, paymentTxId) {
+    async prepareCashback(userId, merchantId, amount, paymentTxId) {
         try {
             // Get merchant category
             const merchant = await this.db.get(
@@ -31,7 +39,7 @@ class CashbackService {
             );
 
             if (!merchant) {
-                return { cashbackAmount: 0, applied: false };
+                return { cashbackAmount: 0, applied: false, operations: [] };
             }
 
             // Get applicable cashback rules
@@ -42,11 +50,12 @@ class CashbackService {
             );
 
             if (rules.length === 0) {
-                return { cashbackAmount: 0, applied: false, message: 'Geçerli cashback kampanyası yok' };
+                return { cashbackAmount: 0, applied: false, operations: [], message: 'Geçerli cashback kampanyası yok' };
             }
 
-            let totalCashback = 0;
+            let totalCashback = Money.zero(amount.currency);
             const appliedRules = [];
+            const operations = [];
 
             for (const rule of rules) {
                 const cashbackAmount = await this.calculateCashbackAmount(
@@ -56,14 +65,14 @@ class CashbackService {
                     merchant.category
                 );
 
-                if (cashbackAmount > 0) {
+                if (cashbackAmount.isPositive()) {
                     // Create cashback transaction
                     const cashbackTxId = `TX_CB_${uuidv4().substring(0, 8)}`;
                     const cashbackTx = new Transaction(
                         cashbackTxId,
                         userId,
                         cashbackAmount,
-                        'TRY',
+                        cashbackAmount.currency,
                         'cashback',
                         'ok',
                         merchantId,
@@ -74,34 +83,44 @@ class CashbackService {
                         }
                     );
 
-                    // Save transaction and update wallet
-                    await this.transactionRepository.create(cashbackTx);
-                    await this.db.run(
-                        'UPDATE wallets SET balance = balance + ?, updated_at = ? WHERE user_id = ?',
-                        [cashbackAmount, new Date().toISOString(), userId]
+                    // Record transaction, credit wallet and book the reward as cashback expense
+                    operations.push(
+                        ...(rule.first_time_only ? [this.awardOperation(userId, rule.rule_id, cashbackTxId)] : []),
+                        this.transactionRepository.insertOperation(cashbackTx),
+                        this.walletRepository.creditOperation(userId, cashbackAmount),
+                        ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                            `JE_${uuidv4().substring(0, 8)}`,
+                            LedgerAccount.cashbackExpense(cashbackAmount.currency),
+                            LedgerAccount.wallet(userId, cashbackAmount.currency),
+                            cashbackAmount,
+                            this.getCashbackDescription(rule, merchant),
+                            cashbackTxId
+                        ))
                     );
 
-                    totalCashback += cashbackAmount;
+                    totalCashback = totalCashback.add(cashbackAmount);
                     appliedRules.push({
                         ruleId: rule.rule_id,
-                        amount: cashbackAmount,
+                        transactionId: cashbackTxId,
+                        amount: cashbackAmount.toMajor(),
                         description: this.getCashbackDescription(rule, merchant)
                     });
                 }
             }
 
             return {
-                cashbackAmount: totalCashback,
-                applied: totalCashback > 0,
+                cashbackAmount: totalCashback.toMajor(),
+                applied: totalCashback.isPositive(),
                 appliedRules,
-                message: totalCashback > 0
-                    ? `${totalCashback.toFixed(2)} TL cashback kazandınız!`
+                operations,
+                message: totalCashback.isPositive()
+                    ? `${totalCashback.toMajor().toFixed(2)} TL cashback kazandınız!`
                     : 'Cashback uygulanamadı'
             };
 
         } catch (error) {
             console.error('Calculate cashback error:', error);
-            return { cashbackAmount: 0, applied: false, message: 'Cashback hesaplanamadı' };
+            return { cashbackAmount: 0, applied: false, operations: [], message: 'Cashback hesaplanamadı' };
         }
     }
 
@@ -131,15 +150,12 @@ class CashbackService {
             for (const rule of rules) {
                 if (rule.first_time_only) {
                     // Check if user has received this cashback before
-                    const hasPrevious = await this.db.get(
-                        `SELECT COUNT(*) as count FROM transactions 
-                         WHERE user_id = ? 
-                         AND type = 'cashback' 
-                         AND json_extract(meta, '$.rule_id') = ?`,
+                    const award = await this.db.get(
+                        'SELECT tx_id FROM cashback_awards WHERE user_id = ? AND rule_id = ?',
                         [userId, rule.rule_id]
                     );
 
-                    if (hasPrevious.count === 0) {
+                    if (!award) {
                         filteredRules.push(rule);
                     }
                 } else {
@@ -155,36 +171,55 @@ class CashbackService {
         }
     }
 
+    /**
+     * Build the statement that records a first-time-only award
+     * Fails with CASHBACK_ALREADY_AWARDED if the user already earned the rule
+     * @param {string} userId - User ID
+     * @param {string} ruleId - First-time-only rule ID
+     * @param {string} cashbackTxId - Cashback transaction ID
+     * @returns {Object} Statement for Database.transaction
+     */
+    awardOperation(userId, ruleId, cashbackTxId) {
+        return {
+            sql: 'INSERT INTO cashback_awards (user_id, rule_id, tx_id, created_at) VALUES (?, ?, ?, ?) ON CONFLICT (user_id, rule_id) DO NOTHING',
+            params: [userId, ruleId, cashbackTxId, new Date().toISOString()],
+            expectChanges: 1,
+            errorCode: 'CASHBACK_ALREADY_AWARDED'
+        };
+    }
+
     /**
      * Calculate cashback amount based on rule
+     * Rule flat amounts and caps are stored in minor units
      * @param {string} userId - User ID
      * @param {Object} rule - Cashback rule
-     * @param {number} amount - Payment amount
+     * @param {Money} amount - Payment amount
      * @param {string} category - Merchant category
-     * @returns {Promise<number>} Cashback amount
+     * @returns {Promise<Money>} Cashback amount
      */
     async calculateCashbackAmount(userId, rule, amount, category) {
         try {
-            let cashbackAmount = 0;
+            let cashbackAmount = Money.zero(amount.currency);
 
             if (rule.rule_type === 'percent') {
-                // Percentage-based cashback
-                cashbackAmount = amount * rule.rate;
+                // Percentage-based cashback, rounded to the nearest kuruş
+                cashbackAmount = amount.multiply(rule.rate);
 
                 // Apply cap if set
-                if (rule.cap && cashbackAmount > rule.cap) {
-                    cashbackAmount = rule.cap;
+                const cap = rule.cap ? Money.fromMinor(rule.cap, amount.currency) : null;
+                if (cap && cashbackAmount.greaterThan(cap)) {
+                    cashbackAmount = cap;
                 }
             } else if (rule.rule_type === 'flat') {
                 // Flat amount cashback
-                cashbackAmount = rule.flat_amount;
+                cashbackAmount = Money.fromMinor(rule.flat_amount, amount.currency);
             }
 
-            return Math.round(cashbackAmount * 100) / 100; // Round to 2 decimals
+            return cashbackAmount;
 
         } catch (error) {
             console.error('Calculate cashback amount error:', error);
-            return 0;
+            return Money.zero(amount.currency);
         }
     }
 
@@ -199,10 +234,11 @@ class CashbackService {
             const percentage = (rule.rate * 100).toFixed(0);
             return `${merchant.name} - %${percentage} Cashback`;
         } else if (rule.rule_type === 'flat') {
+            const flatAmount = Money.fromMinor(rule.flat_amount).toMajor();
             if (rule.first_time_only) {
-                return `İlk QR Ödeme Bonusu - ${rule.flat_amount} TL`;
+                return `İlk QR Ödeme Bonusu - ${flatAmount} TL`;
             }
-            return `${merchant.name} - ${rule.flat_amount} TL Cashback`;
+            return `${merchant.name} - ${flatAmount} TL Cashback`;
         }
         return 'Cashback';
     }
@@ -233,8 +269,8 @@ class CashbackService {
                         type: r.rule_type,
                         category: r.category,
                         rate: r.rate,
-                        flatAmount: r.flat_amount,
-                        cap: r.cap,
+                        flatAmount: Money.fromMinor(r.flat_amount).toMajor(),
+                        cap: r.cap ? Money.fromMinor(r.cap).toMajor() : null,
                         firstTimeOnly: r.first_time_only,
                         startsAt: r.starts_at,
                         endsAt: r.ends_at,
@@ -261,13 +297,14 @@ class CashbackService {
         if (rule.rule_type === 'percent') {
             const percentage = (rule.rate * 100).toFixed(0);
             const categoryText = rule.category === 'any' ? 'tüm kategorilerde' : `${rule.category} kategorisinde`;
-            const capText = rule.cap ? ` (max ${rule.cap} TL)` : '';
+            const capText = rule.cap ? ` (max ${Money.fromMinor(rule.cap).toMajor()} TL)` : '';
             return `${categoryText} %${percentage} iade${capText}`;
         } else if (rule.rule_type === 'flat') {
+            const flatAmount = Money.fromMinor(rule.flat_amount).toMajor();
             if (rule.first_time_only) {
-                return `İlk QR ödemenize ${rule.flat_amount} TL bonus`;
+                return `İlk QR ödemenize ${flatAmount} TL bonus`;
             }
-            return `${rule.flat_amount} TL sabit iade`;
+            return `${flatAmount} TL sabit iade`;
         }
         return 'Kampanya';
     }
@@ -0,0 +1,360 @@
+/**
+ * Exchange Service
+ * Converts between a user's currency wallets using the local rate table and
+ * quotes the conversions that transfers between currencies need
+ * Follows Single Responsibility Principle
+ */
+
+const Transaction = require('../domain/Transaction');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const ExchangeRateTable = require('../domain/ExchangeRateTable');
+const { v4: uuidv4 } = require('uuid');
+
+// TRY per unit, used when FX_RATES is not set
+const DEFAULT_RATES = {
+    USD: 34.20,
+    EUR: 37.10
+};
+
+const DEFAULT_SPREAD_RATE = 1; // percent
+
+class ExchangeService {
+    /**
+     * @param {WalletRepository} walletRepository - Wallet repository
+     * @param {TransactionRepository} transactionRepository - Transaction repository
+     * @param {LedgerRepository} ledgerRepository - Ledger repository
+     * @param {Object} options - Options
+     * @param {Object} options.rates - TRY per unit of each other currency, e.g. {USD: 34.2}
+     * @param {number} options.spreadRate - Spread in percent taken from every conversion
+     */
+    constructor(walletRepository, transactionRepository, ledgerRepository, options = {}) {
+        this.walletRepository = walletRepository;
+        this.transactionRepository = transactionRepository;
+        this.ledgerRepository = ledgerRepository;
+
+        const rates = options.rates || (process.env.FX_RATES ? JSON.parse(process.env.FX_RATES) : DEFAULT_RATES);
+        const spreadRate = options.spreadRate !== undefined
+            ? options.spreadRate
+            : parseFloat(process.env.FX_SPREAD_RATE);
+        this.rateTable = new ExchangeRateTable(
+            rates,
+            Math.round((Number.isFinite(spreadRate) ? spreadRate : DEFAULT_SPREAD_RATE) * 100)
+        );
+    }
+
+    /**
+     * @returns {Array<string>} Currencies a wallet can be held in
+     */
+    get currencies() {
+        return this.rateTable.currencies;
+    }
+
+    /**
+     * @param {string} currency - Currency code
+     * @returns {boolean} True if the currency is supported
+     */
+    supports(currency) {
+        return this.rateTable.supports(currency);
+    }
+
+    /**
+     * Get the rate table with the rates customers get against TRY
+     * @returns {Object} Rate table
+     */
+    getRates() {
+        const table = this.rateTable;
+
+        return {
+            success: true,
+            data: {
+                baseCurrency: table.baseCurrency,
+                spreadRate: table.spreadBps / 100,
+                rates: table.currencies
+                    .filter(currency => currency !== table.baseCurrency)
+                    .map(currency => ({
+                        currency,
+                        midRate: table.midRate(currency, table.baseCurrency),
+                        // TRY paid for one unit and TRY received for one unit
+                        buyRate: Number((table.midRate(currency, table.baseCurrency) * 10000 / (10000 - table.spreadBps)).toFixed(6)),
+                        sellRate: table.appliedRate(currency, table.baseCurrency)
+                    }))
+            }
+        };
+    }
+
+    /**
+     * Quote an exchange without executing it
+     * @param {string} fromCurrency - Currency sold
+     * @param {string} toCurrency - Currency bought
+     * @param {number} amount - Amount sold, in major units
+     * @returns {Object} Quote result
+     */
+    getQuote(fromCurrency, toCurrency, amount) {
+        const invalid = this.checkExchange(fromCurrency, toCurrency, amount);
+        if (invalid) {
+            return invalid;
+        }
+
+        const quote = this.quote(Money.fromMajor(amount, fromCurrency), toCurrency);
+        if (!quote.target.isPositive()) {
+            return {
+                success: false,
+                message: 'Tutar çevrilemeyecek kadar küçük'
+            };
+        }
+
+        return {
+            success: true,
+            data: this.formatQuote(quote)
+        };
+    }
+
+    /**
+     * Exchange between two of the user's currency wallets
+     * The target wallet is opened if the user does not hold the currency yet
+     * @param {string} userId - User ID
+     * @param {string} fromCurrency - Currency sold
+     * @param {string} toCurrency - Currency bought
+     * @param {number} amount - Amount sold, in major units
+     * @returns {Promise<Object>} Exchange result
+     */
+    async exchange(userId, fromCurrency, toCurrency, amount) {
+        try {
+            const invalid = this.checkExchange(fromCurrency, toCurrency, amount);
+            if (invalid) {
+                return invalid;
+            }
+
+            const money = Money.fromMajor(amount, fromCurrency);
+
+            const wallet = await this.walletRepository.findByUserId(userId, fromCurrency);
+            if (!wallet) {
+                return {
+                    success: false,
+                    message: `${fromCurrency} cüzdanınız bulunamadı`
+                };
+            }
+
+            // Fail fast; the guarded debit below is what prevents overdrafts
+            if (!wallet.hasSufficientFunds(money)) {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
+            const quote = this.quote(money, toCurrency);
+            if (!quote.target.isPositive()) {
+                return {
+                    success: false,
+                    message: 'Tutar çevrilemeyecek kadar küçük'
+                };
+            }
+
+            const outTxId = `TX_FXO_${uuidv4().substring(0, 8)}`;
+            const inTxId = `TX_FXI_${uuidv4().substring(0, 8)}`;
+            const fx = this.quoteMeta(quote);
+
+            const outTransaction = new Transaction(
+                outTxId,
+                userId,
+                quote.source,
+                quote.source.currency,
+                'exchange_out',
+                'ok',
+                null,
+                { fx, related_tx: inTxId }
+            );
+
+            const inTransaction = new Transaction(
+                inTxId,
+                userId,
+                quote.target,
+                quote.target.currency,
+                'exchange_in',
+                'ok',
+                null,
+                { fx, related_tx: outTxId }
+            );
+
+            await this.walletRepository.transaction([
+                this.walletRepository.openOperation(userId, toCurrency),
+                // Debit the source wallet (rolls back if the balance no longer covers the amount)
+                this.walletRepository.debitOperation(userId, quote.source),
+                this.walletRepository.creditOperation(userId, quote.target),
+                ...this.conversionOperations(
+                    LedgerAccount.wallet(userId, fromCurrency),
+                    LedgerAccount.wallet(userId, toCurrency),
+                    quote,
+                    'Döviz çevirme',
+                    outTxId
+                ),
+                this.transactionRepository.insertOperation(outTransaction),
+                this.transactionRepository.insertOperation(inTransaction)
+            ]);
+
+            const [fromBalance, toBalance] = await Promise.all([
+                this.walletRepository.getBalance(userId, fromCurrency),
+                this.walletRepository.getBalance(userId, toCurrency)
+            ]);
+
+            return {
+                success: true,
+                message: `${quote.source.format()} → ${quote.target.format()} çevrildi`,
+                data: {
+                    outTransactionId: outTxId,
+                    inTransactionId: inTxId,
+                    ...this.formatQuote(quote),
+                    balances: {
+                        [fromCurrency]: fromBalance.toMajor(),
+                        [toCurrency]: toBalance.toMajor()
+                    }
+                }
+            };
+
+        } catch (error) {
+            if (error.code === 'INSUFFICIENT_FUNDS') {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
+            console.error('Exchange error:', error);
+            return {
+                success: false,
+                message: 'Döviz çevirme sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Convert an amount at the applied rate
+     * @param {Money} amount - Source amount
+     * @param {string} toCurrency - Target currency
+     * @returns {Object} {source, target (Money), midRate, rate, spreadBps}
+     */
+    quote(amount, toCurrency) {
+        return this.rateTable.quote(amount, toCurrency);
+    }
+
+    /**
+     * Value an amount in another currency at the mid rate, without the spread
+     * @param {Money} amount - Amount to value
+     * @param {string} toCurrency - Currency of the value
+     * @returns {Money} Value rounded to the minor unit
+     */
+    valueIn(amount, toCurrency) {
+        if (amount.currency === toCurrency) {
+            return amount;
+        }
+
+        const rate = this.rateTable.midRate(amount.currency, toCurrency);
+        return Money.fromMinor(Math.round(amount.minor * rate), toCurrency);
+    }
+
+    /**
+     * Build the ledger statements of a conversion
+     * Each currency is posted as its own balanced entry against the FX position
+     * account of that currency, so the spread stays in the position accounts
+     * @param {string} fromAccount - Account paying the source amount
+     * @param {string} toAccount - Account receiving the target amount
+     * @param {Object} quote - Result of quote()
+     * @param {string} description - Entry description
+     * @param {string} reference - Related transaction ID
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    conversionOperations(fromAccount, toAccount, quote, description, reference) {
+        return [
+            ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                `JE_${uuidv4().substring(0, 8)}`,
+                fromAccount,
+                LedgerAccount.fxPosition(quote.source.currency),
+                quote.source,
+                description,
+                reference
+            )),
+            ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                `JE_${uuidv4().substring(0, 8)}`,
+                LedgerAccount.fxPosition(quote.target.currency),
+                toAccount,
+                quote.target,
+                description,
+                reference
+            ))
+        ];
+    }
+
+    /**
+     * Describe a conversion for transaction meta
+     * @param {Object} quote - Result of quote()
+     * @returns {Object} Currencies, amounts in minor units and the applied rate
+     */
+    quoteMeta(quote) {
+        return {
+            from_currency: quote.source.currency,
+            to_currency: quote.target.currency,
+            source_amount: quote.source.minor,
+            target_amount: quote.target.minor,
+            mid_rate: quote.midRate,
+            rate: quote.rate,
+            spread_bps: quote.spreadBps
+        };
+    }
+
+    /**
+     * Format a quote for API responses
+     * @param {Object} quote - Result of quote()
+     * @returns {Object} Quote in major units
+     */
+    formatQuote(quote) {
+        return {
+            fromCurrency: quote.source.currency,
+            toCurrency: quote.target.currency,
+            fromAmount: quote.source.toMajor(),
+            toAmount: quote.target.toMajor(),
+            formattedFromAmount: quote.source.format(),
+            formattedToAmount: quote.target.format(),
+            midRate: quote.midRate,
+            rate: quote.rate,
+            spreadRate: quote.spreadBps / 100
+        };
+    }
+
+    /**
+     * Check the currencies and amount of an exchange
+     * @param {string} fromCurrency - Currency sold
+     * @param {string} toCurrency - Currency bought
+     * @param {number} amount - Amount sold, in major units
+     * @returns {Object|null} Failure result, or null if valid
+     */
+    checkExchange(fromCurrency, toCurrency, amount) {
+        if (!this.supports(fromCurrency) || !this.supports(toCurrency)) {
+            return {
+                success: false,
+                message: `Desteklenen para birimleri: ${this.currencies.join(', ')}`
+            };
+        }
+
+        if (fromCurrency === toCurrency) {
+            return {
+                success: false,
+                message: 'Farklı iki para birimi seçiniz'
+            };
+        }
+
+        const money = Number.isFinite(amount) ? Money.fromMajor(amount, fromCurrency) : null;
+        if (!money || !money.isPositive()) {
+            return {
+                success: false,
+                message: 'Geçerli bir tutar giriniz'
+            };
+        }
+
+        return null;
+    }
+}
+
+module.exports = ExchangeService;
@@ -0,0 +1,425 @@
+/**
+ * Limit Service
+ * Per-transaction, daily and monthly caps on transfers, payments and top-ups.
+ * System limits come from configuration, users can only lower their own
+ * Follows Single Responsibility Principle
+ */
+
+const TransactionLimit = require('../domain/TransactionLimit');
+const Money = require('../domain/Money');
+
+// TRY, used when TRANSACTION_LIMITS does not set a type or period
+const DEFAULT_LIMITS = {
+    transfer_out: { perTransaction: 10000, daily: 25000, monthly: 100000 },
+    payment: { perTransaction: 10000, daily: 25000, monthly: 100000 },
+    topup: { perTransaction: 20000, daily: 50000, monthly: 200000 }
+};
+
+const TYPE_LABELS = {
+    transfer_out: 'transfer',
+    payment: 'ödeme',
+    topup: 'para yükleme'
+};
+
+const PERIOD_LABELS = {
+    perTransaction: 'tek işlem',
+    daily: 'günlük',
+    monthly: 'aylık'
+};
+
+class LimitService {
+    /**
+     * @param {LimitRepository} limitRepository - Limit repository
+     * @param {ExchangeService} exchangeService - Values other currencies in TRY
+     * @param {Object} options - Options
+     * @param {Object} options.limits - System limits in TRY per type and period,
+     *   e.g. {topup: {daily: 5000}}; missing entries use the defaults
+     */
+    constructor(limitRepository, exchangeService = null, options = {}) {
+        this.limitRepository = limitRepository;
+        this.exchangeService = exchangeService;
+
+        const configured = options.limits || (process.env.TRANSACTION_LIMITS ? JSON.parse(process.env.TRANSACTION_LIMITS) : {});
+        this.systemLimits = {};
+        for (const type of TransactionLimit.TYPES) {
+            const limits = { ...DEFAULT_LIMITS[type], ...configured[type] };
+            this.systemLimits[type] = new TransactionLimit(
+                type,
+                ...TransactionLimit.PERIODS.map(period => Money.fromMajor(limits[period], TransactionLimit.CURRENCY))
+            );
+        }
+    }
+
+    /**
+     * Get a user's limits with what is left of them today and this month
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Limits per type
+     */
+    async getLimits(userId) {
+        try {
+            const now = new Date();
+            const limits = await this.limitRepository.findByUserId(userId, this.systemLimits);
+            const formatted = await Promise.all(TransactionLimit.TYPES.map(async type => {
+                const limit = limits[type].min(this.systemLimits[type]);
+                const usage = await this.getUsage(userId, type, now);
+                return this.formatLimit(limit, usage, now);
+            }));
+
+            return {
+                success: true,
+                data: {
+                    currency: TransactionLimit.CURRENCY,
+                    limits: formatted
+                }
+            };
+
+        } catch (error) {
+            console.error('Get limits error:', error);
+            return {
+                success: false,
+                message: 'Limitler alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Lower a user's caps for one transaction type
+     * A cap can be set to any amount up to its current value, never above it
+     * @param {string} userId - User ID
+     * @param {string} type - 'transfer_out', 'payment' or 'topup'
+     * @param {Object} caps - New caps in TRY, any of {perTransaction, daily, monthly}
+     * @returns {Promise<Object>} Updated limit
+     */
+    async updateLimits(userId, type, caps = {}) {
+        try {
+            if (!TransactionLimit.TYPES.includes(type)) {
+                return {
+                    success: false,
+                    message: 'Geçersiz limit türü'
+                };
+            }
+
+            const periods = TransactionLimit.PERIODS.filter(period => caps[period] !== undefined && caps[period] !== null);
+            if (periods.length === 0) {
+                return {
+                    success: false,
+                    message: 'En az bir limit tutarı giriniz'
+                };
+            }
+
+            const current = await this.findLimit(userId, type);
+            const lowered = {};
+            for (const period of periods) {
+                const cap = Number.isFinite(caps[period]) ? Money.fromMajor(caps[period], TransactionLimit.CURRENCY) : null;
+                if (!cap || !cap.isPositive()) {
+                    return {
+                        success: false,
+                        message: 'Geçerli bir limit tutarı giriniz'
+                    };
+                }
+
+                if (cap.greaterThan(current[period])) {
+                    return {
+                        success: false,
+                        message: `Limitler yalnızca düşürülebilir (mevcut ${PERIOD_LABELS[period]} ${TYPE_LABELS[type]} limiti: ${current[period].format()})`
+                    };
+                }
+
+                lowered[period] = cap;
+            }
+
+            await this.limitRepository.saveCaps(userId, type, lowered);
+
+            const now = new Date();
+            const limit = await this.findLimit(userId, type);
+            const usage = await this.getUsage(userId, type, now);
+
+            return {
+                success: true,
+                message: 'Limitleriniz güncellendi',
+                data: this.formatLimit(limit, usage, now)
+            };
+
+        } catch (error) {
+            console.error('Update limits error:', error);
+            return {
+                success: false,
+                message: 'Limitler güncellenirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Check a new transaction against the user's limits
+     * @param {string} userId - User ID
+     * @param {string} type - 'transfer_out', 'payment' or 'topup'
+     * @param {Money} amount - Amount of the transaction, in any supported currency
+     * @returns {Promise<Object|null>} Failure result, or null if within the limits
+     */
+    async checkLimit(userId, type, amount) {
+        const { failure } = await this.assess(userId, type, amount, new Date());
+        return failure;
+    }
+
+    /**
+     * Check that an amount fits the user's caps at all, whatever was used so far
+     * For transactions that run later, like scheduled payments, whose daily
+     * and monthly usage is only known when they run
+     * @param {string} userId - User ID
+     * @param {string} type - 'transfer_out', 'payment' or 'topup'
+     * @param {Money} amount - Amount of one transaction, in any supported currency
+     * @returns {Promise<Object|null>} Failure result, or null if the amount fits
+     */
+    async checkCaps(userId, type, amount) {
+        const limit = await this.findLimit(userId, type);
+        const zero = Money.zero(TransactionLimit.CURRENCY);
+        const exceeded = limit.exceededBy(this.valueInLimitCurrency(amount), { daily: zero, monthly: zero });
+        if (!exceeded) {
+            return null;
+        }
+
+        return {
+            success: false,
+            message: `Limit aşıldı: ${PERIOD_LABELS[exceeded]} ${TYPE_LABELS[type]} limitiniz ${limit[exceeded].format()}`
+        };
+    }
+
+    /**
+     * Check a new transaction against the user's limits and build the
+     * statements that count it in the usage counters
+     * The statements must be committed with the transaction; they fail with
+     * LIMIT_EXCEEDED if concurrent transactions used up the room meanwhile
+     * @param {string} userId - User ID
+     * @param {string} type - 'transfer_out', 'payment' or 'topup'
+     * @param {Money} amount - Amount of the transaction, in any supported currency
+     * @returns {Promise<Object>} Failure result, or {success: true, operations}
+     */
+    async reserveLimit(userId, type, amount) {
+        const now = new Date();
+        const { failure, limit, value, usage } = await this.assess(userId, type, amount, now);
+        if (failure) {
+            return failure;
+        }
+
+        const { day, month } = this.periodKeys(now);
+        return {
+            success: true,
+            operations: this.limitRepository.reserveOperations(userId, type, value.minor, [
+                { period: day, cap: limit.daily.minor, seed: usage.daily.minor },
+                { period: month, cap: limit.monthly.minor, seed: usage.monthly.minor }
+            ])
+        };
+    }
+
+    /**
+     * Explain a LIMIT_EXCEEDED rollback of a reserved transaction
+     * @param {string} userId - User ID
+     * @param {string} type - 'transfer_out', 'payment' or 'topup'
+     * @param {Money} amount - Amount of the transaction
+     * @returns {Promise<Object>} Failure result
+     */
+    async limitExceeded(userId, type, amount) {
+        return await this.checkLimit(userId, type, amount) || {
+            success: false,
+            message: 'Limit aşıldı, lütfen tekrar deneyin'
+        };
+    }
+
+    /**
+     * Build the statement that gives back what a transaction used of the limits
+     * For transactions that end without moving money: voided or expired holds,
+     * failed top-ups and the released part of partial captures
+     * @param {string} userId - User ID
+     * @param {string} type - 'transfer_out', 'payment' or 'topup'
+     * @param {Money} amount - Amount given back
+     * @param {Date} createdAt - When the transaction was counted
+     * @returns {Object} Statement for Database.transaction
+     */
+    releaseOperation(userId, type, amount, createdAt) {
+        const { day, month } = this.periodKeys(createdAt);
+        return this.limitRepository.releaseOperation(userId, type, this.valueInLimitCurrency(amount).minor, [day, month]);
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @param {string} type - Transaction type
+     * @param {Money} amount - Amount of the transaction
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} {failure, limit, value, usage}; failure is null within the limits
+     */
+    async assess(userId, type, amount, now) {
+        const value = this.valueInLimitCurrency(amount);
+        const limit = await this.findLimit(userId, type);
+        const usage = await this.getUsage(userId, type, now);
+
+        const exceeded = limit.exceededBy(value, usage);
+        if (!exceeded) {
+            return { failure: null, limit, value, usage };
+        }
+
+        const label = `${PERIOD_LABELS[exceeded]} ${TYPE_LABELS[type]}`;
+        return {
+            failure: {
+                success: false,
+                message: exceeded === 'perTransaction'
+                    ? `Limit aşıldı: ${label} limitiniz ${limit.perTransaction.format()}`
+                    : `Limit aşıldı: ${label} limitinizden kalan ${this.remaining(limit[exceeded], usage[exceeded]).format()}`
+            },
+            limit,
+            value,
+            usage
+        };
+    }
+
+    /**
+     * Get the limit a user's transactions of a type are checked against
+     * @param {string} userId - User ID
+     * @param {string} type - Transaction type
+     * @returns {Promise<TransactionLimit>} User's caps, never above the system limits
+     */
+    async findLimit(userId, type) {
+        const limit = await this.limitRepository.findOne(userId, this.systemLimits[type]);
+        return limit.min(this.systemLimits[type]);
+    }
+
+    /**
+     * Get what a user used of a type today and this month, in TRY
+     * Read from the usage counters; periods without a counter yet are summed
+     * from the transactions
+     * @param {string} userId - User ID
+     * @param {string} type - Transaction type
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} {daily, monthly} as TRY Money
+     */
+    async getUsage(userId, type, now) {
+        const { day, month } = this.periodKeys(now);
+        const counters = await this.limitRepository.findCounters(userId, type, [day, month]);
+        const counted = Object.fromEntries(counters.map(row => [row.period, row.used]));
+        const summed = counted[day] === undefined || counted[month] === undefined
+            ? await this.sumUsage(userId, type, now)
+            : null;
+
+        return {
+            daily: counted[day] === undefined ? summed.daily : Money.fromMinor(counted[day], TransactionLimit.CURRENCY),
+            monthly: counted[month] === undefined ? summed.monthly : Money.fromMinor(counted[month], TransactionLimit.CURRENCY)
+        };
+    }
+
+    /**
+     * Sum what a user's transactions of a type used today and this month, in TRY
+     * @param {string} userId - User ID
+     * @param {string} type - Transaction type
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} {daily, monthly} as TRY Money
+     */
+    async sumUsage(userId, type, now) {
+        const { dayStart, monthStart } = this.periodBounds(now);
+        const rows = await this.limitRepository.getUsage(userId, type, dayStart, monthStart);
+
+        const usage = { daily: Money.zero(TransactionLimit.CURRENCY), monthly: Money.zero(TransactionLimit.CURRENCY) };
+        for (const row of rows) {
+            for (const period of ['daily', 'monthly']) {
+                if (row[period] > 0) {
+                    usage[period] = usage[period].add(this.valueInLimitCurrency(Money.fromMinor(row[period], row.currency)));
+                }
+            }
+        }
+
+        return usage;
+    }
+
+    /**
+     * Value an amount in the limit currency
+     * @param {Money} amount - Amount in any supported currency
+     * @returns {Money} TRY amount
+     */
+    valueInLimitCurrency(amount) {
+        if (amount.currency === TransactionLimit.CURRENCY) {
+            return amount;
+        }
+
+        if (!this.exchangeService) {
+            throw new Error(`Cannot value ${amount.currency} amounts without an exchange service`);
+        }
+
+        return this.exchangeService.valueIn(amount, TransactionLimit.CURRENCY);
+    }
+
+    /**
+     * Get the start and end of the current day and month
+     * Periods follow UTC, like the other date boundaries in the system
+     * @param {Date} now - Current time
+     * @returns {Object} {dayStart, dayEnd, monthStart, monthEnd}
+     */
+    periodBounds(now) {
+        const year = now.getUTCFullYear();
+        const month = now.getUTCMonth();
+        const date = now.getUTCDate();
+
+        return {
+            dayStart: new Date(Date.UTC(year, month, date)),
+            dayEnd: new Date(Date.UTC(year, month, date + 1)),
+            monthStart: new Date(Date.UTC(year, month, 1)),
+            monthEnd: new Date(Date.UTC(year, month + 1, 1))
+        };
+    }
+
+    /**
+     * @param {Date} date - A time in the periods
+     * @returns {Object} {day, month} usage counter keys, YYYY-MM-DD and YYYY-MM (UTC)
+     */
+    periodKeys(date) {
+        const day = date.toISOString().substring(0, 10);
+        return { day, month: day.substring(0, 7) };
+    }
+
+    /**
+     * @param {Money} cap - Cap of a period
+     * @param {Money} used - Amount used in the period
+     * @returns {Money} What is left of the cap, never negative
+     */
+    remaining(cap, used) {
+        return used.greaterThan(cap) ? Money.zero(cap.currency) : cap.subtract(used);
+    }
+
+    /**
+     * Format a limit for API responses
+     * @param {TransactionLimit} limit - Effective limit of the user
+     * @param {Object} usage - {daily, monthly} as TRY Money
+     * @param {Date} now - Current time
+     * @returns {Object} Caps, usage and headroom in major units
+     */
+    formatLimit(limit, usage, now) {
+        const { dayEnd, monthEnd } = this.periodBounds(now);
+        const system = this.systemLimits[limit.type];
+        const daily = this.remaining(limit.daily, usage.daily);
+        const monthly = this.remaining(limit.monthly, usage.monthly);
+        const available = [limit.perTransaction, daily, monthly]
+            .reduce((lowest, amount) => amount.lessThan(lowest) ? amount : lowest);
+
+        return {
+            type: limit.type,
+            perTransaction: {
+                limit: limit.perTransaction.toMajor(),
+                systemLimit: system.perTransaction.toMajor()
+            },
+            daily: {
+                limit: limit.daily.toMajor(),
+                systemLimit: system.daily.toMajor(),
+                used: usage.daily.toMajor(),
+                remaining: daily.toMajor(),
+                resetsAt: dayEnd.toISOString()
+            },
+            monthly: {
+                limit: limit.monthly.toMajor(),
+                systemLimit: system.monthly.toMajor(),
+                used: usage.monthly.toMajor(),
+                remaining: monthly.toMajor(),
+                resetsAt: monthEnd.toISOString()
+            },
+            available: available.toMajor()
+        };
+    }
+}
+
+module.exports = LimitService;
@@ -0,0 +1,129 @@
+/**
+ * Merchant Authentication Service
+ * Handles merchant dashboard logins and merchant PINs
+ * Follows Single Responsibility Principle
+ */
+
+class MerchantAuthService {
+    /**
+     * @param {MerchantRepository} merchantRepository - Merchant repository
+     * @param {CredentialRepository} credentialRepository - Merchant credential repository
+     * @param {AuthService} authService - Shares PIN hashing and lockout with user logins
+     */
+    constructor(merchantRepository, credentialRepository, authService) {
+        this.merchantRepository = merchantRepository;
+        this.credentialRepository = credentialRepository;
+        this.authService = authService;
+    }
+
+    /**
+     * Authenticate a merchant by ID and PIN
+     * @param {string} merchantId - Merchant ID
+     * @param {string} pin - Merchant PIN
+     * @returns {Promise<Object>} Authentication result
+     */
+    async authenticate(merchantId, pin) {
+        try {
+            if (!merchantId || typeof merchantId !== 'string') {
+                return {
+                    success: false,
+                    message: 'Geçerli bir işyeri ID\'si gereklidir'
+                };
+            }
+
+            if (!pin || typeof pin !== 'string') {
+                return {
+                    success: false,
+                    message: 'PIN gereklidir'
+                };
+            }
+
+            const merchant = await this.merchantRepository.findById(merchantId);
+
+            if (!merchant) {
+                return {
+                    success: false,
+                    message: 'İşyeri ID veya PIN hatalı'
+                };
+            }
+
+            const pinCheck = await this.authService.checkPin(merchantId, pin, this.credentialRepository);
+
+            if (!pinCheck.success) {
+                // Same answer for a wrong PIN and a merchant without a PIN
+                return pinCheck.locked ? pinCheck : {
+                    success: false,
+                    message: 'İşyeri ID veya PIN hatalı',
+                    ...(pinCheck.remainingAttempts !== undefined && { remainingAttempts: pinCheck.remainingAttempts })
+                };
+            }
+
+            if (!merchant.active) {
+                return {
+                    success: false,
+                    message: 'İşyeri hesabı pasif durumda'
+                };
+            }
+
+            return {
+                success: true,
+                merchant: {
+                    merchantId: merchant.merchantId,
+                    name: merchant.name,
+                    category: merchant.category
+                },
+                message: 'Giriş başarılı'
+            };
+
+        } catch (error) {
+            console.error('Merchant authentication error:', error);
+            return {
+                success: false,
+                message: 'Giriş sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Set or reset a merchant's dashboard PIN (admin operation)
+     * Resetting also lifts a lockout
+     * @param {string} merchantId - Merchant ID
+     * @param {string} pin - New PIN
+     * @returns {Promise<Object>} Operation result
+     */
+    async setPin(merchantId, pin) {
+        try {
+            if (!this.authService.isValidPin(pin)) {
+                return {
+                    success: false,
+                    message: 'PIN 4-6 haneli rakamlardan oluşmalıdır'
+                };
+            }
+
+            const merchant = await this.merchantRepository.findById(merchantId);
+            if (!merchant) {
+                return {
+                    success: false,
+                    message: 'İşyeri bulunamadı'
+                };
+            }
+
+            const { hash, salt } = await this.authService.hashPin(pin);
+            await this.credentialRepository.savePin(merchantId, hash, salt);
+
+            return {
+                success: true,
+                message: 'İşyeri PIN\'i kaydedildi'
+            };
+
+        } catch (error) {
+            console.error('Set merchant PIN error:', error);
+            return {
+                success: false,
+                message: 'PIN kaydedilemedi'
+            };
+        }
+    }
+}
+
+module.exports = MerchantAuthService;
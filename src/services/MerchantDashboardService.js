@@ -0,0 +1,337 @@
+/**
+ * Merchant Dashboard Service
+ * Reports for logged-in merchants: incoming payments, refunds issued,
+ * daily totals, cashback earned on their sales and open QR codes, plus
+ * issuing their own QR codes
+ * Follows Single Responsibility Principle
+ */
+
+const Money = require('../domain/Money');
+
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 90;
+const MAX_PAGE_SIZE = 100;
+
+class MerchantDashboardService {
+    /**
+     * @param {TransactionRepository} transactionRepository - Transaction repository
+     * @param {MerchantService} merchantService - Merchant service
+     * @param {QRCodeService} qrCodeService - QR code service
+     * @param {SettlementService} settlementService - Settlement service
+     */
+    constructor(transactionRepository, merchantService, qrCodeService, settlementService) {
+        this.transactionRepository = transactionRepository;
+        this.merchantService = merchantService;
+        this.qrCodeService = qrCodeService;
+        this.settlementService = settlementService;
+    }
+
+    /**
+     * Get the merchant's details with its unsettled balance and recent payouts
+     * @param {string} merchantId - Merchant ID
+     * @returns {Promise<Object>} Merchant overview
+     */
+    async getOverview(merchantId) {
+        try {
+            const [merchant, balance] = await Promise.all([
+                this.merchantService.getMerchant(merchantId),
+                this.settlementService.getMerchantBalance(merchantId)
+            ]);
+
+            if (!merchant.success) {
+                return merchant;
+            }
+
+            return {
+                success: true,
+                data: {
+                    merchant: merchant.data,
+                    settlement: balance.success ? balance.data : null
+                }
+            };
+
+        } catch (error) {
+            console.error('Get merchant overview error:', error);
+            return {
+                success: false,
+                message: 'İşyeri bilgileri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the payments made to the merchant, newest first
+     * Authorized payments show as pending until they are captured
+     * @param {string} merchantId - Merchant ID
+     * @param {number} page - Page number
+     * @param {number} pageSize - Number of records per page
+     * @returns {Promise<Object>} Payment list
+     */
+    async getPayments(merchantId, page = 1, pageSize = 20) {
+        try {
+            const result = await this.transactionRepository.getMerchantTransactionHistory(
+                merchantId,
+                'payment',
+                page,
+                Math.min(pageSize, MAX_PAGE_SIZE)
+            );
+
+            return {
+                success: true,
+                data: {
+                    payments: result.items.map(({ transaction: tx, refundedAmount }) => ({
+                        txId: tx.txId,
+                        amount: tx.amount.toMajor(),
+                        formattedAmount: tx.amount.format(),
+                        refundedAmount: refundedAmount.toMajor(),
+                        currency: tx.currency,
+                        paymentMethod: tx.meta.payment_method || 'wallet',
+                        qrId: tx.meta.qr_id || null,
+                        status: tx.status,
+                        createdAt: tx.createdAt
+                    })),
+                    pagination: result.pagination
+                }
+            };
+
+        } catch (error) {
+            console.error('Get merchant payments error:', error);
+            return {
+                success: false,
+                message: 'Ödemeler alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the refunds issued on the merchant's payments, newest first
+     * @param {string} merchantId - Merchant ID
+     * @param {number} page - Page number
+     * @param {number} pageSize - Number of records per page
+     * @returns {Promise<Object>} Refund list
+     */
+    async getRefunds(merchantId, page = 1, pageSize = 20) {
+        try {
+            const result = await this.transactionRepository.getMerchantTransactionHistory(
+                merchantId,
+                'refund',
+                page,
+                Math.min(pageSize, MAX_PAGE_SIZE)
+            );
+
+            return {
+                success: true,
+                data: {
+                    refunds: result.items.map(({ transaction: tx }) => ({
+                        txId: tx.txId,
+                        originalTxId: tx.meta.original_tx_id || null,
+                        amount: tx.amount.toMajor(),
+                        formattedAmount: tx.amount.format(),
+                        currency: tx.currency,
+                        reason: tx.meta.reason || null,
+                        status: tx.status,
+                        createdAt: tx.createdAt
+                    })),
+                    pagination: result.pagination
+                }
+            };
+
+        } catch (error) {
+            console.error('Get merchant refunds error:', error);
+            return {
+                success: false,
+                message: 'İadeler alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get completed payments, refunds and cashback per day for the last days
+     * Days without activity are included with zero totals so the series can be charted
+     * @param {string} merchantId - Merchant ID
+     * @param {number} days - Number of days, today included
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Daily totals per currency and the period totals
+     */
+    async getDailyTotals(merchantId, days = DEFAULT_REPORT_DAYS, now = new Date()) {
+        try {
+            const invalid = this.checkDays(days);
+            if (invalid) {
+                return invalid;
+            }
+
+            const dates = MerchantDashboardService.lastDates(days, now);
+            const rows = await this.transactionRepository.getMerchantDailyTotals(merchantId, dates[0]);
+            const currencies = [...new Set(rows.map(row => row.currency))];
+
+            const series = currencies.map(currency => {
+                const zero = Money.zero(currency);
+                const byDate = new Map(rows.filter(row => row.currency === currency).map(row => [row.date, row]));
+                const daily = dates.map(date => byDate.get(date) || {
+                    date,
+                    grossAmount: zero,
+                    refundAmount: zero,
+                    cashbackAmount: zero,
+                    paymentCount: 0,
+                    refundCount: 0
+                });
+
+                return {
+                    currency,
+                    days: daily.map(day => this.formatTotals(day, { date: day.date })),
+                    totals: this.formatTotals(daily.reduce((sum, day) => ({
+                        grossAmount: sum.grossAmount.add(day.grossAmount),
+                        refundAmount: sum.refundAmount.add(day.refundAmount),
+                        cashbackAmount: sum.cashbackAmount.add(day.cashbackAmount),
+                        paymentCount: sum.paymentCount + day.paymentCount,
+                        refundCount: sum.refundCount + day.refundCount
+                    }), { grossAmount: zero, refundAmount: zero, cashbackAmount: zero, paymentCount: 0, refundCount: 0 }))
+                };
+            });
+
+            return {
+                success: true,
+                data: {
+                    from: dates[0],
+                    to: dates[dates.length - 1],
+                    series
+                }
+            };
+
+        } catch (error) {
+            console.error('Get merchant daily totals error:', error);
+            return {
+                success: false,
+                message: 'Günlük toplamlar alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the cashback customers earned on the merchant's payments, per cashback rule
+     * @param {string} merchantId - Merchant ID
+     * @param {number} days - Number of days, today included
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Cashback per rule and totals per currency
+     */
+    async getCashbackFunded(merchantId, days = DEFAULT_REPORT_DAYS, now = new Date()) {
+        try {
+            const invalid = this.checkDays(days);
+            if (invalid) {
+                return invalid;
+            }
+
+            const from = MerchantDashboardService.lastDates(days, now)[0];
+            const rules = await this.transactionRepository.getMerchantCashbackByRule(merchantId, from);
+
+            const totals = new Map();
+            for (const rule of rules) {
+                const total = totals.get(rule.currency) || { granted: Money.zero(rule.currency), reversed: Money.zero(rule.currency) };
+                totals.set(rule.currency, {
+                    granted: total.granted.add(rule.grantedAmount),
+                    reversed: total.reversed.add(rule.reversedAmount)
+                });
+            }
+
+            return {
+                success: true,
+                data: {
+                    from,
+                    rules: rules.map(rule => ({
+                        ruleId: rule.ruleId,
+                        ruleType: rule.ruleType,
+                        category: rule.category,
+                        currency: rule.currency,
+                        grantedAmount: rule.grantedAmount.toMajor(),
+                        reversedAmount: rule.reversedAmount.toMajor(),
+                        netAmount: rule.grantedAmount.subtract(rule.reversedAmount).toMajor(),
+                        cashbackCount: rule.cashbackCount
+                    })),
+                    totals: [...totals.entries()].map(([currency, total]) => ({
+                        currency,
+                        grantedAmount: total.granted.toMajor(),
+                        reversedAmount: total.reversed.toMajor(),
+                        netAmount: total.granted.subtract(total.reversed).toMajor(),
+                        formattedNetAmount: total.granted.subtract(total.reversed).format()
+                    }))
+                }
+            };
+
+        } catch (error) {
+            console.error('Get merchant cashback error:', error);
+            return {
+                success: false,
+                message: 'Cashback bilgileri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the merchant's QR codes that can still be paid
+     * @param {string} merchantId - Merchant ID
+     * @returns {Promise<Object>} QR code list
+     */
+    async getOpenQRCodes(merchantId) {
+        return await this.qrCodeService.listOpenQRCodes(merchantId);
+    }
+
+    /**
+     * Issue a QR code for the logged-in merchant
+     * @param {string} merchantId - Merchant ID
+     * @param {Object} options - {type, amount?, description?, singleUse?, expiresIn? (seconds)}
+     * @returns {Promise<Object>} Created QR code with its signed payload
+     */
+    async createQRCode(merchantId, options) {
+        return await this.qrCodeService.createQRCode(merchantId, options);
+    }
+
+    /**
+     * Check the length of a report period
+     * @param {number} days - Number of days
+     * @returns {Object|null} Failure result, or null if valid
+     */
+    checkDays(days) {
+        if (!Number.isInteger(days) || days < 1 || days > MAX_REPORT_DAYS) {
+            return {
+                success: false,
+                message: `Gün sayısı 1 ile ${MAX_REPORT_DAYS} arasında olmalıdır`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Format the totals of a day or a period
+     * @param {Object} totals - {grossAmount, refundAmount, cashbackAmount (Money), paymentCount, refundCount}
+     * @param {Object} extra - Fields to put first
+     * @returns {Object} Totals in major units; net is gross minus refunds
+     */
+    formatTotals(totals, extra = {}) {
+        return {
+            ...extra,
+            grossAmount: totals.grossAmount.toMajor(),
+            refundAmount: totals.refundAmount.toMajor(),
+            netAmount: totals.grossAmount.subtract(totals.refundAmount).toMajor(),
+            cashbackAmount: totals.cashbackAmount.toMajor(),
+            paymentCount: totals.paymentCount,
+            refundCount: totals.refundCount
+        };
+    }
+
+    /**
+     * List the last days up to and including today
+     * @param {number} days - Number of days
+     * @param {Date} now - Current time
+     * @returns {Array<string>} YYYY-MM-DD (UTC) dates, oldest first
+     */
+    static lastDates(days, now = new Date()) {
+        const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+        return Array.from({ length: days }, (_, index) =>
+            new Date(today - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().substring(0, 10)
+        );
+    }
+}
+
+module.exports = MerchantDashboardService;
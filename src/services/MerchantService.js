@@ -0,0 +1,266 @@
+/**
+ * Merchant Service
+ * Handles merchant management and the checks payments run against merchants
+ * Follows Single Responsibility Principle
+ */
+
+const Merchant = require('../domain/Merchant');
+const { v4: uuidv4 } = require('uuid');
+
+class MerchantService {
+    constructor(merchantRepository) {
+        this.merchantRepository = merchantRepository;
+    }
+
+    /**
+     * Create a merchant
+     * @param {Object} data - {merchantId?, name, category, active?, mdrRate? (percent)}
+     * @returns {Promise<Object>} Created merchant
+     */
+    async createMerchant({ merchantId = null, name, category, active = true, mdrRate = null } = {}) {
+        try {
+            const id = merchantId || `M_${uuidv4().substring(0, 8)}`;
+            const invalid = this.validateFields({ merchantId: id, name, category, active, mdrRate });
+            if (invalid) {
+                return invalid;
+            }
+
+            if (await this.merchantRepository.findById(id)) {
+                return {
+                    success: false,
+                    message: 'Bu ID ile kayıtlı bir işyeri zaten var'
+                };
+            }
+
+            const merchant = new Merchant(id, name.trim(), category, active, new Date(), null, this.toBasisPoints(mdrRate));
+            await this.merchantRepository.create(merchant);
+
+            return {
+                success: true,
+                message: 'İşyeri oluşturuldu',
+                data: this.formatMerchant(merchant)
+            };
+
+        } catch (error) {
+            console.error('Create merchant error:', error);
+            return {
+                success: false,
+                message: 'İşyeri oluşturulamadı'
+            };
+        }
+    }
+
+    /**
+     * Update the name, category, active flag or MDR of a merchant
+     * @param {string} merchantId - Merchant ID
+     * @param {Object} changes - {name?, category?, active?, mdrRate? (percent, null for the default)}
+     * @returns {Promise<Object>} Updated merchant
+     */
+    async updateMerchant(merchantId, changes = {}) {
+        try {
+            const merchant = await this.merchantRepository.findById(merchantId);
+            if (!merchant) {
+                return {
+                    success: false,
+                    message: 'İşyeri bulunamadı'
+                };
+            }
+
+            const updated = {
+                merchantId,
+                name: changes.name !== undefined ? changes.name : merchant.name,
+                category: changes.category !== undefined ? changes.category : merchant.category,
+                active: changes.active !== undefined ? changes.active : merchant.active,
+                mdrRate: changes.mdrRate !== undefined
+                    ? changes.mdrRate
+                    : (merchant.mdrBps !== null ? merchant.mdrBps / 100 : null)
+            };
+
+            const invalid = this.validateFields(updated);
+            if (invalid) {
+                return invalid;
+            }
+
+            merchant.name = updated.name.trim();
+            merchant.category = updated.category;
+            merchant.active = updated.active;
+            merchant.mdrBps = this.toBasisPoints(updated.mdrRate);
+            merchant.updatedAt = new Date();
+            await this.merchantRepository.save(merchant);
+
+            return {
+                success: true,
+                message: 'İşyeri güncellendi',
+                data: this.formatMerchant(merchant)
+            };
+
+        } catch (error) {
+            console.error('Update merchant error:', error);
+            return {
+                success: false,
+                message: 'İşyeri güncellenemedi'
+            };
+        }
+    }
+
+    /**
+     * Get a merchant
+     * @param {string} merchantId - Merchant ID
+     * @returns {Promise<Object>} Merchant
+     */
+    async getMerchant(merchantId) {
+        try {
+            const merchant = await this.merchantRepository.findById(merchantId);
+            if (!merchant) {
+                return {
+                    success: false,
+                    message: 'İşyeri bulunamadı'
+                };
+            }
+
+            return {
+                success: true,
+                data: this.formatMerchant(merchant)
+            };
+
+        } catch (error) {
+            console.error('Get merchant error:', error);
+            return {
+                success: false,
+                message: 'İşyeri bilgisi alınamadı'
+            };
+        }
+    }
+
+    /**
+     * List merchants
+     * @param {Object} filters - {category?, active?}
+     * @returns {Promise<Object>} Merchant list
+     */
+    async listMerchants(filters = {}) {
+        try {
+            if (filters.category && !Merchant.isValidCategory(filters.category)) {
+                return {
+                    success: false,
+                    message: 'Geçersiz kategori'
+                };
+            }
+
+            const merchants = await this.merchantRepository.findAll(filters);
+
+            return {
+                success: true,
+                data: {
+                    merchants: merchants.map(merchant => this.formatMerchant(merchant)),
+                    categories: Merchant.CATEGORIES
+                }
+            };
+
+        } catch (error) {
+            console.error('List merchants error:', error);
+            return {
+                success: false,
+                message: 'İşyerleri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Check that a merchant exists and takes payments
+     * @param {string} merchantId - Merchant ID
+     * @returns {Promise<Object>} {success, data: Merchant} or a failure result
+     */
+    async checkPayable(merchantId) {
+        const merchant = merchantId ? await this.merchantRepository.findById(merchantId) : null;
+
+        if (!merchant) {
+            return {
+                success: false,
+                message: 'İşyeri bulunamadı'
+            };
+        }
+
+        if (!merchant.canAcceptPayments()) {
+            return {
+                success: false,
+                message: 'İşyeri şu anda ödeme kabul etmiyor'
+            };
+        }
+
+        return { success: true, data: merchant };
+    }
+
+    /**
+     * Validate merchant fields with user-facing messages
+     * @param {Object} fields - {merchantId, name, category, active, mdrRate}
+     * @returns {Object|null} Failure result or null when valid
+     */
+    validateFields({ merchantId, name, category, active, mdrRate = null }) {
+        if (typeof merchantId !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(merchantId)) {
+            return {
+                success: false,
+                message: 'İşyeri ID\'si 1-32 karakter olmalı ve yalnızca harf, rakam, "_" veya "-" içermelidir'
+            };
+        }
+
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            return {
+                success: false,
+                message: 'İşyeri adı gereklidir (en fazla 100 karakter)'
+            };
+        }
+
+        if (!Merchant.isValidCategory(category)) {
+            return {
+                success: false,
+                message: `Geçersiz kategori. Geçerli kategoriler: ${Merchant.CATEGORIES.join(', ')}`
+            };
+        }
+
+        if (typeof active !== 'boolean') {
+            return {
+                success: false,
+                message: 'Aktiflik durumu true veya false olmalıdır'
+            };
+        }
+
+        if (mdrRate !== null && !(Number.isFinite(mdrRate) && mdrRate >= 0 && mdrRate <= 100
+            && Math.abs(mdrRate * 100 - Math.round(mdrRate * 100)) < 1e-9)) {
+            return {
+                success: false,
+                message: 'MDR oranı 0 ile 100 arasında, en fazla iki ondalıklı bir yüzde olmalıdır'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert an MDR percentage to basis points
+     * @param {number|null} mdrRate - Rate in percent, e.g. 1.75
+     * @returns {number|null} Basis points or null for the platform default
+     */
+    toBasisPoints(mdrRate) {
+        return mdrRate === null ? null : Math.round(mdrRate * 100);
+    }
+
+    /**
+     * Format a merchant for API responses
+     * @param {Merchant} merchant - Merchant instance
+     * @returns {Object} Merchant data
+     */
+    formatMerchant(merchant) {
+        return {
+            merchantId: merchant.merchantId,
+            name: merchant.name,
+            category: merchant.category,
+            mcc: merchant.mcc,
+            active: merchant.active,
+            mdrRate: merchant.mdrBps !== null ? merchant.mdrBps / 100 : null,
+            createdAt: merchant.createdAt,
+            updatedAt: merchant.updatedAt
+        };
+    }
+}
+
+module.exports = MerchantService;
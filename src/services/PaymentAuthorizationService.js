@@ -0,0 +1,449 @@
+/**
+ * Payment Authorization Service
+ * Two-phase payments: authorize holds funds and records a pending payment,
+ * capture or void completes it, stale holds expire
+ * Follows Single Responsibility Principle
+ */
+
+const Transaction = require('../domain/Transaction');
+const PaymentHold = require('../domain/PaymentHold');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_HOLD_TTL = 24 * 60 * 60; // 24 hours (seconds)
+
+class PaymentAuthorizationService {
+    /**
+     * @param {WalletRepository} walletRepository - Wallet repository
+     * @param {TransactionRepository} transactionRepository - Transaction repository
+     * @param {PaymentHoldRepository} paymentHoldRepository - Payment hold repository
+     * @param {LedgerRepository} ledgerRepository - Ledger repository
+     * @param {MerchantService} merchantService - Checks merchants on authorization
+     * @param {CashbackService} cashbackService - Cashback is earned on capture
+     * @param {LimitService} limitService - Authorizations count against payment limits
+     * @param {Object} options - Options
+     * @param {number} options.holdTtl - Hold lifetime in seconds
+     */
+    constructor(walletRepository, transactionRepository, paymentHoldRepository, ledgerRepository, merchantService = null, cashbackService = null, limitService = null, options = {}) {
+        this.walletRepository = walletRepository;
+        this.transactionRepository = transactionRepository;
+        this.paymentHoldRepository = paymentHoldRepository;
+        this.ledgerRepository = ledgerRepository;
+        this.merchantService = merchantService;
+        this.cashbackService = cashbackService;
+        this.limitService = limitService;
+        this.holdTtl = options.holdTtl || parseInt(process.env.PAYMENT_HOLD_TTL) || DEFAULT_HOLD_TTL;
+    }
+
+    /**
+     * Authorize a payment
+     * The amount is held on the wallet and a pending payment is recorded. The
+     * balance and the ledger do not move until the payment is captured
+     * @param {string} userId - User ID
+     * @param {string} merchantId - Merchant ID
+     * @param {number} amount - Amount to authorize
+     * @returns {Promise<Object>} Authorization result
+     */
+    async authorizePayment(userId, merchantId, amount) {
+        try {
+            if (!userId || !merchantId) {
+                return {
+                    success: false,
+                    message: 'Kullanıcı ve işyeri ID\'leri gereklidir'
+                };
+            }
+
+            const money = Number.isFinite(amount) ? Money.fromMajor(amount) : null;
+            if (!money || !money.isPositive()) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir tutar giriniz'
+                };
+            }
+
+            // Unknown and inactive merchants cannot take payments
+            if (this.merchantService) {
+                const merchant = await this.merchantService.checkPayable(merchantId);
+                if (!merchant.success) {
+                    return merchant;
+                }
+            }
+
+            const wallet = await this.walletRepository.findByUserId(userId);
+            if (!wallet) {
+                return {
+                    success: false,
+                    message: 'Kullanıcının cüzdanı bulunamadı'
+                };
+            }
+
+            const limit = this.limitService
+                ? await this.limitService.reserveLimit(userId, 'payment', money)
+                : { success: true, operations: [] };
+            if (!limit.success) {
+                return limit;
+            }
+
+            // Fail fast; the guarded hold below is what prevents overdrafts
+            if (!wallet.hasSufficientFunds(money)) {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
+            const txId = `TX_PAY_${uuidv4().substring(0, 8)}`;
+            const now = new Date();
+            const expiresAt = new Date(now.getTime() + this.holdTtl * 1000);
+
+            const transaction = new Transaction(
+                txId,
+                userId,
+                money,
+                money.currency,
+                'payment',
+                'pending',
+                merchantId,
+                { payment_method: 'wallet', capture: 'manual', authorized_amount: money.toMajor() },
+                now
+            );
+            const hold = new PaymentHold(txId, userId, merchantId, money, expiresAt, 'active', null, now);
+
+            await this.walletRepository.transaction([
+                // Authorizations count against payment limits until voided or expired
+                ...limit.operations,
+                // Reserve the amount (rolls back if the available balance no longer covers it)
+                this.walletRepository.holdOperation(userId, money),
+                this.transactionRepository.insertOperation(transaction),
+                this.paymentHoldRepository.insertOperation(hold)
+            ]);
+
+            const updatedWallet = await this.walletRepository.findByUserId(userId);
+
+            return {
+                success: true,
+                message: 'Ödeme için provizyon alındı',
+                data: {
+                    transactionId: txId,
+                    amount: money.toMajor(),
+                    merchantId,
+                    status: transaction.status,
+                    expiresAt: expiresAt.toISOString(),
+                    availableBalance: updatedWallet.availableBalance.toMajor()
+                }
+            };
+
+        } catch (error) {
+            if (error.code === 'INSUFFICIENT_FUNDS') {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
+            if (error.code === 'LIMIT_EXCEEDED') {
+                return await this.limitService.limitExceeded(userId, 'payment', Money.fromMajor(amount));
+            }
+
+            console.error('Authorize payment error:', error);
+            return {
+                success: false,
+                message: 'Provizyon sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Capture an authorized payment fully or partially
+     * The captured amount leaves the balance, the rest of the hold is released
+     * and cashback is earned on the captured amount
+     * @param {string} userId - User ID owning the authorization
+     * @param {string} txId - Pending payment transaction ID
+     * @param {number|null} amount - Amount to capture, the authorized amount if omitted
+     * @returns {Promise<Object>} Capture result
+     */
+    async capturePayment(userId, txId, amount = null) {
+        try {
+            const lookup = await this.findActiveHold(userId, txId);
+            if (!lookup.success) {
+                return lookup;
+            }
+
+            const { hold } = lookup;
+            if (hold.isExpired()) {
+                return {
+                    success: false,
+                    message: 'Provizyonun süresi dolmuş'
+                };
+            }
+
+            let money = hold.amount;
+            if (amount !== null && amount !== undefined) {
+                money = Number.isFinite(amount) ? Money.fromMajor(amount, hold.amount.currency) : null;
+                if (!money || !money.isPositive()) {
+                    return {
+                        success: false,
+                        message: 'Geçerli bir tutar giriniz'
+                    };
+                }
+            }
+
+            if (money.greaterThan(hold.amount)) {
+                return {
+                    success: false,
+                    message: `Tahsil edilecek tutar provizyon tutarını (${hold.amount.format()}) aşamaz`
+                };
+            }
+
+            let cashback = null;
+            if (this.cashbackService) {
+                cashback = await this.cashbackService.prepareCashback(userId, hold.merchantId, money, txId);
+            }
+
+            const now = new Date();
+            const operations = [
+                // Fails if the hold was voided, expired or captured meanwhile
+                this.paymentHoldRepository.captureOperation(hold, money, now),
+                this.walletRepository.captureHoldOperation(userId, hold.amount, money),
+                this.transactionRepository.transitionOperation(txId, 'pending', 'ok', {
+                    amount: money,
+                    meta: { captured_at: now.toISOString() }
+                }),
+                // Owe the captured amount to the merchant's settlement account
+                ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    LedgerAccount.wallet(userId, money.currency),
+                    LedgerAccount.merchant(hold.merchantId, money.currency),
+                    money,
+                    'Ödeme',
+                    txId
+                )),
+                ...(cashback ? cashback.operations : []),
+                // The released part of the hold no longer counts against the limits
+                ...this.limitReleaseOperations(hold, hold.amount.subtract(money))
+            ];
+
+            await this.walletRepository.transaction(operations);
+
+            const wallet = await this.walletRepository.findByUserId(userId);
+
+            let cashbackResult = null;
+            if (cashback) {
+                const { operations: cashbackOperations, ...persisted } = cashback;
+                cashbackResult = persisted;
+            }
+
+            return {
+                success: true,
+                message: 'Ödeme tahsil edildi',
+                data: {
+                    transactionId: txId,
+                    authorizedAmount: hold.amount.toMajor(),
+                    capturedAmount: money.toMajor(),
+                    releasedAmount: hold.amount.subtract(money).toMajor(),
+                    merchantId: hold.merchantId,
+                    newBalance: wallet.balance.toMajor(),
+                    availableBalance: wallet.availableBalance.toMajor(),
+                    cashback: cashbackResult
+                }
+            };
+
+        } catch (error) {
+            if (['HOLD_NOT_ACTIVE', 'HOLD_MISMATCH', 'TX_STATUS_CHANGED'].includes(error.code)) {
+                return {
+                    success: false,
+                    message: 'Provizyon artık geçerli değil'
+                };
+            }
+
+            if (error.code === 'CASHBACK_ALREADY_AWARDED') {
+                // A concurrent payment earned the first-time cashback, capture without it
+                return await this.capturePayment(userId, txId, amount);
+            }
+
+            console.error('Capture payment error:', error);
+            return {
+                success: false,
+                message: 'Tahsilat sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Void an authorized payment and release its hold
+     * @param {string} userId - User ID owning the authorization
+     * @param {string} txId - Pending payment transaction ID
+     * @returns {Promise<Object>} Void result
+     */
+    async voidPayment(userId, txId) {
+        try {
+            const lookup = await this.findActiveHold(userId, txId);
+            if (!lookup.success) {
+                return lookup;
+            }
+
+            await this.walletRepository.transaction(this.releaseOperations(lookup.hold, 'voided'));
+
+            const wallet = await this.walletRepository.findByUserId(userId);
+
+            return {
+                success: true,
+                message: 'Provizyon iptal edildi',
+                data: {
+                    transactionId: txId,
+                    releasedAmount: lookup.hold.amount.toMajor(),
+                    availableBalance: wallet.availableBalance.toMajor()
+                }
+            };
+
+        } catch (error) {
+            if (['HOLD_NOT_ACTIVE', 'HOLD_MISMATCH', 'TX_STATUS_CHANGED'].includes(error.code)) {
+                return {
+                    success: false,
+                    message: 'Provizyon artık geçerli değil'
+                };
+            }
+
+            console.error('Void payment error:', error);
+            return {
+                success: false,
+                message: 'Provizyon iptali sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Release every active hold whose expiry has passed
+     * Each hold is released in its own database transaction; a hold captured
+     * or voided concurrently is skipped
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} {expiredCount, transactionIds}
+     */
+    async expireStaleHolds(now = new Date()) {
+        try {
+            const holds = await this.paymentHoldRepository.findExpired(now);
+            const transactionIds = [];
+
+            for (const hold of holds) {
+                try {
+                    await this.walletRepository.transaction(this.releaseOperations(hold, 'expired', now));
+                    transactionIds.push(hold.txId);
+                } catch (error) {
+                    if (error.code !== 'HOLD_NOT_ACTIVE') {
+                        throw error;
+                    }
+                }
+            }
+
+            return {
+                success: true,
+                message: `${transactionIds.length} provizyonun süresi doldu`,
+                data: {
+                    expiredCount: transactionIds.length,
+                    transactionIds
+                }
+            };
+
+        } catch (error) {
+            console.error('Expire holds error:', error);
+            return {
+                success: false,
+                message: 'Süresi dolan provizyonlar kapatılamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the authorizations of a user
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only holds with this status
+     * @returns {Promise<Object>} Authorization list
+     */
+    async getAuthorizations(userId, status = null) {
+        try {
+            const holds = await this.paymentHoldRepository.findByUserId(userId, status);
+
+            return {
+                success: true,
+                data: {
+                    authorizations: holds.map(hold => ({
+                        transactionId: hold.txId,
+                        merchantId: hold.merchantId,
+                        amount: hold.amount.toMajor(),
+                        capturedAmount: hold.capturedAmount ? hold.capturedAmount.toMajor() : null,
+                        status: hold.status,
+                        expiresAt: hold.expiresAt.toISOString(),
+                        createdAt: hold.createdAt.toISOString(),
+                        resolvedAt: hold.resolvedAt ? hold.resolvedAt.toISOString() : null
+                    }))
+                }
+            };
+
+        } catch (error) {
+            console.error('Get authorizations error:', error);
+            return {
+                success: false,
+                message: 'Provizyonlar alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Load a user's active hold
+     * @param {string} userId - User ID
+     * @param {string} txId - Pending payment transaction ID
+     * @returns {Promise<Object>} {success, hold} or a failure result
+     */
+    async findActiveHold(userId, txId) {
+        const hold = txId ? await this.paymentHoldRepository.findByTxId(txId) : null;
+
+        if (!hold || hold.userId !== userId) {
+            return {
+                success: false,
+                message: 'Provizyon bulunamadı'
+            };
+        }
+
+        if (!hold.isActive()) {
+            return {
+                success: false,
+                message: 'Provizyon zaten sonuçlandırılmış'
+            };
+        }
+
+        return { success: true, hold };
+    }
+
+    /**
+     * Build the statements that end a hold without capturing it
+     * @param {PaymentHold} hold - Active hold
+     * @param {string} status - 'voided' or 'expired'
+     * @param {Date} now - Resolution time
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    releaseOperations(hold, status, now = new Date()) {
+        return [
+            this.paymentHoldRepository.releaseOperation(hold, status, now),
+            this.walletRepository.releaseHoldOperation(hold.userId, hold.amount),
+            this.transactionRepository.transitionOperation(hold.txId, 'pending', 'cancelled', {
+                meta: { [`${status}_at`]: now.toISOString() }
+            }),
+            ...this.limitReleaseOperations(hold, hold.amount)
+        ];
+    }
+
+    /**
+     * @param {PaymentHold} hold - Hold counted against the payment limits
+     * @param {Money} amount - Part of the hold that is not paid
+     * @returns {Array<Object>} Statements giving the amount back to the limits
+     */
+    limitReleaseOperations(hold, amount) {
+        return this.limitService && amount.isPositive()
+            ? [this.limitService.releaseOperation(hold.userId, 'payment', amount, hold.createdAt)]
+            : [];
+    }
+}
+
+module.exports = PaymentAuthorizationService;
@@ -0,0 +1,353 @@
+/**
+ * Payment Request Service
+ * Money requests between users: the requester asks, the payer accepts (paid
+ * by a transfer), declines or lets the request expire
+ * Follows Single Responsibility Principle
+ */
+
+const PaymentRequest = require('../domain/PaymentRequest');
+const Money = require('../domain/Money');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_REQUEST_TTL = 7 * 24 * 60 * 60; // 7 days (seconds)
+const MAX_NOTE_LENGTH = 140;
+
+class PaymentRequestService {
+    /**
+     * @param {PaymentRequestRepository} paymentRequestRepository - Payment request repository
+     * @param {PaymentService} paymentService - Pays accepted requests by transfer
+     * @param {UserRepository} userRepository - Checks payers
+     * @param {Object} options - Options
+     * @param {number} options.requestTtl - Request lifetime in seconds
+     */
+    constructor(paymentRequestRepository, paymentService, userRepository, options = {}) {
+        this.paymentRequestRepository = paymentRequestRepository;
+        this.paymentService = paymentService;
+        this.userRepository = userRepository;
+        this.requestTtl = options.requestTtl || parseInt(process.env.PAYMENT_REQUEST_TTL) || DEFAULT_REQUEST_TTL;
+    }
+
+    /**
+     * Ask another user for money
+     * @param {string} requesterId - User asking, receives the money
+     * @param {string} payerId - User asked to pay
+     * @param {number} amount - Amount in major units
+     * @param {string} currency - Currency asked
+     * @param {string} note - Shown to the payer
+     * @returns {Promise<Object>} Creation result
+     */
+    async createRequest(requesterId, payerId, amount, currency = 'TRY', note = '') {
+        try {
+            if (!payerId) {
+                return {
+                    success: false,
+                    message: 'İstenen kullanıcı ID\'si gereklidir'
+                };
+            }
+
+            if (payerId === requesterId) {
+                return {
+                    success: false,
+                    message: 'Kendinizden para isteyemezsiniz'
+                };
+            }
+
+            const unsupported = this.paymentService.checkCurrency(currency);
+            if (unsupported) {
+                return unsupported;
+            }
+
+            const money = Number.isFinite(amount) ? Money.fromMajor(amount, currency) : null;
+            if (!money || !money.isPositive()) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir tutar giriniz'
+                };
+            }
+
+            if (typeof note !== 'string' || note.trim().length > MAX_NOTE_LENGTH) {
+                return {
+                    success: false,
+                    message: `Not en fazla ${MAX_NOTE_LENGTH} karakter olabilir`
+                };
+            }
+
+            const payer = await this.userRepository.findById(payerId);
+            if (!payer) {
+                return {
+                    success: false,
+                    message: 'İstenen kullanıcı bulunamadı'
+                };
+            }
+
+            const now = new Date();
+            const request = new PaymentRequest(
+                `PRQ_${uuidv4().substring(0, 8)}`,
+                requesterId,
+                payerId,
+                money,
+                note.trim(),
+                new Date(now.getTime() + this.requestTtl * 1000),
+                'pending',
+                null,
+                now
+            );
+
+            await this.paymentRequestRepository.create(request);
+
+            return {
+                success: true,
+                message: `${payer.name} kullanıcısından ${money.format()} istendi`,
+                data: this.formatRequest(request, { payerName: payer.name })
+            };
+
+        } catch (error) {
+            console.error('Create payment request error:', error);
+            return {
+                success: false,
+                message: 'Para isteği oluşturulurken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Get the requests a user was asked to pay
+     * @param {string} userId - Payer user ID
+     * @param {string|null} status - Only requests with this status
+     * @returns {Promise<Object>} Inbox with the number of open requests
+     */
+    async getIncoming(userId, status = null) {
+        try {
+            await this.paymentRequestRepository.expirePending();
+            const requests = await this.paymentRequestRepository.findByPayerId(userId, status);
+
+            return {
+                success: true,
+                data: {
+                    requests: requests.map(item => this.formatRequest(item.request, item)),
+                    pendingCount: requests.filter(item => item.request.status === 'pending').length
+                }
+            };
+
+        } catch (error) {
+            console.error('Get incoming payment requests error:', error);
+            return {
+                success: false,
+                message: 'Gelen para istekleri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the requests a user sent
+     * @param {string} userId - Requester user ID
+     * @param {string|null} status - Only requests with this status
+     * @returns {Promise<Object>} Sent requests
+     */
+    async getOutgoing(userId, status = null) {
+        try {
+            await this.paymentRequestRepository.expirePending();
+            const requests = await this.paymentRequestRepository.findByRequesterId(userId, status);
+
+            return {
+                success: true,
+                data: {
+                    requests: requests.map(item => this.formatRequest(item.request, item))
+                }
+            };
+
+        } catch (error) {
+            console.error('Get outgoing payment requests error:', error);
+            return {
+                success: false,
+                message: 'Gönderilen para istekleri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Accept a request and pay it by transfer
+     * The request is closed and linked to the transfer in the same database
+     * transaction as the transfer
+     * @param {string} userId - Payer user ID
+     * @param {string} requestId - Request ID
+     * @returns {Promise<Object>} Transfer result with the request
+     */
+    async acceptRequest(userId, requestId) {
+        try {
+            const request = await this.findOpen(requestId, userId, 'payerId');
+            if (!request.success) {
+                return request;
+            }
+
+            const now = new Date();
+            const { data: paymentRequest } = request;
+            // Both sides see the request note in their history
+            const requestMeta = {
+                payment_request_id: paymentRequest.requestId,
+                ...(paymentRequest.note && { description: `Para isteği: ${paymentRequest.note}` })
+            };
+            const result = await this.paymentService.transferMoney(
+                paymentRequest.payerId,
+                paymentRequest.requesterId,
+                paymentRequest.amount.toMajor(),
+                paymentRequest.amount.currency,
+                {
+                    meta: requestMeta,
+                    inMeta: requestMeta,
+                    operations: ({ outTxId }) => [
+                        this.paymentRequestRepository.resolveOperation(paymentRequest, 'accepted', now, outTxId)
+                    ]
+                }
+            );
+
+            if (!result.success) {
+                return result;
+            }
+
+            return {
+                success: true,
+                message: 'Para isteği ödendi',
+                data: {
+                    ...result.data,
+                    request: this.formatRequest({
+                        ...paymentRequest,
+                        status: 'accepted',
+                        txId: result.data.outTransactionId,
+                        resolvedAt: now
+                    })
+                }
+            };
+
+        } catch (error) {
+            console.error('Accept payment request error:', error);
+            return {
+                success: false,
+                message: 'Para isteği ödenirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Decline a request as the payer
+     * @param {string} userId - Payer user ID
+     * @param {string} requestId - Request ID
+     * @returns {Promise<Object>} Update result
+     */
+    async declineRequest(userId, requestId) {
+        return this.closeRequest(userId, requestId, 'payerId', 'declined', 'Para isteği reddedildi');
+    }
+
+    /**
+     * Withdraw a request as the requester
+     * @param {string} userId - Requester user ID
+     * @param {string} requestId - Request ID
+     * @returns {Promise<Object>} Update result
+     */
+    async cancelRequest(userId, requestId) {
+        return this.closeRequest(userId, requestId, 'requesterId', 'cancelled', 'Para isteği iptal edildi');
+    }
+
+    /**
+     * Close an open request without payment
+     * @param {string} userId - User ID
+     * @param {string} requestId - Request ID
+     * @param {string} side - 'payerId' or 'requesterId', the side allowed to close it
+     * @param {string} status - 'declined' or 'cancelled'
+     * @param {string} message - Success message
+     * @returns {Promise<Object>} Update result
+     */
+    async closeRequest(userId, requestId, side, status, message) {
+        try {
+            const request = await this.findOpen(requestId, userId, side);
+            if (!request.success) {
+                return request;
+            }
+
+            await this.paymentRequestRepository.transaction([
+                this.paymentRequestRepository.resolveOperation(request.data, status)
+            ]);
+
+            return {
+                success: true,
+                message,
+                data: { requestId, status }
+            };
+
+        } catch (error) {
+            if (error.code === 'REQUEST_NOT_PENDING') {
+                return {
+                    success: false,
+                    message: 'Bu para isteği artık değiştirilemez'
+                };
+            }
+
+            console.error('Close payment request error:', error);
+            return {
+                success: false,
+                message: 'Para isteği güncellenirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Find an open request of a user
+     * Requests of other users are reported as not found
+     * @param {string} requestId - Request ID
+     * @param {string} userId - User ID
+     * @param {string} side - 'payerId' or 'requesterId'
+     * @returns {Promise<Object>} Result with the PaymentRequest as data
+     */
+    async findOpen(requestId, userId, side) {
+        const request = await this.paymentRequestRepository.findById(requestId);
+        if (!request || request[side] !== userId) {
+            return {
+                success: false,
+                message: 'Para isteği bulunamadı'
+            };
+        }
+
+        if (request.status === 'pending' && request.isExpired()) {
+            return {
+                success: false,
+                message: 'Para isteğinin süresi dolmuş'
+            };
+        }
+
+        if (request.status !== 'pending') {
+            return {
+                success: false,
+                message: 'Bu para isteği artık değiştirilemez'
+            };
+        }
+
+        return { success: true, data: request };
+    }
+
+    /**
+     * Format a request for API responses
+     * @param {PaymentRequest} request - PaymentRequest instance
+     * @param {Object} names - Optional {requesterName, payerName}
+     * @returns {Object} Request with the amount in major units
+     */
+    formatRequest(request, { requesterName = null, payerName = null } = {}) {
+        return {
+            requestId: request.requestId,
+            requesterId: request.requesterId,
+            requesterName,
+            payerId: request.payerId,
+            payerName,
+            amount: request.amount.toMajor(),
+            currency: request.amount.currency,
+            formattedAmount: request.amount.format(),
+            note: request.note,
+            status: request.status,
+            transactionId: request.txId,
+            expiresAt: request.expiresAt.toISOString(),
+            createdAt: request.createdAt.toISOString(),
+            resolvedAt: request.resolvedAt ? request.resolvedAt.toISOString() : null
+        };
+    }
+}
+
+module.exports = PaymentRequestService;
@@ -5,13 +5,25 @@
  */
 
 const Transaction = require('../domain/Transaction');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const Merchant = require('../domain/Merchant');
 const { v4: uuidv4 } = require('uuid');
 
+const MAX_HISTORY_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 100;
+
 class PaymentService {
-    constructor(walletRepository, transactionRepository, cashbackService = null) {
+    constructor(walletRepository, transactionRepository, ledgerRepository, cashbackService = null, merchantService = null, qrCodeService = null, exchangeService = null, limitService = null) {
         this.walletRepository = walletRepository;
         this.transactionRepository = transactionRepository;
+        this.ledgerRepository = ledgerRepository;
         this.cashbackService = cashbackService;
+        this.merchantService = merchantService;
+        this.qrCodeService = qrCodeService;
+        this.exchangeService = exchangeService;
+        this.limitService = limitService;
     }
 
     /**
@@ -23,12 +35,18 @@ class PaymentService {
 
     /**
      * Transfer money between users
+     * If the receiver does not hold the currency sent, the amount is converted
+     * into the receiver's TRY wallet (or their only wallet) at the exchange rate
      * @param {string} fromUserId - Sender user ID
      * @param {string} toUserId - Receiver user ID
      * @param {number} amount - Transfer amount
+     * @param {string} currency - Currency sent, debited from the sender's wallet in it
+     * @param {Object} options - Optional {meta, operations} added to the outgoing
+     *   transaction and committed with it, and {inMeta} added to the incoming one;
+     *   operations may also be a function building them from {outTxId, inTxId}
      * @returns {Promise<Object>} Transfer result
      */
-    async transferMoney(fromUserId, toUserId, amount) {
+    async transferMoney(fromUserId, toUserId, amount, currency = 'TRY', { meta = {}, inMeta = {}, operations: extraOperations = [] } = {}) {
         try {
             // Validate input
             if (!fromUserId || !toUserId) {
@@ -45,7 +63,13 @@ class PaymentService {
                 };
             }
 
-            if (typeof amount !== 'number' || amount <= 0) {
+            const unsupported = this.checkCurrency(currency);
+            if (unsupported) {
+                return unsupported;
+            }
+
+            const money = Number.isFinite(amount) ? Money.fromMajor(amount, currency) : null;
+            if (!money || !money.isPositive()) {
                 return {
                     success: false,
                     message: 'Geçerli bir tutar giriniz'
@@ -53,27 +77,55 @@ class PaymentService {
             }
 
             // Check if users exist
-            const [fromWallet, toWallet] = await Promise.all([
-                this.walletRepository.findByUserId(fromUserId),
-                this.walletRepository.findByUserId(toUserId)
+            const [fromWallet, toWallets] = await Promise.all([
+                this.walletRepository.findByUserId(fromUserId, currency),
+                this.walletRepository.findAllByUserId(toUserId)
             ]);
 
             if (!fromWallet) {
                 return {
                     success: false,
-                    message: 'Gönderici kullanıcının cüzdanı bulunamadı'
+                    message: currency === 'TRY'
+                        ? 'Gönderici kullanıcının cüzdanı bulunamadı'
+                        : `Gönderici kullanıcının ${currency} cüzdanı bulunamadı`
                 };
             }
 
-            if (!toWallet) {
+            if (toWallets.length === 0) {
                 return {
                     success: false,
                     message: 'Alıcı kullanıcının cüzdanı bulunamadı'
                 };
             }
 
-            // Check sufficient funds
-            if (!fromWallet.hasSufficientFunds(amount)) {
+            // Wallets are listed TRY first
+            const toWallet = toWallets.find(wallet => wallet.currency === currency) || toWallets[0];
+            let conversion = null;
+            if (toWallet.currency !== currency) {
+                if (!this.exchangeService) {
+                    return {
+                        success: false,
+                        message: `Alıcı kullanıcının ${currency} cüzdanı bulunamadı`
+                    };
+                }
+
+                conversion = this.exchangeService.quote(money, toWallet.currency);
+                if (!conversion.target.isPositive()) {
+                    return {
+                        success: false,
+                        message: 'Tutar çevrilemeyecek kadar küçük'
+                    };
+                }
+            }
+            const received = conversion ? conversion.target : money;
+
+            const limit = await this.reserveLimit(fromUserId, 'transfer_out', money);
+            if (!limit.success) {
+                return limit;
+            }
+
+            // Fail fast; the guarded debit below is what prevents overdrafts
+            if (!fromWallet.hasSufficientFunds(money)) {
                 return {
                     success: false,
                     message: 'Yetersiz bakiye'
@@ -85,40 +137,55 @@ class PaymentService {
             const inTxId = `TX_IN_${uuidv4().substring(0, 8)}`;
 
             // Create transactions
+            const fxMeta = conversion ? { fx: this.exchangeService.quoteMeta(conversion) } : {};
+
             const outTransaction = new Transaction(
                 outTxId,
                 fromUserId,
-                amount,
-                'TRY',
+                money,
+                money.currency,
                 'transfer_out',
                 'ok',
                 null,
-                { to_user: toUserId, related_tx: inTxId }
+                { to_user: toUserId, related_tx: inTxId, ...fxMeta, ...meta }
             );
 
             const inTransaction = new Transaction(
                 inTxId,
                 toUserId,
-                amount,
-                'TRY',
+                received,
+                received.currency,
                 'transfer_in',
                 'ok',
                 null,
-                { from_user: fromUserId, related_tx: outTxId }
+                { from_user: fromUserId, related_tx: outTxId, ...fxMeta, ...inMeta }
             );
 
+            // Post the movement to the ledger, through the FX position accounts when converted
+            const fromAccount = LedgerAccount.wallet(fromUserId, money.currency);
+            const toAccount = LedgerAccount.wallet(toUserId, received.currency);
+            const ledgerOperations = conversion
+                ? this.exchangeService.conversionOperations(fromAccount, toAccount, conversion, 'Para transferi', outTxId)
+                : this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    fromAccount,
+                    toAccount,
+                    money,
+                    'Para transferi',
+                    outTxId
+                ));
+
             // Execute transfer in transaction
             const operations = [
-                // Update sender wallet
-                {
-                    sql: 'UPDATE wallets SET balance = balance - ?, updated_at = ? WHERE user_id = ?',
-                    params: [amount, new Date().toISOString(), fromUserId]
-                },
-                // Update receiver wallet
-                {
-                    sql: 'UPDATE wallets SET balance = balance + ?, updated_at = ? WHERE user_id = ?',
-                    params: [amount, new Date().toISOString(), toUserId]
-                },
+                // Caller statements first, e.g. advancing a scheduled payment
+                ...(typeof extraOperations === 'function' ? extraOperations({ outTxId, inTxId }) : extraOperations),
+                // Count the transfer against the limits (rolls back if concurrent transfers used them up)
+                ...limit.operations,
+                // Debit sender wallet (rolls back if the balance no longer covers the amount)
+                this.walletRepository.debitOperation(fromUserId, money),
+                // Credit receiver wallet
+                this.walletRepository.creditOperation(toUserId, received),
+                ...ledgerOperations,
                 // Insert outgoing transaction
                 {
                     sql: `INSERT INTO transactions (tx_id, created_at, user_id, merchant_id, amount, currency, type, status, meta) 
@@ -141,13 +208,44 @@ class PaymentService {
                 data: {
                     outTransactionId: outTxId,
                     inTransactionId: inTxId,
-                    amount,
+                    amount: money.toMajor(),
+                    currency: money.currency,
                     fromUserId,
-                    toUserId
+                    toUserId,
+                    ...(conversion && {
+                        receivedAmount: received.toMajor(),
+                        receivedCurrency: received.currency,
+                        exchangeRate: conversion.rate
+                    })
                 }
             };
 
         } catch (error) {
+            if (error.code === 'INSUFFICIENT_FUNDS') {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
+            if (error.code === 'SCHEDULE_CHANGED') {
+                return {
+                    success: false,
+                    message: 'Talimat bu sırada değiştirildi'
+                };
+            }
+
+            if (error.code === 'REQUEST_NOT_PENDING') {
+                return {
+                    success: false,
+                    message: 'Bu para isteği artık ödenemez'
+                };
+            }
+
+            if (error.code === 'LIMIT_EXCEEDED') {
+                return await this.limitService.limitExceeded(fromUserId, 'transfer_out', Money.fromMajor(amount, currency));
+            }
+
             console.error('Transfer error:', error);
             return {
                 success: false,
@@ -161,9 +259,11 @@ class PaymentService {
      * @param {string} userId - User ID
      * @param {string} merchantId - Merchant ID
      * @param {number} amount - Payment amount
+     * @param {Object} options - Optional {meta, operations} added to the payment
+     *   transaction and committed with it
      * @returns {Promise<Object>} Payment result
      */
-    async processPayment(userId, merchantId, amount) {
+    async processPayment(userId, merchantId, amount, { meta = {}, operations: extraOperations = [] } = {}) {
         try {
             // Validate input
             if (!userId || !merchantId) {
@@ -173,13 +273,22 @@ class PaymentService {
                 };
             }
 
-            if (typeof amount !== 'number' || amount <= 0) {
+            const money = Number.isFinite(amount) ? Money.fromMajor(amount) : null;
+            if (!money || !money.isPositive()) {
                 return {
                     success: false,
                     message: 'Geçerli bir tutar giriniz'
                 };
             }
 
+            // Unknown and inactive merchants cannot take payments
+            if (this.merchantService) {
+                const merchant = await this.merchantService.checkPayable(merchantId);
+                if (!merchant.success) {
+                    return merchant;
+                }
+            }
+
             // Check wallet
             const wallet = await this.walletRepository.findByUserId(userId);
             if (!wallet) {
@@ -189,8 +298,13 @@ class PaymentService {
                 };
             }
 
-            // Check sufficient funds
-            if (!wallet.hasSufficientFunds(amount)) {
+            const limit = await this.reserveLimit(userId, 'payment', money);
+            if (!limit.success) {
+                return limit;
+            }
+
+            // Fail fast; the guarded debit below is what prevents overdrafts
+            if (!wallet.hasSufficientFunds(money)) {
                 return {
                     success: false,
                     message: 'Yetersiz bakiye'
@@ -202,40 +316,61 @@ class PaymentService {
             const transaction = new Transaction(
                 txId,
                 userId,
-                amount,
-                'TRY',
+                money,
+                money.currency,
                 'payment',
                 'ok',
                 merchantId,
-                { payment_method: 'wallet' }
+                { payment_method: 'wallet', ...meta }
             );
 
+            // Cashback is computed up front so it commits (or rolls back) with the payment
+            let cashback = null;
+            if (this.cashbackService) {
+                cashback = await this.cashbackService.prepareCashback(
+                    userId,
+                    merchantId,
+                    money,
+                    txId
+                );
+            }
+
             // Execute payment in transaction
             const operations = [
-                // Update wallet balance
-                {
-                    sql: 'UPDATE wallets SET balance = balance - ?, updated_at = ? WHERE user_id = ?',
-                    params: [amount, new Date().toISOString(), userId]
-                },
+                // Caller statements first, e.g. consuming a single-use QR code
+                ...extraOperations,
+                // Count the payment against the limits (rolls back if concurrent payments used them up)
+                ...limit.operations,
+                // Debit wallet (rolls back if the balance no longer covers the amount)
+                this.walletRepository.debitOperation(userId, money),
+                // Owe the amount to the merchant's settlement account
+                ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    LedgerAccount.wallet(userId, money.currency),
+                    LedgerAccount.merchant(merchantId, money.currency),
+                    money,
+                    'Ödeme',
+                    txId
+                )),
                 // Insert payment transaction
                 {
                     sql: `INSERT INTO transactions (tx_id, created_at, user_id, merchant_id, amount, currency, type, status, meta) 
                           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                     params: Object.values(transaction.toObject())
-                }
+                },
+                // Insert cashback transactions and credit wallet
+                ...(cashback ? cashback.operations : [])
             ];
 
             await this.walletRepository.transaction(operations);
 
-            // Apply cashback if service is available
+            // Report the balance as stored after commit
+            const newBalance = await this.walletRepository.getBalance(userId);
+
             let cashbackResult = null;
-            if (this.cashbackService) {
-                cashbackResult = await this.cashbackService.calculateAndApplyCashback(
-                    userId,
-                    merchantId,
-                    amount,
-                    txId
-                );
+            if (cashback) {
+                const { operations: cashbackOperations, ...persisted } = cashback;
+                cashbackResult = persisted;
             }
 
             return {
@@ -243,104 +378,63 @@ class PaymentService {
                 message: 'Ödeme başarılı',
                 data: {
                     transactionId: txId,
-                    amount,
+                    amount: money.toMajor(),
                     merchantId,
-                    newBalance: wallet.balance - amount,
+                    newBalance: newBalance.toMajor(),
                     cashback: cashbackResult
                 }
             };
 
         } catch (error) {
-            console.error('Payment error:', error);
-            return {
-                success: false,
-                message: 'Ödeme sırasında bir hata oluştu'
-            };
-        }
-    }
-
-    /**
-     * Add funds to wallet (top-up)
-     * @param {string} userId - User ID
-     * @param {number} amount - Amount to add
-     * @returns {Promise<Object>} Top-up result
-     */
-    async topUpWallet(userId, amount) {
-        try {
-            if (typeof amount !== 'number' || amount <= 0) {
+            if (error.code === 'INSUFFICIENT_FUNDS') {
                 return {
                     success: false,
-                    message: 'Geçerli bir tutar giriniz'
+                    message: 'Yetersiz bakiye'
                 };
             }
 
-            const wallet = await this.walletRepository.findByUserId(userId);
-            if (!wallet) {
+            if (error.code === 'QR_NOT_ACTIVE') {
                 return {
                     success: false,
-                    message: 'Kullanıcının cüzdanı bulunamadı'
+                    message: 'Bu QR kod artık kullanılamaz'
                 };
             }
 
-            // Create top-up transaction
-            const txId = `TX_TOP_${uuidv4().substring(0, 8)}`;
-            const transaction = new Transaction(
-                txId,
-                userId,
-                amount,
-                'TRY',
-                'topup',
-                'ok',
-                null,
-                { method: 'bank_transfer' }
-            );
-
-            // Execute top-up in transaction
-            const operations = [
-                // Update wallet balance
-                {
-                    sql: 'UPDATE wallets SET balance = balance + ?, updated_at = ? WHERE user_id = ?',
-                    params: [amount, new Date().toISOString(), userId]
-                },
-                // Insert top-up transaction
-                {
-                    sql: `INSERT INTO transactions (tx_id, created_at, user_id, merchant_id, amount, currency, type, status, meta) 
-                          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                    params: Object.values(transaction.toObject())
-                }
-            ];
+            if (error.code === 'SCHEDULE_CHANGED') {
+                return {
+                    success: false,
+                    message: 'Talimat bu sırada değiştirildi'
+                };
+            }
 
-            await this.walletRepository.transaction(operations);
+            if (error.code === 'LIMIT_EXCEEDED') {
+                return await this.limitService.limitExceeded(userId, 'payment', Money.fromMajor(amount));
+            }
 
-            return {
-                success: true,
-                message: 'Bakiye yükleme başarılı',
-                data: {
-                    transactionId: txId,
-                    amount,
-                    newBalance: wallet.balance + amount
-                }
-            };
+            if (error.code === 'CASHBACK_ALREADY_AWARDED') {
+                // A concurrent payment earned the first-time cashback, pay without it
+                return await this.processPayment(userId, merchantId, amount, { meta, operations: extraOperations });
+            }
 
-        } catch (error) {
-            console.error('Top-up error:', error);
+            console.error('Payment error:', error);
             return {
                 success: false,
-                message: 'Bakiye yükleme sırasında bir hata oluştu'
+                message: 'Ödeme sırasında bir hata oluştu'
             };
         }
     }
 
     /**
      * Get user's wallet balance
+     * The top-level fields describe the TRY wallet, `wallets` lists every currency wallet
      * @param {string} userId - User ID
      * @returns {Promise<Object>} Balance information
      */
     async getWalletBalance(userId) {
         try {
-            const wallet = await this.walletRepository.findByUserId(userId);
+            const wallets = await this.walletRepository.findAllByUserId(userId);
 
-            if (!wallet) {
+            if (wallets.length === 0) {
                 return {
                     success: false,
                     message: 'Cüzdan bulunamadı'
@@ -350,10 +444,8 @@ class PaymentService {
             return {
                 success: true,
                 data: {
-                    balance: wallet.balance,
-                    currency: wallet.currency,
-                    formattedBalance: wallet.getFormattedBalance(),
-                    updatedAt: wallet.updatedAt
+                    ...this.formatWallet(wallets[0]),
+                    wallets: wallets.map(wallet => this.formatWallet(wallet))
                 }
             };
 
@@ -367,18 +459,38 @@ class PaymentService {
     }
 
     /**
-     * Get user's transaction history
+     * Get a page of the user's transaction history, newest first
      * @param {string} userId - User ID
-     * @param {number} page - Page number
+     * @param {Object} filters - {types, statuses, merchantId, category, currency, fromDate, toDate,
+     *   minAmount, maxAmount (major units), search}, all optional
+     * @param {string|null} cursor - nextCursor of the previous page, null for the first page
      * @param {number} pageSize - Number of records per page
      * @returns {Promise<Object>} Transaction history
      */
-    async getTransactionHistory(userId, page = 1, pageSize = 20) {
+    async getTransactionHistory(userId, filters = {}, cursor = null, pageSize = 20) {
         try {
+            const parsed = this.parseHistoryFilters(filters);
+            if (parsed.message) {
+                return {
+                    success: false,
+                    message: parsed.message
+                };
+            }
+
+            const position = cursor ? this.decodeHistoryCursor(cursor) : null;
+            if (cursor && !position) {
+                return {
+                    success: false,
+                    message: 'Geçersiz sayfa imleci'
+                };
+            }
+
+            const size = Math.min(Math.max(pageSize, 1), MAX_HISTORY_PAGE_SIZE);
             const result = await this.transactionRepository.getUserTransactionHistory(
                 userId,
-                page,
-                pageSize
+                parsed.filters,
+                position,
+                size
             );
 
             return {
@@ -387,15 +499,22 @@ class PaymentService {
                     transactions: result.transactions.map(tx => ({
                         txId: tx.txId,
                         type: tx.type,
-                        amount: tx.amount,
-                        formattedAmount: `${tx.amount.toFixed(2)} ${tx.currency}`,
+                        amount: tx.amount.toMajor(),
+                        currency: tx.currency,
+                        formattedAmount: tx.amount.format(),
+                        direction: tx.increasesBalance() ? 'in' : 'out',
                         description: this.getTransactionDescription(tx),
                         merchantId: tx.merchantId,
                         merchantName: tx.merchantName,
                         status: tx.status,
                         createdAt: tx.createdAt
                     })),
-                    pagination: result.pagination
+                    pagination: {
+                        pageSize: size,
+                        total: result.total,
+                        hasMore: result.nextCursor !== null,
+                        nextCursor: result.nextCursor ? this.encodeHistoryCursor(result.nextCursor) : null
+                    }
                 }
             };
 
@@ -408,8 +527,102 @@ class PaymentService {
         }
     }
 
+    /**
+     * Check the history filters and convert amounts to minor units
+     * @param {Object} filters - Filters as requested
+     * @returns {Object} {filters} or {message} if a filter is not valid
+     */
+    parseHistoryFilters(filters) {
+        const {
+            types = [], statuses = [], merchantId = null, category = null, currency = null,
+            fromDate = null, toDate = null, minAmount = null, maxAmount = null, search = null
+        } = filters;
+
+        const invalidType = types.find(type => !Transaction.TYPES.includes(type));
+        if (invalidType) {
+            return { message: `Geçersiz işlem türü: ${invalidType}` };
+        }
+
+        const invalidStatus = statuses.find(status => !Transaction.STATUSES.includes(status));
+        if (invalidStatus) {
+            return { message: `Geçersiz işlem durumu: ${invalidStatus}` };
+        }
+
+        if (category && !Merchant.isValidCategory(category)) {
+            return { message: `Geçerli kategoriler: ${Merchant.CATEGORIES.join(', ')}` };
+        }
+
+        const unsupported = currency ? this.checkCurrency(currency) : null;
+        if (unsupported) {
+            return unsupported;
+        }
+
+        for (const date of [fromDate, toDate]) {
+            const parsedDate = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+            if (date && !(parsedDate && !isNaN(parsedDate.getTime()) && parsedDate.toISOString().startsWith(date))) {
+                return { message: 'Tarihler YYYY-AA-GG biçiminde olmalıdır' };
+            }
+        }
+
+        if (fromDate && toDate && fromDate > toDate) {
+            return { message: 'Başlangıç tarihi bitiş tarihinden sonra olamaz' };
+        }
+
+        for (const amount of [minAmount, maxAmount]) {
+            if (amount !== null && !(Number.isFinite(amount) && amount >= 0)) {
+                return { message: 'Tutar aralığı sıfır veya pozitif sayılardan oluşmalıdır' };
+            }
+        }
+
+        if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+            return { message: 'En düşük tutar en yüksek tutardan büyük olamaz' };
+        }
+
+        const text = search === null ? '' : String(search).trim();
+        if (text.length > MAX_SEARCH_LENGTH) {
+            return { message: `Arama metni en fazla ${MAX_SEARCH_LENGTH} karakter olabilir` };
+        }
+
+        return {
+            filters: {
+                types,
+                statuses,
+                merchantId,
+                category,
+                currency,
+                fromDate,
+                toDate,
+                minAmount: minAmount === null ? null : Money.fromMajor(minAmount, currency || 'TRY').minor,
+                maxAmount: maxAmount === null ? null : Money.fromMajor(maxAmount, currency || 'TRY').minor,
+                search: text || null
+            }
+        };
+    }
+
+    /**
+     * @param {Object} position - {createdAt, txId} of the last transaction of a page
+     * @returns {string} Opaque cursor for the next page
+     */
+    encodeHistoryCursor(position) {
+        return Buffer.from(JSON.stringify([position.createdAt, position.txId])).toString('base64url');
+    }
+
+    /**
+     * @param {string} cursor - Cursor returned with the previous page
+     * @returns {Object|null} {createdAt, txId}, or null if the cursor is malformed
+     */
+    decodeHistoryCursor(cursor) {
+        try {
+            const [createdAt, txId] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            return typeof createdAt === 'string' && typeof txId === 'string' ? { createdAt, txId } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Get transaction description based on type and metadata
+     * The history search matches the same text through TransactionRepository's DESCRIPTION_SQL
      * @param {Transaction} tx - Transaction object
      * @returns {string} Transaction description
      */
@@ -426,141 +639,129 @@ class PaymentService {
             case 'payment':
                 return tx.merchantName ? `${tx.merchantName} - Ödeme` : 'Ödeme yapıldı';
             case 'topup':
-                return 'Bakiye yükleme';
+                return this.getTopUpDescription(tx);
             case 'split_settlement':
                 return 'Fatura bölme ödemesi';
             case 'refund':
                 return 'İade';
             case 'cashback':
                 return 'Cashback kazandınız';
+            case 'cashback_reversal':
+                return 'Cashback iadesi';
+            case 'adjustment':
+                return 'Bakiye düzeltmesi';
+            case 'exchange_out':
+                return tx.meta?.fx ? `${tx.meta.fx.to_currency} alımı için döviz çevirme` : 'Döviz çevirme';
+            case 'exchange_in':
+                return tx.meta?.fx ? `${tx.meta.fx.from_currency} karşılığı döviz alımı` : 'Döviz alımı';
+            case 'withdrawal':
+                return tx.meta?.iban ? `Banka hesabına para çekme (${tx.meta.iban})` : 'Banka hesabına para çekme';
             default:
                 return 'İşlem';
         }
     }
 
     /**
-     * Get QR code information by ID
-     * @param {string} qrId - QR code ID
-     * @returns {Object|null} QR code information
+     * Describe a top-up by its funding method
+     * @param {Transaction} tx - Top-up transaction
+     * @returns {string} Transaction description
      */
-    getQRCodeById(qrId) {
-        // Mock QR code database
-        const qrCodes = {
-            'QR-M1-001': {
-                qr_id: 'QR-M1-001',
-                merchant_id: 'M1',
-                amount: 25.50,
-                currency: 'TRY',
-                description: 'Kahve ve Kek',
-                ts: new Date().toISOString()
-            },
-            'QR-M1-002': {
-                qr_id: 'QR-M1-002',
-                merchant_id: 'M1',
-                amount: 12.75,
-                currency: 'TRY',
-                description: 'Türk Kahvesi',
-                ts: new Date().toISOString()
-            },
-            'QR-M2-001': {
-                qr_id: 'QR-M2-001',
-                merchant_id: 'M2',
-                amount: 45.00,
-                currency: 'TRY',
-                description: 'Market Alışverişi',
-                ts: new Date().toISOString()
-            },
-            'QR-M2-002': {
-                qr_id: 'QR-M2-002',
-                merchant_id: 'M2',
-                amount: 32.50,
-                currency: 'TRY',
-                description: 'Atıştırmalık',
-                ts: new Date().toISOString()
-            },
-            'QR-12345': {
-                qr_id: 'QR-12345',
-                merchant_id: 'M1',
-                amount: 120.00,
-                currency: 'TRY',
-                description: 'Özel Sipariş',
-                ts: '2025-11-10T19:30:00Z'
-            }
+    getTopUpDescription(tx) {
+        switch (tx.meta?.method) {
+            case 'card':
+                return tx.meta.card_last4 ? `Kartla bakiye yükleme (•••• ${tx.meta.card_last4})` : 'Kartla bakiye yükleme';
+            case 'bank_transfer':
+                return 'Havale/EFT ile bakiye yükleme';
+            case 'cash_in':
+                return 'Nakit bakiye yükleme';
+            default:
+                return 'Bakiye yükleme';
+        }
+    }
+
+    /**
+     * Format a wallet for API responses
+     * @param {Wallet} wallet - Wallet
+     * @returns {Object} Wallet balances in major units
+     */
+    formatWallet(wallet) {
+        return {
+            balance: wallet.balance.toMajor(),
+            heldAmount: wallet.heldAmount.toMajor(),
+            availableBalance: wallet.availableBalance.toMajor(),
+            currency: wallet.currency,
+            formattedBalance: wallet.getFormattedBalance(),
+            formattedAvailableBalance: wallet.getFormattedAvailableBalance(),
+            updatedAt: wallet.updatedAt
         };
+    }
+
+    /**
+     * Check that a wallet currency is supported
+     * Only TRY is supported without an exchange service
+     * @param {string} currency - Currency code
+     * @returns {Object|null} Failure result, or null if supported
+     */
+    checkCurrency(currency) {
+        const currencies = this.exchangeService ? this.exchangeService.currencies : ['TRY'];
+
+        if (!currencies.includes(currency)) {
+            return {
+                success: false,
+                message: `Desteklenen para birimleri: ${currencies.join(', ')}`
+            };
+        }
+
+        return null;
+    }
 
-        return qrCodes[qrId] || null;
+    /**
+     * Check a transaction against the user's limits
+     * Transactions are not limited without a limit service
+     * @param {string} userId - User ID
+     * @param {string} type - 'transfer_out', 'payment' or 'topup'
+     * @param {Money} amount - Transaction amount
+     * @returns {Promise<Object>} Failure result, or {success: true, operations}
+     *   counting the transaction in the limits, committed with it
+     */
+    async reserveLimit(userId, type, amount) {
+        return this.limitService
+            ? this.limitService.reserveLimit(userId, type, amount)
+            : { success: true, operations: [] };
     }
 
     /**
      * Process payment with QR code
+     * The code is verified against its stored signature; merchant and amount
+     * come from the stored code, except for static codes where the payer
+     * enters the amount. Single-use codes are consumed with the payment
      * @param {string} userId - User ID
-     * @param {string|Object} qrData - QR code data (JSON string or object)
+     * @param {string|Object} qrData - Scanned QR payload (EMV string, JSON string or object)
+     * @param {number|null} amount - Amount entered by the payer, static codes only
      * @returns {Promise<Object>} Payment result
      */
-    async processQRPayment(userId, qrData) {
+    async processQRPayment(userId, qrData, amount = null) {
         try {
-            // Parse QR data if it's a string
-            let qrInfo;
-            if (typeof qrData === 'string') {
-                try {
-                    qrInfo = JSON.parse(qrData);
-                } catch (e) {
-                    return {
-                        success: false,
-                        message: 'Geçersiz QR kod formatı'
-                    };
-                }
-            } else {
-                qrInfo = qrData;
-            }
-
-            // Validate QR data
-            if (!qrInfo.qr_id || !qrInfo.merchant_id || !qrInfo.amount) {
-                return {
-                    success: false,
-                    message: 'QR kod verisi eksik veya hatalı'
-                };
+            const resolved = await this.qrCodeService.resolveForPayment(qrData, amount);
+            if (!resolved.success) {
+                return resolved;
             }
 
-            // Check if amount is valid
-            const amount = parseFloat(qrInfo.amount);
-            if (isNaN(amount) || amount <= 0) {
-                return {
-                    success: false,
-                    message: 'Geçersiz tutar'
-                };
-            }
+            const { qrCode, amount: payAmount } = resolved.data;
 
-            // Check if QR code is expired (if timestamp provided)
-            if (qrInfo.ts) {
-                const qrTimestamp = new Date(qrInfo.ts);
-                const now = new Date();
-                const hoursDiff = (now - qrTimestamp) / (1000 * 60 * 60);
-
-                // QR codes expire after 24 hours
-                if (hoursDiff > 24) {
-                    return {
-                        success: false,
-                        message: 'QR kod süresi dolmuş'
-                    };
-                }
-            }
-
-            // Process payment
-            const result = await this.processPayment(
-                userId,
-                qrInfo.merchant_id,
-                amount
-            );
+            const result = await this.processPayment(userId, qrCode.merchantId, payAmount, {
+                meta: { payment_method: 'qr', qr_id: qrCode.qrId },
+                operations: this.qrCodeService.paymentOperations(qrCode)
+            });
 
             if (result.success) {
                 return {
                     success: true,
-                    message: `QR kod ile ${amount.toFixed(2)} TL ödeme başarılı`,
+                    message: `QR kod ile ${result.data.amount.toFixed(2)} TL ödeme başarılı`,
                     data: {
                         ...result.data,
-                        qrId: qrInfo.qr_id,
-                        merchantId: qrInfo.merchant_id
+                        qrId: qrCode.qrId,
+                        merchantId: qrCode.merchantId
                     }
                 };
             }
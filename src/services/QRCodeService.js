@@ -0,0 +1,558 @@
+/**
+ * QR Code Service
+ * Issues signed payment QR codes for merchants and verifies them at payment time
+ * Follows Single Responsibility Principle
+ */
+
+const crypto = require('crypto');
+const qrImage = require('qrcode');
+const QRCode = require('../domain/QRCode');
+const EmvQrPayload = require('../domain/EmvQrPayload');
+const Money = require('../domain/Money');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_DYNAMIC_TTL = 15 * 60; // 15 minutes (seconds)
+const MAX_TTL = 30 * 24 * 60 * 60; // 30 days (seconds)
+// Codes are persisted, so the key must survive restarts; production requires QR_SIGNING_SECRET
+const DEVELOPMENT_SECRET = 'development-only-qr-signing-secret';
+const DEFAULT_MERCHANT_CITY = 'ISTANBUL';
+
+class QRCodeService {
+    /**
+     * @param {QRCodeRepository} qrCodeRepository - QR code repository
+     * @param {MerchantService} merchantService - Checks merchants before issuing codes
+     * @param {Object} options - Options
+     * @param {string} options.secret - HMAC signing secret
+     * @param {string} options.merchantCity - City printed into EMV payloads
+     */
+    constructor(qrCodeRepository, merchantService = null, options = {}) {
+        this.qrCodeRepository = qrCodeRepository;
+        this.merchantService = merchantService;
+        this.secret = options.secret || process.env.QR_SIGNING_SECRET;
+        this.merchantCity = options.merchantCity || process.env.QR_MERCHANT_CITY || DEFAULT_MERCHANT_CITY;
+
+        if (!this.secret) {
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('QR_SIGNING_SECRET must be set in production');
+            }
+            this.secret = DEVELOPMENT_SECRET;
+        }
+    }
+
+    /**
+     * Issue a QR code for a merchant
+     * @param {string} merchantId - Merchant ID
+     * @param {Object} options - {type, amount?, description?, singleUse?, expiresIn? (seconds)}
+     * @returns {Promise<Object>} Created QR code with its signed payload
+     */
+    async createQRCode(merchantId, { type = 'dynamic', amount = null, description = '', singleUse, expiresIn } = {}) {
+        try {
+            if (this.merchantService) {
+                const merchant = await this.merchantService.checkPayable(merchantId);
+                if (!merchant.success) {
+                    return merchant;
+                }
+            }
+
+            if (type !== 'static' && type !== 'dynamic') {
+                return {
+                    success: false,
+                    message: 'QR tipi static veya dynamic olmalıdır'
+                };
+            }
+
+            let money = null;
+            if (type === 'dynamic') {
+                money = Number.isFinite(amount) ? Money.fromMajor(amount) : null;
+                if (!money || !money.isPositive()) {
+                    return {
+                        success: false,
+                        message: 'Dinamik QR için geçerli bir tutar giriniz'
+                    };
+                }
+            } else if (amount !== null && amount !== undefined) {
+                return {
+                    success: false,
+                    message: 'Statik QR tutar içeremez; tutarı ödeyen girer'
+                };
+            }
+
+            const ttl = expiresIn !== undefined && expiresIn !== null
+                ? expiresIn
+                : (type === 'dynamic' ? DEFAULT_DYNAMIC_TTL : null);
+            if (ttl !== null && (!Number.isInteger(ttl) || ttl <= 0 || ttl > MAX_TTL)) {
+                return {
+                    success: false,
+                    message: `Geçerlilik süresi 1 ile ${MAX_TTL} saniye arasında olmalıdır`
+                };
+            }
+
+            if (typeof description !== 'string' || description.length > 140) {
+                return {
+                    success: false,
+                    message: 'Açıklama en fazla 140 karakter olabilir'
+                };
+            }
+
+            // Dynamic codes are single-use unless stated otherwise, static codes are reusable
+            const isSingleUse = singleUse !== undefined ? Boolean(singleUse) : type === 'dynamic';
+            const qrCode = this.signCode(new QRCode(
+                `QR_${uuidv4().substring(0, 8)}`,
+                merchantId,
+                type,
+                money,
+                description,
+                isSingleUse,
+                ttl !== null ? new Date(Date.now() + ttl * 1000) : null
+            ));
+
+            await this.qrCodeRepository.create(qrCode);
+
+            return {
+                success: true,
+                message: 'QR kod oluşturuldu',
+                data: this.formatQRCode(qrCode, await this.findMerchant(merchantId))
+            };
+
+        } catch (error) {
+            console.error('Create QR code error:', error);
+            return {
+                success: false,
+                message: 'QR kod oluşturulamadı'
+            };
+        }
+    }
+
+    /**
+     * List the QR codes of a merchant
+     * @param {string} merchantId - Merchant ID
+     * @param {string|null} status - Only codes with this status
+     * @returns {Promise<Object>} QR code list
+     */
+    async listQRCodes(merchantId, status = null) {
+        try {
+            const qrCodes = await this.qrCodeRepository.findByMerchantId(merchantId, status);
+            const merchant = await this.findMerchant(merchantId);
+
+            return {
+                success: true,
+                data: {
+                    qrCodes: qrCodes.map(qrCode => this.formatQRCode(qrCode, merchant))
+                }
+            };
+
+        } catch (error) {
+            console.error('List QR codes error:', error);
+            return {
+                success: false,
+                message: 'QR kodlar alınamadı'
+            };
+        }
+    }
+
+    /**
+     * List the QR codes of a merchant that can still be paid
+     * @param {string} merchantId - Merchant ID
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} QR code list
+     */
+    async listOpenQRCodes(merchantId, now = new Date()) {
+        try {
+            const qrCodes = await this.qrCodeRepository.findByMerchantId(merchantId, 'active');
+            const merchant = await this.findMerchant(merchantId);
+
+            return {
+                success: true,
+                data: {
+                    qrCodes: qrCodes
+                        .filter(qrCode => qrCode.isPayable(now))
+                        .map(qrCode => this.formatQRCode(qrCode, merchant))
+                }
+            };
+
+        } catch (error) {
+            console.error('List open QR codes error:', error);
+            return {
+                success: false,
+                message: 'QR kodlar alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Revoke an active QR code of a merchant
+     * @param {string} merchantId - Merchant ID
+     * @param {string} qrId - QR ID
+     * @returns {Promise<Object>} Revoke result
+     */
+    async revokeQRCode(merchantId, qrId) {
+        try {
+            const qrCode = await this.qrCodeRepository.findById(qrId);
+            if (!qrCode || qrCode.merchantId !== merchantId) {
+                return {
+                    success: false,
+                    message: 'QR kod bulunamadı'
+                };
+            }
+
+            const result = await this.qrCodeRepository.revoke(qrId);
+            if (result.changes === 0) {
+                return {
+                    success: false,
+                    message: 'QR kod zaten kullanılmış veya iptal edilmiş'
+                };
+            }
+
+            return {
+                success: true,
+                message: 'QR kod iptal edildi'
+            };
+
+        } catch (error) {
+            console.error('Revoke QR code error:', error);
+            return {
+                success: false,
+                message: 'QR kod iptal edilemedi'
+            };
+        }
+    }
+
+    /**
+     * Get the signed payload of a payable QR code
+     * @param {string} qrId - QR ID
+     * @returns {Promise<Object>} QR payload with its EMV encoding in `emv`
+     */
+    async getQRInfo(qrId) {
+        try {
+            const qrCode = await this.qrCodeRepository.findById(qrId);
+            const unusable = this.checkUsable(qrCode);
+            if (unusable) {
+                return unusable;
+            }
+
+            return {
+                success: true,
+                data: {
+                    ...qrCode.toPayload(),
+                    emv: this.encodeEmv(qrCode, await this.findMerchant(qrCode.merchantId))
+                }
+            };
+
+        } catch (error) {
+            console.error('Get QR info error:', error);
+            return {
+                success: false,
+                message: 'QR kod bilgisi alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the info of a scanned QR payload
+     * @param {string|Object} qrData - Scanned payload (EMV string, JSON string or object)
+     * @returns {Promise<Object>} QR payload, as for getQRInfo
+     */
+    async getScannedQRInfo(qrData) {
+        try {
+            const scanned = await this.resolveScanned(qrData);
+            if (!scanned.success) {
+                return scanned;
+            }
+
+            return this.getQRInfo(scanned.data.qrId);
+
+        } catch (error) {
+            console.error('Get scanned QR info error:', error);
+            return {
+                success: false,
+                message: 'QR kod bilgisi alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Render a payable QR code as an SVG image of its EMV payload
+     * @param {string} qrId - QR ID
+     * @returns {Promise<Object>} {success, data: {svg}}
+     */
+    async renderQRImage(qrId) {
+        try {
+            const info = await this.getQRInfo(qrId);
+            if (!info.success) {
+                return info;
+            }
+
+            const svg = await qrImage.toString(info.data.emv, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+
+            return {
+                success: true,
+                data: { svg }
+            };
+
+        } catch (error) {
+            console.error('Render QR image error:', error);
+            return {
+                success: false,
+                message: 'QR kod görseli oluşturulamadı'
+            };
+        }
+    }
+
+    /**
+     * Verify a scanned QR payload and work out what to charge
+     * Only the QR ID and signature are taken from the payload; merchant, amount
+     * and expiry come from the stored code
+     * @param {string|Object} qrData - Scanned payload (EMV string, JSON string or object)
+     * @param {number|null} amount - Amount entered by the payer, static codes only
+     * @returns {Promise<Object>} {success, data: {qrCode, amount}} or a failure result
+     */
+    async resolveForPayment(qrData, amount = null) {
+        const scanned = await this.resolveScanned(qrData);
+        if (!scanned.success) {
+            return scanned;
+        }
+
+        const { qrCode } = scanned.data;
+        const unusable = this.checkUsable(qrCode);
+        if (unusable) {
+            return unusable;
+        }
+
+        if (qrCode.type === 'dynamic') {
+            return {
+                success: true,
+                data: { qrCode, amount: qrCode.amount.toMajor() }
+            };
+        }
+
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return {
+                success: false,
+                message: 'Statik QR ile ödemede tutar giriniz'
+            };
+        }
+
+        return {
+            success: true,
+            data: { qrCode, amount }
+        };
+    }
+
+    /**
+     * Parse a scanned payload and check its signature against the stored code
+     * @param {string|Object} qrData - Scanned payload (EMV string, JSON string or object)
+     * @returns {Promise<Object>} {success, data: {qrId, qrCode}} or a failure result
+     */
+    async resolveScanned(qrData) {
+        const parsed = this.parsePayload(qrData);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        const { qrId, signature } = parsed.data;
+        const qrCode = await this.qrCodeRepository.findById(qrId);
+        if (!qrCode || !this.verifySignature(qrCode, signature)) {
+            return {
+                success: false,
+                message: 'QR kod doğrulanamadı'
+            };
+        }
+
+        return {
+            success: true,
+            data: { qrId, qrCode }
+        };
+    }
+
+    /**
+     * Read the QR ID and signature from a scanned payload in either format
+     * @param {string|Object} qrData - EMV TLV string, JSON string or object
+     * @returns {Object} {success, data: {qrId, signature}} or a failure result
+     */
+    parsePayload(qrData) {
+        if (EmvQrPayload.isEmv(qrData)) {
+            try {
+                const decoded = EmvQrPayload.decode(qrData);
+                return {
+                    success: true,
+                    data: { qrId: decoded.qrId, signature: decoded.signature }
+                };
+            } catch (error) {
+                return {
+                    success: false,
+                    message: error.code === 'QR_CRC_MISMATCH'
+                        ? 'QR kod sağlama toplamı (CRC) hatalı'
+                        : 'Geçersiz QR kod formatı'
+                };
+            }
+        }
+
+        let payload = qrData;
+        if (typeof qrData === 'string') {
+            try {
+                payload = JSON.parse(qrData);
+            } catch (error) {
+                return {
+                    success: false,
+                    message: 'Geçersiz QR kod formatı'
+                };
+            }
+        }
+
+        if (!payload || typeof payload.qr_id !== 'string' || typeof payload.sig !== 'string') {
+            return {
+                success: false,
+                message: 'QR kod verisi eksik veya hatalı'
+            };
+        }
+
+        return {
+            success: true,
+            data: { qrId: payload.qr_id, signature: payload.sig }
+        };
+    }
+
+    /**
+     * Encode a QR code as an EMV merchant-presented payload
+     * @param {QRCode} qrCode - Signed QR code
+     * @param {Object|null} merchant - Merchant data ({name, mcc}) from MerchantService
+     * @returns {string} EMV TLV payload
+     */
+    encodeEmv(qrCode, merchant) {
+        return EmvQrPayload.encode({
+            type: qrCode.type,
+            qrId: qrCode.qrId,
+            merchantId: qrCode.merchantId,
+            signature: qrCode.signature,
+            mcc: merchant && merchant.mcc ? merchant.mcc : '5999',
+            currency: qrCode.currency,
+            amount: qrCode.amount,
+            merchantName: merchant ? merchant.name : qrCode.merchantId,
+            merchantCity: this.merchantCity,
+            description: qrCode.description
+        });
+    }
+
+    /**
+     * Get the merchant data printed into EMV payloads
+     * @param {string} merchantId - Merchant ID
+     * @returns {Promise<Object|null>} Merchant data or null
+     */
+    async findMerchant(merchantId) {
+        if (!this.merchantService) {
+            return null;
+        }
+
+        const result = await this.merchantService.getMerchant(merchantId);
+        return result.success ? result.data : null;
+    }
+
+    /**
+     * Build the statements committed with a QR payment
+     * Single-use codes are consumed; reusable codes must still be active
+     * @param {QRCode} qrCode - Verified QR code
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    paymentOperations(qrCode) {
+        return [qrCode.singleUse
+            ? this.qrCodeRepository.consumeOperation(qrCode)
+            : this.qrCodeRepository.activeGuardOperation(qrCode)];
+    }
+
+    /**
+     * Sign a QR code
+     * @param {QRCode} qrCode - Unsigned QR code
+     * @returns {QRCode} The same code with its signature set
+     */
+    signCode(qrCode) {
+        qrCode.signature = this.computeSignature(qrCode);
+        return qrCode;
+    }
+
+    /**
+     * Check a presented signature against the stored code
+     * The stored signature is checked too, so edited rows fail verification
+     * @param {QRCode} qrCode - Stored QR code
+     * @param {string} presented - Signature from the scanned payload
+     * @returns {boolean} True if both signatures are valid
+     */
+    verifySignature(qrCode, presented) {
+        const expected = Buffer.from(this.computeSignature(qrCode));
+        const stored = Buffer.from(qrCode.signature || '');
+        const given = Buffer.from(presented);
+
+        return stored.length === expected.length && crypto.timingSafeEqual(stored, expected)
+            && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    /**
+     * Compute the HMAC-SHA256 signature of a QR code
+     * @param {QRCode} qrCode - QR code
+     * @returns {string} Base64url signature
+     */
+    computeSignature(qrCode) {
+        return crypto.createHmac('sha256', this.secret).update(qrCode.signingPayload()).digest('base64url');
+    }
+
+    /**
+     * Check that a code exists and can still be paid
+     * @param {QRCode|null} qrCode - QR code
+     * @returns {Object|null} Failure result or null when usable
+     */
+    checkUsable(qrCode) {
+        if (!qrCode) {
+            return {
+                success: false,
+                message: 'QR kod bulunamadı'
+            };
+        }
+
+        if (qrCode.status === 'consumed') {
+            return {
+                success: false,
+                message: 'Bu QR kod zaten kullanılmış'
+            };
+        }
+
+        if (qrCode.status === 'revoked') {
+            return {
+                success: false,
+                message: 'Bu QR kod iptal edilmiş'
+            };
+        }
+
+        if (qrCode.isExpired()) {
+            return {
+                success: false,
+                message: 'QR kod süresi dolmuş'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Format a QR code for API responses
+     * @param {QRCode} qrCode - QR code
+     * @param {Object|null} merchant - Merchant data for the EMV payload
+     * @returns {Object} QR code data with its signed payloads
+     */
+    formatQRCode(qrCode, merchant = null) {
+        return {
+            qrId: qrCode.qrId,
+            merchantId: qrCode.merchantId,
+            type: qrCode.type,
+            amount: qrCode.amount ? qrCode.amount.toMajor() : null,
+            description: qrCode.description,
+            singleUse: qrCode.singleUse,
+            status: qrCode.status,
+            expiresAt: qrCode.expiresAt,
+            createdAt: qrCode.createdAt,
+            consumedAt: qrCode.consumedAt,
+            payload: JSON.stringify(qrCode.toPayload()),
+            emvPayload: this.encodeEmv(qrCode, merchant)
+        };
+    }
+}
+
+module.exports = QRCodeService;
@@ -0,0 +1,201 @@
+/**
+ * Reconciliation Service
+ * Recomputes wallet balances from transaction history and the ledger,
+ * reports drift and optionally writes corrective adjustments
+ * Follows Single Responsibility Principle
+ */
+
+const Transaction = require('../domain/Transaction');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const { v4: uuidv4 } = require('uuid');
+
+class ReconciliationService {
+    constructor(walletRepository, transactionRepository, ledgerRepository) {
+        this.walletRepository = walletRepository;
+        this.transactionRepository = transactionRepository;
+        this.ledgerRepository = ledgerRepository;
+    }
+
+    /**
+     * Reconcile every wallet
+     * `wallets.balance` is treated as the source of truth: with `fix` enabled an
+     * `adjustment` transaction closes the gap to the transaction history and a
+     * journal entry against the reconciliation account closes the gap to the ledger
+     * @param {Object} options - Options
+     * @param {boolean} options.fix - Write corrective adjustments
+     * @returns {Promise<Object>} Drift report
+     */
+    async reconcile({ fix = false } = {}) {
+        try {
+            const wallets = await this.walletRepository.findAll();
+            const mismatches = [];
+
+            for (const wallet of wallets) {
+                const check = await this.checkWallet(wallet);
+
+                if (check.historyDrift.isZero() && check.ledgerDrift.isZero()) {
+                    continue;
+                }
+
+                const mismatch = {
+                    userId: wallet.userId,
+                    currency: wallet.currency,
+                    balance: check.balance.toMajor(),
+                    historyBalance: check.historyBalance.toMajor(),
+                    historyDrift: check.historyDrift.toMajor(),
+                    ledgerBalance: check.ledgerBalance.toMajor(),
+                    ledgerDrift: check.ledgerDrift.toMajor(),
+                    fixed: false
+                };
+
+                if (fix) {
+                    Object.assign(mismatch, await this.fixWallet(check));
+                }
+
+                mismatches.push(mismatch);
+            }
+
+            const unresolved = mismatches.filter(mismatch => !mismatch.fixed).length;
+
+            return {
+                success: true,
+                message: mismatches.length === 0
+                    ? 'Tüm cüzdanlar mutabık'
+                    : `${mismatches.length} cüzdanda fark bulundu`,
+                data: {
+                    checkedAt: new Date().toISOString(),
+                    walletCount: wallets.length,
+                    mismatchCount: mismatches.length,
+                    unresolvedCount: unresolved,
+                    mismatches
+                }
+            };
+
+        } catch (error) {
+            console.error('Reconciliation error:', error);
+            return {
+                success: false,
+                message: 'Mutabakat sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Recompute one wallet from its transactions and ledger postings
+     * The wallet is read first so that fixWallet can detect later activity
+     * @param {Wallet} wallet - Wallet to check
+     * @returns {Promise<Object>} Balances and drifts as Money
+     */
+    async checkWallet(wallet) {
+        const transactionCount = await this.transactionRepository.countByUserId(wallet.userId);
+        const transactions = await this.transactionRepository.findCompletedByUserId(wallet.userId);
+        const ledgerBalance = await this.ledgerRepository.getWalletBalance(wallet.userId, wallet.currency);
+
+        const historyBalance = this.calculateHistoryBalance(transactions, wallet.currency);
+
+        return {
+            userId: wallet.userId,
+            balance: wallet.balance,
+            transactionCount,
+            historyBalance,
+            historyDrift: wallet.balance.subtract(historyBalance),
+            ledgerBalance,
+            ledgerDrift: wallet.balance.subtract(ledgerBalance)
+        };
+    }
+
+    /**
+     * Sum a transaction history into a balance
+     * @param {Array<Transaction>} transactions - Completed transactions
+     * @param {string} currency - Wallet currency
+     * @returns {Money} Balance implied by the history
+     */
+    calculateHistoryBalance(transactions, currency) {
+        return transactions
+            .filter(tx => tx.currency === currency)
+            .reduce((balance, tx) => {
+                if (tx.increasesBalance()) {
+                    return balance.add(tx.amount);
+                }
+                if (tx.decreasesBalance()) {
+                    return balance.subtract(tx.amount);
+                }
+                return balance;
+            }, Money.zero(currency));
+    }
+
+    /**
+     * Write the adjustments for one wallet in a single database transaction
+     * Nothing is written if the wallet moved since it was checked
+     * @param {Object} check - Result of checkWallet
+     * @returns {Promise<Object>} {fixed, adjustmentTransactionId, adjustmentEntryId, skipReason}
+     */
+    async fixWallet(check) {
+        const operations = [
+            this.walletRepository.unchangedOperation(check.userId, check.balance, check.transactionCount)
+        ];
+        const result = { fixed: true, adjustmentTransactionId: null, adjustmentEntryId: null };
+
+        if (!check.historyDrift.isZero()) {
+            const txId = `TX_ADJ_${uuidv4().substring(0, 8)}`;
+            const direction = check.historyDrift.isPositive() ? 'credit' : 'debit';
+            const amount = check.historyDrift.abs();
+
+            const adjustment = new Transaction(
+                txId,
+                check.userId,
+                amount,
+                amount.currency,
+                'adjustment',
+                'ok',
+                null,
+                {
+                    direction,
+                    reason: 'reconciliation',
+                    description: 'Mutabakat düzeltmesi'
+                }
+            );
+
+            operations.push(this.transactionRepository.insertOperation(adjustment));
+            result.adjustmentTransactionId = txId;
+        }
+
+        if (!check.ledgerDrift.isZero()) {
+            const entryId = `JE_${uuidv4().substring(0, 8)}`;
+            const walletAccount = LedgerAccount.wallet(check.userId, check.ledgerDrift.currency);
+            const reconciliationAccount = LedgerAccount.reconciliation(check.ledgerDrift.currency);
+            // A wallet holding more than its postings is credited, one holding less is debited
+            const [debitAccount, creditAccount] = check.ledgerDrift.isPositive()
+                ? [reconciliationAccount, walletAccount]
+                : [walletAccount, reconciliationAccount];
+            const entry = JournalEntry.transfer(
+                entryId,
+                debitAccount,
+                creditAccount,
+                check.ledgerDrift.abs(),
+                'Mutabakat düzeltmesi'
+            );
+
+            operations.push(...this.ledgerRepository.entryOperations(entry));
+            result.adjustmentEntryId = entryId;
+        }
+
+        try {
+            await this.walletRepository.transaction(operations);
+            return result;
+
+        } catch (error) {
+            if (error.code === 'WALLET_CHANGED') {
+                return {
+                    fixed: false,
+                    skipReason: 'Cüzdanda kontrol sırasında işlem yapıldı, tekrar çalıştırın'
+                };
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,368 @@
+/**
+ * Refund Service
+ * Handles full and partial refunds of merchant payments
+ * Follows Single Responsibility Principle
+ */
+
+const Transaction = require('../domain/Transaction');
+const BillSplit = require('../domain/BillSplit');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const { v4: uuidv4 } = require('uuid');
+
+class RefundService {
+    constructor(walletRepository, transactionRepository, billSplitRepository, ledgerRepository) {
+        this.walletRepository = walletRepository;
+        this.transactionRepository = transactionRepository;
+        this.billSplitRepository = billSplitRepository;
+        this.ledgerRepository = ledgerRepository;
+    }
+
+    /**
+     * Refund a payment fully or partially
+     * The refund, the cashback clawback and the bill split adjustments are
+     * committed together. Refunds of one payment never add up to more than it
+     * @param {string} paymentTxId - Payment transaction ID
+     * @param {number|null} amount - Amount to refund, the remaining amount if omitted
+     * @param {string} reason - Optional refund reason
+     * @returns {Promise<Object>} Refund result
+     */
+    async refundPayment(paymentTxId, amount = null, reason = '') {
+        try {
+            if (!paymentTxId) {
+                return {
+                    success: false,
+                    message: 'Ödeme işlem ID\'si gereklidir'
+                };
+            }
+
+            const payment = await this.transactionRepository.findById(paymentTxId);
+
+            if (!payment || !payment.isPayment()) {
+                return {
+                    success: false,
+                    message: 'Ödeme bulunamadı'
+                };
+            }
+
+            if (payment.status !== 'ok') {
+                return {
+                    success: false,
+                    message: 'Yalnızca tamamlanmış ödemeler iade edilebilir'
+                };
+            }
+
+            const refunds = await this.transactionRepository.findByOriginalTxId(paymentTxId, 'refund');
+            const refundedTotal = Money.sum(refunds.map(tx => tx.amount), payment.currency);
+            const remaining = payment.amount.subtract(refundedTotal);
+
+            if (remaining.isZero()) {
+                return {
+                    success: false,
+                    message: 'Bu ödeme zaten tamamen iade edilmiş'
+                };
+            }
+
+            let money = remaining;
+            if (amount !== null && amount !== undefined) {
+                money = Number.isFinite(amount) ? Money.fromMajor(amount, payment.currency) : null;
+                if (!money || !money.isPositive()) {
+                    return {
+                        success: false,
+                        message: 'Geçerli bir tutar giriniz'
+                    };
+                }
+            }
+
+            if (money.greaterThan(remaining)) {
+                return {
+                    success: false,
+                    message: `İade tutarı iade edilebilir tutarı (${remaining.format()}) aşamaz`
+                };
+            }
+
+            const refundedAfter = refundedTotal.add(money);
+            const refundTxId = `TX_REF_${uuidv4().substring(0, 8)}`;
+            const refundTx = new Transaction(
+                refundTxId,
+                payment.userId,
+                money,
+                money.currency,
+                'refund',
+                'ok',
+                payment.merchantId,
+                {
+                    original_tx_id: paymentTxId,
+                    ...(reason && { reason: String(reason) })
+                }
+            );
+
+            const splits = await this.prepareSplitAdjustments(payment, payment.amount.subtract(refundedAfter), refundTxId);
+            const cashback = await this.prepareCashbackReversals(payment, refundedAfter, refundTxId);
+
+            const operations = [
+                // Fails if another refund of this payment committed since it was read
+                this.transactionRepository.refundGuardOperation(payment, refundedTotal, money),
+                this.walletRepository.creditOperation(payment.userId, money),
+                this.transactionRepository.insertOperation(refundTx),
+                ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    LedgerAccount.merchant(payment.merchantId, money.currency),
+                    LedgerAccount.wallet(payment.userId, money.currency),
+                    money,
+                    'İade',
+                    refundTxId
+                )),
+                // Pass the debtors' part of the refund on, then take cashback back
+                ...splits.operations,
+                ...cashback.operations
+            ];
+
+            await this.walletRepository.transaction(operations);
+
+            const remainingAfter = payment.amount.subtract(refundedAfter);
+
+            return {
+                success: true,
+                message: remainingAfter.isZero() ? 'Ödeme tamamen iade edildi' : 'Kısmi iade yapıldı',
+                data: {
+                    refundTransactionId: refundTxId,
+                    paymentTransactionId: paymentTxId,
+                    amount: money.toMajor(),
+                    refundedTotal: refundedAfter.toMajor(),
+                    remainingRefundable: remainingAfter.toMajor(),
+                    cashbackReversed: cashback.total.toMajor(),
+                    splitAdjustments: splits.adjustments
+                }
+            };
+
+        } catch (error) {
+            if (error.code === 'REFUND_CONFLICT' || error.code === 'SPLIT_CHANGED') {
+                return {
+                    success: false,
+                    message: 'Ödeme üzerinde eş zamanlı bir işlem yapıldı, lütfen tekrar deneyin'
+                };
+            }
+
+            if (error.code === 'INSUFFICIENT_FUNDS') {
+                return {
+                    success: false,
+                    message: 'Kazanılan cashback geri alınamadı: yetersiz bakiye'
+                };
+            }
+
+            console.error('Refund error:', error);
+            return {
+                success: false,
+                message: 'İade sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Build the statements that scale the bill splits of a payment to its net amount
+     * Pending shares shrink (or are cancelled once nothing is owed). Debtors who
+     * already settled get the difference back from the payer
+     * @param {Transaction} payment - Refunded payment
+     * @param {Money} netTotal - Payment amount minus all refunds including this one
+     * @param {string} refundTxId - Refund transaction ID
+     * @returns {Promise<Object>} {operations, adjustments}
+     */
+    async prepareSplitAdjustments(payment, netTotal, refundTxId) {
+        const splits = (await this.billSplitRepository.findByTransactionId(payment.txId))
+            .filter(split => !split.isCancelled());
+        const newShares = BillSplit.rescaleShares(splits, netTotal);
+
+        const operations = [];
+        const adjustments = [];
+
+        splits.forEach((split, index) => {
+            const newShare = newShares[index];
+            const returned = split.isSettled() ? split.shareAmount.subtract(newShare) : Money.zero(newShare.currency);
+
+            operations.push(newShare.isZero()
+                ? this.billSplitRepository.cancelOperation(split)
+                : this.billSplitRepository.rescaleOperation(split, netTotal, newShare));
+
+            if (returned.isPositive()) {
+                operations.push(...this.splitReturnOperations(split, returned, refundTxId));
+            }
+
+            adjustments.push({
+                splitId: split.splitId,
+                debtorUserId: split.debtorUserId,
+                previousShare: split.shareAmount.toMajor(),
+                newShare: newShare.toMajor(),
+                status: newShare.isZero() ? 'cancelled' : split.status,
+                returnedToDebtor: returned.toMajor()
+            });
+        });
+
+        return { operations, adjustments };
+    }
+
+    /**
+     * Build the statements that return part of a settled share to the debtor
+     * @param {BillSplit} split - Settled split
+     * @param {Money} amount - Amount to return
+     * @param {string} refundTxId - Refund transaction ID
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    splitReturnOperations(split, amount, refundTxId) {
+        const outTxId = `TX_SPLIT_${uuidv4().substring(0, 8)}`;
+        const inTxId = `TX_SPLIT_${uuidv4().substring(0, 8)}`;
+
+        const outTransaction = new Transaction(
+            outTxId,
+            split.payerUserId,
+            amount,
+            amount.currency,
+            'transfer_out',
+            'ok',
+            null,
+            { to_user: split.debtorUserId, related_tx: inTxId, refund_tx_id: refundTxId, split_id: split.splitId, type: 'split_refund' }
+        );
+
+        const inTransaction = new Transaction(
+            inTxId,
+            split.debtorUserId,
+            amount,
+            amount.currency,
+            'transfer_in',
+            'ok',
+            null,
+            { from_user: split.payerUserId, related_tx: outTxId, refund_tx_id: refundTxId, split_id: split.splitId, type: 'split_refund' }
+        );
+
+        return [
+            this.walletRepository.debitOperation(split.payerUserId, amount),
+            this.walletRepository.creditOperation(split.debtorUserId, amount),
+            this.transactionRepository.insertOperation(outTransaction),
+            this.transactionRepository.insertOperation(inTransaction),
+            ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                `JE_${uuidv4().substring(0, 8)}`,
+                LedgerAccount.wallet(split.payerUserId, amount.currency),
+                LedgerAccount.wallet(split.debtorUserId, amount.currency),
+                amount,
+                'Fatura bölme iadesi',
+                outTxId
+            ))
+        ];
+    }
+
+    /**
+     * Build the statements that take back cashback earned with a payment
+     * Each cashback is reversed in proportion to the refunded part of the payment,
+     * so a full refund reverses all of it
+     * @param {Transaction} payment - Refunded payment
+     * @param {Money} refundedAfter - Total refunded including this refund
+     * @param {string} refundTxId - Refund transaction ID
+     * @returns {Promise<Object>} {operations, total}
+     */
+    async prepareCashbackReversals(payment, refundedAfter, refundTxId) {
+        const [cashbacks, reversals] = await Promise.all([
+            this.transactionRepository.findByOriginalTxId(payment.txId, 'cashback'),
+            this.transactionRepository.findByOriginalTxId(payment.txId, 'cashback_reversal')
+        ]);
+
+        const operations = [];
+        let total = Money.zero(payment.currency);
+
+        for (const cashback of cashbacks) {
+            const due = cashback.amount.multiply(refundedAfter.minor / payment.amount.minor);
+            const reversed = Money.sum(
+                reversals
+                    .filter(reversal => reversal.meta.cashback_tx_id === cashback.txId)
+                    .map(reversal => reversal.amount),
+                cashback.currency
+            );
+            const amount = due.subtract(reversed);
+
+            if (!amount.isPositive()) {
+                continue;
+            }
+
+            const reversalTxId = `TX_CBR_${uuidv4().substring(0, 8)}`;
+            const reversalTx = new Transaction(
+                reversalTxId,
+                cashback.userId,
+                amount,
+                amount.currency,
+                'cashback_reversal',
+                'ok',
+                cashback.merchantId,
+                {
+                    original_tx_id: payment.txId,
+                    cashback_tx_id: cashback.txId,
+                    refund_tx_id: refundTxId,
+                    description: 'İade edilen ödemenin cashback\'i geri alındı'
+                }
+            );
+
+            operations.push(
+                this.walletRepository.debitOperation(cashback.userId, amount),
+                this.transactionRepository.insertOperation(reversalTx),
+                ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    LedgerAccount.wallet(cashback.userId, amount.currency),
+                    LedgerAccount.cashbackExpense(amount.currency),
+                    amount,
+                    'Cashback iadesi',
+                    reversalTxId
+                ))
+            );
+            total = total.add(amount);
+        }
+
+        return { operations, total };
+    }
+
+    /**
+     * Get the refunds of a payment
+     * @param {string} paymentTxId - Payment transaction ID
+     * @returns {Promise<Object>} Refund summary
+     */
+    async getRefunds(paymentTxId) {
+        try {
+            const payment = await this.transactionRepository.findById(paymentTxId);
+
+            if (!payment || !payment.isPayment()) {
+                return {
+                    success: false,
+                    message: 'Ödeme bulunamadı'
+                };
+            }
+
+            const refunds = await this.transactionRepository.findByOriginalTxId(paymentTxId, 'refund');
+            const refundedTotal = Money.sum(refunds.map(tx => tx.amount), payment.currency);
+
+            return {
+                success: true,
+                data: {
+                    paymentTransactionId: paymentTxId,
+                    userId: payment.userId,
+                    merchantId: payment.merchantId,
+                    amount: payment.amount.toMajor(),
+                    refundedTotal: refundedTotal.toMajor(),
+                    remainingRefundable: payment.amount.subtract(refundedTotal).toMajor(),
+                    refunds: refunds.map(tx => ({
+                        transactionId: tx.txId,
+                        amount: tx.amount.toMajor(),
+                        reason: tx.meta.reason || null,
+                        createdAt: tx.createdAt
+                    }))
+                }
+            };
+
+        } catch (error) {
+            console.error('Get refunds error:', error);
+            return {
+                success: false,
+                message: 'İade bilgisi alınamadı'
+            };
+        }
+    }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,271 @@
+/**
+ * Registration Service
+ * Handles user self-registration and phone verification
+ * Follows Single Responsibility Principle
+ */
+
+const crypto = require('crypto');
+const User = require('../domain/User');
+const Wallet = require('../domain/Wallet');
+const Money = require('../domain/Money');
+const { v4: uuidv4 } = require('uuid');
+
+const CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const RESEND_INTERVAL_MS = 60 * 1000; // 1 minute
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+class RegistrationService {
+    constructor(userRepository, phoneVerificationRepository, authService, smsSender) {
+        this.userRepository = userRepository;
+        this.phoneVerificationRepository = phoneVerificationRepository;
+        this.authService = authService;
+        this.smsSender = smsSender;
+    }
+
+    /**
+     * Register a new user with an empty wallet and send a verification code
+     * @param {string} name - User name
+     * @param {string} phone - Phone number (+90XXXXXXXXXX)
+     * @param {string} pin - Login PIN
+     * @returns {Promise<Object>} Registration result
+     */
+    async register(name, phone, pin) {
+        try {
+            const userId = `U_${uuidv4().substring(0, 8)}`;
+            const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+            if (!trimmedName) {
+                return {
+                    success: false,
+                    message: 'Ad soyad gereklidir'
+                };
+            }
+
+            // The domain model validates the phone number (isValidPhone)
+            let user;
+            try {
+                user = new User(userId, trimmedName, phone);
+            } catch (validationError) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir telefon numarası giriniz (+90XXXXXXXXXX)'
+                };
+            }
+
+            if (!this.authService.isValidPin(pin)) {
+                return {
+                    success: false,
+                    message: 'PIN 4-6 haneli rakamlardan oluşmalıdır'
+                };
+            }
+
+            const existing = await this.userRepository.findByPhone(phone);
+            if (existing) {
+                return {
+                    success: false,
+                    message: 'Bu telefon numarası ile kayıtlı bir kullanıcı var'
+                };
+            }
+
+            const wallet = new Wallet(userId, Money.zero());
+            const { hash, salt } = await this.authService.hashPin(pin);
+            const code = this.generateCode();
+            const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+
+            const userData = user.toObject();
+            const walletData = wallet.toObject();
+
+            // User, wallet, credential and pending verification are created together
+            const operations = [
+                {
+                    sql: 'INSERT INTO users (user_id, name, phone, created_at) VALUES (?, ?, ?, ?)',
+                    params: [userData.user_id, userData.name, userData.phone, userData.created_at]
+                },
+                {
+                    sql: 'INSERT INTO wallets (user_id, balance, currency, updated_at) VALUES (?, ?, ?, ?)',
+                    params: [walletData.user_id, walletData.balance, walletData.currency, walletData.updated_at]
+                },
+                {
+                    sql: 'INSERT INTO user_credentials (user_id, pin_hash, pin_salt, updated_at) VALUES (?, ?, ?, ?)',
+                    params: [userId, hash, salt, new Date().toISOString()]
+                },
+                {
+                    sql: `INSERT INTO phone_verifications (user_id, code_hash, expires_at, attempts, sent_at)
+                          VALUES (?, ?, ?, 0, ?)`,
+                    params: [userId, this.hashCode(userId, code), expiresAt.toISOString(), new Date().toISOString()]
+                }
+            ];
+
+            await this.userRepository.transaction(operations);
+            await this.sendCode(phone, code);
+
+            return {
+                success: true,
+                message: 'Kayıt oluşturuldu. Telefonunuza gönderilen doğrulama kodunu giriniz',
+                data: {
+                    userId,
+                    phone,
+                    verificationRequired: true,
+                    codeExpiresAt: expiresAt.toISOString()
+                }
+            };
+
+        } catch (error) {
+            console.error('Registration error:', error);
+            return {
+                success: false,
+                message: 'Kayıt sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Verify the phone number with the one-time code
+     * @param {string} userId - User ID
+     * @param {string} code - Verification code
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyPhone(userId, code) {
+        try {
+            const verification = await this.phoneVerificationRepository.findByUserId(userId);
+
+            if (!verification) {
+                return {
+                    success: false,
+                    message: 'Doğrulama kaydı bulunamadı'
+                };
+            }
+
+            if (verification.verified_at) {
+                return {
+                    success: false,
+                    message: 'Telefon numarası zaten doğrulanmış'
+                };
+            }
+
+            if (verification.attempts >= MAX_VERIFICATION_ATTEMPTS) {
+                return {
+                    success: false,
+                    message: 'Çok fazla hatalı deneme. Lütfen yeni kod isteyin'
+                };
+            }
+
+            if (new Date(verification.expires_at) < new Date()) {
+                return {
+                    success: false,
+                    message: 'Doğrulama kodunun süresi dolmuş. Lütfen yeni kod isteyin'
+                };
+            }
+
+            const expected = Buffer.from(verification.code_hash, 'hex');
+            const actual = Buffer.from(this.hashCode(userId, String(code)), 'hex');
+
+            if (!crypto.timingSafeEqual(expected, actual)) {
+                await this.phoneVerificationRepository.incrementAttempts(userId);
+                return {
+                    success: false,
+                    message: 'Doğrulama kodu hatalı'
+                };
+            }
+
+            await this.phoneVerificationRepository.markVerified(userId);
+
+            return {
+                success: true,
+                message: 'Telefon numarası doğrulandı. Giriş yapabilirsiniz'
+            };
+
+        } catch (error) {
+            console.error('Phone verification error:', error);
+            return {
+                success: false,
+                message: 'Doğrulama sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Send a new verification code
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Resend result
+     */
+    async resendCode(userId) {
+        try {
+            const [verification, user] = await Promise.all([
+                this.phoneVerificationRepository.findByUserId(userId),
+                this.userRepository.findById(userId)
+            ]);
+
+            if (!verification || !user) {
+                return {
+                    success: false,
+                    message: 'Doğrulama kaydı bulunamadı'
+                };
+            }
+
+            if (verification.verified_at) {
+                return {
+                    success: false,
+                    message: 'Telefon numarası zaten doğrulanmış'
+                };
+            }
+
+            if (Date.now() - new Date(verification.sent_at).getTime() < RESEND_INTERVAL_MS) {
+                return {
+                    success: false,
+                    message: 'Yeni kod istemeden önce lütfen bir dakika bekleyin'
+                };
+            }
+
+            const code = this.generateCode();
+            const expiresAt = new Date(Date.now() + CODE_TTL_MS);
+
+            await this.phoneVerificationRepository.updateCode(userId, this.hashCode(userId, code), expiresAt);
+            await this.sendCode(user.phone, code);
+
+            return {
+                success: true,
+                message: 'Yeni doğrulama kodu gönderildi',
+                data: {
+                    codeExpiresAt: expiresAt.toISOString()
+                }
+            };
+
+        } catch (error) {
+            console.error('Resend verification code error:', error);
+            return {
+                success: false,
+                message: 'Doğrulama kodu gönderilemedi'
+            };
+        }
+    }
+
+    /**
+     * Send verification code through the configured SMS sender
+     * @param {string} phone - Phone number
+     * @param {string} code - Verification code
+     */
+    async sendCode(phone, code) {
+        await this.smsSender.send(phone, `Dijital Ödeme doğrulama kodunuz: ${code}. Kod 10 dakika geçerlidir.`);
+    }
+
+    /**
+     * Generate a 6-digit one-time code
+     * @returns {string} Code
+     */
+    generateCode() {
+        return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    }
+
+    /**
+     * Hash a verification code bound to the user
+     * @param {string} userId - User ID
+     * @param {string} code - Verification code
+     * @returns {string} Hex hash
+     */
+    hashCode(userId, code) {
+        return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+    }
+}
+
+module.exports = RegistrationService;
@@ -0,0 +1,526 @@
+/**
+ * Scheduled Payment Service
+ * Standing orders: transfers and merchant payments that run once or repeat.
+ * Due occurrences are executed by the scheduled payments job; failed attempts
+ * are retried with backoff and occurrences missed while the server was down
+ * are caught up on the next sweep
+ * Follows Single Responsibility Principle
+ */
+
+const ScheduledPayment = require('../domain/ScheduledPayment');
+const Money = require('../domain/Money');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_DELAY = 5 * 60; // seconds, doubled after every failed attempt
+
+// Upper bound of executions per sweep, the next sweep continues from there
+const MAX_RUNS_PER_SWEEP = 500;
+
+class ScheduledPaymentService {
+    /**
+     * @param {ScheduledPaymentRepository} scheduledPaymentRepository - Scheduled payment repository
+     * @param {PaymentService} paymentService - Executes the transfers and payments
+     * @param {MerchantService} merchantService - Checks merchants of scheduled payments
+     * @param {UserRepository} userRepository - Checks receivers of scheduled transfers
+     * @param {LimitService} limitService - Checks amounts against the payer's limits
+     * @param {Object} options - Options
+     * @param {number} options.maxAttempts - Attempts of an occurrence before it is skipped
+     * @param {number} options.retryDelay - Seconds before the first retry
+     */
+    constructor(scheduledPaymentRepository, paymentService, merchantService, userRepository, limitService = null, options = {}) {
+        this.scheduledPaymentRepository = scheduledPaymentRepository;
+        this.paymentService = paymentService;
+        this.merchantService = merchantService;
+        this.userRepository = userRepository;
+        this.limitService = limitService;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.SCHEDULED_PAYMENT_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+        this.retryDelay = options.retryDelay || parseInt(process.env.SCHEDULED_PAYMENT_RETRY_DELAY) || DEFAULT_RETRY_DELAY;
+        this.running = false;
+    }
+
+    /**
+     * Create a scheduled payment
+     * @param {string} userId - Paying user ID
+     * @param {Object} fields - {type, toUserId, merchantId, amount (major units), currency,
+     *   frequency, startAt, endAt, description}; startAt defaults to now
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Creation result
+     */
+    async createSchedule(userId, fields, now = new Date()) {
+        try {
+            const { type, toUserId, merchantId, amount, currency = 'TRY', frequency, description = '' } = fields;
+
+            if (type !== 'transfer' && type !== 'payment') {
+                return {
+                    success: false,
+                    message: 'Talimat türü transfer veya payment olmalıdır'
+                };
+            }
+
+            if (!ScheduledPayment.FREQUENCIES.includes(frequency)) {
+                return {
+                    success: false,
+                    message: `Tekrar sıklığı şunlardan biri olmalıdır: ${ScheduledPayment.FREQUENCIES.join(', ')}`
+                };
+            }
+
+            const unsupported = this.paymentService.checkCurrency(currency);
+            if (unsupported) {
+                return unsupported;
+            }
+
+            const money = Number.isFinite(amount) ? Money.fromMajor(amount, currency) : null;
+            if (!money || !money.isPositive()) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir tutar giriniz'
+                };
+            }
+
+            const startAt = fields.startAt ? new Date(fields.startAt) : now;
+            const endAt = fields.endAt ? new Date(fields.endAt) : null;
+            if (isNaN(startAt) || (endAt && isNaN(endAt))) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir tarih giriniz'
+                };
+            }
+
+            // A minute of slack for clients sending "now"
+            if (startAt.getTime() < now.getTime() - 60 * 1000) {
+                return {
+                    success: false,
+                    message: 'Başlangıç zamanı geçmişte olamaz'
+                };
+            }
+
+            if (endAt && endAt < startAt) {
+                return {
+                    success: false,
+                    message: 'Bitiş zamanı başlangıçtan önce olamaz'
+                };
+            }
+
+            const invalidTarget = type === 'transfer'
+                ? await this.checkReceiver(userId, toUserId)
+                : await this.checkMerchant(merchantId, money);
+            if (invalidTarget) {
+                return invalidTarget;
+            }
+
+            // Daily and monthly usage are checked when an occurrence runs, but an
+            // amount above the caps could never run
+            const overLimit = this.limitService
+                ? await this.limitService.checkCaps(userId, type === 'transfer' ? 'transfer_out' : 'payment', money)
+                : null;
+            if (overLimit) {
+                return overLimit;
+            }
+
+            const schedule = new ScheduledPayment(
+                `SCH_${uuidv4().substring(0, 8)}`,
+                userId,
+                { type, toUserId: type === 'transfer' ? toUserId : null, merchantId: type === 'payment' ? merchantId : null },
+                money,
+                { frequency, startAt, endAt },
+                {},
+                typeof description === 'string' ? description.trim().substring(0, 140) : '',
+                now
+            );
+
+            await this.scheduledPaymentRepository.create(schedule);
+
+            return {
+                success: true,
+                message: 'Talimat oluşturuldu',
+                data: this.formatSchedule(schedule)
+            };
+
+        } catch (error) {
+            console.error('Create scheduled payment error:', error);
+            return {
+                success: false,
+                message: 'Talimat oluşturulurken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Get the scheduled payments of a user
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only schedules with this status
+     * @returns {Promise<Object>} Schedule list
+     */
+    async listSchedules(userId, status = null) {
+        try {
+            const schedules = await this.scheduledPaymentRepository.findByUserId(userId, status);
+
+            return {
+                success: true,
+                data: {
+                    schedules: schedules.map(schedule => this.formatSchedule(schedule)),
+                    count: schedules.length
+                }
+            };
+
+        } catch (error) {
+            console.error('List scheduled payments error:', error);
+            return {
+                success: false,
+                message: 'Talimatlar alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the attempts of a user's scheduled payment
+     * @param {string} userId - User ID
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Promise<Object>} Schedule with its runs, newest first
+     */
+    async getRuns(userId, scheduleId) {
+        try {
+            const schedule = await this.findOwned(userId, scheduleId);
+            if (!schedule) {
+                return {
+                    success: false,
+                    message: 'Talimat bulunamadı'
+                };
+            }
+
+            const runs = await this.scheduledPaymentRepository.findRuns(scheduleId);
+
+            return {
+                success: true,
+                data: {
+                    schedule: this.formatSchedule(schedule),
+                    runs: runs.map(run => ({
+                        ...run,
+                        scheduledFor: run.scheduledFor.toISOString(),
+                        createdAt: run.createdAt.toISOString()
+                    }))
+                }
+            };
+
+        } catch (error) {
+            console.error('Get scheduled payment runs error:', error);
+            return {
+                success: false,
+                message: 'Talimat geçmişi alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Pause an active scheduled payment
+     * @param {string} userId - User ID
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Promise<Object>} Update result
+     */
+    async pauseSchedule(userId, scheduleId) {
+        return this.changeStatus(userId, scheduleId, schedule => {
+            if (schedule.status !== 'active') {
+                return { error: 'Yalnızca aktif talimatlar durdurulabilir' };
+            }
+            return { next: schedule.withState({ status: 'paused', nextAttemptAt: schedule.nextAttemptAt }), message: 'Talimat durduruldu' };
+        });
+    }
+
+    /**
+     * Resume a paused scheduled payment
+     * Occurrences that fell in the pause are skipped, not caught up
+     * @param {string} userId - User ID
+     * @param {string} scheduleId - Schedule ID
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Update result
+     */
+    async resumeSchedule(userId, scheduleId, now = new Date()) {
+        return this.changeStatus(userId, scheduleId, schedule => {
+            if (schedule.status !== 'paused') {
+                return { error: 'Yalnızca durdurulmuş talimatlar sürdürülebilir' };
+            }
+            const next = schedule.resume(now);
+            return {
+                next,
+                message: next.status === 'completed' ? 'Talimatın kalan çalışması yok, tamamlandı' : 'Talimat sürdürüldü'
+            };
+        }, now);
+    }
+
+    /**
+     * Cancel an active or paused scheduled payment
+     * @param {string} userId - User ID
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Promise<Object>} Update result
+     */
+    async cancelSchedule(userId, scheduleId) {
+        return this.changeStatus(userId, scheduleId, schedule => {
+            if (!schedule.isOpen()) {
+                return { error: 'Talimat zaten sonlanmış' };
+            }
+            return { next: schedule.withState({ status: 'cancelled', nextAttemptAt: schedule.nextAttemptAt }), message: 'Talimat iptal edildi' };
+        });
+    }
+
+    /**
+     * Execute the due occurrences of all active schedules
+     * Schedules behind by several occurrences run once per pass until they
+     * catch up. Sweeps do not overlap within the process; across processes the
+     * guarded state update keeps an occurrence from being paid twice
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Sweep result
+     */
+    async runDueSchedules(now = new Date()) {
+        if (this.running) {
+            return {
+                success: true,
+                message: 'Talimatlar zaten çalıştırılıyor',
+                data: { succeeded: [], failed: [], skipped: true }
+            };
+        }
+
+        this.running = true;
+        const succeeded = [];
+        const failed = [];
+
+        try {
+            let runs = 0;
+            while (runs < MAX_RUNS_PER_SWEEP) {
+                const due = await this.scheduledPaymentRepository.findDue(now, MAX_RUNS_PER_SWEEP - runs);
+                if (due.length === 0) {
+                    break;
+                }
+
+                for (const schedule of due) {
+                    const result = await this.executeSchedule(schedule, now);
+                    runs += 1;
+                    if (result) {
+                        (result.success ? succeeded : failed).push(result);
+                    }
+                }
+            }
+
+            return {
+                success: true,
+                message: `${succeeded.length} talimat çalıştırıldı, ${failed.length} başarısız`,
+                data: { succeeded, failed, skipped: false }
+            };
+
+        } catch (error) {
+            console.error('Run scheduled payments error:', error);
+            return {
+                success: false,
+                message: 'Talimatlar çalıştırılamadı'
+            };
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Execute the current occurrence of a schedule
+     * On success the schedule moves to its next occurrence in the same database
+     * transaction as the payment. On failure the attempt is recorded and retried
+     * with backoff, or the occurrence is skipped after the last attempt
+     * @param {ScheduledPayment} schedule - Due schedule as read
+     * @param {Date} now - Current time
+     * @returns {Promise<Object|null>} {scheduleId, success, txId, message}, null if the schedule changed meanwhile
+     */
+    async executeSchedule(schedule, now = new Date()) {
+        const run = {
+            runId: `RUN_${uuidv4().substring(0, 8)}`,
+            scheduleId: schedule.scheduleId,
+            occurrence: schedule.runCount,
+            scheduledFor: schedule.nextRunAt,
+            attempt: schedule.attempts + 1
+        };
+
+        const options = {
+            meta: {
+                scheduled_payment_id: schedule.scheduleId,
+                ...(schedule.description && { description: schedule.description })
+            },
+            operations: [this.scheduledPaymentRepository.stateOperation(schedule, schedule.advance(now), now)]
+        };
+
+        const result = schedule.type === 'transfer'
+            ? await this.paymentService.transferMoney(schedule.userId, schedule.toUserId, schedule.amount.toMajor(), schedule.amount.currency, options)
+            : await this.paymentService.processPayment(schedule.userId, schedule.merchantId, schedule.amount.toMajor(), options);
+
+        if (result.success) {
+            const txId = result.data.outTransactionId || result.data.transactionId;
+
+            // The payment already moved the schedule on, the run row is the log of it
+            await this.scheduledPaymentRepository.transaction([
+                this.scheduledPaymentRepository.insertRunOperation({ ...run, status: 'succeeded', txId }, now)
+            ]);
+
+            return { scheduleId: schedule.scheduleId, success: true, txId };
+        }
+
+        const next = run.attempt >= this.maxAttempts
+            ? schedule.advance(now, result.message)
+            : schedule.retry(now, new Date(now.getTime() + this.retryDelay * 1000 * 2 ** (run.attempt - 1)), result.message);
+
+        try {
+            await this.scheduledPaymentRepository.transaction([
+                this.scheduledPaymentRepository.stateOperation(schedule, next, now),
+                this.scheduledPaymentRepository.insertRunOperation({ ...run, status: 'failed', errorMessage: result.message }, now)
+            ]);
+        } catch (error) {
+            if (error.code === 'SCHEDULE_CHANGED') {
+                return null;
+            }
+            throw error;
+        }
+
+        return { scheduleId: schedule.scheduleId, success: false, message: result.message };
+    }
+
+    /**
+     * Apply a status change to a user's schedule
+     * @param {string} userId - User ID
+     * @param {string} scheduleId - Schedule ID
+     * @param {Function} change - schedule => {next, message} or {error}
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Update result
+     */
+    async changeStatus(userId, scheduleId, change, now = new Date()) {
+        try {
+            const schedule = await this.findOwned(userId, scheduleId);
+            if (!schedule) {
+                return {
+                    success: false,
+                    message: 'Talimat bulunamadı'
+                };
+            }
+
+            const { next, message, error } = change(schedule);
+            if (error) {
+                return {
+                    success: false,
+                    message: error
+                };
+            }
+
+            await this.scheduledPaymentRepository.transaction([
+                this.scheduledPaymentRepository.stateOperation(schedule, next, now)
+            ]);
+
+            return {
+                success: true,
+                message,
+                data: this.formatSchedule(next)
+            };
+
+        } catch (error) {
+            if (error.code === 'SCHEDULE_CHANGED') {
+                return {
+                    success: false,
+                    message: 'Talimat bu sırada değiştirildi, tekrar deneyiniz'
+                };
+            }
+
+            console.error('Change scheduled payment error:', error);
+            return {
+                success: false,
+                message: 'Talimat güncellenirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Find a schedule of a user
+     * Other users' schedules are reported as not found
+     * @param {string} userId - User ID
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Promise<ScheduledPayment|null>} Schedule or null
+     */
+    async findOwned(userId, scheduleId) {
+        const schedule = await this.scheduledPaymentRepository.findById(scheduleId);
+        return schedule && schedule.userId === userId ? schedule : null;
+    }
+
+    /**
+     * Check the receiver of a scheduled transfer
+     * @param {string} userId - Paying user ID
+     * @param {string} toUserId - Receiver user ID
+     * @returns {Promise<Object|null>} Failure result, or null if valid
+     */
+    async checkReceiver(userId, toUserId) {
+        if (!toUserId) {
+            return {
+                success: false,
+                message: 'Alıcı kullanıcı ID\'si gereklidir'
+            };
+        }
+
+        if (toUserId === userId) {
+            return {
+                success: false,
+                message: 'Kendinize para gönderemezsiniz'
+            };
+        }
+
+        const receiver = await this.userRepository.findById(toUserId);
+        if (!receiver) {
+            return {
+                success: false,
+                message: 'Alıcı kullanıcı bulunamadı'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the merchant of a scheduled payment
+     * Merchant payments are taken from the TRY wallet
+     * @param {string} merchantId - Merchant ID
+     * @param {Money} amount - Payment amount
+     * @returns {Promise<Object|null>} Failure result, or null if valid
+     */
+    async checkMerchant(merchantId, amount) {
+        if (amount.currency !== 'TRY') {
+            return {
+                success: false,
+                message: 'İşyeri ödemeleri yalnızca TRY ile yapılabilir'
+            };
+        }
+
+        const merchant = await this.merchantService.checkPayable(merchantId);
+        return merchant.success ? null : merchant;
+    }
+
+    /**
+     * Format a schedule for API responses
+     * @param {ScheduledPayment} schedule - ScheduledPayment instance
+     * @returns {Object} Schedule with amounts in major units
+     */
+    formatSchedule(schedule) {
+        return {
+            scheduleId: schedule.scheduleId,
+            type: schedule.type,
+            toUserId: schedule.toUserId,
+            merchantId: schedule.merchantId,
+            amount: schedule.amount.toMajor(),
+            currency: schedule.amount.currency,
+            formattedAmount: schedule.amount.format(),
+            description: schedule.description,
+            frequency: schedule.frequency,
+            startAt: schedule.startAt.toISOString(),
+            endAt: schedule.endAt ? schedule.endAt.toISOString() : null,
+            status: schedule.status,
+            runCount: schedule.runCount,
+            attempts: schedule.attempts,
+            nextRunAt: schedule.isOpen() ? schedule.nextRunAt.toISOString() : null,
+            nextAttemptAt: schedule.status === 'active' ? schedule.nextAttemptAt.toISOString() : null,
+            lastRunAt: schedule.lastRunAt ? schedule.lastRunAt.toISOString() : null,
+            lastError: schedule.lastError,
+            createdAt: schedule.createdAt.toISOString()
+        };
+    }
+}
+
+module.exports = ScheduledPaymentService;
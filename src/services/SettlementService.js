@@ -0,0 +1,518 @@
+/**
+ * Settlement Service
+ * Closes settlement periods: works out what each merchant is owed from the
+ * ledger, charges the MDR fee, records payouts and exports them as CSV
+ * Follows Single Responsibility Principle
+ */
+
+const SettlementBatch = require('../domain/SettlementBatch');
+const MerchantPayout = require('../domain/MerchantPayout');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const Money = require('../domain/Money');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_MDR_RATE = 1.5; // percent
+
+const CSV_COLUMNS = [
+    'payout_id', 'settlement_date', 'merchant_id', 'merchant_name', 'currency',
+    'opening_balance', 'gross_amount', 'refund_amount', 'mdr_rate', 'fee_amount',
+    'net_amount', 'payout_amount', 'payment_count', 'refund_count', 'status'
+];
+
+class SettlementService {
+    /**
+     * @param {SettlementRepository} settlementRepository - Settlement repository
+     * @param {LedgerRepository} ledgerRepository - Ledger repository
+     * @param {MerchantRepository} merchantRepository - Merchant repository
+     * @param {Object} options - Options
+     * @param {number} options.defaultMdrRate - MDR in percent for merchants without their own rate
+     */
+    constructor(settlementRepository, ledgerRepository, merchantRepository, options = {}) {
+        this.settlementRepository = settlementRepository;
+        this.ledgerRepository = ledgerRepository;
+        this.merchantRepository = merchantRepository;
+
+        const defaultMdrRate = options.defaultMdrRate !== undefined
+            ? options.defaultMdrRate
+            : parseFloat(process.env.MERCHANT_MDR_RATE);
+        this.defaultMdrBps = Math.round((Number.isFinite(defaultMdrRate) ? defaultMdrRate : DEFAULT_MDR_RATE) * 100);
+    }
+
+    /**
+     * Close the settlement period ending on a date
+     * The period runs from the day after the previous batch to the date, so
+     * skipped days are settled by the next batch. Settling a date twice returns
+     * the stored batch
+     * @param {string|null} settlementDate - YYYY-MM-DD (UTC), yesterday if omitted
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Settlement batch
+     */
+    async settle(settlementDate = null, now = new Date()) {
+        try {
+            const date = settlementDate || SettlementService.dayBefore(now);
+            const invalid = this.checkClosedDate(date, now);
+            if (invalid) {
+                return invalid;
+            }
+
+            const existing = await this.settlementRepository.findByDate(date);
+            if (existing) {
+                return {
+                    success: true,
+                    message: 'Bu tarih için hesap kesimi zaten yapılmış',
+                    data: {
+                        ...(await this.formatBatch(existing)),
+                        alreadySettled: true
+                    }
+                };
+            }
+
+            const latest = await this.settlementRepository.findLatestDate();
+            if (latest && latest > date) {
+                return {
+                    success: false,
+                    message: `${date} tarihi ${latest} tarihli hesap kesimine dahil edilmiş`
+                };
+            }
+
+            const batch = await this.buildBatch(`STL_${uuidv4().substring(0, 8)}`, latest, date);
+
+            await this.settlementRepository.transaction([
+                ...this.settlementRepository.insertOperations(batch),
+                ...batch.payouts.flatMap(payout => this.settlementEntryOperations(payout, batch))
+            ]);
+
+            return {
+                success: true,
+                message: `${date} hesap kesimi tamamlandı`,
+                data: {
+                    ...(await this.formatBatch(batch)),
+                    alreadySettled: false
+                }
+            };
+
+        } catch (error) {
+            if (error.code === 'SETTLEMENT_CONFLICT') {
+                return {
+                    success: false,
+                    message: 'Eş zamanlı bir hesap kesimi yapıldı, lütfen tekrar deneyin'
+                };
+            }
+
+            console.error('Settlement error:', error);
+            return {
+                success: false,
+                message: 'Hesap kesimi sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Recompute the settlement of a date from the ledger without storing it
+     * For a settled date the stored period and MDR rates are used, and
+     * `matchesStored` tells whether the recomputation reproduced the batch
+     * @param {string} settlementDate - YYYY-MM-DD (UTC)
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Computed settlement
+     */
+    async previewSettlement(settlementDate, now = new Date()) {
+        try {
+            const invalid = this.checkClosedDate(settlementDate, now);
+            if (invalid) {
+                return invalid;
+            }
+
+            const stored = await this.settlementRepository.findByDate(settlementDate);
+            const previousDate = stored ? stored.previousDate : await this.settlementRepository.findLatestDate();
+
+            if (!stored && previousDate && previousDate > settlementDate) {
+                return {
+                    success: false,
+                    message: `${settlementDate} tarihi ${previousDate} tarihli hesap kesimine dahil edilmiş`
+                };
+            }
+
+            const mdrRates = stored
+                ? new Map(stored.payouts.map(payout => [payout.merchantId, payout.mdrBps]))
+                : null;
+            const preview = await this.buildBatch('PREVIEW', previousDate, settlementDate, mdrRates);
+            const data = await this.formatBatch(preview);
+
+            return {
+                success: true,
+                data: {
+                    ...data,
+                    batchId: null,
+                    payouts: data.payouts.map(payout => ({ ...payout, payoutId: null })),
+                    settled: Boolean(stored),
+                    ...(stored && { matchesStored: this.sameFigures(stored.payouts, preview.payouts) })
+                }
+            };
+
+        } catch (error) {
+            console.error('Settlement preview error:', error);
+            return {
+                success: false,
+                message: 'Hesap kesimi hesaplanamadı'
+            };
+        }
+    }
+
+    /**
+     * Get a stored settlement batch
+     * @param {string} settlementDate - YYYY-MM-DD
+     * @returns {Promise<Object>} Settlement batch
+     */
+    async getSettlement(settlementDate) {
+        try {
+            const batch = SettlementBatch.isValidDate(settlementDate)
+                ? await this.settlementRepository.findByDate(settlementDate)
+                : null;
+
+            if (!batch) {
+                return {
+                    success: false,
+                    message: 'Bu tarih için hesap kesimi bulunamadı'
+                };
+            }
+
+            return {
+                success: true,
+                data: await this.formatBatch(batch)
+            };
+
+        } catch (error) {
+            console.error('Get settlement error:', error);
+            return {
+                success: false,
+                message: 'Hesap kesimi bilgisi alınamadı'
+            };
+        }
+    }
+
+    /**
+     * List recent settlement batches
+     * @param {number} limit - Maximum number of batches
+     * @returns {Promise<Object>} Batch summaries, newest first
+     */
+    async listSettlements(limit = 30) {
+        try {
+            const batches = await this.settlementRepository.findRecent(limit);
+
+            return {
+                success: true,
+                data: {
+                    settlements: batches.map(({ batch, payoutCount, payoutTotal }) => ({
+                        batchId: batch.batchId,
+                        settlementDate: batch.settlementDate,
+                        previousDate: batch.previousDate,
+                        payoutCount,
+                        payoutTotal: Money.fromMinor(payoutTotal).toMajor(),
+                        createdAt: batch.createdAt
+                    }))
+                }
+            };
+
+        } catch (error) {
+            console.error('List settlements error:', error);
+            return {
+                success: false,
+                message: 'Hesap kesimleri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Export the payouts of a stored batch as CSV
+     * @param {string} settlementDate - YYYY-MM-DD
+     * @returns {Promise<Object>} {success, data: {filename, csv}}
+     */
+    async exportSettlementCSV(settlementDate) {
+        try {
+            const result = await this.getSettlement(settlementDate);
+            if (!result.success) {
+                return result;
+            }
+
+            const rows = result.data.payouts.map(payout => [
+                payout.payoutId,
+                result.data.settlementDate,
+                payout.merchantId,
+                payout.merchantName,
+                payout.currency,
+                payout.openingBalance.toFixed(2),
+                payout.grossAmount.toFixed(2),
+                payout.refundAmount.toFixed(2),
+                payout.mdrRate.toFixed(2),
+                payout.feeAmount.toFixed(2),
+                payout.netAmount.toFixed(2),
+                payout.payoutAmount.toFixed(2),
+                payout.paymentCount,
+                payout.refundCount,
+                payout.status
+            ]);
+
+            const csv = [CSV_COLUMNS, ...rows]
+                .map(row => row.map(value => SettlementService.csvField(value)).join(','))
+                .join('\r\n') + '\r\n';
+
+            return {
+                success: true,
+                data: {
+                    filename: `settlement-${result.data.settlementDate}.csv`,
+                    csv
+                }
+            };
+
+        } catch (error) {
+            console.error('Settlement export error:', error);
+            return {
+                success: false,
+                message: 'Hesap kesimi dışa aktarılamadı'
+            };
+        }
+    }
+
+    /**
+     * Get the settlement balance of a merchant: what was paid in since the last
+     * batch, the fee the next batch will charge and the recent payouts
+     * @param {string} merchantId - Merchant ID
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Merchant balance
+     */
+    async getMerchantBalance(merchantId, now = new Date()) {
+        try {
+            const merchant = await this.merchantRepository.findById(merchantId);
+            if (!merchant) {
+                return {
+                    success: false,
+                    message: 'İşyeri bulunamadı'
+                };
+            }
+
+            const lastSettlementDate = await this.settlementRepository.findLatestDate();
+            const [activity, payouts] = await Promise.all([
+                this.settlementRepository.getMerchantActivity(lastSettlementDate, now.toISOString().substring(0, 10), merchantId),
+                this.settlementRepository.findPayoutsByMerchant(merchantId, 10)
+            ]);
+            const mdrBps = this.mdrFor(merchant);
+
+            return {
+                success: true,
+                data: {
+                    merchantId,
+                    mdrRate: mdrBps / 100,
+                    lastSettlementDate,
+                    balances: activity.map(account => {
+                        const payout = new MerchantPayout('UNSETTLED', null, merchantId, {
+                            ...account,
+                            feeAmount: MerchantPayout.feeFor(account.grossAmount, account.refundAmount, mdrBps)
+                        }, mdrBps, account);
+
+                        return {
+                            currency: payout.currency,
+                            openingBalance: payout.openingBalance.toMajor(),
+                            unsettledGross: payout.grossAmount.toMajor(),
+                            unsettledRefunds: payout.refundAmount.toMajor(),
+                            estimatedFee: payout.feeAmount.toMajor(),
+                            balance: payout.netAmount.toMajor(),
+                            formattedBalance: payout.netAmount.format()
+                        };
+                    }),
+                    recentPayouts: payouts.map(({ payout, settlementDate }) => ({
+                        payoutId: payout.payoutId,
+                        settlementDate,
+                        currency: payout.currency,
+                        payoutAmount: payout.payoutAmount.toMajor(),
+                        status: payout.status
+                    }))
+                }
+            };
+
+        } catch (error) {
+            console.error('Get merchant balance error:', error);
+            return {
+                success: false,
+                message: 'İşyeri bakiyesi alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Compute the payouts of a period
+     * Accounts with nothing carried in and no activity get no payout
+     * @param {string} batchId - Batch ID
+     * @param {string|null} previousDate - Settlement date of the previous batch
+     * @param {string} settlementDate - Last day of the period
+     * @param {Map<string, number>|null} mdrRates - MDR per merchant overriding the current rates
+     * @returns {Promise<SettlementBatch>} Unsaved batch
+     */
+    async buildBatch(batchId, previousDate, settlementDate, mdrRates = null) {
+        const [activity, merchants] = await Promise.all([
+            this.settlementRepository.getMerchantActivity(previousDate, settlementDate),
+            this.merchantRepository.findAll()
+        ]);
+        const merchantsById = new Map(merchants.map(merchant => [merchant.merchantId, merchant]));
+        const createdAt = new Date();
+
+        const payouts = activity
+            .filter(account => !account.openingBalance.isZero() || account.paymentCount > 0 || account.refundCount > 0)
+            .map(account => {
+                const mdrBps = mdrRates && mdrRates.has(account.merchantId)
+                    ? mdrRates.get(account.merchantId)
+                    : this.mdrFor(merchantsById.get(account.merchantId));
+
+                return new MerchantPayout(
+                    `PO_${uuidv4().substring(0, 8)}`,
+                    batchId,
+                    account.merchantId,
+                    { ...account, feeAmount: MerchantPayout.feeFor(account.grossAmount, account.refundAmount, mdrBps) },
+                    mdrBps,
+                    account,
+                    createdAt
+                );
+            });
+
+        return new SettlementBatch(batchId, settlementDate, previousDate, payouts, createdAt);
+    }
+
+    /**
+     * Build the ledger statements of one payout
+     * The fee moves to MDR revenue and the payout to the payout account; a
+     * negative net stays on the merchant account and is carried forward
+     * @param {MerchantPayout} payout - Payout
+     * @param {SettlementBatch} batch - Batch of the payout
+     * @returns {Array<Object>} Statements for Database.transaction
+     */
+    settlementEntryOperations(payout, batch) {
+        const { currency, feeAmount, payoutAmount } = payout;
+        const total = feeAmount.add(payoutAmount);
+
+        if (total.isZero()) {
+            return [];
+        }
+
+        const postings = [
+            { accountId: LedgerAccount.merchant(payout.merchantId, currency), side: 'debit', amount: total }
+        ];
+        if (feeAmount.isPositive()) {
+            postings.push({ accountId: LedgerAccount.mdrRevenue(currency), side: 'credit', amount: feeAmount });
+        }
+        if (payoutAmount.isPositive()) {
+            postings.push({ accountId: LedgerAccount.merchantPayout(currency), side: 'credit', amount: payoutAmount });
+        }
+
+        return this.ledgerRepository.entryOperations(new JournalEntry(
+            `JE_${uuidv4().substring(0, 8)}`,
+            'İşyeri hesap kesimi',
+            postings,
+            payout.payoutId,
+            batch.periodEnd
+        ));
+    }
+
+    /**
+     * Check that a date is a day that has already ended
+     * @param {string} date - YYYY-MM-DD
+     * @param {Date} now - Current time
+     * @returns {Object|null} Failure result or null when valid
+     */
+    checkClosedDate(date, now) {
+        if (!SettlementBatch.isValidDate(date)) {
+            return {
+                success: false,
+                message: 'Tarih YYYY-AA-GG biçiminde olmalıdır'
+            };
+        }
+
+        if (date >= now.toISOString().substring(0, 10)) {
+            return {
+                success: false,
+                message: 'Yalnızca tamamlanmış günler için hesap kesimi yapılabilir'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the MDR of a merchant
+     * @param {Merchant|undefined} merchant - Merchant
+     * @returns {number} Rate in basis points
+     */
+    mdrFor(merchant) {
+        return merchant && merchant.mdrBps !== null ? merchant.mdrBps : this.defaultMdrBps;
+    }
+
+    /**
+     * Compare the figures of two payout lists, ignoring IDs and timestamps
+     * @param {Array<MerchantPayout>} stored - Stored payouts
+     * @param {Array<MerchantPayout>} computed - Recomputed payouts
+     * @returns {boolean} True if every payout matches
+     */
+    sameFigures(stored, computed) {
+        const figures = payouts => JSON.stringify(payouts
+            .map(payout => {
+                const { payout_id, batch_id, created_at, ...rest } = payout.toObject();
+                return rest;
+            })
+            .sort((a, b) => `${a.merchant_id}:${a.currency}`.localeCompare(`${b.merchant_id}:${b.currency}`)));
+
+        return figures(stored) === figures(computed);
+    }
+
+    /**
+     * Format a batch for API responses
+     * @param {SettlementBatch} batch - Batch with its payouts
+     * @returns {Promise<Object>} Batch data
+     */
+    async formatBatch(batch) {
+        const merchants = await this.merchantRepository.findAll();
+        const names = new Map(merchants.map(merchant => [merchant.merchantId, merchant.name]));
+
+        return {
+            batchId: batch.batchId,
+            settlementDate: batch.settlementDate,
+            previousDate: batch.previousDate,
+            createdAt: batch.createdAt,
+            payouts: batch.payouts.map(payout => ({
+                payoutId: payout.payoutId,
+                merchantId: payout.merchantId,
+                merchantName: names.get(payout.merchantId) || payout.merchantId,
+                currency: payout.currency,
+                openingBalance: payout.openingBalance.toMajor(),
+                grossAmount: payout.grossAmount.toMajor(),
+                refundAmount: payout.refundAmount.toMajor(),
+                mdrRate: payout.mdrBps / 100,
+                feeAmount: payout.feeAmount.toMajor(),
+                netAmount: payout.netAmount.toMajor(),
+                payoutAmount: payout.payoutAmount.toMajor(),
+                paymentCount: payout.paymentCount,
+                refundCount: payout.refundCount,
+                status: payout.status
+            }))
+        };
+    }
+
+    /**
+     * Get the calendar day before a time
+     * @param {Date} now - Time
+     * @returns {string} YYYY-MM-DD (UTC)
+     */
+    static dayBefore(now) {
+        return new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string} CSV field
+     */
+    static csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = SettlementService;
@@ -0,0 +1,251 @@
+/**
+ * Token Service
+ * Issues and verifies HMAC-signed (JWT-style) access and refresh tokens
+ * Follows Single Responsibility Principle
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_ACCESS_TTL = 15 * 60; // 15 minutes (seconds)
+const DEFAULT_REFRESH_TTL = 7 * 24 * 60 * 60; // 7 days (seconds)
+
+class TokenService {
+    /**
+     * @param {Object} sessionManager - Session store used for revocation
+     * @param {Object} options - Token options
+     * @param {string} options.secret - HMAC signing secret
+     * @param {number} options.accessTtl - Access token lifetime in seconds
+     * @param {number} options.refreshTtl - Refresh token lifetime in seconds
+     */
+    constructor(sessionManager, options = {}) {
+        this.sessionManager = sessionManager;
+        this.secret = options.secret || process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+        this.accessTtl = options.accessTtl || parseInt(process.env.AUTH_ACCESS_TTL) || DEFAULT_ACCESS_TTL;
+        this.refreshTtl = options.refreshTtl || parseInt(process.env.AUTH_REFRESH_TTL) || DEFAULT_REFRESH_TTL;
+    }
+
+    /**
+     * Start a new session and issue its first token pair
+     * @param {string} subjectId - User ID, or merchant ID for merchant sessions
+     * @param {string} role - 'user' or 'merchant'
+     * @returns {Object} Access token, refresh token and expiry
+     */
+    issueTokens(subjectId, role = 'user') {
+        const refreshTokenId = uuidv4();
+        const sessionId = this.sessionManager.createSession(subjectId, refreshTokenId, role);
+
+        return this.buildTokenPair(subjectId, role, sessionId, refreshTokenId);
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair (refresh token rotation)
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object|null} New token pair or null if the token is not valid
+     */
+    refreshTokens(refreshToken) {
+        const payload = this.verify(refreshToken, 'refresh');
+        if (!payload) {
+            return null;
+        }
+
+        const session = this.findSession(payload);
+        if (!session) {
+            return null;
+        }
+
+        // A reused (already rotated) refresh token means it leaked: end the session
+        if (session.refreshTokenId !== payload.jti) {
+            this.sessionManager.destroySession(payload.sid);
+            return null;
+        }
+
+        const refreshTokenId = uuidv4();
+        this.sessionManager.rotateRefreshToken(payload.sid, refreshTokenId);
+
+        return this.buildTokenPair(payload.sub, session.role, payload.sid, refreshTokenId);
+    }
+
+    /**
+     * Verify an access token and its session
+     * A token only opens sessions of the expected role, so a merchant token is
+     * never accepted where a user is expected and vice versa
+     * @param {string} accessToken - Access token
+     * @param {string} role - Expected role, 'user' or 'merchant'
+     * @returns {Object|null} { userId, sessionId } ({ merchantId, sessionId } for merchants) or null if invalid
+     */
+    verifyAccessToken(accessToken, role = 'user') {
+        const payload = this.verify(accessToken, 'access');
+        if (!payload) {
+            return null;
+        }
+
+        const session = this.findSession(payload);
+        if (!session || session.role !== role) {
+            return null;
+        }
+
+        return {
+            [role === 'merchant' ? 'merchantId' : 'userId']: payload.sub,
+            sessionId: payload.sid
+        };
+    }
+
+    /**
+     * Find the live session a token was issued for
+     * @param {Object} payload - Verified token claims
+     * @returns {Object|null} Session or null if revoked or issued to someone else
+     */
+    findSession(payload) {
+        const session = this.sessionManager.getSession(payload.sid);
+        if (!session || session.subjectId !== payload.sub || session.role !== (payload.role || 'user')) {
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Revoke a session so none of its tokens are accepted anymore
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} True if a session was revoked
+     */
+    revokeSession(sessionId) {
+        return this.sessionManager.destroySession(sessionId);
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to
+     * Works without an access token, so a client whose access token has
+     * expired can still end its session on logout
+     * @param {string} refreshToken - Refresh token
+     * @param {string} role - Expected role, 'user' or 'merchant'
+     * @returns {boolean} True if a session was revoked
+     */
+    revokeRefreshToken(refreshToken, role = 'user') {
+        const payload = this.verify(refreshToken, 'refresh');
+        if (!payload) {
+            return false;
+        }
+
+        const session = this.findSession(payload);
+        if (!session || session.role !== role) {
+            return false;
+        }
+
+        return this.revokeSession(payload.sid);
+    }
+
+    /**
+     * Build signed access and refresh tokens for a session
+     * @param {string} subjectId - User or merchant ID
+     * @param {string} role - 'user' or 'merchant'
+     * @param {string} sessionId - Session ID
+     * @param {string} refreshTokenId - Current refresh token ID of the session
+     * @returns {Object} Token pair
+     */
+    buildTokenPair(subjectId, role, sessionId, refreshTokenId) {
+        const now = Math.floor(Date.now() / 1000);
+
+        const accessToken = this.sign({
+            sub: subjectId,
+            role,
+            sid: sessionId,
+            typ: 'access',
+            iat: now,
+            exp: now + this.accessTtl
+        });
+
+        const refreshToken = this.sign({
+            sub: subjectId,
+            role,
+            sid: sessionId,
+            jti: refreshTokenId,
+            typ: 'refresh',
+            iat: now,
+            exp: now + this.refreshTtl
+        });
+
+        return {
+            accessToken,
+            refreshToken,
+            tokenType: 'Bearer',
+            expiresIn: this.accessTtl
+        };
+    }
+
+    /**
+     * Sign a payload as header.payload.signature
+     * @param {Object} payload - Token claims
+     * @returns {string} Signed token
+     */
+    sign(payload) {
+        const header = this.encode({ alg: 'HS256', typ: 'JWT' });
+        const body = this.encode(payload);
+        const signature = this.createSignature(`${header}.${body}`);
+
+        return `${header}.${body}.${signature}`;
+    }
+
+    /**
+     * Verify token signature, type and expiry
+     * @param {string} token - Signed token
+     * @param {string} expectedType - 'access' or 'refresh'
+     * @returns {Object|null} Token claims or null if invalid
+     */
+    verify(token, expectedType) {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        const [header, body, signature] = parts;
+        const expected = Buffer.from(this.createSignature(`${header}.${body}`));
+        const actual = Buffer.from(signature);
+
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (e) {
+            return null;
+        }
+
+        if (payload.typ !== expectedType) {
+            return null;
+        }
+
+        if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Create HMAC-SHA256 signature
+     * @param {string} data - Data to sign
+     * @returns {string} base64url signature
+     */
+    createSignature(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+
+    /**
+     * Encode an object as base64url JSON
+     * @param {Object} value - Value to encode
+     * @returns {string} Encoded value
+     */
+    encode(value) {
+        return Buffer.from(JSON.stringify(value)).toString('base64url');
+    }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,585 @@
+/**
+ * TopUp Service
+ * Loads wallets from external funding sources through pluggable funding
+ * providers. A top-up is recorded as pending and the wallet is credited only
+ * when the provider reports the charge as completed
+ * Follows Single Responsibility Principle
+ */
+
+const Transaction = require('../domain/Transaction');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const TopUp = require('../domain/TopUp');
+const PaymentCard = require('../domain/PaymentCard');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_CHALLENGE_TTL = 15 * 60; // seconds
+const DEFAULT_PENDING_TTL = 24 * 60 * 60; // seconds
+const MAX_TOPUPS_PER_SWEEP = 100;
+
+class TopUpService {
+    /**
+     * @param {TopUpRepository} topUpRepository - Top-up repository
+     * @param {WalletRepository} walletRepository - Wallet repository
+     * @param {TransactionRepository} transactionRepository - Transaction repository
+     * @param {LedgerRepository} ledgerRepository - Ledger repository
+     * @param {Array<FundingProvider>} providers - One funding provider per top-up method
+     * @param {ExchangeService} exchangeService - Supported currencies, TRY only without it
+     * @param {LimitService} limitService - Top-up limits, none without it
+     * @param {CardVaultService} cardVaultService - Saved cards, card details only without it
+     * @param {Object} options - Options
+     * @param {number} options.challengeTtl - Seconds a 3-D Secure challenge can be answered
+     * @param {number} options.pendingTtl - Seconds a top-up waits for its provider before it fails
+     */
+    constructor(topUpRepository, walletRepository, transactionRepository, ledgerRepository, providers = [], exchangeService = null, limitService = null, cardVaultService = null, options = {}) {
+        this.topUpRepository = topUpRepository;
+        this.walletRepository = walletRepository;
+        this.transactionRepository = transactionRepository;
+        this.ledgerRepository = ledgerRepository;
+        this.exchangeService = exchangeService;
+        this.limitService = limitService;
+        this.cardVaultService = cardVaultService;
+        this.challengeTtl = options.challengeTtl || parseInt(process.env.TOPUP_CHALLENGE_TTL) || DEFAULT_CHALLENGE_TTL;
+        this.pendingTtl = options.pendingTtl || parseInt(process.env.TOPUP_PENDING_TTL) || DEFAULT_PENDING_TTL;
+        this.sweeping = false;
+
+        this.providers = {};
+        for (const provider of providers) {
+            this.providers[provider.method] = provider;
+            provider.subscribe((payload, signature) => this.handleCallback(provider.method, payload, signature));
+        }
+    }
+
+    /**
+     * Start a top-up
+     * The top-up and its pending transaction are written before the provider
+     * is contacted, so a callback always finds them. Card top-ups are charged
+     * to the card details given, to a saved card, or to the default saved card
+     * @param {string} userId - User ID
+     * @param {Object} request - {amount, currency, method, card?: {number, expiryMonth, expiryYear, cvc},
+     *   cardId?: string, saveCard?: boolean}
+     * @returns {Promise<Object>} Top-up with the challenge or payment instructions, if any
+     */
+    async createTopUp(userId, { amount, currency = 'TRY', method, card = null, cardId = null, saveCard = false }) {
+        try {
+            const provider = this.providers[method];
+            if (!provider) {
+                return {
+                    success: false,
+                    message: `Desteklenen yükleme yöntemleri: ${Object.keys(this.providers).join(', ')}`
+                };
+            }
+
+            const currencies = this.exchangeService ? this.exchangeService.currencies : ['TRY'];
+            if (!currencies.includes(currency)) {
+                return {
+                    success: false,
+                    message: `Desteklenen para birimleri: ${currencies.join(', ')}`
+                };
+            }
+
+            const money = Number.isFinite(amount) ? Money.fromMajor(amount, currency) : null;
+            if (!money || !money.isPositive()) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir tutar giriniz'
+                };
+            }
+
+            let paymentCard = null;
+            let savedCard = null;
+            if (method === 'card' && card) {
+                paymentCard = this.parseCard(card);
+                if (!paymentCard) {
+                    return {
+                        success: false,
+                        message: 'Geçerli kart bilgileri giriniz'
+                    };
+                }
+            } else if (method === 'card') {
+                const usable = this.cardVaultService
+                    ? await this.cardVaultService.findUsableCard(userId, cardId)
+                    : { message: 'Geçerli kart bilgileri giriniz' };
+                if (!usable.card) {
+                    return {
+                        success: false,
+                        message: usable.message
+                    };
+                }
+                savedCard = usable.card;
+            }
+
+            // Every user has a TRY wallet, other currencies are opened on completion
+            const wallet = await this.walletRepository.findByUserId(userId);
+            if (!wallet) {
+                return {
+                    success: false,
+                    message: 'Kullanıcının cüzdanı bulunamadı'
+                };
+            }
+
+            const limit = this.limitService
+                ? await this.limitService.reserveLimit(userId, 'topup', money)
+                : { success: true, operations: [] };
+            if (!limit.success) {
+                return limit;
+            }
+
+            // A card to keep is charged through its token, like any saved card
+            if (paymentCard && saveCard && this.cardVaultService) {
+                const saved = await this.cardVaultService.addCard(userId, card);
+                if (!saved.success) {
+                    return saved;
+                }
+                savedCard = (await this.cardVaultService.findUsableCard(userId, saved.data.cardId)).card;
+                paymentCard = null;
+            }
+
+            const topupId = `TOP_${uuidv4().substring(0, 8)}`;
+            const txId = `TX_TOP_${uuidv4().substring(0, 8)}`;
+            const transaction = new Transaction(
+                txId,
+                userId,
+                money,
+                money.currency,
+                'topup',
+                'pending',
+                null,
+                {
+                    topup_id: topupId,
+                    method,
+                    ...(paymentCard ? { card_last4: paymentCard.last4 } : {}),
+                    ...(savedCard ? { card_last4: savedCard.last4, card_id: savedCard.cardId } : {})
+                }
+            );
+            const topUp = new TopUp(topupId, userId, txId, method, money);
+
+            await this.topUpRepository.transaction([
+                // Pending top-ups count against the limits until they fail
+                ...limit.operations,
+                this.transactionRepository.insertOperation(transaction),
+                this.topUpRepository.insertOperation(topUp)
+            ]);
+
+            const charge = await this.charge(provider, topUp, paymentCard, savedCard);
+            const created = await this.topUpRepository.findById(topupId);
+
+            return {
+                success: created.status !== 'failed',
+                message: this.statusMessage(created),
+                data: {
+                    ...this.formatTopUp(created),
+                    challenge: created.status === 'requires_action' ? charge.challenge || null : null
+                }
+            };
+
+        } catch (error) {
+            if (error.code === 'LIMIT_EXCEEDED') {
+                return await this.limitService.limitExceeded(userId, 'topup', Money.fromMajor(amount, currency));
+            }
+
+            console.error('Create top-up error:', error);
+            return {
+                success: false,
+                message: 'Bakiye yükleme sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Answer the 3-D Secure challenge of a card top-up
+     * @param {string} userId - User ID
+     * @param {string} topupId - Top-up ID
+     * @param {string} code - One-time code sent by the card issuer
+     * @returns {Promise<Object>} Updated top-up
+     */
+    async completeChallenge(userId, topupId, code) {
+        try {
+            const topUp = await this.topUpRepository.findById(topupId);
+            if (!topUp || topUp.userId !== userId) {
+                return {
+                    success: false,
+                    message: 'Bakiye yükleme bulunamadı'
+                };
+            }
+
+            if (topUp.status !== 'requires_action') {
+                return {
+                    success: false,
+                    message: 'Bu bakiye yükleme doğrulama beklemiyor'
+                };
+            }
+
+            if (!code) {
+                return {
+                    success: false,
+                    message: 'Doğrulama kodunu giriniz'
+                };
+            }
+
+            const provider = this.providers[topUp.method];
+            let result;
+            try {
+                result = await provider.completeChallenge(
+                    { reference: topUp.providerReference, topupId: topUp.topupId, amount: topUp.amount },
+                    { code: String(code) }
+                );
+            } catch (error) {
+                console.error(`Complete challenge ${topUp.topupId} error:`, error);
+                return {
+                    success: false,
+                    message: 'Ödeme sağlayıcısına ulaşılamadı, lütfen tekrar deneyin'
+                };
+            }
+
+            if (result.status === 'pending') {
+                await this.topUpRepository.markChallengePassed(topUp.topupId);
+            } else {
+                await this.settle(topUp, result.status, result.failureReason);
+            }
+
+            const updated = await this.topUpRepository.findById(topUp.topupId);
+
+            return {
+                success: updated.status !== 'failed',
+                message: this.statusMessage(updated),
+                data: this.formatTopUp(updated)
+            };
+
+        } catch (error) {
+            console.error('Complete challenge error:', error);
+            return {
+                success: false,
+                message: '3-D Secure doğrulaması sırasında bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Settle a top-up from a provider callback
+     * Repeated callbacks are acknowledged without crediting the wallet again
+     * @param {string} method - Top-up method of the provider calling back
+     * @param {Object} payload - Callback body
+     * @param {string} signature - Signature sent with the callback
+     * @returns {Promise<Object>} Callback result
+     */
+    async handleCallback(method, payload, signature) {
+        try {
+            const provider = this.providers[method];
+            if (!provider) {
+                return {
+                    success: false,
+                    message: 'Bilinmeyen yükleme yöntemi'
+                };
+            }
+
+            const event = provider.verifyCallback(payload || {}, signature);
+            if (!event) {
+                return {
+                    success: false,
+                    message: 'Geçersiz bildirim imzası'
+                };
+            }
+
+            const topUp = await this.topUpRepository.findById(event.topupId);
+            if (!topUp || topUp.method !== method ||
+                (topUp.providerReference && topUp.providerReference !== event.reference)) {
+                return {
+                    success: false,
+                    message: 'Bakiye yükleme bulunamadı'
+                };
+            }
+
+            if (topUp.isOpen()) {
+                await this.settle(topUp, event.status, event.failureReason);
+            }
+
+            const current = await this.topUpRepository.findById(topUp.topupId);
+            if (current.status !== event.status) {
+                console.warn(`Top-up ${topUp.topupId} is ${current.status}, ignored ${event.status} callback`);
+            }
+
+            return {
+                success: true,
+                message: 'Bildirim işlendi',
+                data: this.formatTopUp(current)
+            };
+
+        } catch (error) {
+            console.error('Top-up callback error:', error);
+            return {
+                success: false,
+                message: 'Bildirim işlenemedi'
+            };
+        }
+    }
+
+    /**
+     * Get the top-ups of a user
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only top-ups with this status
+     * @returns {Promise<Object>} Top-up list
+     */
+    async listTopUps(userId, status = null) {
+        try {
+            const topUps = await this.topUpRepository.findByUserId(userId, status);
+
+            return {
+                success: true,
+                data: {
+                    topups: topUps.map(topUp => this.formatTopUp(topUp))
+                }
+            };
+
+        } catch (error) {
+            console.error('List top-ups error:', error);
+            return {
+                success: false,
+                message: 'Bakiye yüklemeleri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get one of a user's top-ups
+     * @param {string} userId - User ID
+     * @param {string} topupId - Top-up ID
+     * @returns {Promise<Object>} Top-up
+     */
+    async getTopUp(userId, topupId) {
+        try {
+            const topUp = await this.topUpRepository.findById(topupId);
+            if (!topUp || topUp.userId !== userId) {
+                return {
+                    success: false,
+                    message: 'Bakiye yükleme bulunamadı'
+                };
+            }
+
+            return {
+                success: true,
+                data: this.formatTopUp(topUp)
+            };
+
+        } catch (error) {
+            console.error('Get top-up error:', error);
+            return {
+                success: false,
+                message: 'Bakiye yükleme alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Fail top-ups whose challenge was never answered or whose provider never
+     * called back, so they stop counting towards the top-up limits
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Expired top-ups
+     */
+    async expireStaleTopUps(now = new Date()) {
+        if (this.sweeping) {
+            return {
+                success: false,
+                message: 'Bakiye yüklemeleri zaten kontrol ediliyor'
+            };
+        }
+
+        this.sweeping = true;
+        try {
+            const stale = [
+                ...(await this.topUpRepository.findStale(
+                    'requires_action',
+                    new Date(now.getTime() - this.challengeTtl * 1000),
+                    MAX_TOPUPS_PER_SWEEP
+                )).map(topUp => [topUp, '3-D Secure doğrulaması zaman aşımına uğradı']),
+                ...(await this.topUpRepository.findStale(
+                    'pending',
+                    new Date(now.getTime() - this.pendingTtl * 1000),
+                    MAX_TOPUPS_PER_SWEEP
+                )).map(topUp => [topUp, 'Ödeme süresi doldu'])
+            ];
+
+            const topupIds = [];
+            for (const [topUp, reason] of stale) {
+                if (await this.settle(topUp, 'failed', reason, now)) {
+                    topupIds.push(topUp.topupId);
+                }
+            }
+
+            return {
+                success: true,
+                message: `${topupIds.length} bakiye yüklemenin süresi doldu`,
+                data: {
+                    expiredCount: topupIds.length,
+                    topupIds
+                }
+            };
+
+        } catch (error) {
+            console.error('Expire top-ups error:', error);
+            return {
+                success: false,
+                message: 'Süresi dolan bakiye yüklemeleri kapatılamadı'
+            };
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    /**
+     * Create the provider charge of a new top-up and record the answer
+     * A provider that cannot be reached fails the top-up; nothing was credited yet
+     * @param {FundingProvider} provider - Provider of the top-up method
+     * @param {TopUp} topUp - Top-up just written, pending
+     * @param {PaymentCard|null} card - Card details for card top-ups
+     * @param {SavedCard|null} savedCard - Saved card for card top-ups
+     * @returns {Promise<Object>} Provider answer
+     */
+    async charge(provider, topUp, card, savedCard = null) {
+        let result;
+        try {
+            result = await provider.createCharge({
+                topupId: topUp.topupId,
+                amount: topUp.amount,
+                description: 'Bakiye yükleme',
+                ...(card ? { card } : {}),
+                ...(savedCard ? { cardToken: savedCard.token } : {})
+            });
+        } catch (error) {
+            console.error(`Create charge ${topUp.topupId} error:`, error);
+            result = { reference: null, status: 'failed', failureReason: 'Ödeme sağlayıcısına ulaşılamadı' };
+        }
+
+        if (result.reference) {
+            await this.topUpRepository.markCharged(new TopUp(
+                topUp.topupId,
+                topUp.userId,
+                topUp.txId,
+                topUp.method,
+                topUp.amount,
+                result.status === 'requires_action' ? 'requires_action' : 'pending',
+                {
+                    providerReference: result.reference,
+                    card: result.card || (savedCard ? { brand: savedCard.brand, last4: savedCard.last4 } : undefined),
+                    instructions: result.instructions
+                },
+                topUp.createdAt
+            ));
+        }
+
+        if (result.status === 'completed' || result.status === 'failed') {
+            await this.settle(topUp, result.status, result.failureReason);
+        }
+
+        return result;
+    }
+
+    /**
+     * Settle an open top-up
+     * A completed top-up credits the wallet from the top-up clearing account,
+     * a failed one only closes its transaction
+     * @param {TopUp} topUp - Top-up as read
+     * @param {string} status - 'completed' or 'failed'
+     * @param {string|null} failureReason - Reason of a failure
+     * @param {Date} now - Settlement time
+     * @returns {Promise<boolean>} False if the top-up was settled meanwhile
+     */
+    async settle(topUp, status, failureReason = null, now = new Date()) {
+        const { userId, amount, txId } = topUp;
+        const operations = status === 'completed'
+            ? [
+                this.topUpRepository.settleOperation(topUp, 'completed', null, now),
+                this.walletRepository.openOperation(userId, amount.currency),
+                this.walletRepository.creditOperation(userId, amount),
+                ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    LedgerAccount.topUpClearing(amount.currency),
+                    LedgerAccount.wallet(userId, amount.currency),
+                    amount,
+                    'Bakiye yükleme',
+                    txId
+                )),
+                this.transactionRepository.transitionOperation(txId, 'pending', 'ok', {
+                    meta: { completed_at: now.toISOString() }
+                })
+            ]
+            : [
+                this.topUpRepository.settleOperation(topUp, 'failed', failureReason, now),
+                this.transactionRepository.transitionOperation(txId, 'pending', 'failed', {
+                    meta: { failure_reason: failureReason }
+                }),
+                ...(this.limitService ? [this.limitService.releaseOperation(userId, 'topup', amount, topUp.createdAt)] : [])
+            ];
+
+        try {
+            await this.topUpRepository.transaction(operations);
+            return true;
+        } catch (error) {
+            if (error.code === 'TOPUP_CHANGED') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read card details as entered
+     * The card number is passed to the provider only and never stored
+     * @param {Object} card - {number, expiryMonth, expiryYear, cvc}
+     * @returns {PaymentCard|null} Card, or null if incomplete, invalid or expired
+     */
+    parseCard(card) {
+        if (!card || typeof card !== 'object' || card.cvc === undefined || card.cvc === null) {
+            return null;
+        }
+
+        try {
+            const paymentCard = new PaymentCard(card.number, card.expiryMonth, card.expiryYear, card.cvc);
+            return paymentCard.isExpired() ? null : paymentCard;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {TopUp} topUp - Top-up
+     * @returns {string} Message describing the state of a top-up
+     */
+    statusMessage(topUp) {
+        switch (topUp.status) {
+            case 'requires_action':
+                return '3-D Secure doğrulaması gerekiyor';
+            case 'pending':
+                return 'Bakiye yükleme onay bekliyor';
+            case 'completed':
+                return 'Bakiye yükleme başarılı';
+            default:
+                return `Bakiye yükleme başarısız: ${topUp.failureReason}`;
+        }
+    }
+
+    /**
+     * Format a top-up for API responses
+     * @param {TopUp} topUp - Top-up
+     * @returns {Object} Top-up in major units
+     */
+    formatTopUp(topUp) {
+        return {
+            topupId: topUp.topupId,
+            transactionId: topUp.txId,
+            method: topUp.method,
+            amount: topUp.amount.toMajor(),
+            currency: topUp.amount.currency,
+            formattedAmount: topUp.amount.format(),
+            status: topUp.status,
+            card: topUp.card,
+            instructions: topUp.instructions,
+            failureReason: topUp.failureReason,
+            createdAt: topUp.createdAt.toISOString(),
+            resolvedAt: topUp.resolvedAt ? topUp.resolvedAt.toISOString() : null
+        };
+    }
+}
+
+module.exports = TopUpService;
@@ -0,0 +1,542 @@
+/**
+ * Withdrawal Service
+ * Cash-out from the TRY wallet to registered Turkish bank accounts. A request
+ * holds the funds and records a pending withdrawal transaction; the bank rail
+ * then completes it (the held funds leave the balance) or fails it (the held
+ * funds are released)
+ * Follows Single Responsibility Principle
+ */
+
+const BankAccount = require('../domain/BankAccount');
+const Withdrawal = require('../domain/Withdrawal');
+const Transaction = require('../domain/Transaction');
+const Iban = require('../domain/Iban');
+const Money = require('../domain/Money');
+const JournalEntry = require('../domain/JournalEntry');
+const LedgerAccount = require('../domain/LedgerAccount');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_BANK_ACCOUNTS = 5;
+const MAX_HOLDER_NAME_LENGTH = 70;
+const MAX_WITHDRAWALS_PER_SYNC = 100;
+
+class WithdrawalService {
+    /**
+     * @param {WithdrawalRepository} withdrawalRepository - Withdrawal repository
+     * @param {BankAccountRepository} bankAccountRepository - Bank account repository
+     * @param {WalletRepository} walletRepository - Wallet repository
+     * @param {TransactionRepository} transactionRepository - Transaction repository
+     * @param {LedgerRepository} ledgerRepository - Ledger repository
+     * @param {UserRepository} userRepository - Provides default account holder names
+     * @param {BankRail} bankRail - Sends the transfers to the bank
+     */
+    constructor(withdrawalRepository, bankAccountRepository, walletRepository, transactionRepository, ledgerRepository, userRepository, bankRail) {
+        this.withdrawalRepository = withdrawalRepository;
+        this.bankAccountRepository = bankAccountRepository;
+        this.walletRepository = walletRepository;
+        this.transactionRepository = transactionRepository;
+        this.ledgerRepository = ledgerRepository;
+        this.userRepository = userRepository;
+        this.bankRail = bankRail;
+        this.syncing = false;
+    }
+
+    /**
+     * Register a bank account to withdraw to
+     * @param {string} userId - User ID
+     * @param {string} iban - Turkish IBAN, spaces allowed
+     * @param {string|null} holderName - Account holder, the user's name if omitted
+     * @returns {Promise<Object>} Creation result
+     */
+    async addBankAccount(userId, iban, holderName = null) {
+        try {
+            if (!Iban.isValid(iban)) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir TR IBAN giriniz'
+                };
+            }
+
+            const user = await this.userRepository.findById(userId);
+            if (!user) {
+                return {
+                    success: false,
+                    message: 'Kullanıcı bulunamadı'
+                };
+            }
+
+            const name = holderName === null || holderName === undefined ? user.name : String(holderName).trim();
+            if (!name || name.length > MAX_HOLDER_NAME_LENGTH) {
+                return {
+                    success: false,
+                    message: `Hesap sahibi adı 1-${MAX_HOLDER_NAME_LENGTH} karakter olmalıdır`
+                };
+            }
+
+            const normalized = new Iban(iban);
+            const accounts = await this.bankAccountRepository.findByUserId(userId);
+            if (accounts.some(account => account.iban.toString() === normalized.toString())) {
+                return {
+                    success: false,
+                    message: 'Bu IBAN zaten kayıtlı'
+                };
+            }
+
+            if (accounts.length >= MAX_BANK_ACCOUNTS) {
+                return {
+                    success: false,
+                    message: `En fazla ${MAX_BANK_ACCOUNTS} banka hesabı kaydedilebilir`
+                };
+            }
+
+            const account = new BankAccount(`BA_${uuidv4().substring(0, 8)}`, userId, normalized, name);
+            await this.bankAccountRepository.create(account);
+
+            return {
+                success: true,
+                message: 'Banka hesabı eklendi',
+                data: this.formatBankAccount(account)
+            };
+
+        } catch (error) {
+            console.error('Add bank account error:', error);
+            return {
+                success: false,
+                message: 'Banka hesabı eklenirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Get the bank accounts of a user
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Active bank accounts
+     */
+    async listBankAccounts(userId) {
+        try {
+            const accounts = await this.bankAccountRepository.findByUserId(userId);
+
+            return {
+                success: true,
+                data: {
+                    accounts: accounts.map(account => this.formatBankAccount(account))
+                }
+            };
+
+        } catch (error) {
+            console.error('List bank accounts error:', error);
+            return {
+                success: false,
+                message: 'Banka hesapları alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Remove a bank account
+     * Open withdrawals to the account are still paid out
+     * @param {string} userId - User ID
+     * @param {string} accountId - Account ID
+     * @returns {Promise<Object>} Removal result
+     */
+    async removeBankAccount(userId, accountId) {
+        try {
+            const account = await this.findOwnedAccount(userId, accountId);
+            if (!account) {
+                return {
+                    success: false,
+                    message: 'Banka hesabı bulunamadı'
+                };
+            }
+
+            await this.bankAccountRepository.remove(accountId);
+
+            return {
+                success: true,
+                message: 'Banka hesabı silindi',
+                data: { accountId }
+            };
+
+        } catch (error) {
+            console.error('Remove bank account error:', error);
+            return {
+                success: false,
+                message: 'Banka hesabı silinirken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Withdraw from the TRY wallet to a registered bank account
+     * The amount is held and sent to the bank rail; it leaves the balance when
+     * the bank completes the transfer and is released if the bank fails it
+     * @param {string} userId - User ID
+     * @param {string} bankAccountId - Registered bank account ID
+     * @param {number} amount - Amount in TRY
+     * @returns {Promise<Object>} Withdrawal result
+     */
+    async requestWithdrawal(userId, bankAccountId, amount) {
+        try {
+            const money = Number.isFinite(amount) ? Money.fromMajor(amount) : null;
+            if (!money || !money.isPositive()) {
+                return {
+                    success: false,
+                    message: 'Geçerli bir tutar giriniz'
+                };
+            }
+
+            const account = await this.findOwnedAccount(userId, bankAccountId);
+            if (!account) {
+                return {
+                    success: false,
+                    message: 'Banka hesabı bulunamadı'
+                };
+            }
+
+            const wallet = await this.walletRepository.findByUserId(userId);
+            if (!wallet) {
+                return {
+                    success: false,
+                    message: 'Kullanıcının cüzdanı bulunamadı'
+                };
+            }
+
+            // Fail fast; the guarded hold below is what prevents overdrafts
+            if (!wallet.hasSufficientFunds(money)) {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
+            const withdrawalId = `WD_${uuidv4().substring(0, 8)}`;
+            const txId = `TX_WD_${uuidv4().substring(0, 8)}`;
+            const now = new Date();
+
+            const transaction = new Transaction(
+                txId,
+                userId,
+                money,
+                money.currency,
+                'withdrawal',
+                'pending',
+                null,
+                { withdrawal_id: withdrawalId, bank_account_id: account.accountId, iban: account.iban.mask() },
+                now
+            );
+            const withdrawal = new Withdrawal(
+                withdrawalId,
+                userId,
+                txId,
+                account.accountId,
+                account.iban,
+                money,
+                'pending',
+                { holderName: account.holderName },
+                now
+            );
+
+            await this.walletRepository.transaction([
+                this.walletRepository.holdOperation(userId, money),
+                this.transactionRepository.insertOperation(transaction),
+                this.withdrawalRepository.insertOperation(withdrawal)
+            ]);
+
+            // A rail that is down leaves the withdrawal pending for the sync job
+            await this.submit(withdrawal);
+            const submitted = await this.withdrawalRepository.findById(withdrawalId);
+
+            return {
+                success: true,
+                message: 'Para çekme talebi alındı',
+                data: this.formatWithdrawal(submitted)
+            };
+
+        } catch (error) {
+            if (error.code === 'INSUFFICIENT_FUNDS') {
+                return {
+                    success: false,
+                    message: 'Yetersiz bakiye'
+                };
+            }
+
+            console.error('Request withdrawal error:', error);
+            return {
+                success: false,
+                message: 'Para çekme talebi oluşturulurken bir hata oluştu'
+            };
+        }
+    }
+
+    /**
+     * Get the withdrawals of a user
+     * @param {string} userId - User ID
+     * @param {string|null} status - Only withdrawals with this status
+     * @returns {Promise<Object>} Withdrawals, newest first
+     */
+    async listWithdrawals(userId, status = null) {
+        try {
+            const withdrawals = await this.withdrawalRepository.findByUserId(userId, status);
+
+            return {
+                success: true,
+                data: {
+                    withdrawals: withdrawals.map(withdrawal => this.formatWithdrawal(withdrawal))
+                }
+            };
+
+        } catch (error) {
+            console.error('List withdrawals error:', error);
+            return {
+                success: false,
+                message: 'Para çekme işlemleri alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Get one withdrawal of a user
+     * @param {string} userId - User ID
+     * @param {string} withdrawalId - Withdrawal ID
+     * @returns {Promise<Object>} Withdrawal
+     */
+    async getWithdrawal(userId, withdrawalId) {
+        try {
+            const withdrawal = await this.withdrawalRepository.findById(withdrawalId);
+            if (!withdrawal || withdrawal.userId !== userId) {
+                return {
+                    success: false,
+                    message: 'Para çekme işlemi bulunamadı'
+                };
+            }
+
+            return {
+                success: true,
+                data: this.formatWithdrawal(withdrawal)
+            };
+
+        } catch (error) {
+            console.error('Get withdrawal error:', error);
+            return {
+                success: false,
+                message: 'Para çekme işlemi alınamadı'
+            };
+        }
+    }
+
+    /**
+     * Move open withdrawals forward with the bank rail
+     * Pending withdrawals are submitted again, processing ones are settled
+     * once the rail reports them completed or failed
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Counts of submitted, completed and failed withdrawals
+     */
+    async syncWithdrawals(now = new Date()) {
+        if (this.syncing) {
+            return {
+                success: true,
+                message: 'Para çekme işlemleri zaten güncelleniyor',
+                data: { submitted: 0, completed: 0, failed: 0, errors: 0, skipped: true }
+            };
+        }
+
+        this.syncing = true;
+        const counts = { submitted: 0, completed: 0, failed: 0, errors: 0 };
+
+        try {
+            const open = await this.withdrawalRepository.findOpen(MAX_WITHDRAWALS_PER_SYNC);
+
+            for (const withdrawal of open) {
+                // One withdrawal the rail or the database rejects must not hold up the others
+                try {
+                    const status = await this.syncWithdrawal(withdrawal, now);
+                    if (status) {
+                        counts[status] += 1;
+                    }
+                } catch (error) {
+                    console.error(`Sync withdrawal ${withdrawal.withdrawalId} error:`, error);
+                    counts.errors += 1;
+                }
+            }
+
+            return {
+                success: true,
+                message: `${counts.completed} para çekme tamamlandı, ${counts.failed} başarısız`,
+                data: { ...counts, skipped: false }
+            };
+
+        } catch (error) {
+            console.error('Sync withdrawals error:', error);
+            return {
+                success: false,
+                message: 'Para çekme işlemleri güncellenemedi'
+            };
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    /**
+     * Move one open withdrawal forward
+     * @param {Withdrawal} withdrawal - Pending or processing withdrawal
+     * @param {Date} now - Current time
+     * @returns {Promise<string|null>} 'submitted', 'completed' or 'failed', null if unchanged
+     */
+    async syncWithdrawal(withdrawal, now) {
+        if (withdrawal.status === 'pending') {
+            const submitted = await this.submit(withdrawal);
+            if (!submitted) {
+                return null;
+            }
+            return submitted.status === 'processing' ? 'submitted' : submitted.status;
+        }
+
+        const state = await this.bankRail.getTransferStatus({
+            reference: withdrawal.bankReference,
+            withdrawalId: withdrawal.withdrawalId,
+            iban: withdrawal.iban,
+            amount: withdrawal.amount,
+            submittedAt: withdrawal.submittedAt
+        });
+
+        if (state.status === 'pending' || !await this.settle(withdrawal, state.status, state.failureReason, now)) {
+            return null;
+        }
+        return state.status;
+    }
+
+    /**
+     * Send a pending withdrawal to the bank rail
+     * Errors of the rail are logged and leave the withdrawal pending
+     * @param {Withdrawal} withdrawal - Pending withdrawal
+     * @returns {Promise<Object|null>} {reference, status} after submission, null if not submitted
+     */
+    async submit(withdrawal) {
+        let result;
+        try {
+            result = await this.bankRail.submitTransfer({
+                withdrawalId: withdrawal.withdrawalId,
+                iban: withdrawal.iban,
+                holderName: withdrawal.holderName,
+                amount: withdrawal.amount,
+                description: `Cüzdandan para çekme ${withdrawal.withdrawalId}`
+            });
+        } catch (error) {
+            console.error('Submit withdrawal error:', error);
+            return null;
+        }
+
+        const now = new Date();
+        const marked = await this.withdrawalRepository.markSubmitted(withdrawal.withdrawalId, result.reference, now);
+        if (marked.changes === 0) {
+            return null;
+        }
+
+        if (result.status === 'completed' || result.status === 'failed') {
+            const processing = await this.withdrawalRepository.findById(withdrawal.withdrawalId);
+            await this.settle(processing, result.status, result.failureReason, now);
+            return { reference: result.reference, status: result.status };
+        }
+
+        return { reference: result.reference, status: 'processing' };
+    }
+
+    /**
+     * Complete or fail a withdrawal the bank settled
+     * Completion debits the held funds and posts them to the withdrawal clearing
+     * account; failure releases the held funds back to the available balance
+     * @param {Withdrawal} withdrawal - Withdrawal as read
+     * @param {string} status - 'completed' or 'failed'
+     * @param {string|null} failureReason - Reason given by the bank
+     * @param {Date} now - Settlement time
+     * @returns {Promise<boolean>} False if the withdrawal was settled meanwhile
+     */
+    async settle(withdrawal, status, failureReason = null, now = new Date()) {
+        const { userId, amount, txId } = withdrawal;
+        const operations = status === 'completed'
+            ? [
+                this.withdrawalRepository.settleOperation(withdrawal, 'completed', null, now),
+                this.walletRepository.captureHoldOperation(userId, amount, amount),
+                this.transactionRepository.transitionOperation(txId, 'pending', 'ok', {
+                    meta: { bank_reference: withdrawal.bankReference, completed_at: now.toISOString() }
+                }),
+                ...this.ledgerRepository.entryOperations(JournalEntry.transfer(
+                    `JE_${uuidv4().substring(0, 8)}`,
+                    LedgerAccount.wallet(userId, amount.currency),
+                    LedgerAccount.withdrawalClearing(amount.currency),
+                    amount,
+                    'Banka hesabına para çekme',
+                    txId
+                ))
+            ]
+            : [
+                this.withdrawalRepository.settleOperation(withdrawal, 'failed', failureReason || 'Banka transferi başarısız', now),
+                this.walletRepository.releaseHoldOperation(userId, amount),
+                this.transactionRepository.transitionOperation(txId, 'pending', 'failed', {
+                    meta: { failure_reason: failureReason || 'Banka transferi başarısız' }
+                })
+            ];
+
+        try {
+            await this.walletRepository.transaction(operations);
+            return true;
+        } catch (error) {
+            if (error.code === 'WITHDRAWAL_CHANGED') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Find an active bank account of a user
+     * @param {string} userId - User ID
+     * @param {string} accountId - Account ID
+     * @returns {Promise<BankAccount|null>} Account, null if missing, removed or another user's
+     */
+    async findOwnedAccount(userId, accountId) {
+        const account = accountId ? await this.bankAccountRepository.findById(accountId) : null;
+        return account && account.userId === userId && account.isActive() ? account : null;
+    }
+
+    /**
+     * Format a bank account for API responses
+     * @param {BankAccount} account - BankAccount instance
+     * @returns {Object} Account with the formatted IBAN
+     */
+    formatBankAccount(account) {
+        return {
+            accountId: account.accountId,
+            iban: account.iban.format(),
+            bankCode: account.iban.bankCode,
+            holderName: account.holderName,
+            createdAt: account.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Format a withdrawal for API responses
+     * @param {Withdrawal} withdrawal - Withdrawal instance
+     * @returns {Object} Withdrawal with the amount in major units
+     */
+    formatWithdrawal(withdrawal) {
+        return {
+            withdrawalId: withdrawal.withdrawalId,
+            transactionId: withdrawal.txId,
+            bankAccountId: withdrawal.bankAccountId,
+            iban: withdrawal.iban.mask(),
+            holderName: withdrawal.holderName,
+            amount: withdrawal.amount.toMajor(),
+            currency: withdrawal.amount.currency,
+            formattedAmount: withdrawal.amount.format(),
+            status: withdrawal.status,
+            bankReference: withdrawal.bankReference,
+            failureReason: withdrawal.failureReason,
+            createdAt: withdrawal.createdAt.toISOString(),
+            submittedAt: withdrawal.submittedAt ? withdrawal.submittedAt.toISOString() : null,
+            resolvedAt: withdrawal.resolvedAt ? withdrawal.resolvedAt.toISOString() : null
+        };
+    }
+}
+
+module.exports = WithdrawalService;
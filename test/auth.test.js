@@ -0,0 +1,50 @@
+/**
+ * PIN lockout under concurrency
+ * Failed attempts are counted by the database, so parallel wrong PINs
+ * cannot get past the lock
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const CredentialRepository = require('../src/repositories/CredentialRepository');
+const AuthService = require('../src/services/AuthService');
+
+let database;
+let credentialRepository;
+let authService;
+
+before(async () => {
+    database = await createTestDatabase();
+    credentialRepository = new CredentialRepository(database.db);
+    authService = new AuthService(null, credentialRepository, null);
+});
+
+after(async () => {
+    await database.cleanup();
+});
+
+test('parallel wrong PINs lock the account after five attempts', async () => {
+    const results = await Promise.all(Array.from({ length: 10 }, () => authService.checkPin('U1', '0000')));
+
+    const counted = results.filter(result => !result.locked).map(result => result.remainingAttempts);
+    assert.deepEqual(counted.sort(), [1, 2, 3, 4]);
+    assert.equal(results.filter(result => result.locked).length, 6);
+
+    const correct = await authService.checkPin('U1', '1234');
+    assert.equal(correct.success, false);
+    assert.equal(correct.locked, true);
+});
+
+test('a correct PIN clears the failed attempts', async () => {
+    assert.equal((await authService.checkPin('U2', '0000')).remainingAttempts, 4);
+    assert.equal((await authService.checkPin('U2', '1234')).success, true);
+
+    assert.equal((await authService.checkPin('U2', '0000')).remainingAttempts, 4);
+});
+
+test('failures older than the window start a new count', async () => {
+    await credentialRepository.updateFailedAttempts('U3', 4, new Date(Date.now() - 16 * 60 * 1000));
+
+    assert.equal((await authService.checkPin('U3', '0000')).remainingAttempts, 4);
+});
@@ -0,0 +1,36 @@
+/**
+ * Bill split share calculation
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BillSplit = require('../src/domain/BillSplit');
+const Money = require('../src/domain/Money');
+
+const minors = split => [split.payerShare, ...split.shares.map(share => share.shareAmount)].map(share => share.minor);
+
+test('equal split gives every leftover kuruş to the payer', () => {
+    const split = BillSplit.calculateEqualSplit(Money.fromMinor(11), 'U1', ['U2', 'U3', 'U4']);
+
+    assert.deepEqual(minors(split), [5, 2, 2, 2]);
+});
+
+test('equal split gives every leftover kuruş to the first debtor', () => {
+    const split = BillSplit.calculateEqualSplit(Money.fromMinor(11), 'U1', ['U2', 'U3', 'U4'], 'first_debtor');
+
+    assert.deepEqual(minors(split), [2, 5, 2, 2]);
+});
+
+test('equal split gives every leftover kuruş to one random debtor', () => {
+    const split = BillSplit.calculateEqualSplit(Money.fromMinor(11), 'U1', ['U2', 'U3', 'U4'], 'random_debtor');
+    const [payerShare, ...debtorShares] = minors(split);
+
+    assert.equal(payerShare, 2);
+    assert.deepEqual([...debtorShares].sort(), [2, 2, 5]);
+});
+
+test('equal split without leftover is exact', () => {
+    const split = BillSplit.calculateEqualSplit(Money.fromMajor(100), 'U1', ['U2', 'U3', 'U4']);
+
+    assert.deepEqual(minors(split), [2500, 2500, 2500, 2500]);
+});
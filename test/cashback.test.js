@@ -0,0 +1,58 @@
+/**
+ * First-time-only cashback under concurrency
+ * Parallel first payments all go through, but only one earns the bonus
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const WalletRepository = require('../src/repositories/WalletRepository');
+const TransactionRepository = require('../src/repositories/TransactionRepository');
+const LedgerRepository = require('../src/repositories/LedgerRepository');
+const PaymentService = require('../src/services/PaymentService');
+const CashbackService = require('../src/services/CashbackService');
+
+let database;
+let paymentService;
+
+before(async () => {
+    database = await createTestDatabase();
+    const walletRepository = new WalletRepository(database.db);
+    const transactionRepository = new TransactionRepository(database.db);
+    const ledgerRepository = new LedgerRepository(database.db);
+
+    paymentService = new PaymentService(walletRepository, transactionRepository, ledgerRepository);
+    paymentService.setCashbackService(new CashbackService(database.db, walletRepository, transactionRepository, ledgerRepository));
+
+    await database.db.run(
+        `INSERT INTO cashback_rules (rule_id, rule_type, category, rate, flat_amount, cap, first_time_only)
+         VALUES ('CB_FIRST', 'flat', 'any', 0, 500, 500, 1)`
+    );
+});
+
+after(async () => {
+    await database.cleanup();
+});
+
+test('parallel first payments earn a first-time cashback once', async () => {
+    const results = await Promise.all(Array.from({ length: 4 }, () => paymentService.processPayment('U2', 'M1', 10)));
+
+    assert.ok(results.every(result => result.success));
+    assert.equal(results.filter(result => result.data.cashback.applied).length, 1);
+
+    const awards = await database.db.query(
+        "SELECT * FROM transactions WHERE user_id = 'U2' AND type = 'cashback' AND json_extract(meta, '$.rule_id') = 'CB_FIRST'"
+    );
+    assert.equal(awards.length, 1);
+
+    // 90 TL opening balance, 4 x 10 TL paid, 5 TL bonus
+    const wallet = await paymentService.walletRepository.findByUserId('U2');
+    assert.equal(wallet.balance.minor, 9000 - 4000 + 500);
+});
+
+test('later payments do not earn a first-time cashback again', async () => {
+    const result = await paymentService.processPayment('U2', 'M1', 10);
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.cashback.applied, false);
+});
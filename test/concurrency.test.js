@@ -0,0 +1,93 @@
+/**
+ * Concurrent debits against a single wallet
+ * Parallel payments and transfers must never overdraw the wallet or let
+ * the ledger drift from the stored balance
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const WalletRepository = require('../src/repositories/WalletRepository');
+const TransactionRepository = require('../src/repositories/TransactionRepository');
+const LedgerRepository = require('../src/repositories/LedgerRepository');
+const PaymentService = require('../src/services/PaymentService');
+const ReconciliationService = require('../src/services/ReconciliationService');
+
+let database;
+let walletRepository;
+let ledgerRepository;
+let paymentService;
+let reconciliationService;
+
+before(async () => {
+    database = await createTestDatabase();
+    walletRepository = new WalletRepository(database.db);
+    const transactionRepository = new TransactionRepository(database.db);
+    ledgerRepository = new LedgerRepository(database.db);
+    paymentService = new PaymentService(walletRepository, transactionRepository, ledgerRepository);
+    reconciliationService = new ReconciliationService(walletRepository, transactionRepository, ledgerRepository);
+});
+
+after(async () => {
+    await database.cleanup();
+});
+
+async function balanceOf(userId) {
+    const wallet = await walletRepository.findByUserId(userId);
+    return wallet.balance.minor;
+}
+
+/**
+ * Fire the calls in parallel and check the wallet afterwards
+ * @param {string} userId - Debited user
+ * @param {number} amount - Amount of every call in TL
+ * @param {Array<Function>} calls - Calls that each debit amount
+ */
+async function assertSerializedDebits(userId, amount, calls) {
+    const opening = await balanceOf(userId);
+    const amountMinor = Math.round(amount * 100);
+    const expectedSuccesses = Math.floor(opening / amountMinor);
+    assert.ok(calls.length > expectedSuccesses, 'more calls than the balance can cover');
+
+    const results = await Promise.all(calls.map(call => call()));
+    const succeeded = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+
+    assert.equal(succeeded.length, expectedSuccesses);
+    failed.forEach(result => assert.equal(result.message, 'Yetersiz bakiye'));
+
+    const closing = await balanceOf(userId);
+    assert.ok(closing >= 0, `balance went negative: ${closing}`);
+    assert.equal(closing, opening - expectedSuccesses * amountMinor);
+
+    const ledgerBalance = await ledgerRepository.getWalletBalance(userId);
+    assert.equal(ledgerBalance.minor, closing);
+}
+
+test('parallel payments are limited to the wallet balance', async () => {
+    // U1 holds 250.00 TL, enough for 8 payments of 30 TL
+    const calls = Array.from({ length: 12 }, () => () => paymentService.processPayment('U1', 'M1', 30));
+    await assertSerializedDebits('U1', 30, calls);
+});
+
+test('parallel transfers are limited to the wallet balance', async () => {
+    // U2 holds 90.00 TL, enough for 4 transfers of 20 TL
+    const calls = Array.from({ length: 8 }, () => () => paymentService.transferMoney('U2', 'U3', 20));
+    await assertSerializedDebits('U2', 20, calls);
+});
+
+test('parallel payments and transfers share the wallet balance', async () => {
+    const amount = 15;
+    const calls = Array.from({ length: 10 }, (_, i) => (i % 2 === 0
+        ? () => paymentService.processPayment('U3', 'M2', amount)
+        : () => paymentService.transferMoney('U3', 'U1', amount)));
+    await assertSerializedDebits('U3', amount, calls);
+});
+
+test('ledger postings agree with wallet balances', async () => {
+    const result = await reconciliationService.reconcile();
+
+    assert.equal(result.success, true);
+    assert.ok(result.data.walletCount > 0);
+    assert.deepEqual(result.data.mismatches, []);
+});
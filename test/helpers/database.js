@@ -0,0 +1,45 @@
+/**
+ * Test Database Helper
+ * Opens a throwaway copy of the seeded database for a test file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../../src/database/Database');
+const { applySchema } = require('../../src/database/init');
+
+/**
+ * Create a database in a temporary directory with the schema and demo data applied
+ * Database is a singleton, so every test file works on a single database
+ * @param {Object} options - Options
+ * @param {string} options.legacySchema - SQL file of an older schema to create
+ *   the database with first, so applySchema upgrades it through the migrations
+ * @returns {Promise<{db: Database, cleanup: Function}>} Connected database and its cleanup
+ */
+async function createTestDatabase({ legacySchema = null } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-system-'));
+    const db = new Database();
+    await db.connect(path.join(dir, 'test.db'));
+
+    if (legacySchema) {
+        const statements = fs.readFileSync(legacySchema, 'utf8').split(';')
+            .map(stmt => stmt.trim())
+            .filter(stmt => stmt.length > 0);
+        for (const statement of statements) {
+            await db.run(statement + ';');
+        }
+    }
+
+    await applySchema(db, { verbose: false });
+
+    return {
+        db,
+        cleanup: async () => {
+            await db.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { createTestDatabase };
@@ -0,0 +1,114 @@
+/**
+ * Transaction limits under concurrency
+ * Usage is counted in the same database transaction as the money movement,
+ * so parallel requests cannot go past a cap together
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const WalletRepository = require('../src/repositories/WalletRepository');
+const TransactionRepository = require('../src/repositories/TransactionRepository');
+const LedgerRepository = require('../src/repositories/LedgerRepository');
+const LimitRepository = require('../src/repositories/LimitRepository');
+const PaymentHoldRepository = require('../src/repositories/PaymentHoldRepository');
+const ScheduledPaymentRepository = require('../src/repositories/ScheduledPaymentRepository');
+const UserRepository = require('../src/repositories/UserRepository');
+const PaymentService = require('../src/services/PaymentService');
+const PaymentAuthorizationService = require('../src/services/PaymentAuthorizationService');
+const LimitService = require('../src/services/LimitService');
+const ScheduledPaymentService = require('../src/services/ScheduledPaymentService');
+
+let database;
+let limitService;
+let paymentService;
+let paymentAuthorizationService;
+let scheduledPaymentService;
+
+before(async () => {
+    database = await createTestDatabase();
+    const walletRepository = new WalletRepository(database.db);
+    const transactionRepository = new TransactionRepository(database.db);
+    const ledgerRepository = new LedgerRepository(database.db);
+
+    limitService = new LimitService(new LimitRepository(database.db), null, {
+        limits: {
+            transfer_out: { perTransaction: 50, daily: 100, monthly: 1000 },
+            payment: { perTransaction: 50, daily: 100, monthly: 1000 }
+        }
+    });
+    paymentService = new PaymentService(
+        walletRepository,
+        transactionRepository,
+        ledgerRepository,
+        null,
+        null,
+        null,
+        null,
+        limitService
+    );
+    paymentAuthorizationService = new PaymentAuthorizationService(
+        walletRepository,
+        transactionRepository,
+        new PaymentHoldRepository(database.db),
+        ledgerRepository,
+        null,
+        null,
+        limitService
+    );
+    scheduledPaymentService = new ScheduledPaymentService(
+        new ScheduledPaymentRepository(database.db),
+        paymentService,
+        null,
+        new UserRepository(database.db),
+        limitService
+    );
+});
+
+after(async () => {
+    await database.cleanup();
+});
+
+async function dailyRemaining(userId, type) {
+    const result = await limitService.getLimits(userId);
+    return result.data.limits.find(limit => limit.type === type).daily.remaining;
+}
+
+test('parallel payments stop at the daily limit', async () => {
+    const results = await Promise.all(Array.from({ length: 6 }, () => paymentService.processPayment('U1', 'M1', 30)));
+    const succeeded = results.filter(result => result.success);
+
+    // 3 x 30 TL fit under the 100 TL daily limit
+    assert.equal(succeeded.length, 3);
+    results.filter(result => !result.success)
+        .forEach(result => assert.match(result.message, /^Limit aşıldı/));
+    assert.equal(await dailyRemaining('U1', 'payment'), 10);
+});
+
+test('parallel transfers stop at the daily limit', async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () => paymentService.transferMoney('U1', 'U2', 45)));
+
+    assert.equal(results.filter(result => result.success).length, 2);
+    assert.equal(await dailyRemaining('U1', 'transfer_out'), 10);
+});
+
+test('voided authorizations give their usage back', async () => {
+    const authorized = await paymentAuthorizationService.authorizePayment('U2', 'M1', 40);
+    assert.equal(authorized.success, true);
+    assert.equal(await dailyRemaining('U2', 'payment'), 60);
+
+    const voided = await paymentAuthorizationService.voidPayment('U2', authorized.data.transactionId);
+    assert.equal(voided.success, true);
+    assert.equal(await dailyRemaining('U2', 'payment'), 100);
+});
+
+test('scheduled payments above the per-transaction limit are refused', async () => {
+    const fields = { type: 'transfer', toUserId: 'U1', frequency: 'weekly' };
+
+    const refused = await scheduledPaymentService.createSchedule('U3', { ...fields, amount: 60 });
+    assert.equal(refused.success, false);
+    assert.match(refused.message, /^Limit aşıldı: tek işlem transfer/);
+
+    const created = await scheduledPaymentService.createSchedule('U3', { ...fields, amount: 50 });
+    assert.equal(created.success, true);
+});
@@ -0,0 +1,54 @@
+/**
+ * Schema migrations
+ * A database created by the first release is upgraded to the current schema
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createTestDatabase } = require('./helpers/database');
+const { LATEST_VERSION, getSchemaVersion } = require('../src/database/migrations');
+const WalletRepository = require('../src/repositories/WalletRepository');
+const TransactionRepository = require('../src/repositories/TransactionRepository');
+const LedgerRepository = require('../src/repositories/LedgerRepository');
+const ReconciliationService = require('../src/services/ReconciliationService');
+
+let database;
+
+before(async () => {
+    database = await createTestDatabase({
+        legacySchema: path.join(__dirname, 'fixtures', 'baseline-schema.sql')
+    });
+});
+
+after(async () => {
+    await database.cleanup();
+});
+
+test('every migration applies to a first release database', async () => {
+    assert.equal(await getSchemaVersion(database.db), LATEST_VERSION);
+});
+
+test('idempotency keys are scoped after the upgrade', async () => {
+    const columns = await database.db.query('PRAGMA table_info(idempotency_keys)');
+
+    assert.deepEqual(
+        columns.filter(column => column.pk > 0).map(column => column.name),
+        ['scope', 'idempotency_key']
+    );
+});
+
+test('upgraded wallets agree with the ledger', async () => {
+    const walletRepository = new WalletRepository(database.db);
+    const reconciliationService = new ReconciliationService(
+        walletRepository,
+        new TransactionRepository(database.db),
+        new LedgerRepository(database.db)
+    );
+
+    const result = await reconciliationService.reconcile();
+
+    assert.equal(result.success, true);
+    assert.ok(result.data.walletCount > 0);
+    assert.deepEqual(result.data.mismatches, []);
+});
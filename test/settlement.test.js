@@ -0,0 +1,93 @@
+/**
+ * Merchant settlement fees
+ * The MDR fee is charged on payments minus refunds, so a fully refunded
+ * merchant owes nothing
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const WalletRepository = require('../src/repositories/WalletRepository');
+const TransactionRepository = require('../src/repositories/TransactionRepository');
+const LedgerRepository = require('../src/repositories/LedgerRepository');
+const BillSplitRepository = require('../src/repositories/BillSplitRepository');
+const MerchantRepository = require('../src/repositories/MerchantRepository');
+const SettlementRepository = require('../src/repositories/SettlementRepository');
+const MerchantService = require('../src/services/MerchantService');
+const PaymentService = require('../src/services/PaymentService');
+const RefundService = require('../src/services/RefundService');
+const SettlementService = require('../src/services/SettlementService');
+
+let database;
+let merchantService;
+let paymentService;
+let refundService;
+let settlementService;
+
+before(async () => {
+    database = await createTestDatabase();
+    const walletRepository = new WalletRepository(database.db);
+    const transactionRepository = new TransactionRepository(database.db);
+    const ledgerRepository = new LedgerRepository(database.db);
+    const merchantRepository = new MerchantRepository(database.db);
+
+    merchantService = new MerchantService(merchantRepository);
+    paymentService = new PaymentService(walletRepository, transactionRepository, ledgerRepository);
+    refundService = new RefundService(
+        walletRepository,
+        transactionRepository,
+        new BillSplitRepository(database.db),
+        ledgerRepository
+    );
+    settlementService = new SettlementService(
+        new SettlementRepository(database.db),
+        ledgerRepository,
+        merchantRepository,
+        { defaultMdrRate: 1.5 }
+    );
+});
+
+after(async () => {
+    await database.cleanup();
+});
+
+/**
+ * Create a merchant, pay it and refund part of the payment
+ * @param {string} merchantId - New merchant ID
+ * @param {number} amount - Payment in TL
+ * @param {number} refund - Refund in TL
+ */
+async function payAndRefund(merchantId, amount, refund) {
+    assert.equal((await merchantService.createMerchant({ merchantId, name: merchantId, category: 'cafe' })).success, true);
+    const payment = await paymentService.processPayment('U1', merchantId, amount);
+    assert.equal(payment.success, true);
+    assert.equal((await refundService.refundPayment(payment.data.transactionId, refund)).success, true);
+}
+
+async function previewPayout(merchantId) {
+    const now = new Date();
+    const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    const result = await settlementService.previewSettlement(now.toISOString().substring(0, 10), tomorrow);
+    assert.equal(result.success, true);
+    return result.data.payouts.find(payout => payout.merchantId === merchantId);
+}
+
+test('a fully refunded merchant pays no fee', async () => {
+    await payAndRefund('M_FULL', 40, 40);
+
+    const payout = await previewPayout('M_FULL');
+
+    assert.equal(payout.feeAmount, 0);
+    assert.equal(payout.netAmount, 0);
+    assert.equal(payout.status, 'carried');
+});
+
+test('the fee is charged on payments minus refunds', async () => {
+    await payAndRefund('M_PART', 40, 10);
+
+    const payout = await previewPayout('M_PART');
+
+    // 1.5% of 30 TL
+    assert.equal(payout.feeAmount, 0.45);
+    assert.equal(payout.payoutAmount, 29.55);
+});
@@ -0,0 +1,106 @@
+/**
+ * Transaction history search
+ * The search matches the descriptions the history shows, not only stored notes
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('./helpers/database');
+const WalletRepository = require('../src/repositories/WalletRepository');
+const TransactionRepository = require('../src/repositories/TransactionRepository');
+const LedgerRepository = require('../src/repositories/LedgerRepository');
+const UserRepository = require('../src/repositories/UserRepository');
+const PaymentRequestRepository = require('../src/repositories/PaymentRequestRepository');
+const PaymentService = require('../src/services/PaymentService');
+const PaymentRequestService = require('../src/services/PaymentRequestService');
+
+let database;
+let paymentService;
+let paymentRequestRepository;
+let paymentRequestService;
+
+before(async () => {
+    database = await createTestDatabase();
+    paymentService = new PaymentService(
+        new WalletRepository(database.db),
+        new TransactionRepository(database.db),
+        new LedgerRepository(database.db)
+    );
+    paymentRequestRepository = new PaymentRequestRepository(database.db);
+    paymentRequestService = new PaymentRequestService(
+        paymentRequestRepository,
+        paymentService,
+        new UserRepository(database.db)
+    );
+});
+
+after(async () => {
+    await database.cleanup();
+});
+
+async function search(userId, text) {
+    const result = await paymentService.getTransactionHistory(userId, { search: text });
+    assert.equal(result.success, true);
+    return result.data.transactions;
+}
+
+test('search matches descriptions derived from the transaction type', async () => {
+    const transactions = await search('U2', 'Bakiye yükleme');
+
+    assert.deepEqual(transactions.map(tx => tx.txId), ['TX_TOP_001']);
+    assert.equal(transactions[0].description, 'Bakiye yükleme');
+});
+
+test('search matches the merchant in payment descriptions', async () => {
+    const transactions = await search('U1', 'Kafe - Ödeme');
+
+    assert.ok(transactions.length > 0);
+    transactions.forEach(tx => {
+        assert.equal(tx.type, 'payment');
+        assert.equal(tx.description, 'Kampüs Kafe - Ödeme');
+    });
+});
+
+test('search matches notes stored with the transaction', async () => {
+    const transfer = await paymentService.transferMoney('U1', 'U2', 5, 'TRY', {
+        meta: { description: 'Kahve parası' }
+    });
+    assert.equal(transfer.success, true);
+
+    const transactions = await search('U1', 'kahve');
+
+    assert.deepEqual(transactions.map(tx => tx.description), ['Kahve parası']);
+});
+
+test('both sides of a paid request find it by its note', async () => {
+    const request = await paymentRequestService.createRequest('U3', 'U2', 7, 'TRY', 'kahve');
+    assert.equal(request.success, true);
+    const accepted = await paymentRequestService.acceptRequest('U2', request.data.requestId);
+    assert.equal(accepted.success, true);
+
+    const [payer] = await search('U2', 'kahve');
+    const [requester] = await search('U3', 'kahve');
+
+    assert.equal(payer.type, 'transfer_out');
+    assert.equal(requester.type, 'transfer_in');
+    assert.equal(requester.description, 'Para isteği: kahve');
+});
+
+test('a paid request is linked to its transfer', async () => {
+    const request = await paymentRequestService.createRequest('U3', 'U2', 3, 'TRY', 'simit');
+    const accepted = await paymentRequestService.acceptRequest('U2', request.data.requestId);
+    assert.equal(accepted.success, true);
+
+    const stored = await paymentRequestRepository.findById(request.data.requestId);
+
+    assert.equal(stored.status, 'accepted');
+    assert.equal(stored.txId, accepted.data.outTransactionId);
+    assert.equal(accepted.data.request.transactionId, accepted.data.outTransactionId);
+});
+
+test('search keeps wildcard characters literal', async () => {
+    const transactions = await search('U1', '%5');
+
+    assert.ok(transactions.length > 0);
+    transactions.forEach(tx => assert.ok(tx.description.includes('%5'), tx.description));
+});